@@ -0,0 +1,97 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import {
+  applyContractorCluster,
+  clusterContractorNames,
+  DEFAULT_SIMILARITY,
+} from "../src/utils/contractor-migration.js";
+
+dotenv.config();
+
+// Usage: node scripts/migrate-contractors.js [--apply] [--similarity=0.85]
+// Without --apply the clusters are only listed. With --apply every cluster
+// becomes (or is attached to) a contractor record under its suggested name;
+// wrongly split or joined contractors are then fixed with the merge API or
+// by applying reviewed clusters through /api/contractors/migration/apply.
+const args = process.argv.slice(2);
+const apply = args.includes("--apply");
+const similarityArg = args.find((arg) => arg.startsWith("--similarity="));
+const similarity = similarityArg
+  ? Number(similarityArg.split("=")[1])
+  : DEFAULT_SIMILARITY;
+
+const SCRIPT_USER = {
+  userId: "migration-script",
+  name: "Contractor migration",
+  role: "ADMIN",
+};
+
+const migrateContractors = async () => {
+  try {
+    console.log("Connecting to MongoDB...");
+    await mongoose.connect(process.env.MONGO_URL_PROD);
+
+    const clusters = await clusterContractorNames({ similarity });
+    console.log(
+      `Found ${clusters.length} cluster(s) of unlinked contractor names (similarity ${similarity})\n`
+    );
+
+    clusters.forEach((cluster) => {
+      const matched = cluster.matchedContractors
+        .map((contractor) => contractor.contractorId)
+        .join(", ");
+      console.log(`${cluster.suggestedName}${matched ? ` -> ${matched}` : ""}`);
+      cluster.variants.forEach((variant) =>
+        console.log(
+          `    "${variant.name}": ${variant.usage.projects} project(s), ${variant.usage.archiveProjects} archive project(s), ${variant.usage.measurementBooks} MB(s)`
+        )
+      );
+    });
+
+    if (!apply) {
+      console.log("\nDry run: re-run with --apply to create the records");
+      await mongoose.connection.close();
+      process.exit(0);
+    }
+
+    let created = 0;
+    let failed = 0;
+    for (const cluster of clusters) {
+      try {
+        const result = await applyContractorCluster(
+          {
+            name: cluster.suggestedName,
+            variants: cluster.variants.map((variant) => variant.name),
+            contractorId: cluster.matchedContractors[0]?.contractorId,
+            details: {
+              phoneNumber: cluster.phones[0],
+              address: cluster.addresses[0],
+            },
+          },
+          SCRIPT_USER,
+          { dryRun: false }
+        );
+        if (result.created) created++;
+      } catch (clusterError) {
+        failed++;
+        console.error(
+          `Skipped "${cluster.suggestedName}": ${clusterError.message}`
+        );
+      }
+    }
+
+    console.log(
+      `\nApplied ${
+        clusters.length - failed
+      } cluster(s): ${created} contractor(s) created, ${failed} skipped`
+    );
+    await mongoose.connection.close();
+    process.exit(failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error("Error migrating contractors:", error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+migrateContractors();
@@ -14,15 +14,25 @@ import helmet from "helmet";
 import morgan from "morgan";
 
 // Custom middleware and utilities
+import { auditLogger } from "./middlewares/audit-log.middleware.js";
 import { AppError, errorController } from "./utils/errorHandler.js";
 
 // Routes
 import archiveProjectRoute from "./routes/archive-project.route.js";
+import auditLogRoute from "./routes/audit-log.route.js";
 import authRoute from "./routes/auth.route.js";
+import billRoute from "./routes/bill.route.js";
+import boundaryRoute from "./routes/boundary.route.js";
+import contractorRoute from "./routes/contractor.route.js";
 import dashboardRoute from "./routes/dashboard.route.js";
+import deductionRuleRoute from "./routes/deduction-rule.route.js";
+import fundRoute from "./routes/fund.route.js";
+import jurisdictionRoute from "./routes/jurisdiction.route.js";
 import mbRoute from "./routes/mb.route.js";
 import projectRoute from "./routes/project.route.js";
+import scheduleOfRatesRoute from "./routes/schedule-of-rates.route.js";
 import userRoute from "./routes/user.route.js";
+import workflowRoute from "./routes/workflow.route.js";
 
 // ----------------------------------------
 // 2. CONFIGURATION
@@ -105,6 +115,9 @@ app.get("/", (req, res) => {
   res.send("iPMS API is running");
 });
 
+// Audit log for every mutating API call
+app.use("/api", auditLogger);
+
 // API routes
 app.use(
   "/api/auth",
@@ -120,7 +133,16 @@ app.use("/api/user", userRoute);
 app.use("/api/project", projectRoute);
 app.use("/api/archive-project", archiveProjectRoute);
 app.use("/api/mb", mbRoute);
+app.use("/api/bill", billRoute);
+app.use("/api/deduction-rules", deductionRuleRoute);
+app.use("/api/fund", fundRoute);
 app.use("/api/dashboard", dashboardRoute);
+app.use("/api/workflow", workflowRoute);
+app.use("/api/schedule-of-rates", scheduleOfRatesRoute);
+app.use("/api/audit-logs", auditLogRoute);
+app.use("/api/jurisdictions", jurisdictionRoute);
+app.use("/api/boundaries", boundaryRoute);
+app.use("/api/contractors", contractorRoute);
 
 // ----------------------------------------
 // 6. ERROR HANDLING (APPLICATION LEVEL)
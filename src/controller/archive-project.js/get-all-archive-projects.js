@@ -1,4 +1,5 @@
 import ArchiveProject from "../../models/archive-project.model.js";
+import { getArchiveProjectScopeFilter } from "../../utils/jurisdiction-scope.js";
 
 const getAllArchiveProjects = async (req, res) => {
   try {
@@ -202,30 +203,13 @@ const getAllArchiveProjects = async (req, res) => {
       filter.AANumber = req.query.AANumber;
     }
 
-    // Role-based filtering - Apply AFTER all query param filters
-    switch (userRole) {
-      case "JE":
-        // JE can only see projects where they are the concerned engineer
-        // This overrides any concernedEngineer filter from query params for security
-        filter.concernedEngineer = {
-          $in: [user.fullName, user.username].filter(Boolean),
-        };
-        break;
-
-      case "AEE":
-      case "CE":
-      case "MD":
-      case "VIEWER":
-      case "ADMIN":
-      case "OPERATOR":
-        // These roles can see all archive projects (respecting other filters)
-        break;
-
-      default:
-        return res.status(403).json({
-          success: false,
-          message: `Invalid user role: ${userRole}. Access denied.`,
-        });
+    // Jurisdiction scoping - Apply AFTER all query param filters.
+    // Kept under $and so it cannot be overridden by a query param filter
+    // on the same field (e.g. concernedEngineer for JE users).
+    const scopeFilter = await getArchiveProjectScopeFilter(req);
+    const hasQueryFilters = Object.keys(filter).length > 0;
+    if (Object.keys(scopeFilter).length > 0) {
+      filter.$and = [scopeFilter];
     }
 
     // Build the query
@@ -463,7 +447,7 @@ const getAllArchiveProjects = async (req, res) => {
             : 0,
       },
       filters: {
-        applied: Object.keys(filter).length > 0,
+        applied: hasQueryFilters,
         search: search || null,
         sortBy,
         sortOrder: sortOrder === 1 ? "asc" : "desc",
@@ -0,0 +1,188 @@
+import ArchiveProject from "../../models/archive-project.model.js";
+import { setAuditContext } from "../../utils/audit.js";
+import {
+  archiveProjectImportColumns,
+  buildImportTemplate,
+  parseImportWorkbook,
+  rowError,
+  runImport,
+} from "../../utils/project-import.js";
+
+const XLSX_MIME_TYPE =
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+// A.A number and financial year identify an archive project
+const aaKey = (doc) => `${doc.AANumber}|${doc.financialYear}`;
+
+/**
+ * Download the archive project import template
+ * GET /api/archive-project/import/template
+ */
+export const downloadArchiveProjectImportTemplate = async (req, res) => {
+  try {
+    const workbook = buildImportTemplate(
+      archiveProjectImportColumns,
+      "Archive projects"
+    );
+
+    res.setHeader("Content-Type", XLSX_MIME_TYPE);
+    res.setHeader(
+      "Content-Disposition",
+      'attachment; filename="archive-project-import-template.xlsx"'
+    );
+
+    await workbook.xlsx.write(res);
+    res.end();
+  } catch (error) {
+    console.error("Error generating archive project import template:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to generate import template",
+    });
+  }
+};
+
+/**
+ * Import archive projects from an XLSX file (Operator only).
+ * With ?dryRun=true nothing is saved; otherwise all valid rows are created
+ * in one transaction and invalid rows are reported back.
+ * POST /api/archive-project/import
+ */
+export const importArchiveProjects = async (req, res) => {
+  try {
+    const dryRun = String(req.query.dryRun ?? req.body.dryRun) === "true";
+
+    const { rows, error } = await parseImportWorkbook(
+      req.file.buffer,
+      archiveProjectImportColumns
+    );
+
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "The file has no data rows",
+      });
+    }
+
+    const timestamp = Date.now();
+    const now = new Date();
+
+    const buildDocument = async (values, index) => {
+      const { progress = 0, billSubmittedAmount = 0 } = values;
+
+      if (billSubmittedAmount > values.workValue) {
+        throw rowError(
+          "billSubmittedAmount",
+          "Bill submitted amount cannot exceed work value"
+        );
+      }
+
+      if (values.AADated > now) {
+        throw rowError(
+          "AADated",
+          "Administrative Approval date cannot be in the future"
+        );
+      }
+
+      if (values.FWODate && values.FWODate > now) {
+        throw rowError("FWODate", "FWO date cannot be in the future");
+      }
+
+      return new ArchiveProject({
+        ...values,
+        progress,
+        billSubmittedAmount,
+        projectId: `${values.AANumber.slice(0, 5).replace(/\//g, "-")}_${
+          timestamp + index
+        }`,
+      });
+    };
+
+    // A.A number must be unique per financial year, within the file and in
+    // the database
+    const findDuplicates = async (docs) => {
+      const duplicates = [];
+      const seen = new Set();
+
+      const existing = await ArchiveProject.find({
+        $or: docs.map((doc) => ({
+          AANumber: doc.AANumber,
+          financialYear: doc.financialYear,
+        })),
+      }).select("AANumber financialYear projectId");
+      const existingKeys = new Map(
+        existing.map((project) => [aaKey(project), project.projectId])
+      );
+
+      docs.forEach((doc) => {
+        const key = aaKey(doc);
+        if (existingKeys.has(key)) {
+          duplicates.push({
+            doc,
+            field: "AANumber",
+            message: `Administrative Approval number already exists for this financial year (project ${existingKeys.get(
+              key
+            )})`,
+          });
+        } else if (seen.has(key)) {
+          duplicates.push({
+            doc,
+            field: "AANumber",
+            message:
+              "Administrative Approval number is repeated in the file for this financial year",
+          });
+        }
+        seen.add(key);
+      });
+
+      return duplicates;
+    };
+
+    const report = await runImport({
+      rows,
+      buildDocument,
+      findDuplicates,
+      dryRun,
+    });
+
+    if (!dryRun && report.summary.created > 0) {
+      setAuditContext(res, {
+        entityType: "archive-project",
+        entityId: "import",
+        description: `Imported ${report.summary.created} archive project(s) from ${req.file.originalname}`,
+      });
+
+      console.log(
+        `${report.summary.created} archive project(s) imported by ${req.user.userId}`
+      );
+    }
+
+    res.status(dryRun || report.summary.created === 0 ? 200 : 201).json({
+      success: true,
+      message: dryRun
+        ? `Dry run complete: ${report.summary.validRows} of ${report.summary.totalRows} row(s) are valid`
+        : `${report.summary.created} archive project(s) imported, ${report.summary.invalidRows} row(s) rejected`,
+      data: report,
+    });
+  } catch (error) {
+    console.error("Error importing archive projects:", error);
+
+    if (error.code === 11000) {
+      const field = Object.keys(error.keyValue)[0];
+      return res.status(409).json({
+        success: false,
+        message: `Import aborted: duplicate ${field} '${error.keyValue[field]}'`,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message:
+        "Internal server error occurred while importing archive projects",
+    });
+  }
+};
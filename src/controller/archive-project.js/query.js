@@ -1,5 +1,9 @@
 import mongoose from "mongoose";
 import ArchiveProject from "../../models/archive-project.model.js";
+import {
+  getArchiveProjectScopeFilter,
+  withScope,
+} from "../../utils/jurisdiction-scope.js";
 
 /**
  * Create a new query for an archive project
@@ -1019,8 +1023,11 @@ export const getQueryStatistics = async (req, res) => {
       if (endDate) queryFilter["queries.raisedDate"].$lte = new Date(endDate);
     }
 
-    // Combine filters
-    const combinedFilter = { ...projectFilter, ...queryFilter };
+    // Combine filters, limited to the user's jurisdiction
+    const combinedFilter = withScope(
+      { ...projectFilter, ...queryFilter },
+      await getArchiveProjectScopeFilter(req)
+    );
 
     // Get comprehensive statistics
     const statistics = await ArchiveProject.aggregate([
@@ -1361,7 +1368,11 @@ export const searchQueries = async (req, res) => {
       ],
     };
 
-    const finalFilter = { ...combinedFilter, ...textSearchFilter };
+    // Only queries on projects within the user's jurisdiction
+    const finalFilter = withScope(
+      { ...combinedFilter, ...textSearchFilter },
+      await getArchiveProjectScopeFilter(req)
+    );
 
     // Perform search with pagination
     const pageNum = parseInt(page);
@@ -1,5 +1,7 @@
 import mongoose from "mongoose";
 import ArchiveProject from "../../models/archive-project.model.js";
+import Bill from "../../models/bill.model.js";
+import { withStatutoryDeductions } from "../../utils/bill-utils.js";
 
 /**
  * Update financial progress of an archive project
@@ -50,6 +52,11 @@ export const updateFinancialProgress = async (req, res) => {
       throw new Error("FINANCIAL_PROGRESS_UPDATES_DISABLED");
     }
 
+    // Projects with a bill ledger derive financial progress from passed bills
+    if (await Bill.exists({ project: project._id }).session(session)) {
+      throw new Error("FINANCIAL_PROGRESS_FROM_BILLS");
+    }
+
     // Business logic validations
     const currentBillAmount = project.billSubmittedAmount || 0;
     const workValue = project.workValue;
@@ -126,6 +133,16 @@ export const updateFinancialProgress = async (req, res) => {
       userAgent: req.get("User-Agent") || "",
     };
 
+    // Statutory deductions on the amount billed in this update
+    updateData.billDetails = await withStatutoryDeductions(
+      updateData.billDetails,
+      {
+        amount: amountIncrease,
+        contractValue: workValue,
+        projectType: "ArchiveProject",
+      }
+    );
+
     const userInfo = {
       userId: user.id,
       userName: user.name || user.username,
@@ -287,6 +304,14 @@ export const updateFinancialProgress = async (req, res) => {
           details: { searchedId: req.params.id },
         }),
 
+      FINANCIAL_PROGRESS_FROM_BILLS: () =>
+        res.status(409).json({
+          success: false,
+          message:
+            "This project has a bill ledger. Financial progress is derived from passed bills; record a bill instead",
+          details: { billsEndpoint: "/api/bill/project/:projectId" },
+        }),
+
       FINANCIAL_PROGRESS_UPDATES_DISABLED: () =>
         res.status(403).json({
           success: false,
@@ -711,10 +736,19 @@ export const updateCombinedProgress = async (req, res) => {
         throw new Error("BILL_AMOUNT_EXCEEDS_WORK_VALUE");
       }
 
+      // Projects with a bill ledger derive financial progress from passed bills
+      if (await Bill.exists({ project: project._id }).session(session)) {
+        throw new Error("FINANCIAL_PROGRESS_FROM_BILLS");
+      }
+
       const financialUpdateData = {
         newBillAmount: billAmountNum,
         remarks: remarks || "",
-        billDetails: billDetails || {},
+        billDetails: await withStatutoryDeductions(billDetails, {
+          amount: billAmountNum - (project.billSubmittedAmount || 0),
+          contractValue: project.workValue,
+          projectType: "ArchiveProject",
+        }),
         supportingDocuments: supportingDocuments.filter(
           (doc) =>
             doc.fileType === "document" || doc.originalName.includes("bill")
@@ -798,6 +832,14 @@ export const updateCombinedProgress = async (req, res) => {
     await session.abortTransaction();
     console.error("Error updating combined progress:", error);
 
+    if (error.message === "FINANCIAL_PROGRESS_FROM_BILLS") {
+      return res.status(409).json({
+        success: false,
+        message:
+          "This project has a bill ledger. Financial progress is derived from passed bills; record a bill instead",
+      });
+    }
+
     // Use similar error handling as individual progress updates
     res.status(500).json({
       success: false,
@@ -0,0 +1,150 @@
+import ExcelJS from "exceljs";
+import AuditLog from "../../models/audit-log.model.js";
+
+const EXPORT_LIMIT = 50000;
+
+const AUDIT_COLUMNS = [
+  { header: "Timestamp", key: "createdAt", width: 22 },
+  { header: "User ID", key: "userId", width: 16 },
+  { header: "Name", key: "name", width: 22 },
+  { header: "Role", key: "role", width: 12 },
+  { header: "Method", key: "method", width: 8 },
+  { header: "Action", key: "action", width: 40 },
+  { header: "Path", key: "path", width: 40 },
+  { header: "Entity Type", key: "entityType", width: 16 },
+  { header: "Entity ID", key: "entityId", width: 26 },
+  { header: "Outcome", key: "outcome", width: 10 },
+  { header: "Status Code", key: "statusCode", width: 10 },
+  { header: "Error", key: "errorMessage", width: 40 },
+  { header: "Changes", key: "changes", width: 60 },
+  { header: "IP Address", key: "ipAddress", width: 16 },
+  { header: "User Agent", key: "userAgent", width: 40 },
+];
+
+const toRow = (log) => ({
+  createdAt: new Date(log.createdAt).toISOString(),
+  userId: log.actor?.userId || "",
+  name: log.actor?.name || "",
+  role: log.actor?.role || "",
+  method: log.method,
+  action: log.action || "",
+  path: log.path,
+  entityType: log.entityType || "",
+  entityId: log.entityId || "",
+  outcome: log.outcome,
+  statusCode: log.statusCode,
+  errorMessage: log.errorMessage || "",
+  changes: (log.changes || [])
+    .map(
+      (change) =>
+        `${change.field}: ${JSON.stringify(change.before)} -> ${JSON.stringify(
+          change.after
+        )}`
+    )
+    .join("; "),
+  ipAddress: log.ipAddress || "",
+  userAgent: log.userAgent || "",
+});
+
+const escapeCSVValue = (value) => {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "number") return String(value);
+
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+/**
+ * Export audit log entries as CSV or XLSX (Admin only)
+ * GET /api/audit-logs/export
+ * Accepts the same filters as the list endpoint plus format (csv|xlsx)
+ */
+const exportAuditLogs = async (req, res) => {
+  try {
+    const { format = "csv", startDate, endDate } = req.query;
+    const exportFormat = String(format).toLowerCase();
+
+    if (!["csv", "xlsx"].includes(exportFormat)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid export format. Allowed formats: csv, xlsx",
+      });
+    }
+
+    if (
+      (startDate && isNaN(Date.parse(startDate))) ||
+      (endDate && isNaN(Date.parse(endDate)))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "startDate and endDate must be valid dates",
+      });
+    }
+
+    const logs = await AuditLog.find(AuditLog.buildFilter(req.query))
+      .sort({ createdAt: -1 })
+      .limit(EXPORT_LIMIT)
+      .select("-requestBody")
+      .lean();
+
+    const rows = logs.map(toRow);
+    const filename = `audit-logs-${new Date().toISOString().split("T")[0]}`;
+
+    if (exportFormat === "xlsx") {
+      const workbook = new ExcelJS.Workbook();
+      workbook.creator = "iPMS";
+      workbook.created = new Date();
+
+      const worksheet = workbook.addWorksheet("Audit Log", {
+        views: [{ state: "frozen", ySplit: 1 }],
+      });
+      worksheet.columns = AUDIT_COLUMNS;
+      worksheet.getRow(1).font = { bold: true };
+      rows.forEach((row) => worksheet.addRow(row));
+
+      res.setHeader(
+        "Content-Type",
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+      );
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${filename}.xlsx"`
+      );
+
+      await workbook.xlsx.write(res);
+      return res.end();
+    }
+
+    const csv = [
+      AUDIT_COLUMNS.map((column) => escapeCSVValue(column.header)).join(","),
+      ...rows.map((row) =>
+        AUDIT_COLUMNS.map((column) => escapeCSVValue(row[column.key])).join(",")
+      ),
+    ].join("\r\n");
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${filename}.csv"`
+    );
+    res.send("\uFEFF" + csv);
+  } catch (error) {
+    console.error("Error exporting audit logs:", error);
+
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while exporting audit logs",
+    });
+  }
+};
+
+export default exportAuditLogs;
@@ -0,0 +1,98 @@
+import mongoose from "mongoose";
+import AuditLog from "../../models/audit-log.model.js";
+
+/**
+ * List audit log entries (Admin only)
+ * GET /api/audit-logs
+ * Query: userId, entityType, entityId, method, outcome, action,
+ *        startDate, endDate, page, limit
+ */
+export const getAuditLogs = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, startDate, endDate } = req.query;
+
+    if (
+      (startDate && isNaN(Date.parse(startDate))) ||
+      (endDate && isNaN(Date.parse(endDate)))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "startDate and endDate must be valid dates",
+      });
+    }
+
+    const filter = AuditLog.buildFilter(req.query);
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(200, Math.max(1, parseInt(limit) || 50));
+
+    const [logs, totalCount] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .select("-requestBody")
+        .lean(),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    res.status(200).json({
+      success: true,
+      message: `Retrieved ${logs.length} audit log entr${
+        logs.length === 1 ? "y" : "ies"
+      }`,
+      data: logs,
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalCount,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1,
+      },
+    });
+  } catch (error) {
+    console.error("Error retrieving audit logs:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while retrieving audit logs",
+    });
+  }
+};
+
+/**
+ * Get a single audit log entry including the request body (Admin only)
+ * GET /api/audit-logs/:id
+ */
+export const getAuditLogById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid audit log ID format",
+      });
+    }
+
+    const log = await AuditLog.findById(id).lean();
+
+    if (!log) {
+      return res.status(404).json({
+        success: false,
+        message: "Audit log entry not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: log,
+    });
+  } catch (error) {
+    console.error("Error retrieving audit log:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while retrieving audit log",
+    });
+  }
+};
@@ -1,8 +1,10 @@
 import bcrypt from "bcryptjs";
 import crypto from "crypto";
 import dotenv from "dotenv";
+import LoginSecurity from "../../models/login-security.model.js";
 import OTP from "../../models/otp.model.js";
 import User from "../../models/user.model.js";
+import { setAuditContext } from "../../utils/audit.js";
 
 dotenv.config();
 
@@ -10,24 +12,59 @@ const login = async (req, res) => {
   try {
     const { userId, password } = req.body;
 
+    // The caller is not authenticated yet, so record who tried to log in
+    setAuditContext(res, {
+      entityType: "auth",
+      entityId: userId?.toString().trim(),
+      description: "Login attempt",
+      actor: { userId: userId?.toString().trim() },
+    });
+
     if (!userId || !password) {
       return res
         .status(400)
         .json({ success: false, message: "User ID and password are required" });
     }
 
-    const user = await User.findOne({ userId: userId.trim() });
-    if (!user) {
-      return res
-        .status(401)
-        .json({ success: false, message: "Invalid credentials" });
+    // Failed passwords are tracked per user ID across all instances
+    const lockCheck = await LoginSecurity.checkLimit("login", userId);
+    if (!lockCheck.allowed) {
+      return res.status(lockCheck.type === "lockout" ? 423 : 429).json({
+        success: false,
+        message: lockCheck.error,
+        retryAfter: lockCheck.remainingTime,
+        type: lockCheck.type,
+      });
     }
 
-    const isMatch = await bcrypt.compare(password, user.password);
+    const user = await User.findOne({ userId: userId.trim() });
+    const isMatch = user
+      ? await bcrypt.compare(password, user.password)
+      : false;
+
     if (!isMatch) {
-      return res
-        .status(401)
-        .json({ success: false, message: "Invalid credentials" });
+      // Unknown user IDs are tracked too so responses look the same
+      await LoginSecurity.recordFailure("login", userId, req.ip);
+      const attemptsRemaining = lockCheck.attemptsRemaining - 1;
+
+      return res.status(401).json({
+        success: false,
+        message:
+          attemptsRemaining > 0
+            ? `Invalid credentials. ${attemptsRemaining} attempts remaining.`
+            : "Invalid credentials. Account temporarily locked due to too many failed attempts.",
+        attemptsRemaining: Math.max(0, attemptsRemaining),
+      });
+    }
+
+    await LoginSecurity.recordSuccess("login", userId);
+
+    if (user.isActive === false) {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Your account has been deactivated. Please contact the administrator.",
+      });
     }
 
     //  Generate OTP (6-digit random number)
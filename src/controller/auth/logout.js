@@ -1,31 +1,27 @@
-const logout = (req, res) => {
-  // 1. Clear main token cookie
-  res.clearCookie("token", {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === "production",
-    sameSite: "lax",
-    path: "/",
-  });
+import Session from "../../models/session.model.js";
+import { clearAuthCookies } from "../../utils/auth-tokens.js";
+import verifyJwt from "../../utils/verifyJwt.js";
 
-  // 2. Clear backup token cookie
-  res.clearCookie("backup-token", {
-    httpOnly: true,
-    secure: false,
-    sameSite: "strict",
-    path: "/",
-  });
+const logout = async (req, res) => {
+  try {
+    // Revoke the server-side session so its tokens stop working.
+    // An expired access token can still be matched via the refresh token.
+    const accessToken =
+      req.cookies?.token || req.headers.authorization?.split(" ")[1];
+    const sessionId = verifyJwt(accessToken)?.sid;
+    const refreshToken = req.cookies?.refreshToken || req.body?.refreshToken;
 
-  // 3. Clear encoded auth cookie
-  res.clearCookie("encoded-token", {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === "production",
-    sameSite: "lax",
-    path: "/",
-  });
+    if (sessionId) {
+      await Session.revoke({ _id: sessionId }, "logout");
+    } else if (refreshToken) {
+      await Session.revokeByRefreshToken(refreshToken, "logout");
+    }
+  } catch (error) {
+    // Logging out should always clear the cookies
+    console.error("Logout session revoke error:", error);
+  }
 
-  // 4. Additional fallback cookies (if using approach with multiple names)
-  res.clearCookie("auth-token");
-  res.clearCookie("auth-fallback");
+  clearAuthCookies(res);
 
   return res.status(200).json({
     success: true,
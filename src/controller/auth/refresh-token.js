@@ -0,0 +1,67 @@
+import Session from "../../models/session.model.js";
+import User from "../../models/user.model.js";
+import {
+  clearAuthCookies,
+  issueAccessToken,
+  setAuthCookies,
+} from "../../utils/auth-tokens.js";
+
+/**
+ * Exchange a refresh token for a new access token.
+ * The refresh token is rotated on every call; reusing an old one
+ * revokes the session.
+ * POST /api/auth/refresh
+ */
+const refreshToken = async (req, res) => {
+  try {
+    const presentedToken = req.cookies?.refreshToken || req.body?.refreshToken;
+
+    if (!presentedToken) {
+      return res.status(401).json({
+        success: false,
+        message: "Refresh token is required",
+      });
+    }
+
+    const result = await Session.rotate(presentedToken, req);
+
+    if (result.error) {
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: result.error,
+      });
+    }
+
+    const { session, refreshToken: newRefreshToken } = result;
+
+    const user = await User.findById(session.user);
+    if (!user || user.isActive === false) {
+      await Session.revoke({ _id: session._id }, "user_deactivated");
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: "User not found or deactivated",
+      });
+    }
+
+    const token = issueAccessToken(user, session);
+    setAuthCookies(res, token, newRefreshToken);
+
+    return res.status(200).json({
+      success: true,
+      message: "Token refreshed successfully",
+      token,
+      refreshToken: newRefreshToken,
+      sessionId: session._id,
+    });
+  } catch (error) {
+    console.error("Refresh token error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error. Please try again later.",
+    });
+  }
+};
+
+export default refreshToken;
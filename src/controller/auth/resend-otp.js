@@ -1,73 +1,14 @@
 import crypto from "crypto";
 import dotenv from "dotenv";
+import LoginSecurity from "../../models/login-security.model.js";
 import OTP from "../../models/otp.model.js";
 import User from "../../models/user.model.js";
 import { resendOTP } from "../../utils/mailSender.js";
 
 dotenv.config();
 
-// In-memory store for rate limiting (use Redis in production)
-const resendAttempts = new Map();
-const RESEND_COOLDOWN = 60000; // 60 seconds between resends
-const MAX_RESEND_ATTEMPTS = 5; // Max 5 resends per hour
-const HOURLY_LIMIT_WINDOW = 3600000; // 1 hour
 const OTP_EXPIRY_MINUTES = 5; // OTP expires in 5 minutes
 
-// Rate limiting helper functions
-const checkRateLimit = (email) => {
-  const now = Date.now();
-  const userAttempts = resendAttempts.get(email) || {
-    attempts: [],
-    lastResend: 0,
-  };
-
-  // Check cooldown period (60 seconds)
-  if (now - userAttempts.lastResend < RESEND_COOLDOWN) {
-    const remainingTime = Math.ceil(
-      (RESEND_COOLDOWN - (now - userAttempts.lastResend)) / 1000
-    );
-    return {
-      allowed: false,
-      error: `Please wait ${remainingTime} seconds before requesting another OTP`,
-      remainingTime,
-      type: "cooldown",
-    };
-  }
-
-  // Clean old attempts (older than 1 hour)
-  userAttempts.attempts = userAttempts.attempts.filter(
-    (timestamp) => now - timestamp < HOURLY_LIMIT_WINDOW
-  );
-
-  // Check hourly limit
-  if (userAttempts.attempts.length >= MAX_RESEND_ATTEMPTS) {
-    const oldestAttempt = Math.min(...userAttempts.attempts);
-    const resetTime = Math.ceil(
-      (HOURLY_LIMIT_WINDOW - (now - oldestAttempt)) / 60000
-    );
-    return {
-      allowed: false,
-      error: `Maximum resend attempts reached. Try again in ${resetTime} minutes.`,
-      remainingTime: resetTime,
-      type: "hourly_limit",
-    };
-  }
-
-  return { allowed: true };
-};
-
-const updateRateLimit = (email) => {
-  const now = Date.now();
-  const userAttempts = resendAttempts.get(email) || {
-    attempts: [],
-    lastResend: 0,
-  };
-
-  userAttempts.attempts.push(now);
-  userAttempts.lastResend = now;
-  resendAttempts.set(email, userAttempts);
-};
-
 const resendOTPController = async (req, res) => {
   try {
     const { email } = req.body;
@@ -101,10 +42,12 @@ const resendOTPController = async (req, res) => {
     }
 
     // Check rate limiting
-    const rateLimitCheck = checkRateLimit(normalizedEmail);
+    const rateLimitCheck = await LoginSecurity.checkLimit(
+      "otp_resend",
+      normalizedEmail
+    );
     if (!rateLimitCheck.allowed) {
-      const statusCode = rateLimitCheck.type === "cooldown" ? 429 : 429;
-      return res.status(statusCode).json({
+      return res.status(429).json({
         success: false,
         message: rateLimitCheck.error,
         retryAfter: rateLimitCheck.remainingTime,
@@ -157,7 +100,10 @@ const resendOTPController = async (req, res) => {
       const emailResult = await resendOTP(normalizedEmail, newOTP);
 
       // Update rate limiting after successful email send
-      updateRateLimit(normalizedEmail);
+      await LoginSecurity.recordAttempt("otp_resend", normalizedEmail, {
+        ip: req.ip,
+        success: true,
+      });
 
       // Log successful resend (optional)
       console.log(
@@ -196,18 +142,4 @@ const resendOTPController = async (req, res) => {
   }
 };
 
-// Optional: Cleanup function to clear old rate limit data
-const cleanupRateLimitData = () => {
-  const now = Date.now();
-  for (const [email, data] of resendAttempts.entries()) {
-    // Remove entries older than 2 hours
-    if (now - data.lastResend > HOURLY_LIMIT_WINDOW * 2) {
-      resendAttempts.delete(email);
-    }
-  }
-};
-
-// Run cleanup every hour (optional)
-setInterval(cleanupRateLimitData, HOURLY_LIMIT_WINDOW);
-
 export default resendOTPController;
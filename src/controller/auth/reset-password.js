@@ -1,5 +1,6 @@
 import crypto from "crypto";
 import bcrypt from "bcryptjs";
+import Session from "../../models/session.model.js";
 import User from "../../models/user.model.js";
 
 const resetPassword = async (req, res) => {
@@ -41,6 +42,9 @@ const resetPassword = async (req, res) => {
 
     await user.save();
 
+    // Log out everywhere with the old password
+    await Session.revoke({ user: user._id }, "password_reset");
+
     res.status(200).json({
       success: true,
       message:
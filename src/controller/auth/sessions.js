@@ -0,0 +1,121 @@
+import mongoose from "mongoose";
+import Session from "../../models/session.model.js";
+import { clearAuthCookies, formatSession } from "../../utils/auth-tokens.js";
+import { setAuditContext } from "../../utils/audit.js";
+
+/**
+ * List the current user's active sessions
+ * GET /api/auth/sessions
+ */
+export const getMySessions = async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: `Retrieved ${sessions.length} active session(s)`,
+      data: sessions.map((session) =>
+        formatSession(session, req.authSession?._id)
+      ),
+    });
+  } catch (error) {
+    console.error("Get sessions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Revoke one of the current user's sessions
+ * DELETE /api/auth/sessions/:sessionId
+ */
+export const revokeMySession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid session ID",
+      });
+    }
+
+    const revoked = await Session.revoke(
+      { _id: sessionId, user: req.user._id },
+      "user_revoked",
+      req.user
+    );
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: "Active session not found",
+      });
+    }
+
+    const isCurrent = req.authSession?._id.toString() === sessionId;
+    if (isCurrent) clearAuthCookies(res);
+
+    setAuditContext(res, {
+      entityType: "session",
+      entityId: sessionId,
+      description: isCurrent
+        ? "Revoked current session"
+        : "Revoked own session",
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Session revoked successfully",
+      data: { sessionId, isCurrent },
+    });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Revoke all of the current user's sessions.
+ * Pass keepCurrent=true to stay logged in on this device.
+ * DELETE /api/auth/sessions
+ */
+export const revokeAllMySessions = async (req, res) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === "true";
+
+    const filter = { user: req.user._id };
+    if (keepCurrent) filter._id = { $ne: req.authSession._id };
+
+    const revoked = await Session.revoke(filter, "user_revoked", req.user);
+
+    if (!keepCurrent) clearAuthCookies(res);
+
+    setAuditContext(res, {
+      entityType: "user",
+      entityId: req.user.userId,
+      description: keepCurrent
+        ? `Revoked ${revoked} other session(s)`
+        : `Revoked all ${revoked} session(s)`,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: keepCurrent
+        ? "All other sessions revoked successfully"
+        : "All sessions revoked successfully",
+      data: { revokedSessions: revoked, keepCurrent },
+    });
+  } catch (error) {
+    console.error("Revoke all sessions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
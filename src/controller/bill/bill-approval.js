@@ -0,0 +1,253 @@
+import mongoose from "mongoose";
+import Bill from "../../models/bill.model.js";
+import { setAuditContext } from "../../utils/audit.js";
+import {
+  findBill,
+  getProgressUserInfo,
+  getUserInfo,
+  projectModelFor,
+} from "../../utils/bill-utils.js";
+import { checkBudgetHead } from "../../utils/budget.js";
+import { billPassers } from "../../utils/constants.js";
+import { getBillScopeFilter } from "../../utils/jurisdiction-scope.js";
+
+/**
+ * Verify or reject a submitted bill (AEE only)
+ * PATCH /api/bill/:billId/verify
+ * Body: { decision: "Verified" | "Rejected", remarks?, rejectionReason? }
+ */
+export const verifyBill = async (req, res) => {
+  try {
+    const { billId } = req.params;
+    const { decision, remarks, rejectionReason } = req.body || {};
+
+    if (!["Verified", "Rejected"].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        message: "decision must be either 'Verified' or 'Rejected'",
+      });
+    }
+
+    if (decision === "Rejected" && !rejectionReason?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Rejection reason is required when rejecting a bill",
+      });
+    }
+
+    const bill = await findBill(billId, await getBillScopeFilter(req));
+    if (!bill) {
+      return res.status(404).json({
+        success: false,
+        message: `Bill with ID '${billId}' not found`,
+      });
+    }
+
+    if (bill.status !== "Submitted") {
+      return res.status(409).json({
+        success: false,
+        message: `Only submitted bills can be verified. Current status: '${bill.status}'`,
+      });
+    }
+
+    bill.status = decision;
+    if (decision === "Verified") {
+      bill.verification = {
+        verifiedAt: new Date(),
+        verifiedBy: getUserInfo(req.user),
+        remarks: remarks?.trim(),
+      };
+    } else {
+      bill.approval = {
+        decidedAt: new Date(),
+        decidedBy: getUserInfo(req.user),
+        remarks: remarks?.trim(),
+        rejectionReason: rejectionReason.trim(),
+      };
+    }
+    await bill.save();
+
+    setAuditContext(res, {
+      entityType: "bill",
+      entityId: bill.billId,
+      description: `${decision} bill ${bill.billNumber} of project ${bill.projectId}`,
+      changes: [{ field: "status", before: "Submitted", after: decision }],
+    });
+
+    res.status(200).json({
+      success: true,
+      message:
+        decision === "Verified"
+          ? "Bill verified and forwarded for passing"
+          : "Bill rejected; its measurement books can be billed again",
+      data: bill,
+    });
+  } catch (error) {
+    console.error("Error verifying bill:", error);
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: Object.values(error.errors).map((err) => err.message),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Pass or reject a verified bill (CE/MD).
+ * Passing a bill recomputes the project's billed amount and financial
+ * progress from the total of its passed bills.
+ * PATCH /api/bill/:billId/decision
+ * Body: { decision: "Passed" | "Rejected", remarks?, rejectionReason? }
+ */
+export const decideBill = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { billId } = req.params;
+    const { decision, remarks, rejectionReason } = req.body || {};
+
+    if (!billPassers.includes(req.user.designation)) {
+      return res.status(403).json({
+        success: false,
+        message: `Only ${billPassers.join(", ")} can pass bills`,
+      });
+    }
+
+    if (!["Passed", "Rejected"].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        message: "decision must be either 'Passed' or 'Rejected'",
+      });
+    }
+
+    if (decision === "Rejected" && !rejectionReason?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Rejection reason is required when rejecting a bill",
+      });
+    }
+
+    const bill = await findBill(billId, await getBillScopeFilter(req));
+    if (!bill) {
+      return res.status(404).json({
+        success: false,
+        message: `Bill with ID '${billId}' not found`,
+      });
+    }
+
+    if (bill.status !== "Verified") {
+      return res.status(409).json({
+        success: false,
+        message: `Only verified bills can be passed or rejected. Current status: '${bill.status}'`,
+      });
+    }
+
+    const ProjectModel = projectModelFor(bill.projectType);
+    let project;
+
+    // Passing a bill spends its gross amount against the budget head
+    let budgetCheck = null;
+    if (decision === "Passed" && bill.projectType === "Project") {
+      const billProject = await ProjectModel.findById(bill.project).select(
+        "budgetHead subFund"
+      );
+      budgetCheck = await checkBudgetHead({
+        budgetHead: billProject?.budgetHead,
+        subFund: billProject?.subFund,
+        date: bill.billDate,
+        amount: bill.grossAmount,
+        kind: "expenditure",
+      });
+      if (budgetCheck?.isBlocked) {
+        return res.status(409).json({
+          success: false,
+          message: `Budget head overrun: ${budgetCheck.message}`,
+          details: { budget: budgetCheck },
+        });
+      }
+    }
+
+    await session.withTransaction(async () => {
+      bill.status = decision;
+      bill.approval = {
+        decidedAt: new Date(),
+        decidedBy: getUserInfo(req.user),
+        remarks: remarks?.trim(),
+        rejectionReason:
+          decision === "Rejected" ? rejectionReason.trim() : undefined,
+      };
+
+      if (decision === "Passed") {
+        const { passed } = await Bill.totalsForProject(
+          bill.project,
+          bill.projectType,
+          session
+        );
+        bill.previousBilledAmount = passed;
+
+        project = await ProjectModel.findById(bill.project).session(session);
+        project.applyBillLedgerTotal(
+          passed + bill.grossAmount,
+          bill,
+          getProgressUserInfo(req.user)
+        );
+        await project.save({ session });
+      }
+
+      await bill.save({ session });
+    });
+
+    setAuditContext(res, {
+      entityType: "bill",
+      entityId: bill.billId,
+      description: `${decision} bill ${bill.billNumber} of project ${bill.projectId}`,
+      changes: [{ field: "status", before: "Verified", after: decision }],
+    });
+
+    res.status(200).json({
+      success: true,
+      message:
+        decision === "Passed"
+          ? "Bill passed and financial progress updated"
+          : "Bill rejected; its measurement books can be billed again",
+      data: {
+        bill,
+        project: project
+          ? {
+              projectId: project.projectId,
+              billSubmittedAmount: project.billSubmittedAmount,
+              financialProgress: project.financialProgress,
+            }
+          : undefined,
+      },
+      warnings: budgetCheck?.exceeds
+        ? [`Budget head overrun: ${budgetCheck.message}`]
+        : [],
+    });
+  } catch (error) {
+    console.error("Error deciding bill:", error);
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: Object.values(error.errors).map((err) => err.message),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  } finally {
+    await session.endSession();
+  }
+};
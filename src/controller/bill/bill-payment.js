@@ -0,0 +1,396 @@
+import ArchiveProject from "../../models/archive-project.model.js";
+import Bill from "../../models/bill.model.js";
+import Project from "../../models/project.model.js";
+import { setAuditContext } from "../../utils/audit.js";
+import { findBill, getUserInfo } from "../../utils/bill-utils.js";
+import { paymentAgeingBuckets } from "../../utils/constants.js";
+import {
+  getBillScopeFilter,
+  withScope,
+} from "../../utils/jurisdiction-scope.js";
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const roundTo2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const ageingBucketOf = (days) =>
+  paymentAgeingBuckets.find((bucket) => days <= bucket.maxDays).label;
+
+const emptyBuckets = () =>
+  Object.fromEntries(paymentAgeingBuckets.map((bucket) => [bucket.label, 0]));
+
+// District of each bill's project: Map of project _id -> district
+const districtsOf = async (bills) => {
+  const idsOf = (projectType) =>
+    bills
+      .filter((bill) => bill.projectType === projectType)
+      .map((bill) => bill.project);
+
+  const [projects, archiveProjects] = await Promise.all([
+    Project.find({ _id: { $in: idsOf("Project") } })
+      .select("district")
+      .lean(),
+    ArchiveProject.find({ _id: { $in: idsOf("ArchiveProject") } })
+      .select("location")
+      .lean(),
+  ]);
+
+  return new Map([
+    ...projects.map((project) => [project._id.toString(), project.district]),
+    ...archiveProjects.map((project) => [
+      project._id.toString(),
+      project.location,
+    ]),
+  ]);
+};
+
+/**
+ * Record a treasury payment against a passed bill (MD/Admin).
+ * A bill may be paid in parts; it is Paid once payments reach its net
+ * amount.
+ * POST /api/bill/:billId/payments
+ * Body: { mode, voucherNumber, referenceNumber, paymentDate,
+ *         amount? (default: outstanding amount), remarks? }
+ */
+export const recordPayment = async (req, res) => {
+  try {
+    const {
+      mode,
+      voucherNumber,
+      referenceNumber,
+      paymentDate,
+      amount,
+      remarks,
+    } = req.body || {};
+
+    const bill = await findBill(
+      req.params.billId,
+      await getBillScopeFilter(req)
+    );
+    if (!bill) {
+      return res.status(404).json({
+        success: false,
+        message: `Bill with ID '${req.params.billId}' not found`,
+      });
+    }
+
+    if (bill.status !== "Passed") {
+      return res.status(409).json({
+        success: false,
+        message: `Only passed bills can be paid. Current status: '${bill.status}'`,
+      });
+    }
+
+    if (bill.paymentStatus === "Paid") {
+      return res.status(409).json({
+        success: false,
+        message: "This bill has already been paid in full",
+      });
+    }
+
+    const date = new Date(paymentDate);
+    if (!paymentDate || isNaN(date.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid payment date is required",
+      });
+    }
+    const passedOn = new Date(bill.approval.decidedAt);
+    passedOn.setHours(0, 0, 0, 0);
+    if (date < passedOn || date > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Payment date must be between the date the bill was passed and today",
+      });
+    }
+
+    const paymentAmount =
+      amount === undefined ? bill.outstandingAmount : Number(amount);
+    if (
+      isNaN(paymentAmount) ||
+      paymentAmount <= 0 ||
+      paymentAmount > bill.outstandingAmount
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: `Payment amount must be greater than 0 and not more than the outstanding ${bill.outstandingAmount}`,
+      });
+    }
+
+    const before = bill.paymentStatus;
+    bill.payments.push({
+      mode,
+      voucherNumber: voucherNumber?.trim(),
+      referenceNumber: referenceNumber?.trim(),
+      paymentDate: date,
+      amount: roundTo2(paymentAmount),
+      remarks: remarks?.trim(),
+      recordedBy: getUserInfo(req.user),
+    });
+    await bill.save();
+
+    setAuditContext(res, {
+      entityType: "bill",
+      entityId: bill.billId,
+      description: `Recorded payment of ${roundTo2(
+        paymentAmount
+      )} against bill ${bill.billNumber} of project ${bill.projectId}`,
+      changes: [{ field: "paymentStatus", before, after: bill.paymentStatus }],
+    });
+
+    res.status(201).json({
+      success: true,
+      message:
+        bill.paymentStatus === "Paid"
+          ? "Payment recorded; bill paid in full"
+          : "Part payment recorded",
+      data: {
+        billId: bill.billId,
+        stage: bill.stage,
+        paymentStatus: bill.paymentStatus,
+        netAmount: bill.netAmount,
+        paidAmount: bill.paidAmount,
+        outstandingAmount: bill.outstandingAmount,
+        paidAt: bill.paidAt,
+        payment: bill.payments[bill.payments.length - 1],
+      },
+    });
+  } catch (error) {
+    console.error("Error recording bill payment:", error);
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: Object.values(error.errors).map((err) => err.message),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Passed bills not yet paid in full, with their age since passing, grouped
+ * by contractor and by district
+ * GET /api/bill/pending-payments
+ * Query: contractor, district, minDays
+ */
+export const getPendingPayments = async (req, res) => {
+  try {
+    const { contractor, district, minDays } = req.query;
+
+    const match = {
+      status: "Passed",
+      paymentStatus: { $ne: "Paid" },
+    };
+    if (contractor) {
+      match.contractorName = new RegExp(
+        `^${escapeRegex(contractor.trim())}$`,
+        "i"
+      );
+    }
+
+    const bills = await Bill.find(
+      withScope(match, await getBillScopeFilter(req))
+    )
+      .select(
+        "billId billNumber billDate billType project projectType projectId contractorName netAmount paidAmount paymentStatus approval.decidedAt"
+      )
+      .sort({ "approval.decidedAt": 1 })
+      .lean();
+
+    const districts = await districtsOf(bills);
+    const now = Date.now();
+
+    const pending = bills
+      .map((bill) => {
+        const daysPending = Math.floor(
+          (now - new Date(bill.approval.decidedAt)) / DAY_MS
+        );
+        return {
+          billId: bill.billId,
+          billNumber: bill.billNumber,
+          billType: bill.billType,
+          billDate: bill.billDate,
+          projectId: bill.projectId,
+          projectType: bill.projectType,
+          contractorName: bill.contractorName || "Unknown",
+          district: districts.get(bill.project.toString()) || "Unknown",
+          passedAt: bill.approval.decidedAt,
+          netAmount: bill.netAmount,
+          paidAmount: bill.paidAmount || 0,
+          outstandingAmount: roundTo2(bill.netAmount - (bill.paidAmount || 0)),
+          paymentStatus: bill.paymentStatus,
+          daysPending,
+          ageingBucket: ageingBucketOf(daysPending),
+        };
+      })
+      .filter(
+        (bill) =>
+          (!district || bill.district === district) &&
+          (!minDays || bill.daysPending >= Number(minDays))
+      );
+
+    // Amount owed and oldest pending bill per contractor or district
+    const groupBy = (key) => {
+      const groups = new Map();
+      pending.forEach((bill) => {
+        if (!groups.has(bill[key])) {
+          groups.set(bill[key], {
+            [key]: bill[key],
+            bills: 0,
+            outstandingAmount: 0,
+            oldestDaysPending: 0,
+            ageing: emptyBuckets(),
+          });
+        }
+        const group = groups.get(bill[key]);
+        group.bills += 1;
+        group.outstandingAmount += bill.outstandingAmount;
+        group.oldestDaysPending = Math.max(
+          group.oldestDaysPending,
+          bill.daysPending
+        );
+        group.ageing[bill.ageingBucket] += bill.outstandingAmount;
+      });
+
+      return [...groups.values()]
+        .map((group) => ({
+          ...group,
+          outstandingAmount: roundTo2(group.outstandingAmount),
+          ageing: Object.fromEntries(
+            Object.entries(group.ageing).map(([label, total]) => [
+              label,
+              roundTo2(total),
+            ])
+          ),
+        }))
+        .sort((a, b) => b.outstandingAmount - a.outstandingAmount);
+    };
+
+    const ageing = emptyBuckets();
+    pending.forEach((bill) => {
+      ageing[bill.ageingBucket] += bill.outstandingAmount;
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Pending payments retrieved successfully",
+      data: {
+        bills: pending,
+        byContractor: groupBy("contractorName"),
+        byDistrict: groupBy("district"),
+        summary: {
+          pendingBills: pending.length,
+          outstandingAmount: roundTo2(
+            pending.reduce((sum, bill) => sum + bill.outstandingAmount, 0)
+          ),
+          oldestDaysPending: pending.reduce(
+            (max, bill) => Math.max(max, bill.daysPending),
+            0
+          ),
+          ageing: Object.fromEntries(
+            Object.entries(ageing).map(([label, total]) => [
+              label,
+              roundTo2(total),
+            ])
+          ),
+        },
+      },
+      filters: { contractor, district, minDays },
+    });
+  } catch (error) {
+    console.error("Error fetching pending payments:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Register of payments made to contractors
+ * GET /api/bill/payment-register
+ * Query: contractor, mode, from, to (payment date)
+ */
+export const getPaymentRegister = async (req, res) => {
+  try {
+    const { contractor, mode, from, to } = req.query;
+
+    if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid date range",
+      });
+    }
+
+    const match = { "payments.0": { $exists: true } };
+    if (contractor) {
+      match.contractorName = new RegExp(
+        `^${escapeRegex(contractor.trim())}$`,
+        "i"
+      );
+    }
+
+    const bills = await Bill.find(
+      withScope(match, await getBillScopeFilter(req))
+    )
+      .select(
+        "billId billNumber projectId contractorName netAmount paymentStatus payments"
+      )
+      .lean();
+
+    const end = to ? new Date(to) : null;
+    end?.setHours(23, 59, 59, 999);
+
+    const payments = bills
+      .flatMap((bill) =>
+        bill.payments.map((payment) => ({
+          contractorName: bill.contractorName,
+          projectId: bill.projectId,
+          billId: bill.billId,
+          billNumber: bill.billNumber,
+          billNetAmount: bill.netAmount,
+          paymentStatus: bill.paymentStatus,
+          mode: payment.mode,
+          voucherNumber: payment.voucherNumber,
+          referenceNumber: payment.referenceNumber,
+          paymentDate: payment.paymentDate,
+          amount: payment.amount,
+          recordedBy: payment.recordedBy,
+        }))
+      )
+      .filter(
+        (payment) =>
+          (!mode || payment.mode === mode) &&
+          (!from || payment.paymentDate >= new Date(from)) &&
+          (!end || payment.paymentDate <= end)
+      )
+      .sort((a, b) => b.paymentDate - a.paymentDate);
+
+    res.status(200).json({
+      success: true,
+      message: "Payment register retrieved successfully",
+      data: {
+        payments,
+        totalPaid: roundTo2(
+          payments.reduce((sum, payment) => sum + payment.amount, 0)
+        ),
+      },
+      filters: { contractor, mode, from, to },
+    });
+  } catch (error) {
+    console.error("Error fetching payment register:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
@@ -0,0 +1,335 @@
+import mongoose from "mongoose";
+import ArchiveProject from "../../models/archive-project.model.js";
+import Bill from "../../models/bill.model.js";
+import DeductionRule from "../../models/deduction-rule.model.js";
+import MeasurementBook from "../../models/mb.model.js";
+import { setAuditContext } from "../../utils/audit.js";
+import {
+  contractorNameOf,
+  contractValueOf,
+  getUserInfo,
+  toSupportingDocuments,
+} from "../../utils/bill-utils.js";
+import { billTypes } from "../../utils/constants.js";
+import { AppError } from "../../utils/errorHandler.js";
+import {
+  getArchiveProjectScopeFilter,
+  withScope,
+} from "../../utils/jurisdiction-scope.js";
+import { ldRecoveryLine } from "../../utils/liquidated-damages.js";
+import { findProjectByProjectId } from "../../utils/projects-filter.js";
+
+// FormData sends arrays as JSON strings or comma-separated values
+const parseIdList = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch (parseError) {
+    return String(value).split(",");
+  }
+};
+
+const toDate = (value) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Raised inside the transaction and mapped to a response afterwards
+const billError = (statusCode, message, details) =>
+  Object.assign(new AppError(message, statusCode), { details });
+
+/**
+ * Record a running or final bill for a project (JE only).
+ * The bill covers one or more approved MBs that are not already billed;
+ * its gross amount is the total of those MBs, and statutory deductions
+ * are applied from the rules in force on the bill date.
+ * POST /api/bill/project/:projectId
+ * Body: { billType, billNumber?, billDate, periodFrom?, periodTo?,
+ *         description?, measurementBookIds: [mbId] }
+ */
+const createBill = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { projectId } = req.params;
+    const {
+      billType = "Running",
+      billNumber,
+      billDate,
+      periodFrom,
+      periodTo,
+      description,
+    } = req.body;
+
+    if (!billTypes.includes(billType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Bill type must be one of: ${billTypes.join(", ")}`,
+      });
+    }
+
+    const dates = {
+      billDate: toDate(billDate),
+      periodFrom: toDate(periodFrom),
+      periodTo: toDate(periodTo),
+    };
+
+    if (!dates.billDate) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid bill date is required",
+      });
+    }
+
+    if (dates.billDate > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: "Bill date cannot be in the future",
+      });
+    }
+
+    if (dates.periodFrom === null || dates.periodTo === null) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid bill period dates",
+      });
+    }
+
+    const mbIds = [
+      ...new Set(
+        parseIdList(req.body.measurementBookIds)
+          .map((id) => String(id).trim())
+          .filter(Boolean)
+      ),
+    ];
+
+    if (mbIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "At least one measurement book must be covered by the bill",
+      });
+    }
+
+    const projectResult = await findProjectByProjectId(projectId);
+    if (!projectResult) {
+      return res.status(404).json({
+        success: false,
+        message: `Project with ID '${projectId}' not found`,
+      });
+    }
+
+    const { project, projectType } = projectResult;
+
+    // Archive projects name their concerned engineer instead of an assignee
+    const isAssigned =
+      projectType === "Project"
+        ? project.isAssignedTo(req.user.userId)
+        : await ArchiveProject.exists(
+            withScope(
+              { _id: project._id },
+              await getArchiveProjectScopeFilter(req)
+            )
+          );
+    if (!isAssigned) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only record bills for your projects",
+      });
+    }
+
+    const contractValue = contractValueOf(project, projectType);
+
+    let bill;
+    await session.withTransaction(async () => {
+      const existingBills = await Bill.find({
+        project: project._id,
+        projectType,
+      }).session(session);
+
+      const finalBill = existingBills.find(
+        (existing) =>
+          existing.billType === "Final" && existing.status !== "Rejected"
+      );
+      if (finalBill) {
+        throw billError(
+          409,
+          `A final bill (${finalBill.billNumber}) has already been recorded for this project`
+        );
+      }
+
+      const measurementBooks = await MeasurementBook.find({
+        project: project._id,
+        projectType,
+        $or: [
+          { mbId: { $in: mbIds.map((id) => id.toUpperCase()) } },
+          {
+            _id: {
+              $in: mbIds.filter((id) => mongoose.Types.ObjectId.isValid(id)),
+            },
+          },
+        ],
+      }).session(session);
+
+      const found = new Set(
+        measurementBooks.flatMap((mb) => [mb.mbId, mb._id.toString()])
+      );
+      const missing = mbIds.filter(
+        (id) => !found.has(id) && !found.has(id.toUpperCase())
+      );
+      if (missing.length > 0) {
+        throw billError(
+          400,
+          "Some measurement books were not found for this project",
+          { missing }
+        );
+      }
+
+      const unapproved = measurementBooks.filter(
+        (mb) => mb.approvalStatus !== "Approved"
+      );
+      if (unapproved.length > 0) {
+        throw billError(
+          400,
+          "Only check-measured (Approved) measurement books can be billed",
+          {
+            unapproved: unapproved.map((mb) => ({
+              mbId: mb.mbId,
+              approvalStatus: mb.approvalStatus,
+            })),
+          }
+        );
+      }
+
+      const billed = await Bill.findBilledMeasurementBooks(
+        measurementBooks.map((mb) => mb._id),
+        session
+      );
+      if (billed.size > 0) {
+        throw billError(
+          409,
+          "Some measurement books are already covered by another bill",
+          {
+            alreadyBilled: measurementBooks
+              .filter((mb) => billed.has(mb._id.toString()))
+              .map((mb) => ({
+                mbId: mb.mbId,
+                billId: billed.get(mb._id.toString()),
+              })),
+          }
+        );
+      }
+
+      const grossAmount = measurementBooks.reduce(
+        (sum, mb) => sum + (mb.totalAmount || 0),
+        0
+      );
+      const alreadyBilled = existingBills
+        .filter((existing) => existing.status !== "Rejected")
+        .reduce((sum, existing) => sum + existing.grossAmount, 0);
+
+      if (alreadyBilled + grossAmount > contractValue) {
+        throw billError(
+          400,
+          "Total billed amount cannot exceed the contract value",
+          {
+            contractValue,
+            alreadyBilled,
+            grossAmount,
+            maxAllowed: Math.max(0, contractValue - alreadyBilled),
+          }
+        );
+      }
+
+      const sequenceNumber = existingBills.length + 1;
+      const { deductions, netAmount } = await DeductionRule.computeForBill({
+        grossAmount,
+        contractValue,
+        billDate: dates.billDate,
+        projectType,
+      });
+
+      // Outstanding liquidated damages are recovered from the next bill
+      const ldLine =
+        projectType === "Project"
+          ? await ldRecoveryLine(project, {
+              grossAmount,
+              availableAmount: netAmount,
+              session,
+            })
+          : null;
+      if (ldLine) deductions.push(ldLine);
+
+      bill = new Bill({
+        project: project._id,
+        projectType,
+        projectId: project.projectId,
+        contractorName: contractorNameOf(project, projectType),
+        billId: await Bill.generateBillId(),
+        sequenceNumber,
+        billType,
+        billNumber:
+          billNumber?.trim() ||
+          (billType === "Final" ? "Final Bill" : `RA-${sequenceNumber}`),
+        ...dates,
+        description: description?.trim(),
+        measurementBooks: measurementBooks.map((mb) => ({
+          measurementBook: mb._id,
+          mbId: mb.mbId,
+          mbNo: mb.mbNo,
+          amount: mb.totalAmount || 0,
+        })),
+        grossAmount,
+        deductions,
+        supportingDocuments: toSupportingDocuments(req.firebaseFiles),
+        createdBy: getUserInfo(req.user),
+      });
+
+      await bill.save({ session });
+    });
+
+    setAuditContext(res, {
+      entityType: "bill",
+      entityId: bill.billId,
+      description: `Recorded ${bill.billType.toLowerCase()} bill ${
+        bill.billNumber
+      } for project ${bill.projectId}`,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Bill recorded and submitted for approval",
+      data: bill,
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        details: error.details,
+      });
+    }
+
+    console.error("Error creating bill:", error);
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: Object.values(error.errors).map((err) => err.message),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+export default createBill;
@@ -0,0 +1,272 @@
+import ExcelJS from "exceljs";
+import ArchiveProject from "../../models/archive-project.model.js";
+import Bill from "../../models/bill.model.js";
+import Project from "../../models/project.model.js";
+import {
+  getArchiveProjectScopeFilter,
+  getBillScopeFilter,
+  getProjectScopeFilter,
+  withScope,
+} from "../../utils/jurisdiction-scope.js";
+
+const REGISTER_COLUMNS = [
+  { header: "Contractor", key: "contractorName", width: 30 },
+  { header: "Project ID", key: "projectId", width: 24 },
+  { header: "Bill Number", key: "billNumber", width: 16 },
+  { header: "Bill Date", key: "billDate", width: 12 },
+  { header: "Source", key: "source", width: 14 },
+  { header: "Gross Amount", key: "grossAmount", width: 16 },
+  { header: "Deduction Code", key: "code", width: 16 },
+  { header: "Deduction", key: "name", width: 28 },
+  { header: "Type", key: "type", width: 18 },
+  { header: "Rate (%)", key: "rate", width: 10 },
+  { header: "Amount", key: "amount", width: 14 },
+];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const dateRange = (from, to) => {
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) {
+    const end = new Date(to);
+    end.setHours(23, 59, 59, 999);
+    range.$lte = end;
+  }
+  return Object.keys(range).length > 0 ? range : null;
+};
+
+// Deduction lines of passed bills in the bill ledger
+const billLedgerLines = async (req, { contractorRegex, range, type }) => {
+  const match = { status: "Passed", "deductions.0": { $exists: true } };
+  if (contractorRegex) match.contractorName = contractorRegex;
+  if (range) match.billDate = range;
+
+  const bills = await Bill.find(withScope(match, await getBillScopeFilter(req)))
+    .select(
+      "projectId contractorName billNumber billDate grossAmount deductions"
+    )
+    .lean();
+
+  return bills.flatMap((bill) =>
+    bill.deductions
+      .filter((line) => !type || line.type === type)
+      .map((line) => ({
+        contractorName: bill.contractorName,
+        projectId: bill.projectId,
+        billNumber: bill.billNumber,
+        billDate: bill.billDate,
+        source: "Bill ledger",
+        grossAmount: bill.grossAmount,
+        code: line.code,
+        name: line.name,
+        type: line.type,
+        rate: line.rate,
+        amount: line.amount,
+      }))
+  );
+};
+
+// Deduction lines recorded on financial progress updates of projects
+// without a bill ledger
+const progressUpdateLines = async (
+  Model,
+  contractorField,
+  scopeFilter,
+  { contractorRegex, range, type }
+) => {
+  const match = {};
+  if (contractorRegex) match[contractorField] = contractorRegex;
+
+  const updateMatch = {
+    "financialProgressUpdates.billDetails.deductions.0": { $exists: true },
+  };
+  if (range)
+    updateMatch["financialProgressUpdates.billDetails.billDate"] = range;
+
+  const lineMatch = type
+    ? { "financialProgressUpdates.billDetails.deductions.type": type }
+    : {};
+
+  return Model.aggregate([
+    { $match: withScope(match, scopeFilter) },
+    { $unwind: "$financialProgressUpdates" },
+    { $match: updateMatch },
+    { $unwind: "$financialProgressUpdates.billDetails.deductions" },
+    { $match: lineMatch },
+    {
+      $project: {
+        _id: 0,
+        contractorName: `$${contractorField}`,
+        projectId: 1,
+        billNumber: "$financialProgressUpdates.billDetails.billNumber",
+        billDate: "$financialProgressUpdates.billDetails.billDate",
+        source: "Progress update",
+        grossAmount: "$financialProgressUpdates.billDetails.grossAmount",
+        code: "$financialProgressUpdates.billDetails.deductions.code",
+        name: "$financialProgressUpdates.billDetails.deductions.name",
+        type: "$financialProgressUpdates.billDetails.deductions.type",
+        rate: "$financialProgressUpdates.billDetails.deductions.rate",
+        amount: "$financialProgressUpdates.billDetails.deductions.amount",
+      },
+    },
+  ]);
+};
+
+// Totals per contractor and deduction type
+const summarize = (lines) => {
+  const byContractor = new Map();
+
+  lines.forEach((line) => {
+    const key = line.contractorName || "Unknown";
+    if (!byContractor.has(key)) {
+      byContractor.set(key, { contractorName: key, total: 0, byType: {} });
+    }
+    const entry = byContractor.get(key);
+    entry.total += line.amount;
+    entry.byType[line.type] = (entry.byType[line.type] || 0) + line.amount;
+  });
+
+  return [...byContractor.values()]
+    .map((entry) => ({
+      ...entry,
+      total: Math.round(entry.total * 100) / 100,
+    }))
+    .sort((a, b) => b.total - a.total);
+};
+
+const writeWorkbook = async (res, lines, summary) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = "iPMS";
+  workbook.created = new Date();
+
+  const sheet = workbook.addWorksheet("Deduction Register", {
+    views: [{ state: "frozen", ySplit: 1 }],
+  });
+  sheet.columns = REGISTER_COLUMNS;
+  sheet.getRow(1).font = { bold: true };
+  lines.forEach((line) =>
+    sheet.addRow({
+      ...line,
+      billDate: line.billDate ? new Date(line.billDate) : null,
+    })
+  );
+  sheet.getColumn("billDate").numFmt = "dd-mm-yyyy";
+  ["grossAmount", "amount"].forEach((key) => {
+    sheet.getColumn(key).numFmt = "#,##0.00";
+  });
+  sheet.addRow({
+    contractorName: "Total",
+    amount: lines.reduce((sum, line) => sum + line.amount, 0),
+  }).font = { bold: true };
+
+  // Contractor-wise totals per deduction type
+  const types = [...new Set(lines.map((line) => line.type))];
+  const summarySheet = workbook.addWorksheet("Contractor Summary");
+  summarySheet.columns = [
+    { header: "Contractor", key: "contractorName", width: 30 },
+    ...types.map((type) => ({ header: type, key: type, width: 18 })),
+    { header: "Total", key: "total", width: 16 },
+  ];
+  summarySheet.getRow(1).font = { bold: true };
+  summary.forEach((entry) =>
+    summarySheet.addRow({
+      contractorName: entry.contractorName,
+      ...entry.byType,
+      total: entry.total,
+    })
+  );
+
+  res.setHeader(
+    "Content-Type",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+  );
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="deduction-register-${Date.now()}.xlsx"`
+  );
+
+  await workbook.xlsx.write(res);
+  res.end();
+};
+
+/**
+ * Register of statutory deductions per contractor, for filing.
+ * Covers passed bills in the bill ledger and bills recorded through
+ * financial progress updates.
+ * GET /api/bill/deduction-register
+ * Query: contractor, type, from, to (bill date), format (json|xlsx)
+ */
+export const getDeductionRegister = async (req, res) => {
+  try {
+    const { contractor, type, from, to, format = "json" } = req.query;
+
+    if (!["json", "xlsx"].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: "format must be either 'json' or 'xlsx'",
+      });
+    }
+
+    if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid date range",
+      });
+    }
+
+    const filters = {
+      contractorRegex: contractor
+        ? new RegExp(`^${escapeRegex(contractor.trim())}$`, "i")
+        : null,
+      range: dateRange(from, to),
+      type,
+    };
+
+    const [ledger, projectUpdates, archiveUpdates] = await Promise.all([
+      billLedgerLines(req, filters),
+      progressUpdateLines(
+        Project,
+        "contractorName",
+        await getProjectScopeFilter(req),
+        filters
+      ),
+      progressUpdateLines(
+        ArchiveProject,
+        "nameOfContractor",
+        await getArchiveProjectScopeFilter(req),
+        filters
+      ),
+    ]);
+
+    const lines = [...ledger, ...projectUpdates, ...archiveUpdates].sort(
+      (a, b) =>
+        (a.contractorName || "").localeCompare(b.contractorName || "") ||
+        new Date(a.billDate) - new Date(b.billDate)
+    );
+    const summary = summarize(lines);
+
+    if (format === "xlsx") {
+      return writeWorkbook(res, lines, summary);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Deduction register generated successfully",
+      data: {
+        lines,
+        summary,
+        totalDeductions:
+          Math.round(lines.reduce((sum, line) => sum + line.amount, 0) * 100) /
+          100,
+      },
+      filters: { contractor, type, from, to },
+    });
+  } catch (error) {
+    console.error("Error generating deduction register:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
@@ -0,0 +1,108 @@
+import Bill from "../../models/bill.model.js";
+import {
+  contractValueOf,
+  findBill,
+  summarizeBills,
+} from "../../utils/bill-utils.js";
+import {
+  getBillScopeFilter,
+  isProjectInScope,
+} from "../../utils/jurisdiction-scope.js";
+import { findProjectByProjectId } from "../../utils/projects-filter.js";
+
+/**
+ * List the bill ledger of a project with running totals
+ * GET /api/bill/project/:projectId?status=Passed
+ */
+export const getProjectBills = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { status } = req.query;
+
+    const projectResult = await findProjectByProjectId(projectId);
+    if (
+      !projectResult ||
+      !(await isProjectInScope(
+        req,
+        projectResult.project,
+        projectResult.projectType
+      ))
+    ) {
+      return res.status(404).json({
+        success: false,
+        message: `Project with ID '${projectId}' not found`,
+      });
+    }
+
+    const { project, projectType } = projectResult;
+    const bills = await Bill.findByProject(project._id, projectType).lean();
+
+    // Running gross total of passed bills in series order
+    let cumulativePassed = 0;
+    const ledger = bills.map((bill) => {
+      if (bill.status === "Passed") cumulativePassed += bill.grossAmount;
+      return {
+        ...bill,
+        cumulativePassedAmount:
+          bill.status === "Passed" ? cumulativePassed : undefined,
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Bills retrieved successfully",
+      data: {
+        projectId: project.projectId,
+        projectType,
+        bills: status
+          ? ledger.filter((bill) => bill.status === status)
+          : ledger,
+        summary: summarizeBills(bills, contractValueOf(project, projectType)),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching project bills:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Get a single bill with the MBs it covers
+ * GET /api/bill/:billId
+ */
+export const getBillById = async (req, res) => {
+  try {
+    const bill = await findBill(
+      req.params.billId,
+      await getBillScopeFilter(req)
+    );
+
+    if (!bill) {
+      return res.status(404).json({
+        success: false,
+        message: `Bill with ID '${req.params.billId}' not found`,
+      });
+    }
+
+    await bill.populate({
+      path: "measurementBooks.measurementBook",
+      select:
+        "mbId mbNo nameOfWork dateOfMeasurement approvalStatus totalAmount",
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Bill retrieved successfully",
+      data: bill,
+    });
+  } catch (error) {
+    console.error("Error fetching bill:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
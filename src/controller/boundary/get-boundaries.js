@@ -0,0 +1,274 @@
+import mongoose from "mongoose";
+import AdminBoundary from "../../models/admin-boundary.model.js";
+import { canonicalDistrict } from "../../utils/admin-boundary.js";
+import { boundaryLevels, districts } from "../../utils/constants.js";
+import { GeoInputError, parseCircle } from "../../utils/geo-utils.js";
+
+// Fields of a boundary shown in dropdowns
+const OPTION_FIELDS = "name code district block geometry.type";
+
+const toOption = (boundary) => ({
+  id: boundary._id,
+  name: boundary.name,
+  code: boundary.code,
+  hasGeometry: Boolean(boundary.geometry?.type),
+});
+
+const findDistrict = (name) =>
+  AdminBoundary.findByNames({
+    level: "district",
+    name: canonicalDistrict(name),
+  });
+
+/**
+ * Districts for the district dropdown. Every district in the master list is
+ * returned; id is null for districts not yet in the boundary master.
+ * GET /api/boundaries/districts
+ */
+export const getBoundaryDistricts = async (req, res) => {
+  try {
+    const boundaries = await AdminBoundary.find({
+      level: "district",
+      isActive: true,
+    })
+      .select(OPTION_FIELDS)
+      .lean();
+    const byName = new Map(boundaries.map((b) => [b.name, b]));
+
+    res.status(200).json({
+      success: true,
+      data: districts.map((name) =>
+        byName.has(name)
+          ? toOption(byName.get(name))
+          : { id: null, name, hasGeometry: false }
+      ),
+    });
+  } catch (error) {
+    console.error("Error fetching boundary districts:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch districts",
+    });
+  }
+};
+
+/**
+ * Blocks of a district for the block dropdown
+ * GET /api/boundaries/blocks?district=Kamrup
+ */
+export const getBoundaryBlocks = async (req, res) => {
+  try {
+    const { district } = req.query;
+    if (!canonicalDistrict(district)) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid district is required",
+      });
+    }
+
+    const districtBoundary = await findDistrict(district);
+    const blocks = districtBoundary
+      ? await AdminBoundary.findChildren(districtBoundary._id)
+          .select(OPTION_FIELDS)
+          .lean()
+      : [];
+
+    res.status(200).json({
+      success: true,
+      data: blocks.map(toOption),
+      district: canonicalDistrict(district),
+    });
+  } catch (error) {
+    console.error("Error fetching boundary blocks:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch blocks",
+    });
+  }
+};
+
+/**
+ * Gram panchayats of a block for the GP dropdown
+ * GET /api/boundaries/gram-panchayats?district=Kamrup&block=Rani
+ */
+export const getBoundaryGramPanchayats = async (req, res) => {
+  try {
+    const { district, block } = req.query;
+    if (!canonicalDistrict(district) || !block?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid district and block are required",
+      });
+    }
+
+    const blockBoundary = await AdminBoundary.findByNames({
+      level: "block",
+      name: block.trim(),
+      district: canonicalDistrict(district),
+    });
+    const gramPanchayats = blockBoundary
+      ? await AdminBoundary.findChildren(blockBoundary._id)
+          .select(OPTION_FIELDS)
+          .lean()
+      : [];
+
+    res.status(200).json({
+      success: true,
+      data: gramPanchayats.map(toOption),
+      district: canonicalDistrict(district),
+      block: blockBoundary?.name || block.trim(),
+    });
+  } catch (error) {
+    console.error("Error fetching boundary gram panchayats:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch gram panchayats",
+    });
+  }
+};
+
+/**
+ * District, block and gram panchayat whose polygons contain a point, to
+ * prefill the project form from a map pick or GPS fix
+ * GET /api/boundaries/locate?lat=26.14&lng=91.73
+ */
+export const locateBoundaries = async (req, res) => {
+  try {
+    const { point } = parseCircle({ ...req.query, radiusKm: 1 });
+
+    const boundaries = await AdminBoundary.find({
+      isActive: true,
+      geometry: {
+        $geoIntersects: { $geometry: { type: "Point", coordinates: point } },
+      },
+    })
+      .select("level name code district block")
+      .lean();
+
+    const atLevel = (level) =>
+      boundaries.find((boundary) => boundary.level === level) || null;
+    const located = Object.fromEntries(
+      boundaryLevels.map((level) => {
+        const boundary = atLevel(level);
+        return [
+          level,
+          boundary && {
+            id: boundary._id,
+            name: boundary.name,
+            code: boundary.code,
+          },
+        ];
+      })
+    );
+
+    res.status(200).json({
+      success: true,
+      data: located,
+      point: { lat: point[1], lng: point[0] },
+    });
+  } catch (error) {
+    if (error instanceof GeoInputError) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    console.error("Error locating boundaries:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to locate boundaries",
+    });
+  }
+};
+
+/**
+ * Boundary polygons as a GeoJSON FeatureCollection, for map overlays
+ * GET /api/boundaries/features?level=block&district=Kamrup
+ * Query: level (default district), district, block
+ */
+export const getBoundaryFeatures = async (req, res) => {
+  try {
+    const { level = "district", district, block } = req.query;
+    if (!boundaryLevels.includes(level)) {
+      return res.status(400).json({
+        success: false,
+        message: `level must be one of: ${boundaryLevels.join(", ")}`,
+      });
+    }
+
+    const filter = {
+      level,
+      isActive: true,
+      "geometry.type": { $exists: true },
+    };
+    if (district) filter.district = canonicalDistrict(district) || district;
+    if (block) filter.block = block.trim();
+
+    const boundaries = await AdminBoundary.find(filter)
+      .collation({ locale: "en", strength: 2 })
+      .select("level name code district block geometry")
+      .sort({ name: 1 })
+      .lean();
+
+    res.setHeader("Content-Type", "application/geo+json");
+    res.status(200).json({
+      type: "FeatureCollection",
+      features: boundaries.map((boundary) => ({
+        type: "Feature",
+        id: boundary._id,
+        geometry: boundary.geometry,
+        properties: {
+          level: boundary.level,
+          name: boundary.name,
+          code: boundary.code,
+          district: boundary.district,
+          block: boundary.block,
+        },
+      })),
+      count: boundaries.length,
+    });
+  } catch (error) {
+    console.error("Error fetching boundary features:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch boundary features",
+    });
+  }
+};
+
+/**
+ * A boundary with its polygon and the boundaries directly under it
+ * GET /api/boundaries/:id
+ */
+export const getBoundaryById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid boundary ID",
+      });
+    }
+
+    const boundary = await AdminBoundary.findById(id).lean();
+    if (!boundary) {
+      return res.status(404).json({
+        success: false,
+        message: "Boundary not found",
+      });
+    }
+
+    const children = await AdminBoundary.findChildren(boundary._id)
+      .select(OPTION_FIELDS)
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: { ...boundary, children: children.map(toOption) },
+    });
+  } catch (error) {
+    console.error("Error fetching boundary:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch boundary",
+    });
+  }
+};
@@ -0,0 +1,284 @@
+import mongoose from "mongoose";
+import AdminBoundary from "../../models/admin-boundary.model.js";
+import { canonicalDistrict } from "../../utils/admin-boundary.js";
+import { setAuditContext } from "../../utils/audit.js";
+import { getUserInfo } from "../../utils/bill-utils.js";
+import { boundaryLevels } from "../../utils/constants.js";
+import { GeoInputError, parsePolygon } from "../../utils/geo-utils.js";
+
+const featureError = (field, message) =>
+  Object.assign(new Error(message), { field });
+
+// Features of a GeoJSON FeatureCollection (or of a single Feature)
+const readFeatures = (buffer) => {
+  let geoJson;
+  try {
+    geoJson = JSON.parse(buffer.toString("utf8"));
+  } catch (parseError) {
+    return { error: "The file is not valid GeoJSON" };
+  }
+
+  if (
+    geoJson?.type === "FeatureCollection" &&
+    Array.isArray(geoJson.features)
+  ) {
+    return { features: geoJson.features };
+  }
+  if (geoJson?.type === "Feature") {
+    return { features: [geoJson] };
+  }
+  return { error: "The file must contain a GeoJSON FeatureCollection" };
+};
+
+// Key identifying a boundary within its level, ignoring case
+const boundaryKey = ({ district, block, name }) =>
+  [district, block, name].map((part) => (part || "").toLowerCase()).join("|");
+
+/**
+ * Import districts, blocks or gram panchayats from a GeoJSON file (Admin
+ * only). Shapefiles are imported after conversion to GeoJSON.
+ * Each feature is one boundary, upserted by its names along the hierarchy;
+ * its parent must already be in the master, so import districts first, then
+ * blocks, then gram panchayats. Features may have no geometry (e.g. a GP
+ * list without polygons); their location cannot then be checked.
+ * With dryRun=true nothing is saved.
+ * POST /api/boundaries/import
+ * Body (multipart): file, level, nameProperty (default "name"),
+ * codeProperty, districtProperty, blockProperty, and district / block to use
+ * for features that do not carry them
+ */
+export const importBoundaries = async (req, res) => {
+  try {
+    const {
+      level,
+      nameProperty = "name",
+      codeProperty,
+      districtProperty = "district",
+      blockProperty = "block",
+      district: defaultDistrict,
+      block: defaultBlock,
+    } = req.body;
+    const dryRun = String(req.query.dryRun ?? req.body.dryRun) === "true";
+
+    if (!boundaryLevels.includes(level)) {
+      return res.status(400).json({
+        success: false,
+        message: `level must be one of: ${boundaryLevels.join(", ")}`,
+      });
+    }
+
+    const { features, error } = readFeatures(req.file.buffer);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    if (features.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "The file has no features",
+      });
+    }
+
+    // Parents are looked up once per name
+    const parentLevel = boundaryLevels[boundaryLevels.indexOf(level) - 1];
+    const parents = new Map();
+    const findParent = async (names) => {
+      const key = boundaryKey(names);
+      if (!parents.has(key)) {
+        parents.set(
+          key,
+          await AdminBoundary.findByNames({ level: parentLevel, ...names })
+        );
+      }
+      return parents.get(key);
+    };
+
+    const buildBoundary = async (feature) => {
+      const properties = feature?.properties || {};
+      const name = String(properties[nameProperty] ?? "").trim();
+      if (!name) {
+        throw featureError(nameProperty, "Boundary name is missing");
+      }
+
+      const districtName =
+        level === "district"
+          ? name
+          : String(
+              properties[districtProperty] ?? defaultDistrict ?? ""
+            ).trim();
+      const district = canonicalDistrict(districtName);
+      if (!district) {
+        throw featureError(
+          level === "district" ? nameProperty : districtProperty,
+          `Unknown district '${districtName}'`
+        );
+      }
+
+      const block =
+        level === "gramPanchayat"
+          ? String(properties[blockProperty] ?? defaultBlock ?? "").trim()
+          : undefined;
+      if (level === "gramPanchayat" && !block) {
+        throw featureError(blockProperty, "Block is missing");
+      }
+
+      let parent = null;
+      if (level !== "district") {
+        parent = await findParent(
+          level === "block" ? { name: district } : { name: block, district }
+        );
+        if (!parent) {
+          throw featureError(
+            level === "block" ? districtProperty : blockProperty,
+            level === "block"
+              ? `District '${district}' is not in the boundary master; import districts first`
+              : `Block '${block}' of ${district} is not in the boundary master; import blocks first`
+          );
+        }
+      }
+
+      let geometry;
+      if (feature?.geometry) {
+        try {
+          geometry = parsePolygon(feature.geometry);
+        } catch (geoError) {
+          if (geoError instanceof GeoInputError) {
+            throw featureError("geometry", geoError.message);
+          }
+          throw geoError;
+        }
+      }
+
+      const code = codeProperty ? properties[codeProperty] : undefined;
+
+      return {
+        level,
+        name: level === "district" ? district : name,
+        code: code !== undefined && code !== null ? String(code) : undefined,
+        district,
+        block: parent?.level === "block" ? parent.name : undefined,
+        parent: parent?._id || null,
+        geometry,
+      };
+    };
+
+    const results = [];
+    const candidates = [];
+    const seen = new Set();
+
+    for (const [index, feature] of features.entries()) {
+      const result = { feature: index + 1, status: "invalid", errors: [] };
+      results.push(result);
+
+      try {
+        const values = await buildBoundary(feature);
+        result.name = values.name;
+
+        const key = boundaryKey(values);
+        if (seen.has(key)) {
+          throw featureError(nameProperty, "Boundary is repeated in the file");
+        }
+        seen.add(key);
+
+        const existing = await AdminBoundary.findOne({
+          level,
+          district: values.district,
+          block: values.block ?? null,
+          name: values.name,
+        }).collation({ locale: "en", strength: 2 });
+
+        const doc = existing || new AdminBoundary({ ...values });
+        if (existing) {
+          doc.set({
+            code: values.code ?? existing.code,
+            parent: values.parent,
+            geometry: values.geometry ?? existing.geometry,
+            isActive: true,
+          });
+        }
+        doc.source = req.file.originalname;
+        await doc.validate();
+
+        candidates.push({ doc, result, isNew: !existing });
+      } catch (buildError) {
+        if (buildError.name === "ValidationError") {
+          Object.values(buildError.errors).forEach((err) =>
+            result.errors.push({ field: err.path, message: err.message })
+          );
+        } else if (buildError.field) {
+          result.errors.push({
+            field: buildError.field,
+            message: buildError.message,
+          });
+        } else {
+          throw buildError;
+        }
+      }
+    }
+
+    candidates.forEach(({ result, isNew }) => {
+      result.status = "valid";
+      result.action = isNew ? "create" : "update";
+    });
+
+    if (!dryRun && candidates.length > 0) {
+      const user = getUserInfo(req.user);
+      const session = await mongoose.startSession();
+      try {
+        await session.withTransaction(async () => {
+          for (const { doc, isNew } of candidates) {
+            if (isNew) doc.createdBy = user;
+            else doc.lastModifiedBy = { ...user, modifiedAt: new Date() };
+            await doc.save({ session });
+          }
+        });
+      } finally {
+        await session.endSession();
+      }
+
+      candidates.forEach(({ doc, result, isNew }) => {
+        result.status = isNew ? "created" : "updated";
+        result.id = doc._id;
+      });
+    }
+
+    const created = candidates.filter(({ isNew }) => isNew).length;
+    const summary = {
+      totalFeatures: results.length,
+      validFeatures: candidates.length,
+      invalidFeatures: results.length - candidates.length,
+      created: dryRun ? 0 : created,
+      updated: dryRun ? 0 : candidates.length - created,
+      dryRun,
+    };
+
+    if (!dryRun && candidates.length > 0) {
+      setAuditContext(res, {
+        entityType: "admin-boundary",
+        entityId: "import",
+        description: `Imported ${candidates.length} ${level} boundary(ies) from ${req.file.originalname} (${summary.created} created, ${summary.updated} updated)`,
+      });
+    }
+
+    res.status(dryRun || candidates.length === 0 ? 200 : 201).json({
+      success: true,
+      message: dryRun
+        ? `Dry run complete: ${summary.validFeatures} of ${summary.totalFeatures} feature(s) are valid`
+        : `${summary.created} boundary(ies) created and ${summary.updated} updated, ${summary.invalidFeatures} feature(s) rejected`,
+      data: { summary, results },
+    });
+  } catch (error) {
+    console.error("Error importing boundaries:", error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "Import aborted: a boundary in the file already exists",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error occurred while importing boundaries",
+    });
+  }
+};
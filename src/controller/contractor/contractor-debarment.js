@@ -0,0 +1,189 @@
+import Contractor from "../../models/contractor.model.js";
+import Project from "../../models/project.model.js";
+import { setAuditContext } from "../../utils/audit.js";
+import { getUserInfo } from "../../utils/bill-utils.js";
+
+const validationResponse = (res, error) =>
+  res.status(400).json({
+    success: false,
+    message: "Validation failed",
+    errors: error.errors
+      ? Object.values(error.errors).map((err) => err.message)
+      : [error.message],
+  });
+
+const formatDate = (date) =>
+  date ? date.toISOString().split("T")[0] : "further orders";
+
+/**
+ * Debar or blacklist a contractor for a period (MD/Admin).
+ * New projects cannot be created for the contractor while the order is in
+ * force; works already awarded are not affected.
+ * POST /api/contractors/:id/debarments
+ * Body: type (Debarred|Blacklisted), reason, orderNumber, orderDate,
+ * effectiveFrom (defaults to today), effectiveTo (required for Debarred)
+ */
+export const debarContractor = async (req, res) => {
+  try {
+    const contractor = await Contractor.findByIdentifier(req.params.id);
+    if (!contractor) {
+      return res.status(404).json({
+        success: false,
+        message: "Contractor not found",
+      });
+    }
+
+    if (contractor.mergedInto) {
+      return res.status(409).json({
+        success: false,
+        message: "Merged contractor records cannot be debarred",
+      });
+    }
+
+    const { type, reason, orderNumber, orderDate, effectiveFrom, effectiveTo } =
+      req.body;
+
+    contractor.debarments.push({
+      type,
+      reason,
+      orderNumber,
+      orderDate,
+      effectiveFrom: effectiveFrom || new Date(),
+      effectiveTo: effectiveTo || null,
+      imposedBy: getUserInfo(req.user),
+      imposedAt: new Date(),
+    });
+    contractor.lastModifiedBy = {
+      ...getUserInfo(req.user),
+      modifiedAt: new Date(),
+    };
+    await contractor.save();
+
+    const debarment = contractor.debarments[contractor.debarments.length - 1];
+    const ongoingProjects = await Project.countDocuments({
+      contractorRef: contractor._id,
+      "statusWorkflow.approvedAt": { $ne: null },
+      status: { $ne: "Completed" },
+    });
+
+    setAuditContext(res, {
+      entityType: "contractor",
+      entityId: contractor.contractorId,
+      description: `${debarment.type} contractor ${contractor.name} (${
+        contractor.contractorId
+      }) from ${formatDate(debarment.effectiveFrom)} until ${formatDate(
+        debarment.effectiveTo
+      )}`,
+      changes: [{ field: "debarments", before: null, after: debarment }],
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Contractor ${debarment.type.toLowerCase()} successfully`,
+      data: {
+        contractorId: contractor.contractorId,
+        name: contractor.name,
+        debarment,
+        activeDebarment: contractor.activeDebarment,
+        ongoingProjects,
+      },
+    });
+  } catch (error) {
+    console.error("Error debarring contractor:", error);
+
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return validationResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Revoke a debarment or blacklisting order (MD/Admin)
+ * POST /api/contractors/:id/debarments/:debarmentId/revoke
+ * Body: reason
+ */
+export const revokeDebarment = async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (!reason?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Reason for revocation is required",
+      });
+    }
+
+    const contractor = await Contractor.findByIdentifier(req.params.id);
+    if (!contractor) {
+      return res.status(404).json({
+        success: false,
+        message: "Contractor not found",
+      });
+    }
+
+    const debarment = contractor.debarments.id(req.params.debarmentId);
+    if (!debarment) {
+      return res.status(404).json({
+        success: false,
+        message: "Debarment not found",
+      });
+    }
+
+    if (debarment.revokedAt) {
+      return res.status(409).json({
+        success: false,
+        message: "Debarment has already been revoked",
+      });
+    }
+
+    debarment.revokedAt = new Date();
+    debarment.revokedBy = getUserInfo(req.user);
+    debarment.revocationReason = reason.trim();
+    contractor.lastModifiedBy = {
+      ...getUserInfo(req.user),
+      modifiedAt: new Date(),
+    };
+    await contractor.save();
+
+    setAuditContext(res, {
+      entityType: "contractor",
+      entityId: contractor.contractorId,
+      description: `Revoked ${debarment.type.toLowerCase()} order of contractor ${
+        contractor.name
+      } (${contractor.contractorId})`,
+      changes: [
+        {
+          field: `debarments.${debarment._id}.revokedAt`,
+          before: null,
+          after: debarment.revokedAt,
+        },
+      ],
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Debarment revoked successfully",
+      data: {
+        contractorId: contractor.contractorId,
+        name: contractor.name,
+        debarment,
+        activeDebarment: contractor.activeDebarment,
+      },
+    });
+  } catch (error) {
+    console.error("Error revoking debarment:", error);
+
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return validationResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
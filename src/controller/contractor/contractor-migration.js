@@ -0,0 +1,267 @@
+import Contractor from "../../models/contractor.model.js";
+import { setAuditContext } from "../../utils/audit.js";
+import { getUserInfo } from "../../utils/bill-utils.js";
+import {
+  applyContractorCluster,
+  clusterContractorNames,
+  DEFAULT_SIMILARITY,
+  mergeContractorRecords,
+} from "../../utils/contractor-migration.js";
+
+const MAX_CLUSTERS_PER_APPLY = 200;
+
+/**
+ * Free-text contractor names not yet linked to the master, clustered by
+ * spelling for review before they are turned into contractor records
+ * GET /api/contractors/migration/clusters
+ * Query: similarity (0.5-1, default 0.85), multipleOnly (true to list only
+ * clusters with more than one spelling)
+ */
+export const getContractorClusters = async (req, res) => {
+  try {
+    const similarity =
+      req.query.similarity !== undefined
+        ? Number(req.query.similarity)
+        : DEFAULT_SIMILARITY;
+    if (!(similarity >= 0.5 && similarity <= 1)) {
+      return res.status(400).json({
+        success: false,
+        message: "similarity must be between 0.5 and 1",
+      });
+    }
+
+    let clusters = await clusterContractorNames({ similarity });
+    if (req.query.multipleOnly === "true") {
+      clusters = clusters.filter((cluster) => cluster.variants.length > 1);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Found ${clusters.length} contractor cluster(s)`,
+      data: clusters,
+      summary: {
+        clusters: clusters.length,
+        names: clusters.reduce(
+          (sum, cluster) => sum + cluster.variants.length,
+          0
+        ),
+        withExistingContractor: clusters.filter(
+          (cluster) => cluster.matchedContractors.length > 0
+        ).length,
+      },
+      similarity,
+    });
+  } catch (error) {
+    console.error("Error clustering contractor names:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Turn reviewed clusters into contractor records and link every project,
+ * archive project and measurement book using one of their names (MD/Admin).
+ * Clusters are applied one by one; a failed cluster does not stop the rest.
+ * With dryRun=true nothing is saved.
+ * POST /api/contractors/migration/apply
+ * Body: { clusters: [{ name, variants: [names], contractorId?, details? }],
+ *         dryRun? }
+ */
+export const applyContractorClusters = async (req, res) => {
+  try {
+    const { clusters } = req.body;
+    const dryRun = String(req.query.dryRun ?? req.body.dryRun) === "true";
+
+    if (!Array.isArray(clusters) || clusters.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "clusters must be a non-empty array",
+      });
+    }
+    if (clusters.length > MAX_CLUSTERS_PER_APPLY) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${MAX_CLUSTERS_PER_APPLY} clusters can be applied at once`,
+      });
+    }
+
+    const user = getUserInfo(req.user);
+    const results = [];
+
+    for (const cluster of clusters) {
+      try {
+        const { contractor, created, linked } = await applyContractorCluster(
+          cluster,
+          user,
+          { dryRun }
+        );
+        results.push({
+          name: contractor.name,
+          status: dryRun ? "valid" : created ? "created" : "updated",
+          contractorId: contractor.contractorId,
+          aliases: contractor.aliases,
+          linked,
+        });
+      } catch (clusterError) {
+        if (!clusterError.status && clusterError.name !== "ValidationError") {
+          throw clusterError;
+        }
+        results.push({
+          name: cluster?.name,
+          status: "failed",
+          errors: clusterError.errors
+            ? Object.values(clusterError.errors).map((err) => err.message)
+            : [clusterError.message],
+        });
+      }
+    }
+
+    const applied = results.filter((result) => result.status !== "failed");
+    const summary = {
+      clusters: results.length,
+      applied: applied.length,
+      failed: results.length - applied.length,
+      created: results.filter((result) => result.status === "created").length,
+      linkedRecords: applied.reduce(
+        (sum, result) =>
+          sum +
+          (result.linked
+            ? result.linked.projects +
+              result.linked.archiveProjects +
+              result.linked.measurementBooks
+            : 0),
+        0
+      ),
+      dryRun,
+    };
+
+    if (!dryRun && applied.length > 0) {
+      setAuditContext(res, {
+        entityType: "contractor",
+        entityId: "migration",
+        description: `Migrated ${applied.length} contractor cluster(s): ${summary.created} contractor(s) created, ${summary.linkedRecords} record(s) linked`,
+      });
+    }
+
+    res.status(dryRun || applied.length === 0 ? 200 : 201).json({
+      success: true,
+      message: dryRun
+        ? `Dry run complete: ${applied.length} of ${results.length} cluster(s) can be applied`
+        : `${applied.length} cluster(s) applied, ${summary.failed} failed`,
+      data: { summary, results },
+    });
+  } catch (error) {
+    console.error("Error applying contractor clusters:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Merge duplicate contractor records into this one (MD/Admin). Their names
+ * become aliases and all their references move here, as do debarments
+ * still in force or yet to start; the merged records are kept, inactive,
+ * for history.
+ * POST /api/contractors/:id/merge
+ * Body: { contractorIds: [contractor IDs or _ids to merge in] }
+ */
+export const mergeContractors = async (req, res) => {
+  try {
+    const { contractorIds } = req.body;
+
+    if (!Array.isArray(contractorIds) || contractorIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "contractorIds must be a non-empty array",
+      });
+    }
+
+    const target = await Contractor.findByIdentifier(req.params.id);
+    if (!target || target.mergedInto) {
+      return res.status(404).json({
+        success: false,
+        message: "Contractor to merge into not found",
+      });
+    }
+
+    const sources = [];
+    for (const id of new Set(contractorIds.map(String))) {
+      const source = await Contractor.findByIdentifier(id);
+      if (!source) {
+        return res.status(404).json({
+          success: false,
+          message: `Contractor '${id}' not found`,
+        });
+      }
+      if (source._id.equals(target._id)) {
+        return res.status(400).json({
+          success: false,
+          message: "A contractor cannot be merged into itself",
+        });
+      }
+      if (source.mergedInto) {
+        return res.status(409).json({
+          success: false,
+          message: `Contractor '${source.name}' has already been merged`,
+        });
+      }
+      // Different PAN or GSTIN means a different legal entity
+      const conflict = ["pan", "gstin"].find(
+        (field) =>
+          source[field] && target[field] && source[field] !== target[field]
+      );
+      if (conflict) {
+        return res.status(409).json({
+          success: false,
+          message: `Contractor '${
+            source.name
+          }' has a different ${conflict.toUpperCase()} and cannot be merged`,
+        });
+      }
+      sources.push(source);
+    }
+
+    const moved = await mergeContractorRecords(
+      target,
+      sources,
+      getUserInfo(req.user)
+    );
+
+    setAuditContext(res, {
+      entityType: "contractor",
+      entityId: target.contractorId,
+      description: `Merged ${sources
+        .map((source) => `${source.name} (${source.contractorId})`)
+        .join(", ")} into ${target.name} (${target.contractorId})`,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${sources.length} contractor record(s) merged into ${target.name}`,
+      data: {
+        contractor: target,
+        mergedContractorIds: sources.map((source) => source.contractorId),
+        movedReferences: moved,
+      },
+    });
+  } catch (error) {
+    console.error("Error merging contractors:", error);
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: Object.values(error.errors).map((err) => err.message),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
@@ -0,0 +1,120 @@
+import Contractor from "../../models/contractor.model.js";
+import { getContractorScorecards } from "../../utils/contractor-scorecard.js";
+import { getProjectScopeFilter } from "../../utils/jurisdiction-scope.js";
+
+/**
+ * Performance scorecard of a contractor with the per-project breakdown
+ * GET /api/contractors/:id/scorecard
+ */
+export const getContractorScorecard = async (req, res) => {
+  try {
+    const contractor = await Contractor.findByIdentifier(req.params.id);
+    if (!contractor) {
+      return res.status(404).json({
+        success: false,
+        message: "Contractor not found",
+      });
+    }
+
+    const scorecards = await getContractorScorecards(
+      [contractor._id],
+      await getProjectScopeFilter(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Contractor scorecard generated successfully",
+      data: {
+        contractorId: contractor.contractorId,
+        name: contractor.name,
+        registrationClass: contractor.registrationClass,
+        isActive: contractor.isActive,
+        activeDebarment: contractor.activeDebarment,
+        debarments: contractor.debarments,
+        ...scorecards.get(contractor._id.toString()),
+      },
+    });
+  } catch (error) {
+    console.error("Error generating contractor scorecard:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Scorecards of all current contractors, best first (or worst first with
+ * order=asc). Contractors without approved projects are listed last.
+ * GET /api/contractors/scorecards
+ * Query: grade, debarred (true|false), order (asc|desc), page, limit
+ */
+export const getContractorScorecardList = async (req, res) => {
+  try {
+    const { grade, debarred, order = "desc" } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    if (!["asc", "desc"].includes(order)) {
+      return res.status(400).json({
+        success: false,
+        message: "order must be either 'asc' or 'desc'",
+      });
+    }
+
+    const contractors = await Contractor.find({ mergedInto: null }).select(
+      "contractorId name registrationClass isActive debarments"
+    );
+    const scorecards = await getContractorScorecards(
+      contractors.map((contractor) => contractor._id),
+      await getProjectScopeFilter(req)
+    );
+
+    let rows = contractors.map((contractor) => {
+      const { projects, ...scorecard } = scorecards.get(
+        contractor._id.toString()
+      );
+      return {
+        contractorId: contractor.contractorId,
+        name: contractor.name,
+        registrationClass: contractor.registrationClass,
+        isActive: contractor.isActive,
+        activeDebarment: contractor.activeDebarment,
+        ...scorecard,
+      };
+    });
+
+    if (grade) rows = rows.filter((row) => row.grade === grade);
+    if (debarred !== undefined) {
+      rows = rows.filter(
+        (row) => Boolean(row.activeDebarment) === (debarred === "true")
+      );
+    }
+
+    const direction = order === "asc" ? 1 : -1;
+    rows.sort((a, b) => {
+      if (a.score === null || b.score === null) {
+        return (a.score === null) - (b.score === null);
+      }
+      return (a.score - b.score) * direction || a.name.localeCompare(b.name);
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Retrieved ${rows.length} contractor scorecard(s)`,
+      data: rows.slice((page - 1) * limit, page * limit),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(rows.length / limit),
+        totalItems: rows.length,
+        itemsPerPage: limit,
+      },
+    });
+  } catch (error) {
+    console.error("Error generating contractor scorecards:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
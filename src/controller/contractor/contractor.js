@@ -0,0 +1,385 @@
+import ArchiveProject from "../../models/archive-project.model.js";
+import Contractor from "../../models/contractor.model.js";
+import MeasurementBook from "../../models/mb.model.js";
+import Project from "../../models/project.model.js";
+import { diffSnapshots, setAuditContext } from "../../utils/audit.js";
+import { getUserInfo } from "../../utils/bill-utils.js";
+
+// Fields set through the create and update APIs
+const EDITABLE_FIELDS = [
+  "name",
+  "aliases",
+  "registrationClass",
+  "registrationNumber",
+  "enlistment",
+  "pan",
+  "gstin",
+  "address",
+  "phoneNumber",
+  "email",
+  "bankDetails",
+  "remarks",
+  "isActive",
+];
+
+// Designations that see full bank account numbers
+const BANK_DETAIL_VIEWERS = ["ADMIN", "MD", "CE"];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const validationResponse = (res, error) =>
+  res.status(400).json({
+    success: false,
+    message: "Validation failed",
+    errors: error.errors
+      ? Object.values(error.errors).map((err) => err.message)
+      : [error.message],
+  });
+
+const duplicateResponse = (res, error) =>
+  res.status(409).json({
+    success: false,
+    message: `A contractor with this ${
+      Object.keys(error.keyValue || {})[0] || "identifier"
+    } already exists`,
+  });
+
+const pickEditable = (body) =>
+  Object.fromEntries(
+    EDITABLE_FIELDS.filter((field) => body[field] !== undefined).map(
+      (field) => [field, body[field]]
+    )
+  );
+
+// Bank account numbers are masked for users who do not process payments
+const forViewer = (contractor, user) => {
+  const data = contractor.toJSON ? contractor.toJSON() : { ...contractor };
+  if (
+    data.bankDetails?.accountNumber &&
+    !BANK_DETAIL_VIEWERS.includes(user.designation)
+  ) {
+    data.bankDetails = {
+      ...data.bankDetails,
+      accountNumber: `XXXX${data.bankDetails.accountNumber.slice(-4)}`,
+    };
+  }
+  return data;
+};
+
+// Another current record already known by one of these names
+const findNameOwner = (contractor) =>
+  Contractor.findOne({
+    _id: { $ne: contractor._id },
+    nameKeys: { $in: contractor.nameKeys },
+    mergedInto: null,
+  })
+    .select("contractorId name")
+    .lean();
+
+/**
+ * Enlist a contractor in the contractor master (MD/Admin)
+ * POST /api/contractors
+ * Body: { name, aliases?, registrationClass?, registrationNumber?,
+ *         enlistment?: { validFrom, validTo }, pan?, gstin?, address?,
+ *         phoneNumber?, email?, bankDetails?, remarks? }
+ */
+export const createContractor = async (req, res) => {
+  try {
+    const contractor = new Contractor({
+      ...pickEditable(req.body),
+      contractorId: await Contractor.generateContractorId(),
+      createdBy: getUserInfo(req.user),
+    });
+    await contractor.validate();
+
+    const owner = await findNameOwner(contractor);
+    if (owner) {
+      return res.status(409).json({
+        success: false,
+        message: `A contractor with a matching name already exists: '${owner.name}' (${owner.contractorId})`,
+      });
+    }
+
+    await contractor.save();
+
+    setAuditContext(res, {
+      entityType: "contractor",
+      entityId: contractor.contractorId,
+      description: `Enlisted contractor ${contractor.name} (${contractor.contractorId})`,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Contractor created successfully",
+      data: contractor,
+    });
+  } catch (error) {
+    console.error("Error creating contractor:", error);
+
+    if (error.name === "ValidationError") {
+      return validationResponse(res, error);
+    }
+    if (error.code === 11000) {
+      return duplicateResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Update a contractor's details, enlistment or active flag (MD/Admin)
+ * PATCH /api/contractors/:id
+ */
+export const updateContractor = async (req, res) => {
+  try {
+    const contractor = await Contractor.findByIdentifier(req.params.id);
+    if (!contractor) {
+      return res.status(404).json({
+        success: false,
+        message: "Contractor not found",
+      });
+    }
+
+    if (contractor.mergedInto) {
+      return res.status(409).json({
+        success: false,
+        message: "Merged contractor records cannot be edited",
+      });
+    }
+
+    const updates = pickEditable(req.body);
+    const before = contractor.toObject();
+    contractor.set(updates);
+    contractor.lastModifiedBy = {
+      ...getUserInfo(req.user),
+      modifiedAt: new Date(),
+    };
+    await contractor.validate();
+
+    const owner = await findNameOwner(contractor);
+    if (owner) {
+      return res.status(409).json({
+        success: false,
+        message: `A contractor with a matching name already exists: '${owner.name}' (${owner.contractorId})`,
+      });
+    }
+
+    await contractor.save();
+
+    setAuditContext(res, {
+      entityType: "contractor",
+      entityId: contractor.contractorId,
+      description: `Updated contractor ${contractor.name} (${contractor.contractorId})`,
+      // Bank details are recorded as changed without their values
+      changes: diffSnapshots(
+        before,
+        contractor.toObject(),
+        Object.keys(updates)
+      ).map((change) =>
+        change.field === "bankDetails"
+          ? { field: "bankDetails", before: "[redacted]", after: "[redacted]" }
+          : change
+      ),
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Contractor updated successfully",
+      data: contractor,
+    });
+  } catch (error) {
+    console.error("Error updating contractor:", error);
+
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return validationResponse(res, error);
+    }
+    if (error.code === 11000) {
+      return duplicateResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * List contractors
+ * GET /api/contractors
+ * Query: search (name, alias, PAN, GSTIN or contractor ID),
+ * registrationClass, isActive, enlistment (valid|expired), debarred
+ * (true|false, debarment or blacklisting in force), includeMerged, page,
+ * limit
+ */
+export const getContractors = async (req, res) => {
+  try {
+    const {
+      search,
+      registrationClass,
+      isActive,
+      enlistment,
+      debarred,
+      includeMerged,
+    } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const filter = {};
+    if (includeMerged !== "true") filter.mergedInto = null;
+    if (registrationClass) filter.registrationClass = registrationClass;
+    if (isActive !== undefined) filter.isActive = isActive === "true";
+
+    const now = new Date();
+    if (enlistment === "valid") {
+      filter["enlistment.validTo"] = { $gte: now };
+    } else if (enlistment === "expired") {
+      filter["enlistment.validTo"] = { $lt: now };
+    }
+
+    if (debarred !== undefined) {
+      const inForce = {
+        $elemMatch: {
+          revokedAt: null,
+          effectiveFrom: { $lte: now },
+          $or: [{ effectiveTo: null }, { effectiveTo: { $gte: now } }],
+        },
+      };
+      filter.debarments = debarred === "true" ? inForce : { $not: inForce };
+    }
+
+    if (search?.trim()) {
+      const pattern = new RegExp(escapeRegex(search.trim()), "i");
+      filter.$or = [
+        { name: pattern },
+        { aliases: pattern },
+        { contractorId: pattern },
+        { pan: pattern },
+        { gstin: pattern },
+      ];
+    }
+
+    const [contractors, total] = await Promise.all([
+      Contractor.find(filter)
+        .sort({ name: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Contractor.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: `Retrieved ${contractors.length} contractor(s)`,
+      data: contractors.map((contractor) => forViewer(contractor, req.user)),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching contractors:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * A contractor with the number of projects, archive projects and
+ * measurement books referencing it
+ * GET /api/contractors/:id
+ */
+export const getContractorById = async (req, res) => {
+  try {
+    const contractor = await Contractor.findByIdentifier(req.params.id);
+    if (!contractor) {
+      return res.status(404).json({
+        success: false,
+        message: "Contractor not found",
+      });
+    }
+
+    const [projects, archiveProjects, measurementBooks, mergedRecords] =
+      await Promise.all([
+        Project.countDocuments({ contractorRef: contractor._id }),
+        ArchiveProject.countDocuments({ contractorRef: contractor._id }),
+        MeasurementBook.countDocuments({ contractorRef: contractor._id }),
+        Contractor.find({ mergedInto: contractor._id })
+          .select("contractorId name mergedAt")
+          .lean(),
+      ]);
+
+    res.status(200).json({
+      success: true,
+      message: "Contractor retrieved successfully",
+      data: {
+        ...forViewer(contractor, req.user),
+        usage: { projects, archiveProjects, measurementBooks },
+        mergedRecords,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching contractor:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Delete a contractor enlisted by mistake (MD/Admin). Contractors referenced
+ * by any record are deactivated or merged instead.
+ * DELETE /api/contractors/:id
+ */
+export const deleteContractor = async (req, res) => {
+  try {
+    const contractor = await Contractor.findByIdentifier(req.params.id);
+    if (!contractor) {
+      return res.status(404).json({
+        success: false,
+        message: "Contractor not found",
+      });
+    }
+
+    const referenced =
+      (await Project.exists({ contractorRef: contractor._id })) ||
+      (await ArchiveProject.exists({ contractorRef: contractor._id })) ||
+      (await MeasurementBook.exists({ contractorRef: contractor._id })) ||
+      (await Contractor.exists({ mergedInto: contractor._id }));
+    if (referenced) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "Contractor is referenced by existing records; deactivate or merge it instead",
+      });
+    }
+
+    await contractor.deleteOne();
+
+    setAuditContext(res, {
+      entityType: "contractor",
+      entityId: contractor.contractorId,
+      description: `Deleted contractor ${contractor.name} (${contractor.contractorId})`,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Contractor deleted successfully",
+    });
+  } catch (error) {
+    console.error("Error deleting contractor:", error);
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
@@ -1,4 +1,16 @@
 import ArchiveProject from "../../models/archive-project.model.js";
+import FinancialYearClose from "../../models/financial-year-close.model.js";
+import Project from "../../models/project.model.js";
+import ProjectYearSnapshot from "../../models/project-year-snapshot.model.js";
+import {
+  financialYearOf,
+  financialYearRange,
+  projectPositionAt,
+} from "../../utils/financial-year.js";
+import {
+  getArchiveProjectScopeFilter,
+  getProjectScopeFilter,
+} from "../../utils/jurisdiction-scope.js";
 
 /**
  * Get archive projects KPIs for dashboard comparison
@@ -6,14 +18,11 @@ import ArchiveProject from "../../models/archive-project.model.js";
  */
 export const getArchiveKPIs = async (req, res) => {
   try {
-    const { userRole, userId } = req.user;
+    const userRole = req.user.designation;
     const { timeRange = "365", financialYear } = req.query;
 
-    // Build filter based on user role
-    const userFilter = {};
-    if (userRole === "JE") {
-      userFilter["createdBy.userId"] = userId;
-    }
+    // Limit to archive projects within the user's jurisdiction
+    const userFilter = await getArchiveProjectScopeFilter(req);
 
     // Add financial year filter if provided
     if (financialYear) {
@@ -619,24 +628,22 @@ export const getArchiveKPIs = async (req, res) => {
  */
 export const getArchiveComparison = async (req, res) => {
   try {
-    const { userRole, userId } = req.user;
+    const userRole = req.user.designation;
 
-    // Build filter based on user role
-    const userFilter = {};
-    if (userRole === "JE") {
-      userFilter["createdBy.userId"] = userId;
-    }
+    // Limit to projects within the user's jurisdiction
+    const [projectFilter, archiveFilter] = await Promise.all([
+      getProjectScopeFilter(req),
+      getArchiveProjectScopeFilter(req),
+    ]);
 
     // Get current year's projects (both active and archive)
     const currentYear = new Date().getFullYear();
     const currentFinancialYear = `${currentYear}-${currentYear + 1}`;
 
-    const Project = (await import("../../models/project.model.js")).default;
-
     const [activeProjects, archiveProjects] = await Promise.all([
       // Active projects
       Project.aggregate([
-        { $match: userFilter },
+        { $match: projectFilter },
         {
           $group: {
             _id: null,
@@ -657,7 +664,7 @@ export const getArchiveComparison = async (req, res) => {
 
       // Archive projects
       ArchiveProject.aggregate([
-        { $match: userFilter },
+        { $match: archiveFilter },
         {
           $group: {
             _id: null,
@@ -807,6 +814,220 @@ export const getArchiveComparison = async (req, res) => {
   }
 };
 
+/**
+ * Year-wise comparison of active and archive projects.
+ * Closed years use the snapshots taken at the year close; open years are
+ * computed from project histories, with expenditure attributed by bill
+ * date. Archive projects are grouped by their financial year.
+ * GET /api/dashboard/year-wise-comparison
+ * Query: from, to (financial years, default the last five up to the current)
+ */
+export const getYearWiseComparison = async (req, res) => {
+  try {
+    const currentFinancialYear = financialYearOf();
+    const startOf = (financialYear) => Number(financialYear.slice(0, 4));
+    const {
+      to = currentFinancialYear,
+      from = `${startOf(to) - 4}-${startOf(to) - 3}`,
+    } = req.query;
+
+    if (!financialYearRange(from) || !financialYearRange(to)) {
+      return res.status(400).json({
+        success: false,
+        message: "from and to must be financial years in YYYY-YYYY format",
+      });
+    }
+
+    const years = [];
+    for (let year = startOf(from); year <= startOf(to); year++) {
+      years.push(`${year}-${year + 1}`);
+    }
+    if (years.length === 0 || years.length > 20) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "from must not be after to, and the range may span at most 20 years",
+      });
+    }
+
+    const [projectFilter, archiveFilter] = await Promise.all([
+      getProjectScopeFilter(req),
+      getArchiveProjectScopeFilter(req),
+    ]);
+    const isScoped = Object.keys(projectFilter).length > 0;
+
+    const closedYears = new Set(
+      await FinancialYearClose.distinct("financialYear", {
+        financialYear: { $in: years },
+      })
+    );
+
+    // Closed years from their snapshots
+    const snapshotMatch = { financialYear: { $in: [...closedYears] } };
+    if (isScoped) {
+      snapshotMatch.project = {
+        $in: await Project.distinct("_id", projectFilter),
+      };
+    }
+    const snapshotRows = await ProjectYearSnapshot.aggregate([
+      { $match: snapshotMatch },
+      {
+        $group: {
+          _id: "$financialYear",
+          projects: { $sum: 1 },
+          completed: { $sum: { $cond: ["$isCompleted", 1, 0] } },
+          estimatedCost: { $sum: "$estimatedCost" },
+          expenditureInYear: { $sum: "$expenditureInYear" },
+          cumulativeExpenditure: { $sum: "$cumulativeExpenditure" },
+          balanceCarriedForward: {
+            $sum: { $cond: ["$isCarriedForward", "$balanceCost", 0] },
+          },
+          avgPhysicalProgress: { $avg: "$physicalProgress" },
+          avgFinancialProgress: { $avg: "$financialProgress" },
+        },
+      },
+    ]);
+    const byYear = new Map(snapshotRows.map((row) => [row._id, row]));
+
+    // Open years from project histories
+    const openYears = years.filter((year) => !closedYears.has(year));
+    if (openYears.length > 0) {
+      const lastEnd = financialYearRange(openYears[openYears.length - 1]).end;
+      const projects = await Project.find({
+        $and: [
+          projectFilter,
+          {
+            dateOfIssueOfWorkOrder: { $lte: lastEnd },
+            status: { $not: /^Rejected/ },
+          },
+        ],
+      })
+        .select(
+          "status estimatedCost dateOfIssueOfWorkOrder statusWorkflow.completedAt progressUpdates.newProgress progressUpdates.createdAt financialProgressUpdates.amountDifference financialProgressUpdates.billDetails.billDate financialProgressUpdates.createdAt"
+        )
+        .lean();
+
+      openYears.forEach((year) => {
+        const { start, end } = financialYearRange(year);
+        const positions = projects
+          .filter(
+            (project) =>
+              project.dateOfIssueOfWorkOrder <= end &&
+              !(
+                project.status === "Completed" &&
+                project.statusWorkflow?.completedAt < start
+              )
+          )
+          .map((project) => projectPositionAt(project, year));
+        const sumOf = (field) =>
+          positions.reduce((sum, position) => sum + position[field], 0);
+
+        byYear.set(year, {
+          projects: positions.length,
+          completed: positions.filter((position) => position.isCompleted)
+            .length,
+          estimatedCost: sumOf("estimatedCost"),
+          expenditureInYear: sumOf("expenditureInYear"),
+          cumulativeExpenditure: sumOf("cumulativeExpenditure"),
+          balanceCarriedForward: positions
+            .filter((position) => position.isCarriedForward)
+            .reduce((sum, position) => sum + position.balanceCost, 0),
+          avgPhysicalProgress:
+            positions.length > 0
+              ? sumOf("physicalProgress") / positions.length
+              : 0,
+          avgFinancialProgress:
+            positions.length > 0
+              ? sumOf("financialProgress") / positions.length
+              : 0,
+        });
+      });
+    }
+
+    // Archive projects by their financial year
+    const archiveRows = await ArchiveProject.aggregate([
+      {
+        $match: {
+          $and: [archiveFilter, { financialYear: { $in: years } }],
+        },
+      },
+      {
+        $group: {
+          _id: "$financialYear",
+          projects: { $sum: 1 },
+          workValue: { $sum: "$workValue" },
+          billedAmount: { $sum: "$billSubmittedAmount" },
+          completed: {
+            $sum: { $cond: [{ $eq: ["$progress", 100] }, 1, 0] },
+          },
+          avgPhysicalProgress: { $avg: "$progress" },
+          avgFinancialProgress: { $avg: "$financialProgress" },
+        },
+      },
+    ]);
+    const archiveByYear = new Map(archiveRows.map((row) => [row._id, row]));
+
+    const round = (value) => Math.round((value || 0) * 100) / 100;
+    let previousExpenditure = null;
+    const comparison = years.map((year) => {
+      const active = byYear.get(year) || {};
+      const archive = archiveByYear.get(year) || {};
+      const expenditure = round(active.expenditureInYear);
+
+      const row = {
+        financialYear: year,
+        isClosed: closedYears.has(year),
+        isCurrent: year === currentFinancialYear,
+        active: {
+          projects: active.projects || 0,
+          completed: active.completed || 0,
+          carriedForward: (active.projects || 0) - (active.completed || 0),
+          estimatedCost: round(active.estimatedCost),
+          expenditureInYear: expenditure,
+          cumulativeExpenditure: round(active.cumulativeExpenditure),
+          balanceCarriedForward: round(active.balanceCarriedForward),
+          avgPhysicalProgress: round(active.avgPhysicalProgress),
+          avgFinancialProgress: round(active.avgFinancialProgress),
+        },
+        archive: {
+          projects: archive.projects || 0,
+          completed: archive.completed || 0,
+          workValue: round(archive.workValue),
+          billedAmount: round(archive.billedAmount),
+          avgPhysicalProgress: round(archive.avgPhysicalProgress),
+          avgFinancialProgress: round(archive.avgFinancialProgress),
+        },
+        expenditureChange:
+          previousExpenditure > 0
+            ? Math.round(
+                ((expenditure - previousExpenditure) / previousExpenditure) *
+                  100
+              )
+            : null,
+      };
+
+      previousExpenditure = expenditure;
+      return row;
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Year-wise comparison retrieved successfully",
+      data: {
+        years: comparison,
+        closedYears: [...closedYears].sort(),
+      },
+      filters: { from, to },
+    });
+  } catch (error) {
+    console.error("Error retrieving year-wise comparison:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
 // Helper functions
 function calculatePerformanceTrend(yearlyTrends) {
   if (yearlyTrends.length < 2) return "Insufficient data";
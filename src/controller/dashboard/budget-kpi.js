@@ -0,0 +1,151 @@
+import BudgetAllocation from "../../models/budget-allocation.model.js";
+import Project from "../../models/project.model.js";
+import { getBudgetPosition } from "../../utils/budget.js";
+import {
+  financialYearOf,
+  financialYearRange,
+} from "../../utils/financial-year.js";
+import {
+  getProjectScopeFilter,
+  withScope,
+} from "../../utils/jurisdiction-scope.js";
+
+const roundTo2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const headKey = (budgetHead, subFund) =>
+  `${budgetHead.trim().toLowerCase()}|${subFund}`;
+
+/**
+ * Budget vs actual for a financial year: allocation, commitments and
+ * expenditure per budget head, totals per fund, and heads used by
+ * projects that have no allocation for the year.
+ * Allocations are department-wide, so their figures are not filtered by
+ * jurisdiction; users with a restricted scope do not get the project
+ * breakdown of each head.
+ * GET /api/dashboard/budget-vs-actual
+ * Query: financialYear (default current), fund, subFund
+ */
+export const getBudgetVsActual = async (req, res) => {
+  try {
+    const { financialYear = financialYearOf(), fund, subFund } = req.query;
+
+    const range = financialYearRange(financialYear);
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        message: "financialYear must be in YYYY-YYYY format, e.g. 2025-2026",
+      });
+    }
+
+    const filter = { financialYear };
+    if (fund) filter.fund = fund;
+    if (subFund) filter.subFund = subFund;
+
+    const scopeFilter = await getProjectScopeFilter(req);
+    const isScoped = Object.keys(scopeFilter).length > 0;
+
+    const allocations = await BudgetAllocation.find(filter).sort({
+      fund: 1,
+      subFund: 1,
+      budgetHead: 1,
+    });
+    const heads = await Promise.all(
+      allocations.map(async (allocation) => {
+        const { projects, ...position } = await getBudgetPosition(allocation);
+        return {
+          allocationId: allocation._id,
+          ...position,
+          projectCount: projects.length,
+          projects: isScoped ? undefined : projects,
+        };
+      })
+    );
+
+    // Fund-wise totals
+    const sumOf = (list, field) =>
+      roundTo2(list.reduce((sum, head) => sum + head[field], 0));
+    const byFund = [...new Set(heads.map((head) => head.fund))].map((name) => {
+      const fundHeads = heads.filter((head) => head.fund === name);
+      return {
+        fund: name,
+        heads: fundHeads.length,
+        allocated: sumOf(fundHeads, "allocated"),
+        committed: sumOf(fundHeads, "committed"),
+        proposed: sumOf(fundHeads, "proposed"),
+        expenditure: sumOf(fundHeads, "expenditure"),
+        unspent: sumOf(fundHeads, "unspent"),
+      };
+    });
+
+    // Heads named on projects of the year that have no allocation
+    const allocated = new Set(
+      allocations.map((allocation) =>
+        headKey(allocation.budgetHead, allocation.subFund)
+      )
+    );
+    const projectMatch = {
+      budgetHead: { $nin: [null, ""] },
+      status: { $not: /^Rejected/ },
+      dateOfIssueOfWorkOrder: { $lte: range.end },
+    };
+    if (fund) projectMatch.fund = fund;
+    if (subFund) projectMatch.subFund = subFund;
+
+    const projectHeads = await Project.aggregate([
+      { $match: withScope(projectMatch, scopeFilter) },
+      {
+        $group: {
+          _id: { budgetHead: { $toLower: "$budgetHead" }, subFund: "$subFund" },
+          budgetHead: { $first: "$budgetHead" },
+          fund: { $first: "$fund" },
+          projects: { $sum: 1 },
+          estimatedCost: { $sum: "$estimatedCost" },
+        },
+      },
+      { $sort: { estimatedCost: -1 } },
+    ]);
+    const unallocatedHeads = projectHeads
+      .filter((row) => !allocated.has(headKey(row.budgetHead, row._id.subFund)))
+      .map((row) => ({
+        budgetHead: row.budgetHead,
+        fund: row.fund,
+        subFund: row._id.subFund,
+        projects: row.projects,
+        estimatedCost: roundTo2(row.estimatedCost),
+      }));
+
+    const allocatedTotal = sumOf(heads, "allocated");
+    const expenditureTotal = sumOf(heads, "expenditure");
+
+    res.status(200).json({
+      success: true,
+      message: "Budget vs actual retrieved successfully",
+      data: {
+        financialYear,
+        heads,
+        byFund,
+        unallocatedHeads,
+        totals: {
+          allocated: allocatedTotal,
+          committed: sumOf(heads, "committed"),
+          proposed: sumOf(heads, "proposed"),
+          expenditure: expenditureTotal,
+          unspent: sumOf(heads, "unspent"),
+          utilizationRate:
+            allocatedTotal > 0
+              ? Math.round((expenditureTotal / allocatedTotal) * 100)
+              : 0,
+          overCommittedHeads: heads.filter((head) => head.isOverCommitted)
+            .length,
+        },
+      },
+      filters: { financialYear, fund, subFund },
+    });
+  } catch (error) {
+    console.error("Error fetching budget vs actual:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
@@ -1,5 +1,9 @@
 import ArchiveProject from "../../models/archive-project.model.js";
 import Project from "../../models/project.model.js";
+import {
+  getArchiveProjectScopeFilter,
+  getProjectScopeFilter,
+} from "../../utils/jurisdiction-scope.js";
 
 /**
  * Get main dashboard KPIs
@@ -7,14 +11,11 @@ import Project from "../../models/project.model.js";
  */
 export const getDashboardKPIs = async (req, res) => {
   try {
-    const { designation, userId } = req.user;
+    const { designation } = req.user;
     const { includeArchive = false } = req.query;
 
-    // Build filter based on user role
-    const userFilter = {};
-    if (designation === "JE") {
-      userFilter["createdBy.userId"] = userId;
-    }
+    // Limit to projects within the user's jurisdiction
+    const userFilter = await getProjectScopeFilter(req);
 
     const now = new Date();
     const thirtyDaysAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
@@ -227,7 +228,7 @@ export const getDashboardKPIs = async (req, res) => {
     let archiveOverview = null;
     if (includeArchive === "true") {
       archiveOverview = await ArchiveProject.aggregate([
-        { $match: designation === "JE" ? { "createdBy.userId": userId } : {} },
+        { $match: await getArchiveProjectScopeFilter(req) },
         {
           $group: {
             _id: null,
@@ -365,18 +366,14 @@ export const getDashboardKPIs = async (req, res) => {
  */
 export const getRecentActivity = async (req, res) => {
   try {
-    const { designation, userId } = req.user;
     const { limit = 10, days = 7 } = req.query;
 
     const limitNum = Math.min(parseInt(limit), 50); // Max 50 items
     const daysBack = Math.min(parseInt(days), 30); // Max 30 days
     const startDate = new Date(Date.now() - daysBack * 24 * 60 * 60 * 1000);
 
-    // Build filter based on user role
-    const userFilter = {};
-    if (designation === "JE") {
-      userFilter["createdBy.userId"] = userId;
-    }
+    // Limit to projects within the user's jurisdiction
+    const userFilter = await getProjectScopeFilter(req);
 
     // Get recent activities from different sources
     const [statusChanges, progressUpdates, financialUpdates, newProjects] =
@@ -687,17 +684,14 @@ export const getRecentActivity = async (req, res) => {
  */
 export const getActionItems = async (req, res) => {
   try {
-    const { designation, userId } = req.user;
+    const { designation } = req.user;
     const { limit = 20 } = req.query;
 
     const limitNum = Math.min(parseInt(limit), 50);
     const now = new Date();
 
-    // Build filter based on user role
-    const userFilter = {};
-    if (designation === "JE") {
-      userFilter["createdBy.userId"] = userId;
-    }
+    // Limit to projects within the user's jurisdiction
+    const userFilter = await getProjectScopeFilter(req);
 
     // Get action items based on user role
     const [pendingApprovals, overdueProjects, openQueries, overdueQueries] =
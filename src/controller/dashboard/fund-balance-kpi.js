@@ -0,0 +1,115 @@
+import Bill from "../../models/bill.model.js";
+import FundSanction from "../../models/fund-sanction.model.js";
+import Project from "../../models/project.model.js";
+import { funds } from "../../utils/constants.js";
+import { getProjectScopeFilter } from "../../utils/jurisdiction-scope.js";
+
+const roundTo2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Sanctioned, released, paid and unspent amounts for every fund and sub
+ * fund. Releases include project sanctions and pooled sub-fund releases;
+ * paid is what the treasury has paid on bills of projects under the sub
+ * fund, gross of the statutory deductions withheld from those payments.
+ * Pooled releases are not tied to a jurisdiction, so users with a
+ * restricted scope only see project releases.
+ * GET /api/dashboard/fund-balances
+ */
+export const getFundBalances = async (req, res) => {
+  try {
+    const scopeFilter = await getProjectScopeFilter(req);
+    const isScoped = Object.keys(scopeFilter).length > 0;
+
+    const projects = await Project.find(scopeFilter)
+      .select("_id fund subFund")
+      .lean();
+    const projectIds = projects.map((project) => project._id);
+
+    const [sanctionTotals, paidTotals] = await Promise.all([
+      FundSanction.totalsBySubFund(
+        isScoped ? { scope: "Project", project: { $in: projectIds } } : {}
+      ),
+      Bill.paidTotalsByProject({
+        projectType: "Project",
+        project: { $in: projectIds },
+      }),
+    ]);
+
+    // Paid amount per fund/sub fund
+    const paidBySubFund = new Map();
+    projects.forEach((project) => {
+      const key = `${project.fund}|${project.subFund}`;
+      const paid = paidTotals.get(project._id.toString()) || 0;
+      paidBySubFund.set(key, (paidBySubFund.get(key) || 0) + paid);
+    });
+
+    const fundBalances = funds.map((fund) => {
+      const subFunds = fund.subFunds.map((subFund) => {
+        const rows = sanctionTotals.filter(
+          (row) => row.fund === fund.name && row.subFund === subFund.name
+        );
+        const totalOf = (scope, field) =>
+          rows
+            .filter((row) => row.scope === scope)
+            .reduce((sum, row) => sum + row[field], 0);
+
+        const projectReleased = totalOf("Project", "released");
+        const pooledReleased = totalOf("Pooled", "released");
+        const released = projectReleased + pooledReleased;
+        const paid = paidBySubFund.get(`${fund.name}|${subFund.name}`) || 0;
+
+        return {
+          name: subFund.name,
+          code: subFund.code,
+          sanctioned: roundTo2(
+            totalOf("Project", "sanctioned") + totalOf("Pooled", "sanctioned")
+          ),
+          projectReleased: roundTo2(projectReleased),
+          pooledReleased: roundTo2(pooledReleased),
+          released: roundTo2(released),
+          paid: roundTo2(paid),
+          unspent: roundTo2(released - paid),
+          utilizationRate:
+            released > 0 ? Math.round((paid / released) * 100) : 0,
+        };
+      });
+
+      const sumOf = (field) =>
+        roundTo2(subFunds.reduce((sum, subFund) => sum + subFund[field], 0));
+
+      return {
+        name: fund.name,
+        code: fund.code,
+        sanctioned: sumOf("sanctioned"),
+        released: sumOf("released"),
+        paid: sumOf("paid"),
+        unspent: sumOf("unspent"),
+        subFunds,
+      };
+    });
+
+    const totalOf = (field) =>
+      roundTo2(fundBalances.reduce((sum, fund) => sum + fund[field], 0));
+
+    res.status(200).json({
+      success: true,
+      message: "Fund balances retrieved successfully",
+      data: {
+        funds: fundBalances,
+        totals: {
+          sanctioned: totalOf("sanctioned"),
+          released: totalOf("released"),
+          paid: totalOf("paid"),
+          unspent: totalOf("unspent"),
+        },
+        includesPooledReleases: !isScoped,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching fund balances:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
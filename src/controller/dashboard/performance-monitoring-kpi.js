@@ -1,4 +1,5 @@
 import Project from "../../models/project.model.js";
+import { getProjectScopeFilter } from "../../utils/jurisdiction-scope.js";
 
 // Simple in-memory cache for KPIs (in production, use Redis)
 const kpiCache = new Map();
@@ -10,7 +11,7 @@ const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
  */
 export const getPerformanceMonitoring = async (req, res) => {
   try {
-    const { userRole, userId } = req.user;
+    const { designation: userRole, userId } = req.user;
     const { refresh = false } = req.query;
 
     const cacheKey = `performance_${userRole}_${userId}`;
@@ -27,11 +28,8 @@ export const getPerformanceMonitoring = async (req, res) => {
       }
     }
 
-    // Build filter based on user role
-    const userFilter = {};
-    if (userRole === "JE") {
-      userFilter["createdBy.userId"] = userId;
-    }
+    // Limit to projects within the user's jurisdiction
+    const userFilter = await getProjectScopeFilter(req);
 
     const now = new Date();
     const oneDayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
@@ -429,17 +427,20 @@ export const getPerformanceMonitoring = async (req, res) => {
  */
 export const getSystemAlerts = async (req, res) => {
   try {
-    const { userRole, userId } = req.user;
+    const { designation: userRole } = req.user;
     const { severity, limit = 20, includeResolved = false } = req.query;
 
-    const userFilter = {};
-    if (userRole === "JE") {
-      userFilter["createdBy.userId"] = userId;
-    }
+    // Limit to projects within the user's jurisdiction
+    const userFilter = await getProjectScopeFilter(req);
 
     const now = new Date();
     const oneWeekFromNow = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
 
+    // Deadline in force: latest approved extension, else the original end
+    const effectiveEndDate = {
+      $ifNull: ["$extensionPeriodForCompletion", "$projectEndDate"],
+    };
+
     // Generate alerts based on project conditions
     const alerts = await Project.aggregate([
       { $match: userFilter },
@@ -452,6 +453,7 @@ export const getSystemAlerts = async (req, res) => {
           progressPercentage: "$progressPercentage",
           financialProgress: "$financialProgress",
           projectEndDate: "$projectEndDate",
+          effectiveEndDate,
           estimatedCost: "$estimatedCost",
           queries: "$queries",
           alerts: {
@@ -461,7 +463,7 @@ export const getSystemAlerts = async (req, res) => {
                 $cond: [
                   {
                     $and: [
-                      { $lt: ["$projectEndDate", now] },
+                      { $lt: [effectiveEndDate, now] },
                       { $ne: ["$status", "Completed"] },
                     ],
                   },
@@ -477,10 +479,12 @@ export const getSystemAlerts = async (req, res) => {
                           "' is overdue by ",
                           {
                             $toString: {
-                              $divide: [
-                                { $subtract: [now, "$projectEndDate"] },
-                                86400000,
-                              ],
+                              $floor: {
+                                $divide: [
+                                  { $subtract: [now, effectiveEndDate] },
+                                  86400000,
+                                ],
+                              },
                             },
                           },
                           " days",
@@ -500,7 +504,7 @@ export const getSystemAlerts = async (req, res) => {
                   {
                     $and: [
                       { $lt: ["$progressPercentage", 25] },
-                      { $lt: ["$projectEndDate", oneWeekFromNow] },
+                      { $lt: [effectiveEndDate, oneWeekFromNow] },
                       { $ne: ["$status", "Completed"] },
                     ],
                   },
@@ -696,7 +700,7 @@ export const getSystemAlerts = async (req, res) => {
  */
 export const clearPerformanceCache = async (req, res) => {
   try {
-    const { userRole, userId } = req.user;
+    const { designation: userRole, userId } = req.user;
     const { cacheType = "all" } = req.body;
 
     let clearedCount = 0;
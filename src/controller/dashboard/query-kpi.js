@@ -1,5 +1,9 @@
 import ArchiveProject from "../../models/archive-project.model.js";
 import Project from "../../models/project.model.js";
+import {
+  getArchiveProjectScopeFilter,
+  getProjectScopeFilter,
+} from "../../utils/jurisdiction-scope.js";
 
 /**
  * Get query management KPIs for dashboard
@@ -7,7 +11,7 @@ import Project from "../../models/project.model.js";
  */
 export const getQueryKPIs = async (req, res) => {
   try {
-    const { userRole, userId } = req.user;
+    const userRole = req.user.designation;
     const { includeArchive = false, timeRange = "30" } = req.query;
 
     // Calculate date range
@@ -15,11 +19,8 @@ export const getQueryKPIs = async (req, res) => {
     const daysBack = Math.min(parseInt(timeRange), 365); // Max 1 year
     const startDate = new Date(now.getTime() - daysBack * 24 * 60 * 60 * 1000);
 
-    // Build filter based on user role
-    const userFilter = {};
-    if (userRole === "JE") {
-      userFilter["createdBy.userId"] = userId;
-    }
+    // Limit to projects within the user's jurisdiction
+    const userFilter = await getProjectScopeFilter(req);
 
     // Query KPIs from active projects
     const queryStats = await Project.aggregate([
@@ -361,7 +362,7 @@ export const getQueryKPIs = async (req, res) => {
     let archiveQueryStats = null;
     if (includeArchive === "true") {
       archiveQueryStats = await ArchiveProject.aggregate([
-        { $match: userRole === "JE" ? { "createdBy.userId": userId } : {} },
+        { $match: await getArchiveProjectScopeFilter(req) },
         { $unwind: { path: "$queries", preserveNullAndEmptyArrays: true } },
         {
           $match: {
@@ -495,7 +496,7 @@ export const getQueryKPIs = async (req, res) => {
  */
 export const getQueryTrends = async (req, res) => {
   try {
-    const { userRole, userId } = req.user;
+    const userRole = req.user.designation;
     const { period = "weekly", periods = 12 } = req.query;
 
     const periodsBack = Math.min(parseInt(periods), 52); // Max 52 periods
@@ -517,11 +518,8 @@ export const getQueryTrends = async (req, res) => {
         startDate.setDate(now.getDate() - periodsBack * 7); // Default to weekly
     }
 
-    // Build filter based on user role
-    const userFilter = {};
-    if (userRole === "JE") {
-      userFilter["createdBy.userId"] = userId;
-    }
+    // Limit to projects within the user's jurisdiction
+    const userFilter = await getProjectScopeFilter(req);
 
     // Determine grouping format
     let dateGroupFormat;
@@ -0,0 +1,85 @@
+import DeductionRule from "../../models/deduction-rule.model.js";
+
+// Create a statutory deduction rule (Admin only)
+const createDeductionRule = async (req, res) => {
+  try {
+    const {
+      code,
+      name,
+      type,
+      rate,
+      threshold,
+      thresholdBasis,
+      effectiveFrom,
+      effectiveTo,
+      applicableTo,
+      isActive,
+      remarks,
+    } = req.body;
+
+    if (!code?.trim() || !name?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Deduction code and name are required",
+      });
+    }
+
+    if (rate === undefined || isNaN(Number(rate))) {
+      return res.status(400).json({
+        success: false,
+        message: "Rate must be a number",
+      });
+    }
+
+    const rule = await DeductionRule.create({
+      code: code.trim(),
+      name: name.trim(),
+      type,
+      rate: Number(rate),
+      threshold: threshold !== undefined ? Number(threshold) : undefined,
+      thresholdBasis,
+      effectiveFrom,
+      effectiveTo: effectiveTo || null,
+      applicableTo,
+      isActive: isActive !== undefined ? Boolean(isActive) : true,
+      remarks: remarks?.trim(),
+      createdBy: {
+        userId: req.user.userId,
+        name: req.user.fullName || req.user.username,
+        role: req.user.designation,
+      },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Deduction rule created successfully",
+      data: rule,
+    });
+  } catch (error) {
+    console.error("Error creating deduction rule:", error);
+
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: "Deduction rule validation failed",
+        errors: error.errors
+          ? Object.values(error.errors).map((err) => err.message)
+          : [error.message],
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "A rule with this code already starts on that date",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while creating deduction rule",
+    });
+  }
+};
+
+export default createDeductionRule;
@@ -0,0 +1,88 @@
+import DeductionRule from "../../models/deduction-rule.model.js";
+
+// List deduction rules
+// Query: type, isActive, asOf (only rules in force on that date)
+export const getDeductionRules = async (req, res) => {
+  try {
+    const { type, isActive, asOf } = req.query;
+
+    const filter = {};
+    if (type) filter.type = type;
+    if (isActive !== undefined) filter.isActive = isActive === "true";
+    if (asOf) {
+      const date = new Date(asOf);
+      if (isNaN(date.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid asOf date",
+        });
+      }
+      filter.effectiveFrom = { $lte: date };
+      filter.$or = [{ effectiveTo: null }, { effectiveTo: { $gte: date } }];
+    }
+
+    const rules = await DeductionRule.find(filter)
+      .sort({ code: 1, effectiveFrom: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      message: `Retrieved ${rules.length} deduction rule(s)`,
+      data: rules,
+    });
+  } catch (error) {
+    console.error("Error retrieving deduction rules:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while retrieving deduction rules",
+    });
+  }
+};
+
+// Preview the deductions and net payable for a bill amount
+// Query: grossAmount, contractValue, billDate, projectType
+export const previewDeductions = async (req, res) => {
+  try {
+    const {
+      grossAmount,
+      contractValue,
+      billDate,
+      projectType = "Project",
+    } = req.query;
+
+    const gross = Number(grossAmount);
+    if (isNaN(gross) || gross < 0) {
+      return res.status(400).json({
+        success: false,
+        message: "grossAmount must be a non-negative number",
+      });
+    }
+
+    const date = billDate ? new Date(billDate) : new Date();
+    if (isNaN(date.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid bill date",
+      });
+    }
+
+    const result = await DeductionRule.computeForBill({
+      grossAmount: gross,
+      contractValue: Number(contractValue) || gross,
+      billDate: date,
+      projectType,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Deductions computed successfully",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Error previewing deductions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while computing deductions",
+    });
+  }
+};
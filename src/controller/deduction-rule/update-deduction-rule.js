@@ -0,0 +1,80 @@
+import mongoose from "mongoose";
+import DeductionRule from "../../models/deduction-rule.model.js";
+
+// Update a deduction rule (Admin only).
+// Deductions already applied to bills are stored on the bill and not affected;
+// to change a rate from a date, close this rule with effectiveTo and create a
+// new one.
+const updateDeductionRule = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid deduction rule ID format",
+      });
+    }
+
+    const rule = await DeductionRule.findById(id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: "Deduction rule not found",
+      });
+    }
+
+    const updatableFields = [
+      "name",
+      "type",
+      "rate",
+      "threshold",
+      "thresholdBasis",
+      "effectiveTo",
+      "applicableTo",
+      "isActive",
+      "remarks",
+    ];
+
+    updatableFields.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        rule[field] = req.body[field];
+      }
+    });
+
+    rule.lastModifiedBy = {
+      userId: req.user.userId,
+      name: req.user.fullName || req.user.username,
+      role: req.user.designation,
+      modifiedAt: new Date(),
+    };
+
+    await rule.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Deduction rule updated successfully",
+      data: rule,
+    });
+  } catch (error) {
+    console.error("Error updating deduction rule:", error);
+
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: "Deduction rule validation failed",
+        errors: error.errors
+          ? Object.values(error.errors).map((err) => err.message)
+          : [error.message],
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while updating deduction rule",
+    });
+  }
+};
+
+export default updateDeductionRule;
@@ -0,0 +1,217 @@
+import mongoose from "mongoose";
+import BudgetAllocation from "../../models/budget-allocation.model.js";
+import { setAuditContext } from "../../utils/audit.js";
+import { getUserInfo } from "../../utils/bill-utils.js";
+import { getBudgetPosition } from "../../utils/budget.js";
+import { financialYearOf } from "../../utils/financial-year.js";
+
+const validationResponse = (res, error) =>
+  res.status(400).json({
+    success: false,
+    message: "Validation failed",
+    errors: error.errors
+      ? Object.values(error.errors).map((err) => err.message)
+      : [error.message],
+  });
+
+/**
+ * Allocate a budget head for a financial year (MD/Admin)
+ * POST /api/fund/budget-allocations
+ * Body: { budgetHead, fund, subFund, financialYear, allocatedAmount,
+ *         overrunAction?: "Warn" | "Block", remarks? }
+ */
+export const createBudgetAllocation = async (req, res) => {
+  try {
+    const {
+      budgetHead,
+      fund,
+      subFund,
+      financialYear,
+      allocatedAmount,
+      overrunAction,
+      remarks,
+    } = req.body;
+
+    const allocation = await BudgetAllocation.create({
+      budgetHead: budgetHead?.trim(),
+      fund,
+      subFund,
+      financialYear: financialYear || financialYearOf(),
+      allocatedAmount: Number(allocatedAmount),
+      overrunAction,
+      remarks: remarks?.trim(),
+      createdBy: getUserInfo(req.user),
+    });
+
+    setAuditContext(res, {
+      entityType: "budget-allocation",
+      entityId: allocation._id.toString(),
+      description: `Allocated ${allocation.allocatedAmount} to budget head ${allocation.budgetHead} (${allocation.subFund}) for ${allocation.financialYear}`,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Budget allocation created successfully",
+      data: allocation,
+    });
+  } catch (error) {
+    console.error("Error creating budget allocation:", error);
+
+    if (error.name === "ValidationError") {
+      return validationResponse(res, error);
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "This budget head already has an allocation for the sub fund and financial year",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Revise the amount, overrun action or remarks of an allocation (MD/Admin)
+ * PATCH /api/fund/budget-allocations/:id
+ */
+export const updateBudgetAllocation = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid budget allocation ID format",
+      });
+    }
+
+    const allocation = await BudgetAllocation.findById(id);
+    if (!allocation) {
+      return res.status(404).json({
+        success: false,
+        message: "Budget allocation not found",
+      });
+    }
+
+    const changes = [];
+    ["allocatedAmount", "overrunAction", "remarks"].forEach((field) => {
+      if (req.body[field] === undefined) return;
+      const value =
+        field === "allocatedAmount" ? Number(req.body[field]) : req.body[field];
+      if (value !== allocation[field]) {
+        changes.push({ field, before: allocation[field], after: value });
+        allocation[field] = value;
+      }
+    });
+
+    allocation.lastModifiedBy = {
+      ...getUserInfo(req.user),
+      modifiedAt: new Date(),
+    };
+    await allocation.save();
+
+    setAuditContext(res, {
+      entityType: "budget-allocation",
+      entityId: allocation._id.toString(),
+      description: `Updated allocation of budget head ${allocation.budgetHead} (${allocation.subFund}) for ${allocation.financialYear}`,
+      changes,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Budget allocation updated successfully",
+      data: allocation,
+    });
+  } catch (error) {
+    console.error("Error updating budget allocation:", error);
+
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return validationResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * List allocations
+ * GET /api/fund/budget-allocations
+ * Query: financialYear, fund, subFund, budgetHead
+ */
+export const getBudgetAllocations = async (req, res) => {
+  try {
+    const { financialYear, fund, subFund, budgetHead } = req.query;
+
+    const filter = {};
+    if (financialYear) filter.financialYear = financialYear;
+    if (fund) filter.fund = fund;
+    if (subFund) filter.subFund = subFund;
+    if (budgetHead) filter.budgetHead = budgetHead.trim();
+
+    const allocations = await BudgetAllocation.find(filter)
+      .collation({ locale: "en", strength: 2 })
+      .sort({ financialYear: -1, fund: 1, subFund: 1, budgetHead: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      message: `Retrieved ${allocations.length} budget allocation(s)`,
+      data: allocations,
+    });
+  } catch (error) {
+    console.error("Error fetching budget allocations:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * An allocation with its commitments and expenditure project by project
+ * GET /api/fund/budget-allocations/:id
+ */
+export const getBudgetAllocationById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid budget allocation ID format",
+      });
+    }
+
+    const allocation = await BudgetAllocation.findById(id);
+    if (!allocation) {
+      return res.status(404).json({
+        success: false,
+        message: "Budget allocation not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Budget allocation retrieved successfully",
+      data: {
+        allocation,
+        position: await getBudgetPosition(allocation),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching budget allocation:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
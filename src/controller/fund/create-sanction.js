@@ -0,0 +1,116 @@
+import FundSanction from "../../models/fund-sanction.model.js";
+import { setAuditContext } from "../../utils/audit.js";
+import { getUserInfo } from "../../utils/bill-utils.js";
+import { findProjectByProjectId } from "../../utils/projects-filter.js";
+
+/**
+ * Record a sanction order (MD/Admin).
+ * A project sanction takes its fund, sub fund and sanctioning department
+ * from the project; a pooled sanction names them directly.
+ * POST /api/fund/sanctions
+ * Body: { scope: "Project" | "Pooled", projectId?, fund?, subFund?,
+ *         sanctioningDepartment?, sanctionOrderNumber, sanctionDate,
+ *         sanctionedAmount, remarks? }
+ */
+const createSanction = async (req, res) => {
+  try {
+    const {
+      scope,
+      projectId,
+      fund,
+      subFund,
+      sanctioningDepartment,
+      sanctionOrderNumber,
+      sanctionDate,
+      sanctionedAmount,
+      remarks,
+    } = req.body;
+
+    if (!["Project", "Pooled"].includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: "scope must be either 'Project' or 'Pooled'",
+      });
+    }
+
+    let fundDetails = { fund, subFund, sanctioningDepartment };
+    let project;
+
+    if (scope === "Project") {
+      if (!projectId) {
+        return res.status(400).json({
+          success: false,
+          message: "projectId is required for a project sanction",
+        });
+      }
+
+      const projectResult = await findProjectByProjectId(projectId);
+      if (!projectResult) {
+        return res.status(404).json({
+          success: false,
+          message: `Project with ID '${projectId}' not found`,
+        });
+      }
+
+      // Archive projects do not carry fund details
+      if (projectResult.projectType !== "Project") {
+        return res.status(400).json({
+          success: false,
+          message: "Fund sanctions can only be recorded for active projects",
+        });
+      }
+
+      project = projectResult.project;
+      fundDetails = {
+        fund: project.fund,
+        subFund: project.subFund,
+        sanctioningDepartment:
+          sanctioningDepartment || project.sanctioningDepartment,
+      };
+    }
+
+    const sanction = await FundSanction.create({
+      sanctionId: await FundSanction.generateSanctionId(),
+      scope,
+      project: project?._id,
+      projectId: project?.projectId,
+      ...fundDetails,
+      sanctionOrderNumber: sanctionOrderNumber?.trim(),
+      sanctionDate,
+      sanctionedAmount: Number(sanctionedAmount),
+      remarks: remarks?.trim(),
+      createdBy: getUserInfo(req.user),
+    });
+
+    setAuditContext(res, {
+      entityType: "fund-sanction",
+      entityId: sanction.sanctionId,
+      description: `Recorded sanction ${sanction.sanctionOrderNumber} for ${
+        project ? `project ${project.projectId}` : `${sanction.subFund} pool`
+      }`,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Sanction recorded successfully",
+      data: sanction,
+    });
+  } catch (error) {
+    console.error("Error creating fund sanction:", error);
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: Object.values(error.errors).map((err) => err.message),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export default createSanction;
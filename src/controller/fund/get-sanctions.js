@@ -0,0 +1,167 @@
+import mongoose from "mongoose";
+import Bill from "../../models/bill.model.js";
+import FundSanction from "../../models/fund-sanction.model.js";
+import { getProjectScopeFilter } from "../../utils/jurisdiction-scope.js";
+import { findProjectByProjectId } from "../../utils/projects-filter.js";
+
+const roundTo2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Find a sanction by sanction ID (e.g. FS_123) or MongoDB _id
+export const findSanction = async (id) => {
+  let sanction = await FundSanction.findOne({ sanctionId: id.toUpperCase() });
+
+  if (!sanction && mongoose.Types.ObjectId.isValid(id)) {
+    sanction = await FundSanction.findById(id);
+  }
+
+  return sanction;
+};
+
+/**
+ * List sanctions
+ * GET /api/fund/sanctions?fund=&subFund=&scope=&projectId=&page=&limit=
+ */
+export const getSanctions = async (req, res) => {
+  try {
+    const { fund, subFund, scope, projectId, page = 1, limit = 20 } = req.query;
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const filter = {};
+    if (fund) filter.fund = fund;
+    if (subFund) filter.subFund = subFund;
+    if (scope) filter.scope = scope;
+    if (projectId) filter.projectId = projectId;
+
+    const [sanctions, total] = await Promise.all([
+      FundSanction.find(filter)
+        .sort({ sanctionDate: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      FundSanction.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: "Sanctions retrieved successfully",
+      data: sanctions,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        totalItems: total,
+        itemsPerPage: limitNum,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching fund sanctions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Get a sanction with its installment releases
+ * GET /api/fund/sanctions/:sanctionId
+ */
+export const getSanctionById = async (req, res) => {
+  try {
+    const sanction = await findSanction(req.params.sanctionId);
+
+    if (!sanction) {
+      return res.status(404).json({
+        success: false,
+        message: `Sanction with ID '${req.params.sanctionId}' not found`,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Sanction retrieved successfully",
+      data: sanction,
+    });
+  } catch (error) {
+    console.error("Error fetching fund sanction:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Funds released to a project and its available balance: released less
+ * the payments recorded on its bills, gross of statutory deductions
+ * GET /api/fund/project/:projectId/balance
+ */
+export const getProjectFundBalance = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    const projectResult = await findProjectByProjectId(projectId);
+    if (!projectResult || projectResult.projectType !== "Project") {
+      return res.status(404).json({
+        success: false,
+        message: `Project with ID '${projectId}' not found`,
+      });
+    }
+
+    const { project } = projectResult;
+    const scopeFilter = await getProjectScopeFilter(req);
+    if (
+      Object.keys(scopeFilter).length > 0 &&
+      !(await project.constructor.exists({
+        $and: [{ _id: project._id }, scopeFilter],
+      }))
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "This project is outside your jurisdiction",
+      });
+    }
+
+    const [sanctions, paidTotals] = await Promise.all([
+      FundSanction.find({ scope: "Project", project: project._id }).sort({
+        sanctionDate: 1,
+      }),
+      Bill.paidTotalsByProject({
+        project: project._id,
+        projectType: "Project",
+      }),
+    ]);
+
+    const sanctioned = roundTo2(
+      sanctions.reduce((sum, sanction) => sum + sanction.sanctionedAmount, 0)
+    );
+    const released = roundTo2(
+      sanctions.reduce((sum, sanction) => sum + sanction.totalReleased, 0)
+    );
+    const paid = roundTo2(paidTotals.get(project._id.toString()) || 0);
+
+    res.status(200).json({
+      success: true,
+      message: "Fund balance retrieved successfully",
+      data: {
+        projectId: project.projectId,
+        fund: project.fund,
+        subFund: project.subFund,
+        sanctioningDepartment: project.sanctioningDepartment,
+        estimatedCost: project.estimatedCost,
+        sanctioned,
+        released,
+        pendingRelease: roundTo2(sanctioned - released),
+        paid,
+        availableBalance: roundTo2(released - paid),
+        sanctions,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching project fund balance:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
@@ -0,0 +1,126 @@
+import UtilizationCertificate from "../../models/utilization-certificate.model.js";
+import { setAuditContext } from "../../utils/audit.js";
+import { getUserInfo, toSupportingDocuments } from "../../utils/bill-utils.js";
+import { findSanction } from "./get-sanctions.js";
+
+/**
+ * Record an installment released against a sanction (MD/Admin)
+ * POST /api/fund/sanctions/:sanctionId/releases
+ * Body: { releaseOrderNumber, releaseDate, amount, remarks? }
+ */
+export const recordRelease = async (req, res) => {
+  try {
+    const { sanctionId } = req.params;
+    const { releaseOrderNumber, releaseDate, amount, remarks } = req.body;
+
+    const sanction = await findSanction(sanctionId);
+    if (!sanction) {
+      return res.status(404).json({
+        success: false,
+        message: `Sanction with ID '${sanctionId}' not found`,
+      });
+    }
+
+    const releaseAmount = Number(amount);
+    if (isNaN(releaseAmount) || releaseAmount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Release amount must be a positive number",
+      });
+    }
+
+    const date = new Date(releaseDate);
+    if (!releaseDate || isNaN(date.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid release date is required",
+      });
+    }
+
+    if (date < sanction.sanctionDate) {
+      return res.status(400).json({
+        success: false,
+        message: "Release date cannot be before the sanction date",
+      });
+    }
+
+    if (releaseAmount > sanction.pendingRelease) {
+      return res.status(400).json({
+        success: false,
+        message: `Release exceeds the unreleased sanction amount of ${sanction.pendingRelease}`,
+      });
+    }
+
+    // Installments after the first are normally released only against a UC
+    // covering the previous installment
+    const warnings = [];
+    const previousRelease = sanction.releases[sanction.releases.length - 1];
+    if (previousRelease) {
+      const latestUc = await UtilizationCertificate.findLatestSubmitted(
+        sanction.fund,
+        sanction.subFund
+      );
+      if (!latestUc || latestUc.periodTo < previousRelease.releaseDate) {
+        warnings.push(
+          `No submitted utilization certificate for ${
+            sanction.subFund
+          } covers installment ${
+            previousRelease.installmentNumber
+          } released on ${
+            previousRelease.releaseDate.toISOString().split("T")[0]
+          }`
+        );
+      }
+    }
+
+    sanction.releases.push({
+      installmentNumber: sanction.releases.length + 1,
+      releaseOrderNumber: releaseOrderNumber?.trim(),
+      releaseDate: date,
+      amount: releaseAmount,
+      remarks: remarks?.trim(),
+      documents: toSupportingDocuments(req.firebaseFiles),
+      recordedBy: getUserInfo(req.user),
+    });
+
+    const before = sanction.totalReleased;
+    await sanction.save();
+
+    setAuditContext(res, {
+      entityType: "fund-sanction",
+      entityId: sanction.sanctionId,
+      description: `Recorded installment ${sanction.releases.length} of sanction ${sanction.sanctionOrderNumber}`,
+      changes: [
+        { field: "totalReleased", before, after: sanction.totalReleased },
+      ],
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Release recorded successfully",
+      data: {
+        release: sanction.releases[sanction.releases.length - 1],
+        sanctionId: sanction.sanctionId,
+        sanctionedAmount: sanction.sanctionedAmount,
+        totalReleased: sanction.totalReleased,
+        pendingRelease: sanction.pendingRelease,
+      },
+      warnings,
+    });
+  } catch (error) {
+    console.error("Error recording fund release:", error);
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: Object.values(error.errors).map((err) => err.message),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
@@ -0,0 +1,299 @@
+import mongoose from "mongoose";
+import UtilizationCertificate from "../../models/utilization-certificate.model.js";
+import { setAuditContext } from "../../utils/audit.js";
+import { getUserInfo } from "../../utils/bill-utils.js";
+import { funds } from "../../utils/constants.js";
+import {
+  buildUtilizationCertificateWorkbook,
+  computeUtilization,
+} from "../../utils/utilization-certificate.js";
+import { generateUtilizationCertificatePDF } from "../../utils/utilization-certificate-pdf-generator.js";
+
+// Find a UC by UC ID (e.g. UC_123) or MongoDB _id
+const findUtilizationCertificate = async (id) => {
+  let uc = await UtilizationCertificate.findOne({ ucId: id.toUpperCase() });
+
+  if (!uc && mongoose.Types.ObjectId.isValid(id)) {
+    uc = await UtilizationCertificate.findById(id);
+  }
+
+  return uc;
+};
+
+/**
+ * Generate (or regenerate while still in draft) the UC of a sub fund for
+ * a period (MD/Admin)
+ * POST /api/fund/uc
+ * Body: { fund, subFund, periodFrom, periodTo, grantType? }
+ */
+export const generateUtilizationCertificate = async (req, res) => {
+  try {
+    const { fund, subFund, periodFrom, periodTo, grantType } = req.body;
+
+    const mainFund = funds.find((item) => item.name === fund);
+    if (!mainFund?.subFunds.some((item) => item.name === subFund)) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid fund and sub fund are required",
+      });
+    }
+
+    const from = new Date(periodFrom);
+    const to = new Date(periodTo);
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || to < from) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid period (periodFrom to periodTo) is required",
+      });
+    }
+    to.setHours(23, 59, 59, 999);
+
+    let uc = await UtilizationCertificate.findOne({
+      fund,
+      subFund,
+      periodFrom: from,
+      periodTo: to,
+    });
+
+    if (uc && uc.status !== "Draft") {
+      return res.status(409).json({
+        success: false,
+        message: `UC ${
+          uc.ucId
+        } for this period is already ${uc.status.toLowerCase()}`,
+      });
+    }
+
+    const figures = await computeUtilization({
+      fund,
+      subFund,
+      periodFrom: from,
+      periodTo: to,
+    });
+
+    const isNew = !uc;
+    if (isNew) {
+      uc = new UtilizationCertificate({
+        ucId: await UtilizationCertificate.generateUcId(),
+        fund,
+        subFund,
+        periodFrom: from,
+        periodTo: to,
+        createdBy: getUserInfo(req.user),
+      });
+    }
+    if (grantType) uc.grantType = grantType;
+    uc.set(figures);
+
+    await uc.save();
+
+    setAuditContext(res, {
+      entityType: "utilization-certificate",
+      entityId: uc.ucId,
+      description: `${isNew ? "Generated" : "Regenerated"} UC for ${subFund}`,
+    });
+
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      message: `Utilization certificate ${
+        isNew ? "generated" : "regenerated"
+      } successfully`,
+      data: uc,
+    });
+  } catch (error) {
+    console.error("Error generating utilization certificate:", error);
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: Object.values(error.errors).map((err) => err.message),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * List UCs
+ * GET /api/fund/uc?fund=&subFund=&status=
+ */
+export const getUtilizationCertificates = async (req, res) => {
+  try {
+    const { fund, subFund, status } = req.query;
+
+    const filter = {};
+    if (fund) filter.fund = fund;
+    if (subFund) filter.subFund = subFund;
+    if (status) filter.status = status;
+
+    const certificates = await UtilizationCertificate.find(filter)
+      .select("-releases -projects")
+      .sort({ periodTo: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      message: "Utilization certificates retrieved successfully",
+      data: certificates,
+    });
+  } catch (error) {
+    console.error("Error fetching utilization certificates:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Get a UC, or download it as PDF or XLSX
+ * GET /api/fund/uc/:ucId?format=json|pdf|xlsx
+ */
+export const getUtilizationCertificateById = async (req, res) => {
+  try {
+    const { format = "json" } = req.query;
+
+    if (!["json", "pdf", "xlsx"].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: "format must be one of: json, pdf, xlsx",
+      });
+    }
+
+    const uc = await findUtilizationCertificate(req.params.ucId);
+    if (!uc) {
+      return res.status(404).json({
+        success: false,
+        message: `Utilization certificate with ID '${req.params.ucId}' not found`,
+      });
+    }
+
+    if (format === "pdf") {
+      const pdfBuffer = await generateUtilizationCertificatePDF(uc);
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${uc.ucId}.pdf"`
+      );
+      res.setHeader("Content-Length", pdfBuffer.length);
+      return res.send(pdfBuffer);
+    }
+
+    if (format === "xlsx") {
+      const workbook = buildUtilizationCertificateWorkbook(uc);
+      res.setHeader(
+        "Content-Type",
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+      );
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${uc.ucId}.xlsx"`
+      );
+      await workbook.xlsx.write(res);
+      return res.end();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Utilization certificate retrieved successfully",
+      data: uc,
+    });
+  } catch (error) {
+    console.error("Error fetching utilization certificate:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Mark a UC as submitted to, or accepted by, the sanctioning department
+ * (MD/Admin). Draft -> Submitted -> Accepted.
+ * PATCH /api/fund/uc/:ucId/status
+ * Body: { status: "Submitted" | "Accepted", letterNumber?, remarks? }
+ */
+export const updateUtilizationCertificateStatus = async (req, res) => {
+  try {
+    const { status, letterNumber, remarks } = req.body || {};
+
+    const expectedCurrent = { Submitted: "Draft", Accepted: "Submitted" };
+    if (!expectedCurrent[status]) {
+      return res.status(400).json({
+        success: false,
+        message: "status must be either 'Submitted' or 'Accepted'",
+      });
+    }
+
+    const uc = await findUtilizationCertificate(req.params.ucId);
+    if (!uc) {
+      return res.status(404).json({
+        success: false,
+        message: `Utilization certificate with ID '${req.params.ucId}' not found`,
+      });
+    }
+
+    if (uc.status !== expectedCurrent[status]) {
+      return res.status(409).json({
+        success: false,
+        message: `Only ${expectedCurrent[
+          status
+        ].toLowerCase()} UCs can be marked ${status.toLowerCase()}. Current status: '${
+          uc.status
+        }'`,
+      });
+    }
+
+    const before = uc.status;
+    uc.status = status;
+
+    if (status === "Submitted") {
+      uc.submission = {
+        letterNumber: letterNumber?.trim(),
+        submittedAt: new Date(),
+        submittedBy: getUserInfo(req.user),
+      };
+    } else {
+      uc.acceptance = {
+        acceptedAt: new Date(),
+        recordedBy: getUserInfo(req.user),
+        remarks: remarks?.trim(),
+      };
+    }
+
+    await uc.save();
+
+    setAuditContext(res, {
+      entityType: "utilization-certificate",
+      entityId: uc.ucId,
+      description: `Marked UC ${uc.ucId} as ${status.toLowerCase()}`,
+      changes: [{ field: "status", before, after: status }],
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Utilization certificate marked as ${status.toLowerCase()}`,
+      data: uc,
+    });
+  } catch (error) {
+    console.error("Error updating utilization certificate status:", error);
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: Object.values(error.errors).map((err) => err.message),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
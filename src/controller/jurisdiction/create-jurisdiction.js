@@ -0,0 +1,72 @@
+import Jurisdiction from "../../models/jurisdiction.model.js";
+
+// Create a circle or division (Admin only)
+const createJurisdiction = async (req, res) => {
+  try {
+    const { code, name, type, circle, districts = [], isActive } = req.body;
+
+    if (!code?.trim() || !name?.trim() || !type) {
+      return res.status(400).json({
+        success: false,
+        message: "Code, name and type are required",
+      });
+    }
+
+    if (type === "division" && circle) {
+      const parent = await Jurisdiction.findOne({
+        type: "circle",
+        code: circle.trim().toUpperCase(),
+      });
+      if (!parent) {
+        return res.status(400).json({
+          success: false,
+          message: `Circle '${circle}' not found`,
+        });
+      }
+    }
+
+    const jurisdiction = await Jurisdiction.create({
+      code: code.trim(),
+      name: name.trim(),
+      type,
+      circle: circle?.trim(),
+      districts: Array.isArray(districts) ? districts : [districts],
+      isActive: isActive !== undefined ? Boolean(isActive) : true,
+      createdBy: {
+        userId: req.user.userId,
+        name: req.user.fullName || req.user.username,
+        role: req.user.designation,
+      },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Jurisdiction created successfully",
+      data: jurisdiction,
+    });
+  } catch (error) {
+    console.error("Error creating jurisdiction:", error);
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Jurisdiction validation failed",
+        errors: Object.values(error.errors).map((err) => err.message),
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "Jurisdiction code already exists",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while creating jurisdiction",
+    });
+  }
+};
+
+export default createJurisdiction;
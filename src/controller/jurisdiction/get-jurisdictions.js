@@ -0,0 +1,55 @@
+import Jurisdiction from "../../models/jurisdiction.model.js";
+
+// List circles and divisions, with each circle's divisions nested under it
+// Query: type, isActive
+const getJurisdictions = async (req, res) => {
+  try {
+    const { type, isActive } = req.query;
+
+    const filter = {};
+    if (type) filter.type = type;
+    if (isActive !== undefined) filter.isActive = isActive === "true";
+
+    const jurisdictions = await Jurisdiction.find(filter)
+      .sort({ type: 1, code: 1 })
+      .lean();
+
+    const divisions = jurisdictions.filter((j) => j.type === "division");
+    const circles = jurisdictions
+      .filter((j) => j.type === "circle")
+      .map((circle) => {
+        const circleDivisions = divisions.filter(
+          (division) => division.circle === circle.code
+        );
+
+        return {
+          ...circle,
+          divisions: circleDivisions,
+          // Every district covered by the circle
+          coveredDistricts: [
+            ...new Set([
+              ...circle.districts,
+              ...circleDivisions.flatMap((division) => division.districts),
+            ]),
+          ].sort(),
+        };
+      });
+
+    res.status(200).json({
+      success: true,
+      message: `Retrieved ${jurisdictions.length} jurisdiction(s)`,
+      data: {
+        circles,
+        divisions,
+      },
+    });
+  } catch (error) {
+    console.error("Error retrieving jurisdictions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while retrieving jurisdictions",
+    });
+  }
+};
+
+export default getJurisdictions;
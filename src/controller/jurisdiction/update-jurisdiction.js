@@ -0,0 +1,85 @@
+import Jurisdiction from "../../models/jurisdiction.model.js";
+import { setAuditContext } from "../../utils/audit.js";
+
+// Update a circle or division (Admin only)
+// Users posted to it see the new districts on their next request
+const updateJurisdiction = async (req, res) => {
+  try {
+    const { code } = req.params;
+
+    const jurisdiction = await Jurisdiction.findOne({
+      code: code.toUpperCase(),
+    });
+
+    if (!jurisdiction) {
+      return res.status(404).json({
+        success: false,
+        message: `Jurisdiction '${code}' not found`,
+      });
+    }
+
+    if (req.body.circle !== undefined && jurisdiction.type === "division") {
+      const parent = await Jurisdiction.findOne({
+        type: "circle",
+        code: String(req.body.circle).trim().toUpperCase(),
+      });
+      if (!parent) {
+        return res.status(400).json({
+          success: false,
+          message: `Circle '${req.body.circle}' not found`,
+        });
+      }
+    }
+
+    const before = jurisdiction.toObject();
+    const updatableFields = ["name", "circle", "districts", "isActive"];
+
+    updatableFields.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        jurisdiction[field] = req.body[field];
+      }
+    });
+
+    jurisdiction.lastModifiedBy = {
+      userId: req.user.userId,
+      name: req.user.fullName || req.user.username,
+      role: req.user.designation,
+      modifiedAt: new Date(),
+    };
+
+    await jurisdiction.save();
+
+    setAuditContext(res, {
+      entityType: "jurisdiction",
+      entityId: jurisdiction.code,
+      before,
+      after: jurisdiction.toObject(),
+      fields: updatableFields,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Jurisdiction updated successfully",
+      data: jurisdiction,
+    });
+  } catch (error) {
+    console.error("Error updating jurisdiction:", error);
+
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: "Jurisdiction validation failed",
+        errors: error.errors
+          ? Object.values(error.errors).map((err) => err.message)
+          : [error.message],
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while updating jurisdiction",
+    });
+  }
+};
+
+export default updateJurisdiction;
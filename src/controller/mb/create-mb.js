@@ -2,6 +2,7 @@ import mongoose from "mongoose";
 import ArchiveProject from "../../models/archive-project.model.js";
 import MeasurementBook from "../../models/mb.model.js";
 import Project from "../../models/project.model.js";
+import ScheduleOfRates from "../../models/schedule-of-rates.model.js";
 
 const createMeasurementBooks = async (req, res) => {
   const session = await mongoose.startSession();
@@ -161,10 +162,15 @@ const createMeasurementBooks = async (req, res) => {
           dateOfCommencement: new Date(mbData.dateOfCommencement),
           dateOfCompletion: new Date(mbData.dateOfCompletion),
           dateOfMeasurement: new Date(mbData.dateOfMeasurement),
+          sorEdition: mbData.sorEdition,
           measurements: mbData.measurements.map((measurement) => ({
             id: measurement.id,
             description: measurement.description.trim(),
             unit: measurement.unit.trim(),
+            itemCode: measurement.itemCode,
+            dimensions: measurement.dimensions || [],
+            quantity: measurement.quantity,
+            rate: measurement.rate,
             uploadedFile: {
               fileName: measurement.uploadedFile.fileName,
               originalName: measurement.uploadedFile.originalName,
@@ -183,6 +189,18 @@ const createMeasurementBooks = async (req, res) => {
           },
         };
 
+        // Rates of items with an item code come from the schedule of rates
+        const rateErrors = await ScheduleOfRates.applyRates(
+          measurementBookData.measurements,
+          mbData.sorEdition
+        );
+        if (rateErrors.length > 0) {
+          rateErrors.forEach((rateError) =>
+            errors.push(`MB ${index}, ${rateError}`)
+          );
+          continue;
+        }
+
         // Add metadata for response
         measurementBookData._projectId = mbData.project;
         measurementBookData._projectType = projectType;
@@ -226,6 +244,7 @@ const createMeasurementBooks = async (req, res) => {
           project: mb._projectId || mb.project,
           projectType: mb._projectType || mb.projectType,
           totalMeasurements: mb.measurements.length,
+          totalAmount: mb.totalAmount,
         })),
         summary: {
           totalCreated: savedMBs.length,
@@ -1,4 +1,6 @@
+import Bill from "../../models/bill.model.js";
 import MeasurementBook from "../../models/mb.model.js";
+import { setAuditContext } from "../../utils/audit.js";
 import { deleteMultipleFilesFromFirebase } from "../../utils/firebase.js";
 
 /**
@@ -32,11 +34,38 @@ const deleteMeasurementBook = async (req, res) => {
       });
     }
 
+    // MBs covered by a bill back its amount and must be kept
+    const billed = await Bill.findBilledMeasurementBooks([measurementBook._id]);
+    if (billed.size > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Measurement Book is covered by bill ${billed.get(
+          measurementBook._id.toString()
+        )} and cannot be deleted`,
+      });
+    }
+
     // Collect all file paths for deletion
     const filePaths = measurementBook.measurements.map(
       (measurement) => measurement.uploadedFile.filePath
     );
 
+    setAuditContext(res, {
+      entityType: "mb",
+      entityId: measurementBook.mbId,
+      description: `Deleted measurement book ${measurementBook.mbNo}`,
+      before: {
+        mbId: measurementBook.mbId,
+        mbNo: measurementBook.mbNo,
+        project: measurementBook.project,
+        approvalStatus: measurementBook.approvalStatus,
+        totalAmount: measurementBook.totalAmount,
+        measurements: measurementBook.measurements.length,
+        files: filePaths,
+      },
+      after: {},
+    });
+
     // Delete the measurement book from database
     await MeasurementBook.findByIdAndDelete(measurementBook._id);
 
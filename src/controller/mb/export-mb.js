@@ -1,77 +1,523 @@
+import ExcelJS from "exceljs";
+import PDFDocument from "pdfkit";
 import MeasurementBook from "../../models/mb.model.js";
+import { mbApprovalStatus } from "../../utils/constants.js";
+import { buildAbstractOfCost } from "../../utils/mb-utils.js";
+import { findProjectByProjectId } from "../../utils/projects-filter.js";
 
+const EXPORT_FORMATS = ["csv", "xlsx", "pdf"];
+
+// One column per field of a measurement item row
+const EXPORT_COLUMNS = [
+  { header: "MB ID", key: "mbId", width: 14 },
+  { header: "MB No", key: "mbNo", width: 12 },
+  { header: "Name of Work", key: "nameOfWork", width: 40 },
+  { header: "Location", key: "location", width: 20 },
+  { header: "Contractor", key: "contractor", width: 24 },
+  { header: "Tender Agreement", key: "tenderAgreement", width: 20 },
+  { header: "A.A. / F.S. No", key: "aaOrFsNo", width: 16 },
+  { header: "A.A. / F.S. Date", key: "aaOrFsDate", width: 14 },
+  { header: "Sl No of Bill", key: "slNoOfBill", width: 12 },
+  { header: "Date of Measurement", key: "dateOfMeasurement", width: 16 },
+  { header: "Approval Status", key: "approvalStatus", width: 18 },
+  { header: "Item Sl No", key: "itemSlNo", width: 10 },
+  { header: "Item Code", key: "itemCode", width: 12 },
+  { header: "Item Description", key: "description", width: 50 },
+  { header: "Unit", key: "unit", width: 10 },
+  { header: "Quantity", key: "quantity", width: 12 },
+  { header: "Rate", key: "rate", width: 12 },
+  { header: "Amount", key: "amount", width: 14 },
+  { header: "File Name", key: "fileName", width: 30 },
+  { header: "File URL", key: "fileURL", width: 50 },
+  { header: "Created By", key: "createdBy", width: 20 },
+  { header: "Created At", key: "createdAt", width: 14 },
+];
+
+const formatDate = (date) =>
+  date ? new Date(date).toISOString().split("T")[0] : "";
+
+const formatAmount = (amount) =>
+  (Number(amount) || 0).toLocaleString("en-IN", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+
+// Flatten measurement books into one row per measurement item
+const buildExportRows = (measurementBooks) => {
+  const rows = [];
+
+  measurementBooks.forEach((mb) => {
+    (mb.measurements || []).forEach((measurement, index) => {
+      rows.push({
+        mbId: mb.mbId,
+        mbNo: mb.mbNo,
+        nameOfWork: mb.nameOfWork,
+        location: mb.location,
+        contractor: mb.contractor,
+        tenderAgreement: mb.tenderAgreement || "",
+        aaOrFsNo: mb.aaOrFsNo || "",
+        aaOrFsDate: formatDate(mb.aaOrFsDate),
+        slNoOfBill: mb.slNoOfBill || "",
+        dateOfMeasurement: formatDate(mb.dateOfMeasurement),
+        approvalStatus: mb.approvalStatus || "Draft",
+        itemSlNo: index + 1,
+        itemCode: measurement.itemCode || "",
+        description: measurement.description,
+        unit: measurement.unit,
+        quantity: measurement.quantity || 0,
+        rate: measurement.rate || 0,
+        amount: measurement.amount || 0,
+        fileName: measurement.uploadedFile?.originalName || "",
+        fileURL: measurement.uploadedFile?.downloadURL || "",
+        createdBy: mb.createdBy?.name || "",
+        createdAt: formatDate(mb.createdAt),
+      });
+    });
+  });
+
+  return rows;
+};
+
+// Escape a value for CSV. Text starting with a formula character is
+// prefixed with a quote so spreadsheet apps don't evaluate it.
+const escapeCSVValue = (value) => {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "number") return String(value);
+
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+const convertRowsToCSV = (rows) => {
+  const lines = [
+    EXPORT_COLUMNS.map((column) => escapeCSVValue(column.header)).join(","),
+    ...rows.map((row) =>
+      EXPORT_COLUMNS.map((column) => escapeCSVValue(row[column.key])).join(",")
+    ),
+  ];
+
+  // BOM so Excel opens the UTF-8 file with the right encoding
+  return "\uFEFF" + lines.join("\r\n");
+};
+
+const writeWorkbook = async (res, { rows, measurementBooks, project }) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = "iPMS";
+  workbook.created = new Date();
+
+  // Measurements sheet
+  const worksheet = workbook.addWorksheet("Measurements", {
+    views: [{ state: "frozen", ySplit: 1 }],
+  });
+  worksheet.columns = EXPORT_COLUMNS;
+  worksheet.getRow(1).font = { bold: true };
+  rows.forEach((row) => worksheet.addRow(row));
+
+  ["quantity"].forEach((key) => {
+    worksheet.getColumn(key).numFmt = "0.000";
+  });
+  ["rate", "amount"].forEach((key) => {
+    worksheet.getColumn(key).numFmt = "#,##0.00";
+  });
+
+  const totalRow = worksheet.addRow({
+    description: "Total",
+    amount: rows.reduce((sum, row) => sum + row.amount, 0),
+  });
+  totalRow.font = { bold: true };
+
+  // Abstract of cost sheet
+  const abstract = buildAbstractOfCost(measurementBooks);
+  const abstractSheet = workbook.addWorksheet("Abstract of Cost");
+  abstractSheet.columns = [
+    { header: "Sl No", key: "slNo", width: 8 },
+    { header: "Item Code", key: "itemCode", width: 12 },
+    { header: "Description", key: "description", width: 50 },
+    { header: "Unit", key: "unit", width: 10 },
+    { header: "Quantity", key: "quantity", width: 12 },
+    { header: "Rate", key: "rate", width: 12 },
+    { header: "Amount", key: "amount", width: 14 },
+    { header: "MB IDs", key: "mbIds", width: 30 },
+  ];
+  abstractSheet.getRow(1).font = { bold: true };
+  abstract.items.forEach((item) =>
+    abstractSheet.addRow({ ...item, mbIds: item.mbIds.join(", ") })
+  );
+  abstractSheet.getColumn("quantity").numFmt = "0.000";
+  abstractSheet.getColumn("rate").numFmt = "#,##0.00";
+  abstractSheet.getColumn("amount").numFmt = "#,##0.00";
+  abstractSheet.addRow({
+    description: "Total",
+    amount: abstract.totalAmount,
+  }).font = { bold: true };
+
+  // Project details sheet
+  const infoSheet = workbook.addWorksheet("Project");
+  infoSheet.columns = [
+    { header: "Field", key: "field", width: 24 },
+    { header: "Value", key: "value", width: 50 },
+  ];
+  infoSheet.getRow(1).font = { bold: true };
+  [
+    ["Project ID", project.projectId],
+    ["Project Name", project.projectName || project.nameOfWork],
+    ["Measurement Books", measurementBooks.length],
+    ["Measurement Items", rows.length],
+    ["Exported At", new Date().toISOString()],
+  ].forEach(([field, value]) => infoSheet.addRow({ field, value }));
+
+  res.setHeader(
+    "Content-Type",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+  );
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="measurement-books-${
+      project.projectId
+    }-${Date.now()}.xlsx"`
+  );
+
+  await workbook.xlsx.write(res);
+  res.end();
+};
+
+// Columns of the item table in the printable MB (landscape A4)
+const PDF_TABLE_COLUMNS = [
+  { label: "Sl", width: 30, align: "center" },
+  { label: "Item / Description", width: 290 },
+  { label: "Nos", width: 40, align: "right" },
+  { label: "L", width: 50, align: "right" },
+  { label: "B", width: 50, align: "right" },
+  { label: "D", width: 50, align: "right" },
+  { label: "Qty", width: 60, align: "right" },
+  { label: "Unit", width: 45, align: "center" },
+  { label: "Rate", width: 60, align: "right" },
+  { label: "Amount", width: 77, align: "right" },
+];
+
+const PDF_MARGIN = 40;
+
+const drawPDFRow = (doc, cells, y, { bold = false } = {}) => {
+  let x = PDF_MARGIN;
+  const heights = cells.map((cell, index) =>
+    doc.heightOfString(String(cell ?? ""), {
+      width: PDF_TABLE_COLUMNS[index].width - 6,
+    })
+  );
+  const rowHeight = Math.max(...heights, 10) + 6;
+
+  doc.font(bold ? "Helvetica-Bold" : "Helvetica");
+  cells.forEach((cell, index) => {
+    const column = PDF_TABLE_COLUMNS[index];
+    doc.rect(x, y, column.width, rowHeight).stroke();
+    doc.text(String(cell ?? ""), x + 3, y + 3, {
+      width: column.width - 6,
+      align: column.align || "left",
+    });
+    x += column.width;
+  });
+
+  return y + rowHeight;
+};
+
+// Start a new page when the next row would run into the bottom margin
+const ensurePDFSpace = (doc, y, needed) => {
+  if (y + needed <= doc.page.height - PDF_MARGIN - 20) return y;
+
+  doc.addPage();
+  doc.fontSize(8);
+  return drawPDFRow(
+    doc,
+    PDF_TABLE_COLUMNS.map((column) => column.label),
+    PDF_MARGIN,
+    { bold: true }
+  );
+};
+
+const formatDimension = (value) =>
+  value === undefined || value === null ? "" : String(value);
+
+const addMBToPDF = (doc, mb) => {
+  doc.fontSize(14).font("Helvetica-Bold").text("MEASUREMENT BOOK", {
+    align: "center",
+  });
+  doc.moveDown(0.5);
+
+  doc.fontSize(9).font("Helvetica");
+  [
+    ["MB No", `${mb.mbNo} (${mb.mbId})`],
+    ["Name of Work", mb.nameOfWork],
+    ["Location", mb.location],
+    ["Contractor", mb.contractor],
+    ["Tender Agreement", mb.tenderAgreement || "-"],
+    [
+      "A.A. / F.S. No & Date",
+      `${mb.aaOrFsNo || "-"} ${
+        mb.aaOrFsDate ? `dt. ${formatDate(mb.aaOrFsDate)}` : ""
+      }`,
+    ],
+    ["Sl No of Bill", mb.slNoOfBill || "-"],
+    [
+      "Commencement / Completion",
+      `${formatDate(mb.dateOfCommencement)} / ${formatDate(
+        mb.dateOfCompletion
+      )}`,
+    ],
+    ["Date of Measurement", formatDate(mb.dateOfMeasurement)],
+    ["Approval Status", mb.approvalStatus || "Draft"],
+  ].forEach(([label, value]) => {
+    doc.font("Helvetica-Bold").text(`${label}: `, { continued: true });
+    doc.font("Helvetica").text(String(value ?? ""));
+  });
+
+  doc.moveDown(0.5);
+  doc.fontSize(8);
+
+  let y = drawPDFRow(
+    doc,
+    PDF_TABLE_COLUMNS.map((column) => column.label),
+    doc.y,
+    { bold: true }
+  );
+
+  (mb.measurements || []).forEach((measurement, index) => {
+    const description = measurement.itemCode
+      ? `[${measurement.itemCode}] ${measurement.description}`
+      : measurement.description;
+
+    y = ensurePDFSpace(doc, y, 40);
+    y = drawPDFRow(
+      doc,
+      [index + 1, description, "", "", "", "", "", measurement.unit, "", ""],
+      y,
+      { bold: true }
+    );
+
+    (measurement.dimensions || []).forEach((dimension) => {
+      y = ensurePDFSpace(doc, y, 20);
+      y = drawPDFRow(
+        doc,
+        [
+          "",
+          `${dimension.isDeduction ? "Deduct: " : ""}${
+            dimension.description || ""
+          }`,
+          formatDimension(dimension.nos),
+          formatDimension(dimension.length),
+          formatDimension(dimension.breadth),
+          formatDimension(dimension.depth),
+          (dimension.quantity || 0).toFixed(3),
+          "",
+          "",
+          "",
+        ],
+        y
+      );
+    });
+
+    y = ensurePDFSpace(doc, y, 20);
+    y = drawPDFRow(
+      doc,
+      [
+        "",
+        "Total",
+        "",
+        "",
+        "",
+        "",
+        (measurement.quantity || 0).toFixed(3),
+        measurement.unit,
+        formatAmount(measurement.rate),
+        formatAmount(measurement.amount),
+      ],
+      y
+    );
+  });
+
+  y = ensurePDFSpace(doc, y, 20);
+  y = drawPDFRow(
+    doc,
+    [
+      "",
+      "Total amount of this MB",
+      "",
+      "",
+      "",
+      "",
+      "",
+      "",
+      "",
+      formatAmount(mb.totalAmount),
+    ],
+    y,
+    { bold: true }
+  );
+
+  // Signature block
+  y = ensurePDFSpace(doc, y, 70);
+  doc.fontSize(9).font("Helvetica");
+  const checked = mb.checkMeasurement?.checkedBy?.name
+    ? `${mb.checkMeasurement.checkedBy.name} on ${formatDate(
+        mb.checkMeasurement.checkedAt
+      )}`
+    : "";
+  doc.text(
+    `Measured and recorded by: ${mb.createdBy?.name || ""}`,
+    PDF_MARGIN,
+    y + 30
+  );
+  doc.text(`Check measured by: ${checked}`, PDF_MARGIN + 420, y + 30);
+};
+
+const writePDF = (res, { measurementBooks, project }) => {
+  const doc = new PDFDocument({
+    margin: PDF_MARGIN,
+    size: "A4",
+    layout: "landscape",
+  });
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="measurement-books-${
+      project.projectId
+    }-${Date.now()}.pdf"`
+  );
+  doc.pipe(res);
+
+  if (measurementBooks.length === 0) {
+    doc
+      .fontSize(12)
+      .text(`No measurement books found for project ${project.projectId}`);
+  }
+
+  measurementBooks.forEach((mb, index) => {
+    if (index > 0) doc.addPage();
+    addMBToPDF(doc, mb);
+  });
+
+  doc.end();
+};
+
+/**
+ * Export the measurement books of a project
+ * GET /api/mb/project/:projectId/export
+ * Query: format (csv|xlsx|pdf), startDate, endDate (on dateOfMeasurement),
+ *        approvalStatus
+ */
 export const exportMBData = async (req, res) => {
   try {
     const { projectId } = req.params;
-    const { status, startDate, endDate } = req.query;
-    console.log(projectId);
+    const { format = "csv", startDate, endDate, approvalStatus } = req.query;
+    const exportFormat = String(format).toLowerCase();
 
-    // Build query
-    let query = { projectId };
+    if (!EXPORT_FORMATS.includes(exportFormat)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid export format. Allowed formats: ${EXPORT_FORMATS.join(
+          ", "
+        )}`,
+      });
+    }
 
-    if (status && status !== "all") {
-      query.status = status;
+    if (
+      approvalStatus &&
+      approvalStatus !== "all" &&
+      !mbApprovalStatus.includes(approvalStatus)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid approval status. Allowed values: ${mbApprovalStatus.join(
+          ", "
+        )}`,
+      });
+    }
+
+    const dateFilter = {};
+    if (startDate) {
+      const start = new Date(startDate);
+      if (isNaN(start.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: "startDate must be a valid date",
+        });
+      }
+      dateFilter.$gte = start;
+    }
+    if (endDate) {
+      const end = new Date(endDate);
+      if (isNaN(end.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: "endDate must be a valid date",
+        });
+      }
+      // Include the whole end day
+      end.setHours(23, 59, 59, 999);
+      dateFilter.$lte = end;
     }
+    if (
+      dateFilter.$gte &&
+      dateFilter.$lte &&
+      dateFilter.$gte > dateFilter.$lte
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "startDate cannot be after endDate",
+      });
+    }
+
+    const projectResult = await findProjectByProjectId(projectId);
 
-    if (startDate && endDate) {
-      query.createdAt = {
-        $gte: new Date(startDate),
-        $lte: new Date(endDate),
-      };
+    if (!projectResult) {
+      return res.status(404).json({
+        success: false,
+        message: `Project with ID '${projectId}' not found in either Project or ArchiveProject collections`,
+      });
+    }
+
+    const { project, projectType } = projectResult;
+
+    const query = { project: project._id, projectType };
+    if (Object.keys(dateFilter).length > 0) {
+      query.dateOfMeasurement = dateFilter;
+    }
+    if (approvalStatus && approvalStatus !== "all") {
+      query.approvalStatus = approvalStatus;
     }
 
-    // Get MBs with project details
     const measurementBooks = await MeasurementBook.find(query)
-      .populate("project", "projectName workOrderNumber")
-      .sort({ createdAt: -1 })
+      .sort({ dateOfMeasurement: 1, mbNo: 1 })
       .lean();
 
-    // Convert to CSV format
-    const csvHeaders = [
-      "MB Number",
-      "Title",
-      "Description",
-      "Project Name",
-      "Work Order Number",
-      "Contractor Name",
-      "Measurement Date",
-      "Status",
-      "File Type",
-      "File Size (MB)",
-      "Created By",
-      "Created At",
-      "Remarks",
-    ];
-
-    const csvRows = measurementBooks.map((mb) => [
-      mb.mbNumber,
-      `"${mb.title}"`,
-      `"${mb.description}"`,
-      `"${mb.project}"`,
-      mb.workOrderNumber,
-      mb.contractorName || "",
-      new Date(mb.measurementDate).toLocaleDateString(),
-      mb.status,
-      mb.uploadedFile.fileType.toUpperCase(),
-      (mb.uploadedFile.fileSize / (1024 * 1024)).toFixed(2),
-      mb.createdBy.name,
-      new Date(mb.createdAt).toLocaleDateString(),
-      `"${mb.remarks || ""}"`,
-    ]);
-
-    const csvContent = [
-      csvHeaders.join(","),
-      ...csvRows.map((row) => row.join(",")),
-    ].join("\n");
-
-    res.setHeader("Content-Type", "text/csv");
+    const rows = buildExportRows(measurementBooks);
+
+    if (exportFormat === "xlsx") {
+      return await writeWorkbook(res, { rows, measurementBooks, project });
+    }
+
+    if (exportFormat === "pdf") {
+      return writePDF(res, { measurementBooks, project });
+    }
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
     res.setHeader(
       "Content-Disposition",
       `attachment; filename="measurement-books-${projectId}-${Date.now()}.csv"`
     );
-    res.send(csvContent);
+    res.send(convertRowsToCSV(rows));
   } catch (error) {
     console.error("Error exporting MB data:", error);
+
+    if (res.headersSent) {
+      return res.end();
+    }
+
     res.status(500).json({
       success: false,
       message: "Internal server error",
@@ -1,4 +1,8 @@
 import MeasurementBook from "../../models/mb.model.js";
+import {
+  getMeasurementBookScopeFilter,
+  withScope,
+} from "../../utils/jurisdiction-scope.js";
 
 /**
  * Get all measurement books with filtering and pagination
@@ -36,36 +40,39 @@ const getAllMeasurementBooks = async (req, res) => {
     const skip = (validPage - 1) * validLimit;
 
     // Build query
-    const query = {};
+    const filter = {};
 
     if (projectType && ["Project", "ArchiveProject"].includes(projectType)) {
-      query.projectType = projectType;
+      filter.projectType = projectType;
     }
 
     if (createdBy) {
-      query["createdBy.userId"] = createdBy;
+      filter["createdBy.userId"] = createdBy;
     }
 
     if (mbId) {
-      query.mbId = mbId.toUpperCase();
+      filter.mbId = mbId.toUpperCase();
     }
 
     if (mbNo) {
-      query.mbNo = { $regex: mbNo, $options: "i" };
+      filter.mbNo = { $regex: mbNo, $options: "i" };
     }
 
     if (contractor) {
-      query.contractor = { $regex: contractor, $options: "i" };
+      filter.contractor = { $regex: contractor, $options: "i" };
     }
 
     if (location) {
-      query.location = { $regex: location, $options: "i" };
+      filter.location = { $regex: location, $options: "i" };
     }
 
     if (search) {
-      query.$text = { $search: search };
+      filter.$text = { $search: search };
     }
 
+    // Only MBs of projects within the user's jurisdiction
+    const query = withScope(filter, await getMeasurementBookScopeFilter(req));
+
     // Get measurement books with pagination
     const measurementBooks = await MeasurementBook.find(query)
       .populate("project")
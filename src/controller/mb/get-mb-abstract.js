@@ -0,0 +1,160 @@
+import MeasurementBook from "../../models/mb.model.js";
+import {
+  getMeasurementBookScopeFilter,
+  isProjectInScope,
+} from "../../utils/jurisdiction-scope.js";
+import {
+  buildAbstractOfCost,
+  findMeasurementBook,
+  groupMeasurementBooksByBill,
+} from "../../utils/mb-utils.js";
+import { findProjectByProjectId } from "../../utils/projects-filter.js";
+
+// Amounts within one rupee of each other are treated as matching
+const AMOUNT_TOLERANCE = 1;
+
+/**
+ * Abstract of cost for a single measurement book
+ * GET /api/mb/:id/abstract
+ */
+export const getMeasurementBookAbstract = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const measurementBook = (
+      await findMeasurementBook(id, await getMeasurementBookScopeFilter(req))
+    )?.toObject();
+
+    if (!measurementBook) {
+      return res.status(404).json({
+        success: false,
+        message: `Measurement Book with ID '${id}' not found`,
+      });
+    }
+
+    const abstract = buildAbstractOfCost([measurementBook]);
+
+    res.status(200).json({
+      success: true,
+      message: "Abstract of cost generated successfully",
+      data: {
+        mbId: measurementBook.mbId,
+        mbNo: measurementBook.mbNo,
+        nameOfWork: measurementBook.nameOfWork,
+        slNoOfBill: measurementBook.slNoOfBill,
+        sorEdition: measurementBook.sorEdition,
+        approvalStatus: measurementBook.approvalStatus || "Draft",
+        isFinalForBilling: measurementBook.approvalStatus === "Approved",
+        abstract,
+      },
+    });
+  } catch (error) {
+    console.error("Error generating MB abstract of cost:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Abstract of cost for all MBs of a project, rolled up per bill and
+ * cross-checked against the project's billSubmittedAmount.
+ * Only approved MBs count towards the billed amount unless
+ * includeUnapproved=true is passed.
+ * GET /api/mb/project/:projectId/abstract
+ */
+export const getProjectAbstractOfCost = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const includeUnapproved = req.query.includeUnapproved === "true";
+
+    const projectResult = await findProjectByProjectId(projectId);
+
+    if (
+      !projectResult ||
+      !(await isProjectInScope(
+        req,
+        projectResult.project,
+        projectResult.projectType
+      ))
+    ) {
+      return res.status(404).json({
+        success: false,
+        message: `Project with ID '${projectId}' not found in either Project or ArchiveProject collections`,
+      });
+    }
+
+    const { project, projectType } = projectResult;
+
+    const measurementBooks = await MeasurementBook.find({
+      project: project._id,
+      projectType,
+    })
+      .sort({ dateOfMeasurement: 1 })
+      .lean();
+
+    const billedMBs = includeUnapproved
+      ? measurementBooks
+      : measurementBooks.filter((mb) => mb.approvalStatus === "Approved");
+
+    const abstract = buildAbstractOfCost(billedMBs);
+    const bills = groupMeasurementBooksByBill(measurementBooks);
+
+    const approvedAmount = bills.reduce(
+      (sum, bill) => sum + bill.approvedAmount,
+      0
+    );
+    const billSubmittedAmount = project.billSubmittedAmount || 0;
+    const difference =
+      Math.round((billSubmittedAmount - approvedAmount) * 100) / 100;
+
+    res.status(200).json({
+      success: true,
+      message: "Project abstract of cost generated successfully",
+      data: {
+        project: {
+          projectId: project.projectId,
+          projectName: project.projectName || project.nameOfWork,
+          projectType,
+          estimatedCost:
+            projectType === "Project"
+              ? project.estimatedCost
+              : project.workValue,
+        },
+        includeUnapproved,
+        abstract,
+        bills,
+        crossCheck: {
+          billSubmittedAmount,
+          approvedMeasuredAmount: Math.round(approvedAmount * 100) / 100,
+          difference,
+          isConsistent: Math.abs(difference) <= AMOUNT_TOLERANCE,
+          message:
+            Math.abs(difference) <= AMOUNT_TOLERANCE
+              ? "Bill submitted amount matches approved measurements"
+              : difference > 0
+              ? "Bill submitted amount exceeds approved measurements"
+              : "Approved measurements exceed bill submitted amount",
+        },
+        summary: {
+          totalMBs: measurementBooks.length,
+          approvedMBs: measurementBooks.filter(
+            (mb) => mb.approvalStatus === "Approved"
+          ).length,
+          totalBills: bills.length,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Error generating project abstract of cost:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
@@ -0,0 +1,79 @@
+import mongoose from "mongoose";
+import MBRevision from "../../models/mb-revision.model.js";
+import MeasurementBook from "../../models/mb.model.js";
+
+/**
+ * Get the revision history of a measurement book
+ * GET /api/mb/:id/revisions
+ * Query: page, limit, action, measurementId
+ */
+const getMeasurementBookRevisions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 20, action, measurementId } = req.query;
+
+    let measurementBook = await MeasurementBook.findOne({
+      mbId: id.toUpperCase(),
+    }).select("mbId approvalStatus currentRevision");
+
+    if (!measurementBook && mongoose.Types.ObjectId.isValid(id)) {
+      measurementBook = await MeasurementBook.findById(id).select(
+        "mbId approvalStatus currentRevision"
+      );
+    }
+
+    if (!measurementBook) {
+      return res.status(404).json({
+        success: false,
+        message: `Measurement Book with ID '${id}' not found`,
+      });
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+    const skip = (pageNum - 1) * limitNum;
+
+    const filter = { measurementBook: measurementBook._id };
+    if (action) filter.action = action;
+    if (measurementId) filter.measurementId = measurementId;
+
+    const [revisions, totalCount] = await Promise.all([
+      MBRevision.find(filter)
+        .sort({ revisionNumber: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .lean(),
+      MBRevision.countDocuments(filter),
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    res.status(200).json({
+      success: true,
+      message: `Retrieved ${revisions.length} revision(s)`,
+      data: {
+        mbId: measurementBook.mbId,
+        approvalStatus: measurementBook.approvalStatus,
+        currentRevision: measurementBook.currentRevision,
+        revisions,
+      },
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalCount,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1,
+      },
+    });
+  } catch (error) {
+    console.error("Error retrieving MB revisions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+export default getMeasurementBookRevisions;
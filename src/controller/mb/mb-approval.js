@@ -0,0 +1,202 @@
+import mongoose from "mongoose";
+import MBRevision from "../../models/mb-revision.model.js";
+import { getMeasurementBookScopeFilter } from "../../utils/jurisdiction-scope.js";
+import { findMeasurementBook } from "../../utils/mb-utils.js";
+
+const getUserInfo = (user) => ({
+  userId: user.userId || user._id?.toString(),
+  name: user.fullName || user.username || user.name,
+  role: user.designation || user.role,
+});
+
+// Snapshot of the approval fields stored in revisions
+const snapshotApproval = (measurementBook) => ({
+  approvalStatus: measurementBook.approvalStatus,
+  rejectionReason: measurementBook.checkMeasurement?.rejectionReason,
+});
+
+const handleError = (error, res, context) => {
+  console.error(`Error ${context}:`, error);
+
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: Object.values(error.errors).map((err) => err.message),
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: "Internal server error",
+    details: process.env.NODE_ENV === "development" ? error.message : undefined,
+  });
+};
+
+/**
+ * Submit a Draft or Rejected MB for check measurement
+ * POST /api/mb/:id/submit
+ */
+export const submitMeasurementBookForCheck = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { id } = req.params;
+    const { remarks } = req.body || {};
+
+    const measurementBook = await findMeasurementBook(
+      id,
+      await getMeasurementBookScopeFilter(req)
+    );
+    if (!measurementBook) {
+      return res.status(404).json({
+        success: false,
+        message: `Measurement Book with ID '${id}' not found`,
+      });
+    }
+
+    if (!measurementBook.isEditable()) {
+      return res.status(409).json({
+        success: false,
+        message: `Measurement Book is already '${measurementBook.approvalStatus}'`,
+      });
+    }
+
+    const before = snapshotApproval(measurementBook);
+    const userInfo = getUserInfo(req.user);
+
+    measurementBook.approvalStatus = "Submitted for Check";
+    measurementBook.submittedForCheck = {
+      submittedAt: new Date(),
+      submittedBy: userInfo,
+    };
+    measurementBook.lastModifiedBy = { ...userInfo, modifiedAt: new Date() };
+    measurementBook.currentRevision += 1;
+
+    let revision;
+    await session.withTransaction(async () => {
+      await measurementBook.save({ session });
+      revision = await MBRevision.record(
+        measurementBook,
+        {
+          action: "submit_for_check",
+          changes: MBRevision.diff(before, snapshotApproval(measurementBook)),
+          remarks,
+          user: req.user,
+          req,
+        },
+        session
+      );
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Measurement Book submitted for check measurement",
+      data: {
+        mbId: measurementBook.mbId,
+        approvalStatus: measurementBook.approvalStatus,
+        submittedForCheck: measurementBook.submittedForCheck,
+        revisionNumber: revision.revisionNumber,
+      },
+    });
+  } catch (error) {
+    handleError(error, res, "submitting measurement book for check");
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Record the AEE check-measurement decision on a submitted MB
+ * PATCH /api/mb/:id/check-measurement
+ * Body: { decision: "Approved" | "Rejected", remarks?, rejectionReason? }
+ */
+export const checkMeasurementBook = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { id } = req.params;
+    const { decision, remarks, rejectionReason } = req.body || {};
+
+    if (!["Approved", "Rejected"].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        message: "decision must be either 'Approved' or 'Rejected'",
+      });
+    }
+
+    if (decision === "Rejected" && !rejectionReason?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Rejection reason is required when rejecting an MB",
+      });
+    }
+
+    const measurementBook = await findMeasurementBook(
+      id,
+      await getMeasurementBookScopeFilter(req)
+    );
+    if (!measurementBook) {
+      return res.status(404).json({
+        success: false,
+        message: `Measurement Book with ID '${id}' not found`,
+      });
+    }
+
+    if (measurementBook.approvalStatus !== "Submitted for Check") {
+      return res.status(409).json({
+        success: false,
+        message: `Only MBs submitted for check can be checked. Current status: '${measurementBook.approvalStatus}'`,
+      });
+    }
+
+    const before = snapshotApproval(measurementBook);
+    const userInfo = getUserInfo(req.user);
+
+    measurementBook.approvalStatus = decision;
+    measurementBook.checkMeasurement = {
+      checkedAt: new Date(),
+      checkedBy: userInfo,
+      remarks: remarks?.trim(),
+      rejectionReason:
+        decision === "Rejected" ? rejectionReason.trim() : undefined,
+    };
+    measurementBook.lastModifiedBy = { ...userInfo, modifiedAt: new Date() };
+    measurementBook.currentRevision += 1;
+
+    let revision;
+    await session.withTransaction(async () => {
+      await measurementBook.save({ session });
+      revision = await MBRevision.record(
+        measurementBook,
+        {
+          action: decision === "Approved" ? "approve" : "reject",
+          changes: MBRevision.diff(before, snapshotApproval(measurementBook)),
+          remarks: remarks || rejectionReason,
+          user: req.user,
+          req,
+        },
+        session
+      );
+    });
+
+    res.status(200).json({
+      success: true,
+      message:
+        decision === "Approved"
+          ? "Measurement Book approved and final for billing"
+          : "Measurement Book rejected and returned for correction",
+      data: {
+        mbId: measurementBook.mbId,
+        approvalStatus: measurementBook.approvalStatus,
+        isFinalForBilling: measurementBook.isFinalForBilling,
+        checkMeasurement: measurementBook.checkMeasurement,
+        revisionNumber: revision.revisionNumber,
+      },
+    });
+  } catch (error) {
+    handleError(error, res, "checking measurement book");
+  } finally {
+    await session.endSession();
+  }
+};
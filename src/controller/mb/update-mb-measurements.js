@@ -0,0 +1,436 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import MBRevision from "../../models/mb-revision.model.js";
+import ScheduleOfRates from "../../models/schedule-of-rates.model.js";
+import { getMeasurementBookScopeFilter } from "../../utils/jurisdiction-scope.js";
+import {
+  findMeasurementBook,
+  sanitizeMeasurementQuantities,
+  validateMeasurementQuantities,
+} from "../../utils/mb-utils.js";
+import { deleteFileFromS3 } from "../../utils/s3.js";
+
+// Snapshot of a measurement item stored in revisions
+const snapshotMeasurement = (measurement) => {
+  if (!measurement) return null;
+
+  return {
+    id: measurement.id,
+    description: measurement.description,
+    unit: measurement.unit,
+    itemCode: measurement.itemCode || null,
+    dimensions: (measurement.dimensions || []).map((dimension) => ({
+      description: dimension.description,
+      nos: dimension.nos,
+      length: dimension.length,
+      breadth: dimension.breadth,
+      depth: dimension.depth,
+      isDeduction: dimension.isDeduction,
+    })),
+    quantity: measurement.quantity,
+    rate: measurement.rate,
+    amount: measurement.amount,
+    uploadedFile: measurement.uploadedFile
+      ? {
+          fileName: measurement.uploadedFile.fileName,
+          originalName: measurement.uploadedFile.originalName,
+          filePath: measurement.uploadedFile.filePath,
+          fileSize: measurement.uploadedFile.fileSize,
+          mimeType: measurement.uploadedFile.mimeType,
+        }
+      : null,
+  };
+};
+
+// Validate description/unit of a measurement item
+const validateMeasurementFields = ({ description, unit }, partial = false) => {
+  const errors = [];
+
+  if (description !== undefined || !partial) {
+    if (typeof description !== "string" || description.trim().length < 5) {
+      errors.push("description must be at least 5 characters");
+    } else if (description.trim().length > 1000) {
+      errors.push("description cannot exceed 1000 characters");
+    }
+  }
+
+  if (unit !== undefined || !partial) {
+    if (typeof unit !== "string" || unit.trim().length === 0) {
+      errors.push("unit is required");
+    } else if (unit.trim().length > 50) {
+      errors.push("unit cannot exceed 50 characters");
+    }
+  }
+
+  return errors;
+};
+
+// Multipart requests send dimensions as a JSON string
+const parseDimensions = (body) => {
+  if (typeof body.dimensions !== "string") return null;
+
+  try {
+    body.dimensions = JSON.parse(body.dimensions);
+    return null;
+  } catch {
+    return "dimensions must be a valid JSON array";
+  }
+};
+
+const getModifier = (user) => ({
+  userId: user.userId || user._id?.toString(),
+  name: user.fullName || user.username || user.name,
+  role: user.designation || user.role,
+  modifiedAt: new Date(),
+});
+
+// Save the MB and its revision in one transaction
+const saveWithRevision = async (measurementBook, revisionData) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let revision;
+    measurementBook.currentRevision += 1;
+
+    await session.withTransaction(async () => {
+      await measurementBook.save({ session });
+      revision = await MBRevision.record(
+        measurementBook,
+        revisionData,
+        session
+      );
+    });
+
+    return revision;
+  } finally {
+    await session.endSession();
+  }
+};
+
+const handleError = (error, res, context) => {
+  console.error(`Error ${context}:`, error);
+
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: Object.values(error.errors).map((err) => err.message),
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: "Internal server error",
+    details: process.env.NODE_ENV === "development" ? error.message : undefined,
+  });
+};
+
+/**
+ * Add a measurement item (with its file) to an existing MB
+ * POST /api/mb/:id/measurements
+ */
+export const addMeasurementItem = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { description, unit, remarks } = req.body;
+
+    const measurementBook = await findMeasurementBook(
+      id,
+      await getMeasurementBookScopeFilter(req)
+    );
+    if (!measurementBook) {
+      return res.status(404).json({
+        success: false,
+        message: `Measurement Book with ID '${id}' not found`,
+      });
+    }
+
+    if (!measurementBook.isEditable()) {
+      return res.status(409).json({
+        success: false,
+        message: `Measurement Book is '${measurementBook.approvalStatus}' and cannot be edited`,
+      });
+    }
+
+    const parseError = parseDimensions(req.body);
+    const errors = parseError
+      ? [parseError]
+      : [
+          ...validateMeasurementFields({ description, unit }),
+          ...validateMeasurementQuantities(req.body),
+        ];
+    if (!req.mbItemFile) {
+      errors.push("A file (mbFile) is required for a new measurement item");
+    }
+    if (measurementBook.measurements.length >= 100) {
+      errors.push("A measurement book cannot have more than 100 items");
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors,
+      });
+    }
+
+    const measurementId = req.body.measurementId?.trim() || crypto.randomUUID();
+    if (measurementBook.findMeasurement(measurementId)) {
+      return res.status(409).json({
+        success: false,
+        message: `Measurement item '${measurementId}' already exists`,
+      });
+    }
+
+    const measurement = {
+      id: measurementId,
+      description: description.trim(),
+      unit: unit.trim(),
+      ...sanitizeMeasurementQuantities(req.body),
+      uploadedFile: { ...req.mbItemFile, uploadedAt: new Date() },
+    };
+
+    const rateErrors = await ScheduleOfRates.applyRates(
+      [measurement],
+      measurementBook.sorEdition
+    );
+    if (rateErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: rateErrors,
+      });
+    }
+
+    measurementBook.measurements.push(measurement);
+    measurementBook.computeAmounts();
+    measurementBook.lastModifiedBy = getModifier(req.user);
+
+    const revision = await saveWithRevision(measurementBook, {
+      action: "add_measurement",
+      measurementId,
+      changes: MBRevision.diff(
+        { measurement: null },
+        {
+          measurement: snapshotMeasurement(
+            measurementBook.findMeasurement(measurementId)
+          ),
+        }
+      ),
+      remarks,
+      user: req.user,
+      req,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Measurement item added successfully",
+      data: {
+        mbId: measurementBook.mbId,
+        measurement: measurementBook.findMeasurement(measurementId),
+        totalMeasurements: measurementBook.measurements.length,
+        totalAmount: measurementBook.totalAmount,
+        revisionNumber: revision.revisionNumber,
+      },
+    });
+  } catch (error) {
+    handleError(error, res, "adding measurement item");
+  }
+};
+
+/**
+ * Replace a measurement item's description, unit, dimensions, quantity or
+ * rate and optionally its file
+ * PUT /api/mb/:id/measurements/:measurementId
+ */
+export const replaceMeasurementItem = async (req, res) => {
+  try {
+    const { id, measurementId } = req.params;
+    const { description, unit, remarks } = req.body;
+
+    const measurementBook = await findMeasurementBook(
+      id,
+      await getMeasurementBookScopeFilter(req)
+    );
+    if (!measurementBook) {
+      return res.status(404).json({
+        success: false,
+        message: `Measurement Book with ID '${id}' not found`,
+      });
+    }
+
+    if (!measurementBook.isEditable()) {
+      return res.status(409).json({
+        success: false,
+        message: `Measurement Book is '${measurementBook.approvalStatus}' and cannot be edited`,
+      });
+    }
+
+    const measurement = measurementBook.findMeasurement(measurementId);
+    if (!measurement) {
+      return res.status(404).json({
+        success: false,
+        message: `Measurement item '${measurementId}' not found`,
+      });
+    }
+
+    const parseError = parseDimensions(req.body);
+    const errors = parseError
+      ? [parseError]
+      : [
+          ...validateMeasurementFields({ description, unit }, true),
+          ...validateMeasurementQuantities(req.body),
+        ];
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors,
+      });
+    }
+
+    const before = snapshotMeasurement(measurement);
+    const previousFilePath = measurement.uploadedFile?.filePath;
+
+    if (description !== undefined) measurement.description = description.trim();
+    if (unit !== undefined) measurement.unit = unit.trim();
+    Object.assign(measurement, sanitizeMeasurementQuantities(req.body));
+    if (req.mbItemFile) {
+      measurement.uploadedFile = { ...req.mbItemFile, uploadedAt: new Date() };
+    }
+
+    const rateErrors = await ScheduleOfRates.applyRates(
+      [measurement],
+      measurementBook.sorEdition
+    );
+    if (rateErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: rateErrors,
+      });
+    }
+
+    measurementBook.computeAmounts();
+
+    const changes = MBRevision.diff(before, snapshotMeasurement(measurement));
+    if (changes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No changes detected",
+      });
+    }
+
+    measurementBook.lastModifiedBy = getModifier(req.user);
+
+    const revision = await saveWithRevision(measurementBook, {
+      action: "replace_measurement",
+      measurementId,
+      changes,
+      remarks,
+      user: req.user,
+      req,
+    });
+
+    // The previous file path stays in the revision log; remove the object
+    if (req.mbItemFile && previousFilePath) {
+      deleteFileFromS3(previousFilePath).catch((fileError) =>
+        console.error("Error deleting replaced MB file:", fileError)
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Measurement item updated successfully",
+      data: {
+        mbId: measurementBook.mbId,
+        measurement,
+        totalAmount: measurementBook.totalAmount,
+        revisionNumber: revision.revisionNumber,
+        changes: revision.changes,
+      },
+    });
+  } catch (error) {
+    handleError(error, res, "replacing measurement item");
+  }
+};
+
+/**
+ * Remove a measurement item (and its file) from an MB
+ * DELETE /api/mb/:id/measurements/:measurementId
+ */
+export const removeMeasurementItem = async (req, res) => {
+  try {
+    const { id, measurementId } = req.params;
+
+    const measurementBook = await findMeasurementBook(
+      id,
+      await getMeasurementBookScopeFilter(req)
+    );
+    if (!measurementBook) {
+      return res.status(404).json({
+        success: false,
+        message: `Measurement Book with ID '${id}' not found`,
+      });
+    }
+
+    if (!measurementBook.isEditable()) {
+      return res.status(409).json({
+        success: false,
+        message: `Measurement Book is '${measurementBook.approvalStatus}' and cannot be edited`,
+      });
+    }
+
+    const measurement = measurementBook.findMeasurement(measurementId);
+    if (!measurement) {
+      return res.status(404).json({
+        success: false,
+        message: `Measurement item '${measurementId}' not found`,
+      });
+    }
+
+    if (measurementBook.measurements.length === 1) {
+      return res.status(400).json({
+        success: false,
+        message: "A measurement book must keep at least one measurement item",
+      });
+    }
+
+    const before = snapshotMeasurement(measurement);
+
+    measurementBook.measurements = measurementBook.measurements.filter(
+      (m) => m.id !== measurementId
+    );
+    measurementBook.computeAmounts();
+    measurementBook.lastModifiedBy = getModifier(req.user);
+
+    const revision = await saveWithRevision(measurementBook, {
+      action: "remove_measurement",
+      measurementId,
+      changes: MBRevision.diff({ measurement: before }, { measurement: null }),
+      remarks: req.body?.remarks,
+      user: req.user,
+      req,
+    });
+
+    if (before.uploadedFile?.filePath) {
+      deleteFileFromS3(before.uploadedFile.filePath).catch((fileError) =>
+        console.error("Error deleting removed MB file:", fileError)
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Measurement item removed successfully",
+      data: {
+        mbId: measurementBook.mbId,
+        removedMeasurementId: measurementId,
+        totalMeasurements: measurementBook.measurements.length,
+        totalAmount: measurementBook.totalAmount,
+        revisionNumber: revision.revisionNumber,
+      },
+    });
+  } catch (error) {
+    handleError(error, res, "removing measurement item");
+  }
+};
@@ -1,10 +1,31 @@
-import MeasurementBook from "../../models/mb.model.js";
+import mongoose from "mongoose";
+import MBRevision from "../../models/mb-revision.model.js";
+import { getMeasurementBookScopeFilter } from "../../utils/jurisdiction-scope.js";
+import { findMeasurementBook } from "../../utils/mb-utils.js";
+
+// Header fields that can be updated
+export const MB_HEADER_FIELDS = [
+  "mbNo",
+  "nameOfWork",
+  "location",
+  "contractor",
+  "tenderAgreement",
+  "aaOrFsNo",
+  "aaOrFsDate",
+  "slNoOfBill",
+  "dateOfCommencement",
+  "dateOfCompletion",
+  "dateOfMeasurement",
+];
 
 /**
  * Update a measurement book's basic information
  * Does not update measurements array - use separate endpoints for that
+ * Every change is stored as an immutable MBRevision
  */
 const updateMeasurementBook = async (req, res) => {
+  const session = await mongoose.startSession();
+
   try {
     const { id } = req.params;
     const updateData = req.body;
@@ -17,14 +38,11 @@ const updateMeasurementBook = async (req, res) => {
       });
     }
 
-    // Find the measurement book
-    let measurementBook = await MeasurementBook.findOne({
-      mbId: id.toUpperCase(),
-    });
-
-    if (!measurementBook) {
-      measurementBook = await MeasurementBook.findById(id);
-    }
+    // Find the measurement book within the user's jurisdiction
+    const measurementBook = await findMeasurementBook(
+      id,
+      await getMeasurementBookScopeFilter(req)
+    );
 
     if (!measurementBook) {
       return res.status(404).json({
@@ -33,28 +51,40 @@ const updateMeasurementBook = async (req, res) => {
       });
     }
 
-    // Fields that can be updated
-    const allowedUpdates = [
-      "mbNo",
-      "nameOfWork",
-      "location",
-      "contractor",
-      "tenderAgreement",
-      "aaOrFsNo",
-      "aaOrFsDate",
-      "slNoOfBill",
-      "dateOfCommencement",
-      "dateOfCompletion",
-      "dateOfMeasurement",
-    ];
+    // Approved (or under check) MBs are locked for billing
+    if (!measurementBook.isEditable()) {
+      return res.status(409).json({
+        success: false,
+        message: `Measurement Book is '${measurementBook.approvalStatus}' and cannot be edited`,
+      });
+    }
+
+    const before = {};
+    MB_HEADER_FIELDS.forEach((field) => {
+      before[field] = measurementBook[field];
+    });
 
     // Apply updates
-    allowedUpdates.forEach((field) => {
+    MB_HEADER_FIELDS.forEach((field) => {
       if (updateData[field] !== undefined) {
         measurementBook[field] = updateData[field];
       }
     });
 
+    const after = {};
+    MB_HEADER_FIELDS.forEach((field) => {
+      after[field] = measurementBook[field];
+    });
+
+    const changes = MBRevision.diff(before, after, MB_HEADER_FIELDS);
+
+    if (changes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No changes detected",
+      });
+    }
+
     // Update lastModifiedBy
     measurementBook.lastModifiedBy = {
       userId: req.user.userId || req.user._id?.toString(),
@@ -62,9 +92,24 @@ const updateMeasurementBook = async (req, res) => {
       role: req.user.designation || req.user.role,
       modifiedAt: new Date(),
     };
+    measurementBook.currentRevision += 1;
 
-    // Save the updated measurement book
-    await measurementBook.save();
+    // Save the measurement book together with its revision
+    let revision;
+    await session.withTransaction(async () => {
+      await measurementBook.save({ session });
+      revision = await MBRevision.record(
+        measurementBook,
+        {
+          action: "update_header",
+          changes,
+          remarks: req.body.remarks,
+          user: req.user,
+          req,
+        },
+        session
+      );
+    });
 
     res.status(200).json({
       success: true,
@@ -76,8 +121,13 @@ const updateMeasurementBook = async (req, res) => {
           nameOfWork: measurementBook.nameOfWork,
           location: measurementBook.location,
           contractor: measurementBook.contractor,
+          approvalStatus: measurementBook.approvalStatus,
           lastModifiedBy: measurementBook.lastModifiedBy,
         },
+        revision: {
+          revisionNumber: revision.revisionNumber,
+          changes: revision.changes,
+        },
       },
     });
   } catch (error) {
@@ -107,6 +157,8 @@ const updateMeasurementBook = async (req, res) => {
       details:
         process.env.NODE_ENV === "development" ? error.message : undefined,
     });
+  } finally {
+    await session.endSession();
   }
 };
 
@@ -0,0 +1,292 @@
+import Bill from "../../models/bill.model.js";
+import Project from "../../models/project.model.js";
+import { setAuditContext } from "../../utils/audit.js";
+import { getUserInfo, toSupportingDocuments } from "../../utils/bill-utils.js";
+import { costRevisionApprovers } from "../../utils/constants.js";
+import {
+  getProjectScopeFilter,
+  withScope,
+} from "../../utils/jurisdiction-scope.js";
+
+// Lowest estimate a project can be revised to: what has already been billed
+const minimumEstimateFor = async (project) => {
+  const { billed } = await Bill.totalsForProject(project._id, "Project");
+  return Math.max(project.billSubmittedAmount || 0, billed);
+};
+
+/**
+ * Request a revised estimate for a project (JE who created the project)
+ * POST /api/project/:id/cost-revisions
+ * Body: { revisedCost, justification } + revisionFiles
+ */
+export const requestCostRevision = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { revisedCost, justification } = req.body;
+
+    const project = await Project.findOne({ projectId: id });
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      });
+    }
+
+    if (!project.isAssignedTo(req.user.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only request revised estimates for your projects",
+      });
+    }
+
+    if (project.pendingCostRevision) {
+      return res.status(409).json({
+        success: false,
+        message: "A revised estimate is already awaiting approval",
+        details: { pendingRevision: project.pendingCostRevision },
+      });
+    }
+
+    const revisedCostNum = Number(revisedCost);
+    if (isNaN(revisedCostNum) || revisedCostNum <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Revised cost must be a positive number",
+      });
+    }
+
+    if (revisedCostNum === project.estimatedCost) {
+      return res.status(400).json({
+        success: false,
+        message: "Revised cost is the same as the current estimate",
+      });
+    }
+
+    if (!justification?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Justification is required for a revised estimate",
+      });
+    }
+
+    const minimumEstimate = await minimumEstimateFor(project);
+    if (revisedCostNum < minimumEstimate) {
+      return res.status(400).json({
+        success: false,
+        message: "Revised cost cannot be less than the amount already billed",
+        details: { minimumEstimate },
+      });
+    }
+
+    const revision = project.requestCostRevision(
+      {
+        revisedCost: revisedCostNum,
+        justification: justification.trim(),
+        supportingDocuments: toSupportingDocuments(req.firebaseFiles),
+      },
+      getUserInfo(req.user)
+    );
+    await project.save();
+
+    setAuditContext(res, {
+      entityType: "project",
+      entityId: project.projectId,
+      description: `Requested revised estimate ${revision.revisionNumber} for project ${project.projectId}`,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Revised estimate submitted for approval",
+      data: {
+        projectId: project.projectId,
+        estimatedCost: project.estimatedCost,
+        revision,
+      },
+    });
+  } catch (error) {
+    console.error("Error requesting cost revision:", error);
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: Object.values(error.errors).map((err) => err.message),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Approve or reject a project's pending revised estimate (CE/MD).
+ * Approval makes the revised cost the estimate used for financial progress,
+ * bill limits and dashboards.
+ * PATCH /api/project/:id/cost-revisions/decision
+ * Body: { decision: "Approved" | "Rejected", remarks? }
+ */
+export const decideCostRevision = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { decision, remarks } = req.body || {};
+
+    if (!costRevisionApprovers.includes(req.user.designation)) {
+      return res.status(403).json({
+        success: false,
+        message: `Only ${costRevisionApprovers.join(
+          ", "
+        )} can decide revised estimates`,
+      });
+    }
+
+    if (!["Approved", "Rejected"].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        message: "decision must be either 'Approved' or 'Rejected'",
+      });
+    }
+
+    if (decision === "Rejected" && !remarks?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Remarks are required when rejecting a revised estimate",
+      });
+    }
+
+    const project = await Project.findOne(
+      withScope({ projectId: id }, await getProjectScopeFilter(req))
+    );
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      });
+    }
+
+    if (!project.pendingCostRevision) {
+      return res.status(404).json({
+        success: false,
+        message: "No revised estimate is awaiting approval for this project",
+      });
+    }
+
+    // Bills may have been recorded since the request
+    if (decision === "Approved") {
+      const minimumEstimate = await minimumEstimateFor(project);
+      if (project.pendingCostRevision.revisedCost < minimumEstimate) {
+        return res.status(409).json({
+          success: false,
+          message:
+            "Revised cost is now less than the amount already billed and cannot be approved",
+          details: { minimumEstimate },
+        });
+      }
+    }
+
+    const before = project.estimatedCost;
+    const revision = project.decideCostRevision(
+      decision,
+      getUserInfo(req.user),
+      remarks?.trim()
+    );
+    await project.save();
+
+    setAuditContext(res, {
+      entityType: "project",
+      entityId: project.projectId,
+      description: `${decision} revised estimate ${revision.revisionNumber} for project ${project.projectId}`,
+      changes:
+        decision === "Approved"
+          ? [{ field: "estimatedCost", before, after: project.estimatedCost }]
+          : [],
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Revised estimate ${decision.toLowerCase()}`,
+      data: {
+        projectId: project.projectId,
+        originalEstimatedCost: project.originalEstimatedCost,
+        estimatedCost: project.estimatedCost,
+        financialProgress: project.financialProgress,
+        revision,
+      },
+    });
+  } catch (error) {
+    console.error("Error deciding cost revision:", error);
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: Object.values(error.errors).map((err) => err.message),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Cost history of a project: original estimate, every revision and the
+ * currently approved estimate
+ * GET /api/project/:id/cost-revisions
+ */
+export const getCostRevisions = async (req, res) => {
+  try {
+    const project = await Project.findOne(
+      withScope({ projectId: req.params.id }, await getProjectScopeFilter(req))
+    )
+      .select(
+        "projectId projectName estimatedCost originalEstimatedCost costRevisions billSubmittedAmount financialProgress"
+      )
+      .lean();
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      });
+    }
+
+    const revisions = project.costRevisions || [];
+    const approved = revisions.filter(
+      (revision) => revision.status === "Approved"
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Cost revision history retrieved successfully",
+      data: {
+        projectId: project.projectId,
+        projectName: project.projectName,
+        originalEstimatedCost:
+          project.originalEstimatedCost ?? project.estimatedCost,
+        currentEstimatedCost: project.estimatedCost,
+        totalRevision:
+          project.estimatedCost -
+          (project.originalEstimatedCost ?? project.estimatedCost),
+        billSubmittedAmount: project.billSubmittedAmount,
+        financialProgress: project.financialProgress,
+        approvedRevisions: approved.length,
+        pendingRevision:
+          revisions.find((revision) => revision.status === "Pending") || null,
+        revisions: [...revisions].sort(
+          (a, b) => b.revisionNumber - a.revisionNumber
+        ),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching cost revisions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
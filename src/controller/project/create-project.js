@@ -1,5 +1,13 @@
 import Project from "../../models/project.model.js";
+import WorkflowDefinition from "../../models/workflow-definition.model.js";
+import { checkProjectLocation } from "../../utils/admin-boundary.js";
+import { checkBudgetHead } from "../../utils/budget.js";
 import { funds } from "../../utils/constants.js";
+import {
+  findDebarmentByName,
+  findSelectableContractor,
+  projectContractorFields,
+} from "../../utils/contractor.js";
 
 const createProject = async (req, res) => {
   try {
@@ -51,6 +59,40 @@ const createProject = async (req, res) => {
       hasSubProjects = hasSubProjects === "true";
     }
 
+    // A contractor chosen from the contractor master supplies the name and,
+    // unless given for this work, the address and phone number.
+    // Debarred or blacklisted contractors cannot be given new works, whether
+    // chosen from the master or named in free text.
+    let contractorRef;
+    if (req.body.contractorId) {
+      const { contractor, error, debarment } = await findSelectableContractor(
+        req.body.contractorId
+      );
+      if (error) {
+        return res
+          .status(debarment ? 403 : 400)
+          .json({ success: false, message: error, debarment });
+      }
+
+      const fields = projectContractorFields(contractor, req.body);
+      ({
+        contractorRef,
+        contractorName,
+        contractorAddress,
+        contractorPhoneNumber,
+      } = fields);
+      Object.assign(req.body, fields);
+    } else if (contractorName) {
+      const debarred = await findDebarmentByName(contractorName);
+      if (debarred) {
+        return res.status(403).json({
+          success: false,
+          message: debarred.error,
+          debarment: debarred.debarment,
+        });
+      }
+    }
+
     // Get uploaded files from Firebase middleware (already processed and uploaded)
     const uploadedFiles = req.firebaseFiles || [];
 
@@ -154,6 +196,22 @@ const createProject = async (req, res) => {
       });
     }
 
+    // Block and gram panchayat must be in the boundary master, and the
+    // location inside the chosen district and block
+    const location = await checkProjectLocation({
+      district,
+      block: block?.trim(),
+      gramPanchayat: gramPanchayat?.trim(),
+      coordinates: [longitude, latitude],
+    });
+    if (location.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Project location does not match the selected area",
+        errors: location.errors,
+      });
+    }
+
     if (!req.user || req.user.designation !== "JE") {
       return res.status(401).json({
         success: false,
@@ -161,6 +219,23 @@ const createProject = async (req, res) => {
       });
     }
 
+    // The cost is committed against the budget head's allocation for the
+    // financial year of the work order
+    const budgetCheck = await checkBudgetHead({
+      budgetHead,
+      subFund,
+      date: dateOfIssueOfWorkOrder,
+      amount: Number(estimatedCost),
+      kind: "commitment",
+    });
+    if (budgetCheck?.isBlocked) {
+      return res.status(409).json({
+        success: false,
+        message: `Budget head over-committed: ${budgetCheck.message}`,
+        details: { budget: budgetCheck },
+      });
+    }
+
     // Process uploaded files from Firebase middleware
     let processedUploadedFiles = [];
     if (uploadedFiles && uploadedFiles.length > 0) {
@@ -239,6 +314,7 @@ const createProject = async (req, res) => {
       contractorName: contractorName.trim(),
       contractorAddress: contractorAddress.trim(),
       contractorPhoneNumber: contractorPhoneNumber.trim(),
+      contractorRef,
       estimatedCost: Number(estimatedCost),
       typeOfWork: typeOfWork.trim(),
       projectStartDate: new Date(projectStartDate),
@@ -247,8 +323,8 @@ const createProject = async (req, res) => {
         ? new Date(extensionPeriodForCompletion)
         : undefined,
       district,
-      block: block?.trim(),
-      gramPanchayat: gramPanchayat?.trim(),
+      block: location.block,
+      gramPanchayat: location.gramPanchayat,
       subProjects: [], // Will be set after processing
       uploadedFiles: processedUploadedFiles,
       geoLocation: {
@@ -305,6 +381,10 @@ const createProject = async (req, res) => {
     // Set the processed subProjects
     tempProject.subProjects = processedSubProjects;
 
+    // Start the project in the initial state of its approval workflow
+    const workflow = await WorkflowDefinition.resolveForProject(tempProject);
+    tempProject.applyInitialWorkflowState(workflow);
+
     // Save the project
     const savedProject = await tempProject.save();
 
@@ -339,6 +419,9 @@ const createProject = async (req, res) => {
         },
         createdAt: savedProject.createdAt,
       },
+      warnings: budgetCheck?.exceeds
+        ? [`Budget head over-committed: ${budgetCheck.message}`]
+        : [],
       metadata: {
         firebaseStorage: {
           bucket: process.env.FIREBASE_STORAGE_BUCKET,
@@ -1,5 +1,15 @@
 import Project from "../../models/project.model.js";
+import Contractor from "../../models/contractor.model.js";
+import WorkflowDefinition from "../../models/workflow-definition.model.js";
+import { checkProjectLocation } from "../../utils/admin-boundary.js";
+import { setAuditContext } from "../../utils/audit.js";
 import { funds } from "../../utils/constants.js";
+import {
+  findDebarmentByName,
+  findSelectableContractor,
+  projectContractorFields,
+} from "../../utils/contractor.js";
+import { getAvailableWorkflowTransitions } from "../../utils/workflow-engine.js";
 
 const editProject = async (req, res) => {
   try {
@@ -22,11 +32,11 @@ const editProject = async (req, res) => {
       });
     }
 
-    // Check ownership - JE can only edit their own projects
-    if (existingProject.createdBy.userId !== req.user.userId) {
+    // Check ownership - JE can only edit the projects assigned to them
+    if (!existingProject.isAssignedTo(req.user.userId)) {
       return res.status(403).json({
         success: false,
-        message: "You can only edit projects created by you",
+        message: "You can only edit projects assigned to you",
       });
     }
 
@@ -209,6 +219,73 @@ const editProject = async (req, res) => {
       }
     }
 
+    // A contractor chosen from the contractor master replaces the contractor
+    // details; a changed free-text name is refused if it resolves to a
+    // debarred contractor and otherwise linked to the master if it matches
+    let contractorRef;
+    if (updateData.contractorId) {
+      const { contractor, error, debarment } = await findSelectableContractor(
+        updateData.contractorId
+      );
+      if (error) {
+        return res
+          .status(debarment ? 403 : 400)
+          .json({ success: false, message: error, debarment });
+      }
+
+      const fields = projectContractorFields(contractor, updateData);
+      contractorRef = fields.contractorRef;
+      Object.assign(updateData, fields);
+    } else if (
+      updateData.contractorName !== undefined &&
+      updateData.contractorName.trim() !== existingProject.contractorName
+    ) {
+      const debarred = await findDebarmentByName(updateData.contractorName);
+      if (debarred) {
+        return res.status(403).json({
+          success: false,
+          message: debarred.error,
+          debarment: debarred.debarment,
+        });
+      }
+
+      contractorRef = await Contractor.idForName(updateData.contractorName);
+    }
+
+    // Re-check the area and location against the boundary master when any
+    // of them changes
+    if (
+      ["district", "block", "gramPanchayat", "geoLocation"].some(
+        (field) => updateData[field] !== undefined
+      )
+    ) {
+      const pick = (field) =>
+        updateData[field] !== undefined
+          ? updateData[field]
+          : existingProject[field];
+
+      const location = await checkProjectLocation({
+        district: pick("district"),
+        block: pick("block"),
+        gramPanchayat: pick("gramPanchayat"),
+        coordinates: updateData.geoLocation
+          ? [updateData.geoLocation.longitude, updateData.geoLocation.latitude]
+          : existingProject.geoLocation?.coordinates,
+      });
+      if (location.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Project location does not match the selected area",
+          errors: location.errors,
+        });
+      }
+
+      if (updateData.block) updateData.block = location.block;
+      if (updateData.gramPanchayat) {
+        updateData.gramPanchayat = location.gramPanchayat;
+      }
+    }
+
     // Process new uploaded files if any
     let processedUploadedFiles = [...existingProject.uploadedFiles]; // Keep existing files
 
@@ -320,6 +397,34 @@ const editProject = async (req, res) => {
       }
     }
 
+    // Once an estimate has been revised, it only changes through a
+    // revised estimate so the cost history is kept
+    if (
+      updateData.estimatedCost !== undefined &&
+      Number(updateData.estimatedCost) !== existingProject.estimatedCost &&
+      existingProject.costRevisions.length > 0
+    ) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Estimated cost of this project can only be changed through a revised estimate",
+      });
+    }
+
+    // Extensions granted through EOT requests are kept with their history
+    if (
+      updateData.extensionPeriodForCompletion !== undefined &&
+      existingProject.extensionRequests.length > 0 &&
+      new Date(updateData.extensionPeriodForCompletion).getTime() !==
+        existingProject.extensionPeriodForCompletion?.getTime()
+    ) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Completion date of this project can only be extended through an extension of time request",
+      });
+    }
+
     // Prepare update object
     const updateObject = {};
 
@@ -372,6 +477,10 @@ const editProject = async (req, res) => {
       }
     });
 
+    if (contractorRef !== undefined) {
+      updateObject.contractorRef = contractorRef;
+    }
+
     // Handle geoLocation
     if (updateData.geoLocation) {
       updateObject.geoLocation = {
@@ -396,8 +505,19 @@ const editProject = async (req, res) => {
     };
 
     // HANDLE STATUS UPDATE TO "RESUBMITTED FOR APPROVAL"
+    // The resubmission state comes from the project's workflow definition
     const currentStatus = existingProject.status;
-    const newStatus = "Resubmitted for Approval";
+    const workflow = await WorkflowDefinition.resolveForProject(
+      existingProject
+    );
+    const resubmitTransition = getAvailableWorkflowTransitions(
+      workflow,
+      existingProject,
+      req.user.designation
+    ).find((transition) => transition.stateType === "pending");
+    const newStatus = resubmitTransition
+      ? resubmitTransition.status
+      : "Resubmitted for Approval";
 
     // Create status history entry
     const statusHistoryEntry = {
@@ -408,6 +528,8 @@ const editProject = async (req, res) => {
         name: req.user.fullName || req.user.username,
         role: req.user.designation,
       },
+      stateType: "pending",
+      workflowCode: workflow.code,
       remarks: "Project edited and resubmitted for approval",
       ipAddress: req.ip || req.connection.remoteAddress,
       userAgent: req.get("User-Agent") || "Unknown",
@@ -415,6 +537,8 @@ const editProject = async (req, res) => {
 
     // Update status and add to status history
     updateObject.status = newStatus;
+    updateObject["workflowState.stateType"] = "pending";
+    updateObject["workflowState.pendingApproval"] = undefined;
     updateObject.$push = {
       statusHistory: statusHistoryEntry,
     };
@@ -450,6 +574,14 @@ const editProject = async (req, res) => {
     updateObject["statusWorkflow.approvedBy"] = undefined;
     updateObject["statusWorkflow.rejectedBy"] = undefined;
 
+    // Before any revision the original estimate follows the edited cost
+    if (
+      updateObject.estimatedCost !== undefined &&
+      existingProject.costRevisions.length === 0
+    ) {
+      updateObject.originalEstimatedCost = updateObject.estimatedCost;
+    }
+
     // Perform the update - Use filter object instead of just id
     const updatedProject = await Project.findOneAndUpdate(
       { projectId: id }, // Filter object using projectId field
@@ -468,6 +600,18 @@ const editProject = async (req, res) => {
       });
     }
 
+    const auditFields = Object.keys(updateObject).filter(
+      (key) => !key.startsWith("$") && !key.includes(".")
+    );
+    setAuditContext(res, {
+      entityType: "project",
+      entityId: updatedProject.projectId,
+      description: "Project edited and resubmitted for approval",
+      fields: auditFields,
+      before: existingProject.toObject(),
+      after: updatedProject.toObject(),
+    });
+
     // Log successful update
     console.log(
       `Project updated successfully: ${updatedProject.projectId} by ${req.user.username}. Status changed from '${currentStatus}' to '${newStatus}'`
@@ -485,7 +629,9 @@ const editProject = async (req, res) => {
             "statusHistory",
             "$push",
             "statusWorkflow",
-          ].includes(key) && !key.startsWith("statusWorkflow.")
+          ].includes(key) &&
+          !key.startsWith("statusWorkflow.") &&
+          !key.startsWith("workflowState.")
       ),
       filesAdded: uploadedFiles.length,
       totalFiles: processedUploadedFiles.length,
@@ -0,0 +1,299 @@
+import Project from "../../models/project.model.js";
+import { setAuditContext } from "../../utils/audit.js";
+import { getUserInfo, toSupportingDocuments } from "../../utils/bill-utils.js";
+import { eotApprovers, eotReasons } from "../../utils/constants.js";
+import {
+  getProjectScopeFilter,
+  withScope,
+} from "../../utils/jurisdiction-scope.js";
+
+const toDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * File an extension of time request (JE who created the project)
+ * POST /api/project/:id/extensions
+ * Body: { reasonCategory, reason, requestedCompletionDate } + extensionFiles
+ */
+export const requestExtension = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reasonCategory, reason, requestedCompletionDate } = req.body;
+
+    const project = await Project.findOne({ projectId: id });
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      });
+    }
+
+    if (!project.isAssignedTo(req.user.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only request extensions for your projects",
+      });
+    }
+
+    if (project.status === "Completed") {
+      return res.status(400).json({
+        success: false,
+        message: "Completed projects cannot be extended",
+      });
+    }
+
+    if (project.pendingExtensionRequest) {
+      return res.status(409).json({
+        success: false,
+        message: "An extension request is already awaiting approval",
+        details: { pendingRequest: project.pendingExtensionRequest },
+      });
+    }
+
+    if (!eotReasons.includes(reasonCategory)) {
+      return res.status(400).json({
+        success: false,
+        message: `Reason must be one of: ${eotReasons.join(", ")}`,
+      });
+    }
+
+    if (!reason?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Reason details are required",
+      });
+    }
+
+    const requestedDate = toDate(requestedCompletionDate);
+    if (!requestedDate || requestedDate <= project.effectiveCompletionDate) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Requested completion date must be after the current completion date",
+        details: { currentCompletionDate: project.effectiveCompletionDate },
+      });
+    }
+
+    const extension = project.requestExtension(
+      {
+        reasonCategory,
+        reason: reason.trim(),
+        requestedCompletionDate: requestedDate,
+        supportingDocuments: toSupportingDocuments(req.firebaseFiles),
+      },
+      getUserInfo(req.user)
+    );
+    await project.save();
+
+    setAuditContext(res, {
+      entityType: "project",
+      entityId: project.projectId,
+      description: `Requested extension of time ${extension.extensionNumber} for project ${project.projectId}`,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Extension request submitted for approval",
+      data: {
+        projectId: project.projectId,
+        currentCompletionDate: project.effectiveCompletionDate,
+        extension,
+      },
+    });
+  } catch (error) {
+    console.error("Error requesting extension of time:", error);
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: Object.values(error.errors).map((err) => err.message),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Approve or reject a project's pending extension request (AEE/CE).
+ * An approver may grant an earlier date than requested.
+ * PATCH /api/project/:id/extensions/decision
+ * Body: { decision: "Approved" | "Rejected", approvedCompletionDate?, remarks? }
+ */
+export const decideExtension = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { decision, approvedCompletionDate, remarks } = req.body || {};
+
+    if (!eotApprovers.includes(req.user.designation)) {
+      return res.status(403).json({
+        success: false,
+        message: `Only ${eotApprovers.join(
+          ", "
+        )} can decide extension requests`,
+      });
+    }
+
+    if (!["Approved", "Rejected"].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        message: "decision must be either 'Approved' or 'Rejected'",
+      });
+    }
+
+    if (decision === "Rejected" && !remarks?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Remarks are required when rejecting an extension",
+      });
+    }
+
+    const project = await Project.findOne(
+      withScope({ projectId: id }, await getProjectScopeFilter(req))
+    );
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      });
+    }
+
+    const pending = project.pendingExtensionRequest;
+    if (!pending) {
+      return res.status(404).json({
+        success: false,
+        message: "No extension request is awaiting approval for this project",
+      });
+    }
+
+    let approvedDate = null;
+    if (decision === "Approved" && approvedCompletionDate) {
+      approvedDate = toDate(approvedCompletionDate);
+      if (
+        !approvedDate ||
+        approvedDate <= project.effectiveCompletionDate ||
+        approvedDate > pending.requestedCompletionDate
+      ) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Approved completion date must be after the current completion date and not later than the requested date",
+        });
+      }
+    }
+
+    const before = project.extensionPeriodForCompletion;
+    const extension = project.decideExtension(decision, getUserInfo(req.user), {
+      approvedCompletionDate: approvedDate,
+      remarks: remarks?.trim(),
+    });
+    await project.save();
+
+    setAuditContext(res, {
+      entityType: "project",
+      entityId: project.projectId,
+      description: `${decision} extension of time ${extension.extensionNumber} for project ${project.projectId}`,
+      changes:
+        decision === "Approved"
+          ? [
+              {
+                field: "extensionPeriodForCompletion",
+                before,
+                after: project.extensionPeriodForCompletion,
+              },
+            ]
+          : [],
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Extension request ${decision.toLowerCase()}`,
+      data: {
+        projectId: project.projectId,
+        projectEndDate: project.projectEndDate,
+        effectiveCompletionDate: project.effectiveCompletionDate,
+        extension,
+      },
+    });
+  } catch (error) {
+    console.error("Error deciding extension of time:", error);
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: Object.values(error.errors).map((err) => err.message),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Extension of time history of a project
+ * GET /api/project/:id/extensions
+ */
+export const getExtensionHistory = async (req, res) => {
+  try {
+    const project = await Project.findOne(
+      withScope({ projectId: req.params.id }, await getProjectScopeFilter(req))
+    )
+      .select(
+        "projectId projectName projectStartDate projectEndDate extensionPeriodForCompletion extensionRequests"
+      )
+      .lean();
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      });
+    }
+
+    const requests = project.extensionRequests || [];
+    const approved = requests.filter(
+      (request) => request.status === "Approved"
+    );
+    const effectiveCompletionDate =
+      project.extensionPeriodForCompletion || project.projectEndDate;
+
+    res.status(200).json({
+      success: true,
+      message: "Extension history retrieved successfully",
+      data: {
+        projectId: project.projectId,
+        projectName: project.projectName,
+        originalCompletionDate: project.projectEndDate,
+        effectiveCompletionDate,
+        totalExtensionDays: Math.round(
+          (new Date(effectiveCompletionDate) -
+            new Date(project.projectEndDate)) /
+            (1000 * 60 * 60 * 24)
+        ),
+        approvedExtensions: approved.length,
+        pendingRequest:
+          requests.find((request) => request.status === "Pending") || null,
+        requests: [...requests].sort(
+          (a, b) => b.extensionNumber - a.extensionNumber
+        ),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching extension history:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
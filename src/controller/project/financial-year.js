@@ -0,0 +1,290 @@
+import mongoose from "mongoose";
+import FinancialYearClose from "../../models/financial-year-close.model.js";
+import Project from "../../models/project.model.js";
+import ProjectYearSnapshot from "../../models/project-year-snapshot.model.js";
+import { setAuditContext } from "../../utils/audit.js";
+import { getUserInfo } from "../../utils/bill-utils.js";
+import {
+  expenditureByFinancialYear,
+  financialYearOf,
+  financialYearRange,
+  projectPositionAt,
+} from "../../utils/financial-year.js";
+import { getProjectScopeFilter } from "../../utils/jurisdiction-scope.js";
+
+const roundTo2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Fields needed to snapshot a project's position
+const SNAPSHOT_FIELDS =
+  "projectId projectName fund subFund budgetHead district block gramPanchayat contractorName status estimatedCost costRevisions.status costRevisions.previousCost costRevisions.revisedCost costRevisions.decidedAt statusWorkflow.completedAt statusWorkflow.rejectedAt progressUpdates.newProgress progressUpdates.createdAt financialProgressUpdates.amountDifference financialProgressUpdates.billDetails.billDate financialProgressUpdates.createdAt";
+
+/**
+ * Close a financial year (MD/Admin): snapshot the cumulative physical and
+ * financial position of every project live during the year. Projects not
+ * completed by the year's end are carried forward with their balance cost.
+ * POST /api/project/year-close
+ * Body: { financialYear, remarks? }
+ */
+export const closeFinancialYear = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { financialYear, remarks } = req.body || {};
+
+    const range = financialYearRange(financialYear);
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        message: "financialYear must be in YYYY-YYYY format, e.g. 2025-2026",
+      });
+    }
+
+    if (range.end > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: `Financial year ${financialYear} has not ended yet`,
+      });
+    }
+
+    if (await FinancialYearClose.exists({ financialYear })) {
+      return res.status(409).json({
+        success: false,
+        message: `Financial year ${financialYear} is already closed`,
+      });
+    }
+
+    // Projects whose work order was issued by the year's end, leaving out
+    // rejected ones and those completed before it began
+    const projects = await Project.find({
+      dateOfIssueOfWorkOrder: { $lte: range.end },
+      "statusWorkflow.rejectedAt": null,
+      $or: [
+        { "statusWorkflow.completedAt": null },
+        { "statusWorkflow.completedAt": { $gte: range.start } },
+      ],
+    })
+      .select(SNAPSHOT_FIELDS)
+      .lean();
+
+    const snapshots = projects.map((project) => ({
+      financialYear,
+      project: project._id,
+      projectId: project.projectId,
+      projectName: project.projectName,
+      fund: project.fund,
+      subFund: project.subFund,
+      budgetHead: project.budgetHead,
+      district: project.district,
+      block: project.block,
+      gramPanchayat: project.gramPanchayat,
+      contractorName: project.contractorName,
+      status: project.status,
+      ...projectPositionAt(project, financialYear),
+    }));
+
+    const sumOf = (field) =>
+      roundTo2(snapshots.reduce((sum, snapshot) => sum + snapshot[field], 0));
+    const completed = snapshots.filter((snapshot) => snapshot.isCompleted);
+
+    let yearClose;
+    await session.withTransaction(async () => {
+      await ProjectYearSnapshot.insertMany(snapshots, { session });
+      [yearClose] = await FinancialYearClose.create(
+        [
+          {
+            financialYear,
+            totals: {
+              projects: snapshots.length,
+              completed: completed.length,
+              carriedForward: snapshots.length - completed.length,
+              estimatedCost: sumOf("estimatedCost"),
+              expenditureInYear: sumOf("expenditureInYear"),
+              cumulativeExpenditure: sumOf("cumulativeExpenditure"),
+              balanceCarriedForward: roundTo2(
+                snapshots
+                  .filter((snapshot) => snapshot.isCarriedForward)
+                  .reduce((sum, snapshot) => sum + snapshot.balanceCost, 0)
+              ),
+            },
+            remarks: remarks?.trim(),
+            closedBy: getUserInfo(req.user),
+          },
+        ],
+        { session }
+      );
+    });
+
+    setAuditContext(res, {
+      entityType: "financial-year",
+      entityId: financialYear,
+      description: `Closed financial year ${financialYear} with ${snapshots.length} project snapshot(s)`,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Financial year ${financialYear} closed successfully`,
+      data: yearClose,
+    });
+  } catch (error) {
+    console.error("Error closing financial year:", error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "This financial year is already closed",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Closed financial years, latest first
+ * GET /api/project/year-close
+ */
+export const getFinancialYearCloses = async (req, res) => {
+  try {
+    const closes = await FinancialYearClose.find()
+      .sort({ financialYear: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      message: "Closed financial years retrieved successfully",
+      data: closes,
+    });
+  } catch (error) {
+    console.error("Error fetching financial year closes:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Project snapshots of a closed year within the user's jurisdiction
+ * GET /api/project/year-close/:financialYear
+ * Query: district, fund, subFund, carriedForward (true|false), page, limit
+ */
+export const getFinancialYearSnapshots = async (req, res) => {
+  try {
+    const { financialYear } = req.params;
+    const {
+      district,
+      fund,
+      subFund,
+      carriedForward,
+      page = 1,
+      limit = 20,
+    } = req.query;
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const yearClose = await FinancialYearClose.findOne({ financialYear });
+    if (!yearClose) {
+      return res.status(404).json({
+        success: false,
+        message: `Financial year ${financialYear} has not been closed`,
+      });
+    }
+
+    const filter = { financialYear };
+    if (district) filter.district = district;
+    if (fund) filter.fund = fund;
+    if (subFund) filter.subFund = subFund;
+    if (carriedForward !== undefined) {
+      filter.isCarriedForward = carriedForward === "true";
+    }
+
+    const scopeFilter = await getProjectScopeFilter(req);
+    if (Object.keys(scopeFilter).length > 0) {
+      filter.project = { $in: await Project.distinct("_id", scopeFilter) };
+    }
+
+    const [snapshots, total] = await Promise.all([
+      ProjectYearSnapshot.find(filter)
+        .sort({ projectId: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      ProjectYearSnapshot.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: "Financial year snapshots retrieved successfully",
+      data: {
+        yearClose,
+        snapshots,
+      },
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        totalItems: total,
+        itemsPerPage: limitNum,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching financial year snapshots:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Expenditure of a project attributed to financial years by bill date,
+ * with its snapshots at each year close and its current-year position
+ * GET /api/project/:id/financial-years
+ */
+export const getProjectFinancialYears = async (req, res) => {
+  try {
+    const project = await Project.findOne({ projectId: req.params.id })
+      .select(SNAPSHOT_FIELDS)
+      .lean();
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      });
+    }
+
+    const currentFinancialYear = financialYearOf();
+    const snapshots = await ProjectYearSnapshot.find({ project: project._id })
+      .sort({ financialYear: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      message: "Year-wise expenditure retrieved successfully",
+      data: {
+        projectId: project.projectId,
+        projectName: project.projectName,
+        estimatedCost: project.estimatedCost,
+        expenditureByYear: expenditureByFinancialYear(
+          project.financialProgressUpdates
+        ),
+        snapshots,
+        currentYear: {
+          financialYear: currentFinancialYear,
+          ...projectPositionAt(project, currentFinancialYear),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching project financial years:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
@@ -0,0 +1,203 @@
+import Project from "../../models/project.model.js";
+import { findAreaBoundary } from "../../utils/admin-boundary.js";
+import {
+  GEO_FIELD,
+  GeoInputError,
+  parseCircle,
+  parsePolygon,
+  toProjectFeature,
+  withinCircle,
+  withinPolygon,
+} from "../../utils/geo-utils.js";
+import {
+  getProjectScopeFilter,
+  withScope,
+} from "../../utils/jurisdiction-scope.js";
+import { buildProjectListFilter } from "../../utils/projects-filter.js";
+
+// Fields returned by the map endpoints
+const MAP_FIELDS =
+  "projectId projectName status typeOfWork district block gramPanchayat fund subFund contractorName estimatedCost billSubmittedAmount progressPercentage financialProgress projectEndDate extensionPeriodForCompletion geoLocation";
+
+const DEFAULT_LIMIT = 500;
+const MAX_LIMIT = 5000;
+
+const limitOf = (limit) =>
+  Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+// Query parameters and, for POSTed polygons, the request body
+const paramsOf = (req) => ({ ...req.query, ...(req.body || {}) });
+
+// Area condition from polygon, lat/lng/radiusKm, or district/block
+const areaFilterOf = (params) => {
+  if (params.polygon) return withinPolygon(parsePolygon(params.polygon));
+  if (params.lat !== undefined || params.lng !== undefined) {
+    return withinCircle(parseCircle(params));
+  }
+  return {};
+};
+
+const handleError = (res, error, label) => {
+  if (error instanceof GeoInputError) {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  console.error(`Error in ${label}:`, error);
+  res.status(500).json({
+    success: false,
+    message: "Internal server error",
+  });
+};
+
+/**
+ * Projects within a radius of a point, nearest first
+ * GET /api/project/geo/nearby
+ * Query: lat, lng, radiusKm (default 5), limit, and the project list filters
+ */
+export const getProjectsNearby = async (req, res) => {
+  try {
+    const params = paramsOf(req);
+    const { point, radiusKm } = parseCircle(params);
+
+    const filter = withScope(
+      buildProjectListFilter(params),
+      await getProjectScopeFilter(req)
+    );
+
+    const projects = await Project.aggregate([
+      {
+        $geoNear: {
+          near: { type: "Point", coordinates: point },
+          distanceField: "distance",
+          maxDistance: radiusKm * 1000,
+          spherical: true,
+          key: GEO_FIELD,
+          query: filter,
+        },
+      },
+      { $limit: limitOf(params.limit) },
+      {
+        $project: {
+          ...Object.fromEntries(MAP_FIELDS.split(" ").map((f) => [f, 1])),
+          distanceKm: { $divide: ["$distance", 1000] },
+        },
+      },
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: `Found ${projects.length} project(s) within ${radiusKm} km`,
+      data: projects.map((project) => ({
+        ...project,
+        distanceKm: Math.round(project.distanceKm * 100) / 100,
+      })),
+      count: projects.length,
+      search: { center: { lat: point[1], lng: point[0] }, radiusKm },
+    });
+  } catch (error) {
+    handleError(res, error, "getProjectsNearby");
+  }
+};
+
+/**
+ * Projects inside a drawn polygon, or inside a district/block boundary.
+ * Without an imported boundary polygon, projects recorded against the
+ * district/block are returned instead.
+ * GET|POST /api/project/geo/within
+ * Params: polygon (GeoJSON Polygon/MultiPolygon or [[lng, lat], ...]),
+ * or district and optionally block; limit; and the project list filters
+ */
+export const getProjectsWithin = async (req, res) => {
+  try {
+    const params = paramsOf(req);
+
+    if (!params.polygon && !params.district) {
+      return res.status(400).json({
+        success: false,
+        message: "Either polygon or district is required",
+      });
+    }
+
+    // District/block: inside the imported boundary polygon, or matched on
+    // the project's recorded district/block when none has been imported
+    let listParams = params;
+    let area;
+    let boundary = null;
+    if (params.polygon) {
+      area = withinPolygon(parsePolygon(params.polygon));
+    } else {
+      boundary = await findAreaBoundary(params);
+      if (boundary) {
+        const { district, block, ...rest } = params;
+        listParams = rest;
+        const { type, coordinates } = boundary.geometry;
+        area = withinPolygon({ type, coordinates });
+      }
+    }
+
+    const filter = withScope(
+      { ...buildProjectListFilter(listParams), ...area },
+      await getProjectScopeFilter(req)
+    );
+
+    const projects = await Project.find(filter)
+      .select(MAP_FIELDS)
+      .sort({ projectId: 1 })
+      .limit(limitOf(params.limit))
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      message: `Found ${projects.length} project(s) in the area`,
+      data: projects,
+      count: projects.length,
+      search: {
+        boundary: boundary && { level: boundary.level, name: boundary.name },
+      },
+    });
+  } catch (error) {
+    handleError(res, error, "getProjectsWithin");
+  }
+};
+
+/**
+ * GeoJSON FeatureCollection of projects for the map view, with status,
+ * progress and cost as feature properties
+ * GET|POST /api/project/geo/features
+ * Params: the project list filters, optionally limited to a polygon or to
+ * lat/lng/radiusKm; limit (default 500, max 5000)
+ */
+export const getProjectsGeoJson = async (req, res) => {
+  try {
+    const params = paramsOf(req);
+    const limit = limitOf(params.limit);
+
+    const filter = withScope(
+      { ...buildProjectListFilter(params), ...areaFilterOf(params) },
+      await getProjectScopeFilter(req)
+    );
+
+    // One extra to tell whether the collection was cut at the limit
+    const projects = await Project.find(filter)
+      .select(MAP_FIELDS)
+      .limit(limit + 1)
+      .lean();
+    const truncated = projects.length > limit;
+
+    res
+      .status(200)
+      .type("application/geo+json")
+      .json({
+        type: "FeatureCollection",
+        features: projects.slice(0, limit).map(toProjectFeature),
+        success: true,
+        count: Math.min(projects.length, limit),
+        truncated,
+      });
+  } catch (error) {
+    handleError(res, error, "getProjectsGeoJson");
+  }
+};
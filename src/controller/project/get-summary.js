@@ -1,4 +1,8 @@
 import Project from "../../models/project.model.js";
+import {
+  getProjectScopeFilter,
+  withScope,
+} from "../../utils/jurisdiction-scope.js";
 
 export const getProjectsSummary = async (req, res) => {
   try {
@@ -14,8 +18,11 @@ export const getProjectsSummary = async (req, res) => {
     if (typeOfWork) filter.typeOfWork = typeOfWork;
     if (contractorName) filter.contractorName = new RegExp(contractorName, "i");
 
+    // Limit to projects within the user's jurisdiction
+    const scopedFilter = withScope(filter, await getProjectScopeFilter(req));
+
     const summary = await Project.aggregate([
-      { $match: filter },
+      { $match: scopedFilter },
       {
         $group: {
           _id: null,
@@ -171,7 +178,7 @@ export const getProjectsSummary = async (req, res) => {
       await Promise.all([
         // Top districts by project count and value
         Project.aggregate([
-          { $match: filter },
+          { $match: scopedFilter },
           {
             $group: {
               _id: "$district",
@@ -196,7 +203,7 @@ export const getProjectsSummary = async (req, res) => {
 
         // Top funds by project count and value
         Project.aggregate([
-          { $match: filter },
+          { $match: scopedFilter },
           {
             $group: {
               _id: "$fund",
@@ -221,7 +228,7 @@ export const getProjectsSummary = async (req, res) => {
 
         // Top creators by project count and performance
         Project.aggregate([
-          { $match: filter },
+          { $match: scopedFilter },
           {
             $group: {
               _id: {
@@ -250,7 +257,7 @@ export const getProjectsSummary = async (req, res) => {
 
         // Top types of work by project count
         Project.aggregate([
-          { $match: filter },
+          { $match: scopedFilter },
           {
             $group: {
               _id: "$typeOfWork",
@@ -275,7 +282,7 @@ export const getProjectsSummary = async (req, res) => {
 
         // Top contractors by project count and performance
         Project.aggregate([
-          { $match: filter },
+          { $match: scopedFilter },
           {
             $group: {
               _id: {
@@ -625,8 +632,11 @@ export const getDistrictWiseProjectsSummary = async (req, res) => {
       }
     }
 
+    // Limit to projects within the user's jurisdiction
+    const scopedFilter = withScope(filter, await getProjectScopeFilter(req));
+
     const districtSummary = await Project.aggregate([
-      { $match: filter },
+      { $match: scopedFilter },
       {
         $group: {
           _id: "$district",
@@ -836,15 +846,19 @@ export const getContractorWiseProjectsSummary = async (req, res) => {
       }
     }
 
+    // Limit to projects within the user's jurisdiction
+    const scopedFilter = withScope(filter, await getProjectScopeFilter(req));
+
     const contractorSummary = await Project.aggregate([
-      { $match: filter },
+      { $match: scopedFilter },
       {
+        // Projects linked to the contractor master are grouped by contractor,
+        // so spelling variants of a name count as one; others by name
         $group: {
-          _id: {
-            contractorName: "$contractorName",
-            contractorPhone: "$contractorPhoneNumber",
-            contractorAddress: "$contractorAddress",
-          },
+          _id: { $ifNull: ["$contractorRef", "$contractorName"] },
+          contractorNames: { $addToSet: "$contractorName" },
+          contractorPhones: { $addToSet: "$contractorPhoneNumber" },
+          contractorAddresses: { $addToSet: "$contractorAddress" },
           projectCount: { $sum: 1 },
           totalEstimatedCost: { $sum: "$estimatedCost" },
           totalBillSubmitted: { $sum: "$billSubmittedAmount" },
@@ -890,12 +904,24 @@ export const getContractorWiseProjectsSummary = async (req, res) => {
         },
       },
       { $sort: { projectCount: -1 } },
+      {
+        $lookup: {
+          from: "contractors",
+          localField: "_id",
+          foreignField: "_id",
+          as: "master",
+        },
+      },
     ]);
 
     const formattedContractorSummary = contractorSummary.map((contractor) => ({
-      contractorName: contractor._id.contractorName,
-      contractorPhone: contractor._id.contractorPhone,
-      contractorAddress: contractor._id.contractorAddress,
+      contractorId: contractor.master[0]?.contractorId || null,
+      contractorName: contractor.master[0]?.name || contractor._id,
+      contractorPhone:
+        contractor.master[0]?.phoneNumber || contractor.contractorPhones[0],
+      contractorAddress:
+        contractor.master[0]?.address || contractor.contractorAddresses[0],
+      nameVariants: contractor.contractorNames,
       projectCount: contractor.projectCount,
       totalEstimatedCost: contractor.totalEstimatedCost,
       totalBillSubmitted: contractor.totalBillSubmitted,
@@ -0,0 +1,278 @@
+import Contractor from "../../models/contractor.model.js";
+import Project from "../../models/project.model.js";
+import WorkflowDefinition from "../../models/workflow-definition.model.js";
+import { checkProjectLocation } from "../../utils/admin-boundary.js";
+import { setAuditContext } from "../../utils/audit.js";
+import { checkBudgetHead } from "../../utils/budget.js";
+import { funds } from "../../utils/constants.js";
+import {
+  debarmentError,
+  projectContractorFields,
+} from "../../utils/contractor.js";
+import { financialYearOf } from "../../utils/financial-year.js";
+import {
+  buildImportTemplate,
+  parseImportWorkbook,
+  projectImportColumns,
+  rowError,
+  runImport,
+} from "../../utils/project-import.js";
+
+const XLSX_MIME_TYPE =
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+const phoneRegex = /^(\+91[\s-]?)?[6-9]\d{9}$/;
+
+/**
+ * Download the project import template
+ * GET /api/project/import/template
+ */
+export const downloadProjectImportTemplate = async (req, res) => {
+  try {
+    const workbook = buildImportTemplate(projectImportColumns, "Projects");
+
+    res.setHeader("Content-Type", XLSX_MIME_TYPE);
+    res.setHeader(
+      "Content-Disposition",
+      'attachment; filename="project-import-template.xlsx"'
+    );
+
+    await workbook.xlsx.write(res);
+    res.end();
+  } catch (error) {
+    console.error("Error generating project import template:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to generate import template",
+    });
+  }
+};
+
+/**
+ * Import projects from an XLSX file (JE only).
+ * Every row is validated against the same rules as project creation.
+ * With ?dryRun=true nothing is saved; otherwise all valid rows are created
+ * in one transaction and invalid rows are reported back.
+ * POST /api/project/import
+ */
+export const importProjects = async (req, res) => {
+  try {
+    const dryRun = String(req.query.dryRun ?? req.body.dryRun) === "true";
+
+    const { rows, error } = await parseImportWorkbook(
+      req.file.buffer,
+      projectImportColumns
+    );
+
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "The file has no data rows",
+      });
+    }
+
+    const createdBy = {
+      userId: req.user.userId,
+      name: req.user.fullName || req.user.username,
+      role: req.user.designation,
+    };
+    const timestamp = Date.now();
+
+    // Cost committed by earlier rows of this file, per budget head, sub fund
+    // and financial year, so rows charging the same head are checked together
+    const committedInFile = new Map();
+
+    const buildDocument = async (values, index) => {
+      const mainFund = funds.find((fund) => fund.name === values.fund);
+      if (!mainFund?.subFunds.some((sub) => sub.name === values.subFund)) {
+        throw rowError(
+          "subFund",
+          `Invalid sub fund selected for ${values.fund}`
+        );
+      }
+
+      if (values.projectEndDate <= values.projectStartDate) {
+        throw rowError(
+          "projectEndDate",
+          "Project end date must be after start date"
+        );
+      }
+
+      if (
+        values.extensionPeriodForCompletion &&
+        values.extensionPeriodForCompletion <= values.projectEndDate
+      ) {
+        throw rowError(
+          "extensionPeriodForCompletion",
+          "Extension period must be after project end date"
+        );
+      }
+
+      const cleanPhone = values.contractorPhoneNumber.replace(/[\s-]/g, "");
+      if (!phoneRegex.test(cleanPhone)) {
+        throw rowError(
+          "contractorPhoneNumber",
+          "Please enter a valid Indian phone number"
+        );
+      }
+
+      // Block and gram panchayat must be in the boundary master, and the
+      // location inside the chosen district and block
+      const location = await checkProjectLocation({
+        district: values.district,
+        block: values.block?.trim(),
+        gramPanchayat: values.gramPanchayat?.trim(),
+        coordinates: [values.longitude, values.latitude],
+      });
+      if (location.errors.length > 0) {
+        throw rowError("geoLocation", location.errors.join("; "));
+      }
+
+      // A contractor name matching the contractor master is linked to it and
+      // takes the master's spelling. Debarred or blacklisted contractors
+      // cannot be given new works.
+      const contractor = await Contractor.findByName(values.contractorName);
+      const debarred = contractor && debarmentError(contractor);
+      if (debarred) {
+        throw rowError("contractorName", debarred);
+      }
+      const contractorFields = contractor
+        ? projectContractorFields(contractor, values)
+        : { contractorRef: null };
+
+      // The cost is committed against the budget head's allocation for the
+      // financial year of the work order, after earlier rows on the same head
+      const budgetKey = values.budgetHead?.trim()
+        ? [
+            values.budgetHead.trim().toLowerCase(),
+            values.subFund,
+            financialYearOf(values.dateOfIssueOfWorkOrder),
+          ].join("|")
+        : null;
+      const earlierRows = committedInFile.get(budgetKey) || 0;
+      const budgetCheck = await checkBudgetHead({
+        budgetHead: values.budgetHead,
+        subFund: values.subFund,
+        date: values.dateOfIssueOfWorkOrder,
+        amount: earlierRows + values.estimatedCost,
+        kind: "commitment",
+      });
+      if (budgetCheck?.isBlocked) {
+        throw rowError(
+          "budgetHead",
+          `Budget head over-committed: ${budgetCheck.message}${
+            earlierRows > 0
+              ? ` (including ${earlierRows} from earlier rows of this file)`
+              : ""
+          }`
+        );
+      }
+      if (budgetKey) {
+        committedInFile.set(budgetKey, earlierRows + values.estimatedCost);
+      }
+
+      const { latitude, longitude, ...fields } = values;
+
+      const project = new Project({
+        ...fields,
+        ...contractorFields,
+        block: location.block,
+        gramPanchayat: location.gramPanchayat,
+        projectId: `${values.typeOfWork}_${timestamp + index}`,
+        executingDepartment: "APTDCL",
+        hasSubProjects: false,
+        subProjects: [],
+        geoLocation: {
+          type: "Point",
+          coordinates: [longitude, latitude],
+        },
+        createdBy,
+      });
+
+      const workflow = await WorkflowDefinition.resolveForProject(project);
+      project.applyInitialWorkflowState(workflow);
+
+      return project;
+    };
+
+    // Work order numbers must be unique, within the file and in the database
+    const findDuplicates = async (docs) => {
+      const duplicates = [];
+      const seen = new Set();
+
+      const existing = await Project.find({
+        workOrderNumber: { $in: docs.map((doc) => doc.workOrderNumber) },
+      }).select("workOrderNumber projectId");
+      const existingNumbers = new Map(
+        existing.map((project) => [project.workOrderNumber, project.projectId])
+      );
+
+      docs.forEach((doc) => {
+        if (existingNumbers.has(doc.workOrderNumber)) {
+          duplicates.push({
+            doc,
+            field: "workOrderNumber",
+            message: `Work order number already exists (project ${existingNumbers.get(
+              doc.workOrderNumber
+            )})`,
+          });
+        } else if (seen.has(doc.workOrderNumber)) {
+          duplicates.push({
+            doc,
+            field: "workOrderNumber",
+            message: "Work order number is repeated in the file",
+          });
+        }
+        seen.add(doc.workOrderNumber);
+      });
+
+      return duplicates;
+    };
+
+    const report = await runImport({
+      rows,
+      buildDocument,
+      findDuplicates,
+      dryRun,
+    });
+
+    if (!dryRun && report.summary.created > 0) {
+      setAuditContext(res, {
+        entityType: "project",
+        entityId: "import",
+        description: `Imported ${report.summary.created} project(s) from ${req.file.originalname}`,
+      });
+
+      console.log(
+        `${report.summary.created} project(s) imported by ${req.user.userId}`
+      );
+    }
+
+    res.status(dryRun || report.summary.created === 0 ? 200 : 201).json({
+      success: true,
+      message: dryRun
+        ? `Dry run complete: ${report.summary.validRows} of ${report.summary.totalRows} row(s) are valid`
+        : `${report.summary.created} project(s) imported, ${report.summary.invalidRows} row(s) rejected`,
+      data: report,
+    });
+  } catch (error) {
+    console.error("Error importing projects:", error);
+
+    if (error.code === 11000) {
+      const field = Object.keys(error.keyValue)[0];
+      return res.status(409).json({
+        success: false,
+        message: `Import aborted: duplicate ${field} '${error.keyValue[field]}'`,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error occurred while importing projects",
+    });
+  }
+};
@@ -0,0 +1,398 @@
+import Project from "../../models/project.model.js";
+import { setAuditContext } from "../../utils/audit.js";
+import { getUserInfo, toSupportingDocuments } from "../../utils/bill-utils.js";
+import { ldWaiverApprovers } from "../../utils/constants.js";
+import { getProjectScopeFilter } from "../../utils/jurisdiction-scope.js";
+import { getLdPosition } from "../../utils/liquidated-damages.js";
+
+// Roles that set a project's LD clause
+const LD_CLAUSE_EDITORS = ["AEE", "CE", "MD"];
+
+/**
+ * Liquidated damages position of a project: clause, delay, accrued,
+ * waived, recovered and recoverable amounts with the waiver history
+ * GET /api/project/:id/liquidated-damages
+ */
+export const getLiquidatedDamages = async (req, res) => {
+  try {
+    const project = await Project.findOne({ projectId: req.params.id });
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Liquidated damages retrieved successfully",
+      data: {
+        projectId: project.projectId,
+        projectName: project.projectName,
+        contractorName: project.contractorName,
+        ...(await getLdPosition(project)),
+        pendingWaiver: project.pendingLdWaiver,
+        waivers: project.ldWaivers,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching liquidated damages:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Delayed projects with LD accrued to date, most accrued first
+ * GET /api/project/liquidated-damages/accrued
+ */
+export const getAccruedLiquidatedDamages = async (req, res) => {
+  try {
+    const now = new Date();
+    const projects = await Project.find({
+      $and: [
+        await getProjectScopeFilter(req),
+        { status: { $in: ["Ongoing", "Completed"] } },
+        {
+          $expr: {
+            $lt: [
+              { $ifNull: ["$extensionPeriodForCompletion", "$projectEndDate"] },
+              {
+                $ifNull: ["$statusWorkflow.completedAt", now],
+              },
+            ],
+          },
+        },
+      ],
+    }).select(
+      "projectId projectName contractorName district status estimatedCost projectEndDate extensionPeriodForCompletion statusWorkflow ldClause ldWaivers financialProgressUpdates"
+    );
+
+    const rows = await Promise.all(
+      projects.map(async (project) => {
+        const ld = await getLdPosition(project, { asOf: now });
+        return {
+          projectId: project.projectId,
+          projectName: project.projectName,
+          contractorName: project.contractorName,
+          district: project.district,
+          status: project.status,
+          completionDate: ld.completionDate,
+          delayDays: ld.delayDays,
+          accrued: ld.accrued,
+          waived: ld.waived,
+          recovered: ld.recovered,
+          recoverable: ld.recoverable,
+          isCapped: ld.isCapped,
+        };
+      })
+    );
+
+    const delayed = rows
+      .filter((row) => row.accrued > 0)
+      .sort((a, b) => b.accrued - a.accrued);
+    const sum = (field) =>
+      Math.round(delayed.reduce((total, row) => total + row[field], 0) * 100) /
+      100;
+
+    res.status(200).json({
+      success: true,
+      message: "Accrued liquidated damages retrieved successfully",
+      data: {
+        projects: delayed,
+        summary: {
+          delayedProjects: delayed.length,
+          accrued: sum("accrued"),
+          waived: sum("waived"),
+          recovered: sum("recovered"),
+          recoverable: sum("recoverable"),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching accrued liquidated damages:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Set the LD clause of a project's contract (AEE/CE/MD)
+ * PUT /api/project/:id/liquidated-damages/clause
+ * Body: { ratePerWeek, capPercent } (both % of contract value)
+ */
+export const setLdClause = async (req, res) => {
+  try {
+    if (!LD_CLAUSE_EDITORS.includes(req.user.designation)) {
+      return res.status(403).json({
+        success: false,
+        message: `Only ${LD_CLAUSE_EDITORS.join(", ")} can set LD clauses`,
+      });
+    }
+
+    const ratePerWeek = Number(req.body.ratePerWeek);
+    const capPercent = Number(req.body.capPercent);
+    if (
+      isNaN(ratePerWeek) ||
+      isNaN(capPercent) ||
+      ratePerWeek < 0 ||
+      capPercent < 0 ||
+      ratePerWeek > 100 ||
+      capPercent > 100
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "ratePerWeek and capPercent must be percentages (0-100)",
+      });
+    }
+
+    const project = await Project.findOne({ projectId: req.params.id });
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      });
+    }
+
+    const before =
+      project.ldClause?.ratePerWeek !== undefined
+        ? {
+            ratePerWeek: project.ldClause.ratePerWeek,
+            capPercent: project.ldClause.capPercent,
+          }
+        : null;
+
+    project.ldClause = {
+      ratePerWeek,
+      capPercent,
+      setBy: getUserInfo(req.user),
+      setAt: new Date(),
+    };
+    await project.save();
+
+    setAuditContext(res, {
+      entityType: "project",
+      entityId: project.projectId,
+      description: `Set LD clause of project ${project.projectId}`,
+      changes: [
+        { field: "ldClause", before, after: { ratePerWeek, capPercent } },
+      ],
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "LD clause updated successfully",
+      data: {
+        projectId: project.projectId,
+        ...(await getLdPosition(project)),
+      },
+    });
+  } catch (error) {
+    console.error("Error setting LD clause:", error);
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: Object.values(error.errors).map((err) => err.message),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Request a waiver of unrecovered LD (JE who created the project, or AEE)
+ * POST /api/project/:id/liquidated-damages/waivers
+ * Body: { amount, reason } + waiverFiles
+ */
+export const requestLdWaiver = async (req, res) => {
+  try {
+    const { amount, reason } = req.body;
+
+    const project = await Project.findOne({ projectId: req.params.id });
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      });
+    }
+
+    const isOwner = project.isAssignedTo(req.user.userId);
+    if (!isOwner && req.user.designation !== "AEE") {
+      return res.status(403).json({
+        success: false,
+        message: "Only the project's JE or an AEE can request an LD waiver",
+      });
+    }
+
+    if (project.pendingLdWaiver) {
+      return res.status(409).json({
+        success: false,
+        message: "An LD waiver is already awaiting approval",
+        details: { pendingWaiver: project.pendingLdWaiver },
+      });
+    }
+
+    if (!reason?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Reason is required for an LD waiver",
+      });
+    }
+
+    const amountNum = Number(amount);
+    const { recoverable } = await getLdPosition(project);
+    if (isNaN(amountNum) || amountNum <= 0 || amountNum > recoverable) {
+      return res.status(400).json({
+        success: false,
+        message: `Waiver amount must be greater than 0 and not more than the unrecovered LD of ${recoverable}`,
+      });
+    }
+
+    project.ldWaivers.push({
+      waiverNumber: project.ldWaivers.length + 1,
+      amount: amountNum,
+      reason: reason.trim(),
+      supportingDocuments: toSupportingDocuments(req.firebaseFiles),
+      requestedBy: getUserInfo(req.user),
+    });
+    await project.save();
+
+    setAuditContext(res, {
+      entityType: "project",
+      entityId: project.projectId,
+      description: `Requested LD waiver of ${amountNum} for project ${project.projectId}`,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "LD waiver submitted for approval",
+      data: {
+        projectId: project.projectId,
+        waiver: project.pendingLdWaiver,
+      },
+    });
+  } catch (error) {
+    console.error("Error requesting LD waiver:", error);
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: Object.values(error.errors).map((err) => err.message),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Approve or reject the pending LD waiver (CE/MD)
+ * PATCH /api/project/:id/liquidated-damages/waivers/decision
+ * Body: { decision: "Approved" | "Rejected", remarks? }
+ */
+export const decideLdWaiver = async (req, res) => {
+  try {
+    const { decision, remarks } = req.body || {};
+
+    if (!ldWaiverApprovers.includes(req.user.designation)) {
+      return res.status(403).json({
+        success: false,
+        message: `Only ${ldWaiverApprovers.join(", ")} can decide LD waivers`,
+      });
+    }
+
+    if (!["Approved", "Rejected"].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        message: "decision must be either 'Approved' or 'Rejected'",
+      });
+    }
+
+    if (decision === "Rejected" && !remarks?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Remarks are required when rejecting a waiver",
+      });
+    }
+
+    const project = await Project.findOne({ projectId: req.params.id });
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      });
+    }
+
+    const waiver = project.pendingLdWaiver;
+    if (!waiver) {
+      return res.status(404).json({
+        success: false,
+        message: "No LD waiver is awaiting approval for this project",
+      });
+    }
+
+    // LD may have been recovered since the request
+    if (decision === "Approved") {
+      const { recoverable } = await getLdPosition(project);
+      if (waiver.amount > recoverable) {
+        return res.status(409).json({
+          success: false,
+          message:
+            "Waiver amount is now more than the unrecovered LD and cannot be approved",
+          details: { recoverable },
+        });
+      }
+    }
+
+    waiver.status = decision;
+    waiver.decidedBy = getUserInfo(req.user);
+    waiver.decidedAt = new Date();
+    waiver.remarks = remarks?.trim();
+    await project.save();
+
+    setAuditContext(res, {
+      entityType: "project",
+      entityId: project.projectId,
+      description: `${decision} LD waiver ${waiver.waiverNumber} for project ${project.projectId}`,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `LD waiver ${decision.toLowerCase()}`,
+      data: {
+        projectId: project.projectId,
+        waiver,
+        ...(await getLdPosition(project)),
+      },
+    });
+  } catch (error) {
+    console.error("Error deciding LD waiver:", error);
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: Object.values(error.errors).map((err) => err.message),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
@@ -1,5 +1,9 @@
 import mongoose from "mongoose";
 import Project from "../../models/project.model.js";
+import {
+  getProjectScopeFilter,
+  withScope,
+} from "../../utils/jurisdiction-scope.js";
 
 /**
  * Create a new query for a project
@@ -1025,8 +1029,11 @@ export const getQueryStatistics = async (req, res) => {
       if (endDate) queryFilter["queries.raisedDate"].$lte = new Date(endDate);
     }
 
-    // Combine filters
-    const combinedFilter = { ...projectFilter, ...queryFilter };
+    // Combine filters, limited to the user's jurisdiction
+    const combinedFilter = withScope(
+      { ...projectFilter, ...queryFilter },
+      await getProjectScopeFilter(req)
+    );
 
     // Get comprehensive statistics
     const statistics = await Project.aggregate([
@@ -1371,7 +1378,11 @@ export const searchQueries = async (req, res) => {
       ],
     };
 
-    const finalFilter = { ...combinedFilter, ...textSearchFilter };
+    // Only queries on projects within the user's jurisdiction
+    const finalFilter = withScope(
+      { ...combinedFilter, ...textSearchFilter },
+      await getProjectScopeFilter(req)
+    );
 
     // Perform search with pagination
     const pageNum = parseInt(page);
@@ -1,5 +1,9 @@
 import mongoose from "mongoose";
+import Bill, { ACTIVE_BILL_STATUSES } from "../../models/bill.model.js";
 import Project from "../../models/project.model.js";
+import { withStatutoryDeductions } from "../../utils/bill-utils.js";
+import { checkBudgetHead } from "../../utils/budget.js";
+import { withVerifiedPhotos } from "../../utils/photo-exif.js";
 
 /**
  * Update financial progress of a project
@@ -48,6 +52,18 @@ export const updateFinancialProgress = async (req, res) => {
       throw new Error("FINANCIAL_PROGRESS_UPDATES_DISABLED");
     }
 
+    // Projects with a bill ledger derive financial progress from passed
+    // bills; rejected bills do not count as a ledger
+    if (
+      await Bill.exists({
+        project: project._id,
+        projectType: "Project",
+        status: { $in: ACTIVE_BILL_STATUSES },
+      }).session(session)
+    ) {
+      throw new Error("FINANCIAL_PROGRESS_FROM_BILLS");
+    }
+
     // Business logic validations
     const currentBillAmount = project.billSubmittedAmount || 0;
     const estimatedCost = project.estimatedCost;
@@ -124,6 +140,31 @@ export const updateFinancialProgress = async (req, res) => {
       userAgent: req.get("User-Agent") || "",
     };
 
+    // The amount billed is spent against the budget head's allocation
+    const budgetCheck = await checkBudgetHead({
+      budgetHead: project.budgetHead,
+      subFund: project.subFund,
+      date: updateData.billDetails.billDate,
+      amount: amountIncrease,
+      kind: "expenditure",
+      session,
+    });
+    if (budgetCheck?.isBlocked) {
+      throw Object.assign(new Error("BUDGET_HEAD_OVERRUN"), { budgetCheck });
+    }
+
+    // Statutory deductions and LD recovery on the amount billed in this update
+    updateData.billDetails = await withStatutoryDeductions(
+      updateData.billDetails,
+      {
+        amount: amountIncrease,
+        contractValue: estimatedCost,
+        projectType: "Project",
+        project,
+        session,
+      }
+    );
+
     const userInfo = {
       userId: user.id,
       userName: user.name || user.username,
@@ -234,6 +275,9 @@ export const updateFinancialProgress = async (req, res) => {
               : 0,
         },
       },
+      warnings: budgetCheck?.exceeds
+        ? [`Budget head overrun: ${budgetCheck.message}`]
+        : [],
       metadata: {
         updatedAt: new Date().toISOString(),
         updatedBy: userInfo,
@@ -315,6 +359,14 @@ export const updateFinancialProgress = async (req, res) => {
           details: { searchedId: req.params.id },
         }),
 
+      FINANCIAL_PROGRESS_FROM_BILLS: () =>
+        res.status(409).json({
+          success: false,
+          message:
+            "This project has a bill ledger. Financial progress is derived from passed bills; record a bill instead",
+          details: { billsEndpoint: "/api/bill/project/:projectId" },
+        }),
+
       FINANCIAL_PROGRESS_UPDATES_DISABLED: () =>
         res.status(403).json({
           success: false,
@@ -333,9 +385,18 @@ export const updateFinancialProgress = async (req, res) => {
             estimatedCost: req.project?.estimatedCost,
             attemptedBillAmount: req.body.newBillAmount,
             maxAllowed: req.project?.estimatedCost,
+            suggestion:
+              "Request a revised estimate if the cost of the work has increased",
           },
         }),
 
+      BUDGET_HEAD_OVERRUN: () =>
+        res.status(409).json({
+          success: false,
+          message: `Budget head overrun: ${error.budgetCheck.message}`,
+          details: { budget: error.budgetCheck },
+        }),
+
       BACKWARD_FINANCIAL_PROGRESS_NOT_ALLOWED: () =>
         res.status(400).json({
           success: false,
@@ -914,6 +975,7 @@ export const updateCombinedProgress = async (req, res) => {
     }
 
     const updates = [];
+    let budgetCheck = null;
     const previousState = {
       physicalProgress: project.progressPercentage || 0,
       financialProgress: project.financialProgress || 0,
@@ -934,9 +996,13 @@ export const updateCombinedProgress = async (req, res) => {
       const progressUpdateData = {
         newProgress: progressNum,
         remarks: remarks || "",
-        supportingDocuments: supportingDocuments.filter(
-          (doc) =>
-            doc.fileType === "image" || doc.originalName.includes("progress")
+        // Site photos are checked against the project location
+        supportingDocuments: withVerifiedPhotos(
+          supportingDocuments.filter(
+            (doc) =>
+              doc.fileType === "image" || doc.originalName.includes("progress")
+          ),
+          { site: project.geoLocation?.coordinates }
         ),
         ipAddress: req.ip || req.connection.remoteAddress,
         userAgent: req.get("User-Agent") || "",
@@ -967,10 +1033,41 @@ export const updateCombinedProgress = async (req, res) => {
         throw new Error("FINANCIAL_PROGRESS_UPDATES_DISABLED");
       }
 
+      if (
+        await Bill.exists({
+          project: project._id,
+          projectType: "Project",
+          status: { $in: ACTIVE_BILL_STATUSES },
+        }).session(session)
+      ) {
+        throw new Error("FINANCIAL_PROGRESS_FROM_BILLS");
+      }
+
+      const amountIncrease = billAmountNum - previousState.billAmount;
+      const financialBillDetails = await withStatutoryDeductions(billDetails, {
+        amount: amountIncrease,
+        contractValue: project.estimatedCost,
+        projectType: "Project",
+        project,
+        session,
+      });
+
+      budgetCheck = await checkBudgetHead({
+        budgetHead: project.budgetHead,
+        subFund: project.subFund,
+        date: financialBillDetails.billDate || new Date(),
+        amount: amountIncrease,
+        kind: "expenditure",
+        session,
+      });
+      if (budgetCheck?.isBlocked) {
+        throw Object.assign(new Error("BUDGET_HEAD_OVERRUN"), { budgetCheck });
+      }
+
       const financialUpdateData = {
         newBillAmount: billAmountNum,
         remarks: remarks || "",
-        billDetails: billDetails || {},
+        billDetails: financialBillDetails,
         supportingDocuments: supportingDocuments.filter(
           (doc) =>
             doc.fileType === "document" || doc.originalName.includes("bill")
@@ -1101,6 +1198,9 @@ export const updateCombinedProgress = async (req, res) => {
             ) <= 10, // Within 10% is considered aligned
         },
       },
+      warnings: budgetCheck?.exceeds
+        ? [`Budget head overrun: ${budgetCheck.message}`]
+        : [],
       metadata: {
         updatedAt: new Date().toISOString(),
         updatedBy: {
@@ -1160,6 +1260,19 @@ export const updateCombinedProgress = async (req, res) => {
           success: false,
           message: "Project not found",
         }),
+      FINANCIAL_PROGRESS_FROM_BILLS: () =>
+        res.status(409).json({
+          success: false,
+          message:
+            "This project has a bill ledger. Financial progress is derived from passed bills; record a bill instead",
+          details: { billsEndpoint: "/api/bill/project/:projectId" },
+        }),
+      BUDGET_HEAD_OVERRUN: () =>
+        res.status(409).json({
+          success: false,
+          message: `Budget head overrun: ${error.budgetCheck.message}`,
+          details: { budget: error.budgetCheck },
+        }),
       // Add other specific error handlers as needed
     };
 
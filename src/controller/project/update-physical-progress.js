@@ -1,5 +1,15 @@
 import mongoose from "mongoose";
 import Project from "../../models/project.model.js";
+import { photoFlags, photoVerificationLimits } from "../../utils/constants.js";
+import {
+  getProjectScopeFilter,
+  withScope,
+} from "../../utils/jurisdiction-scope.js";
+import {
+  PHOTO_FLAG_DESCRIPTIONS,
+  summarizePhotoFlags,
+  withVerifiedPhotos,
+} from "../../utils/photo-exif.js";
 
 /**
  * Update physical progress of a project
@@ -17,7 +27,7 @@ export const updateProjectProgress = async (req, res) => {
     const user = req.user;
 
     // Process uploaded files from Firebase middleware
-    const supportingDocuments = req.firebaseFiles || [];
+    let supportingDocuments = req.firebaseFiles || [];
 
     // Validation
     if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -92,6 +102,17 @@ export const updateProjectProgress = async (req, res) => {
       }
     }
 
+    // Check where and when site photos were taken; photos shot away from
+    // the site or long before the update are flagged for audit
+    supportingDocuments = withVerifiedPhotos(supportingDocuments, {
+      site: project.geoLocation?.coordinates,
+    });
+    const photoVerification = summarizePhotoFlags(
+      supportingDocuments
+        .filter((document) => document.photo)
+        .map((document) => document.photo)
+    );
+
     // Prepare update data
     const updateData = {
       newProgress: progressNum,
@@ -223,6 +244,7 @@ export const updateProjectProgress = async (req, res) => {
             return acc;
           }, {}),
         },
+        photoVerification,
         // NEW: Status change information
         statusChange: {
           occurred: statusChanged,
@@ -253,6 +275,10 @@ export const updateProjectProgress = async (req, res) => {
       response.message += `. ${statusChangeMessage}`;
     }
 
+    if (photoVerification.flagged > 0) {
+      response.message += `. ${photoVerification.flagged} photo(s) flagged for location or capture time`;
+    }
+
     res.status(200).json(response);
   } catch (error) {
     // Rollback transaction
@@ -753,6 +779,127 @@ export const getProgressStatistics = async (req, res) => {
   }
 };
 
+/**
+ * Gallery of site photographs attached to progress updates, oldest first,
+ * with where and when each was taken and any verification flags
+ * GET /api/project/:id/progress/photos
+ * Query: flagged (true|false), flag (e.g. FAR_FROM_SITE), from, to
+ * (capture date, or upload date for photos without one)
+ */
+export const getProgressPhotos = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { flagged, flag, from, to } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid project ID format",
+      });
+    }
+
+    if (flag && !photoFlags.includes(flag)) {
+      return res.status(400).json({
+        success: false,
+        message: `flag must be one of: ${photoFlags.join(", ")}`,
+      });
+    }
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid date range",
+      });
+    }
+    toDate?.setHours(23, 59, 59, 999);
+
+    const project = await Project.findOne(
+      withScope({ _id: id }, await getProjectScopeFilter(req))
+    )
+      .select("projectId projectName geoLocation progressUpdates")
+      .lean();
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      });
+    }
+
+    const matches = (document) => {
+      const photo = document.photo;
+      if (flagged === "true" && photo?.isVerified !== false) return false;
+      if (flagged === "false" && !photo?.isVerified) return false;
+      if (flag && !photo?.flags?.includes(flag)) return false;
+
+      const takenAt = new Date(photo?.capturedAt || document.uploadedAt);
+      if (fromDate && takenAt < fromDate) return false;
+      if (toDate && takenAt > toDate) return false;
+      return true;
+    };
+
+    const timeline = (project.progressUpdates || [])
+      .map((update) => ({
+        updateId: update._id,
+        updatedAt: update.createdAt,
+        previousProgress: update.previousProgress,
+        newProgress: update.newProgress,
+        remarks: update.remarks,
+        updatedBy: update.updatedBy,
+        photos: (update.supportingDocuments || [])
+          .filter((document) => document.fileType === "image")
+          .filter(matches)
+          .map((document) => ({
+            fileName: document.fileName,
+            originalName: document.originalName,
+            downloadURL: document.downloadURL,
+            uploadedAt: document.uploadedAt,
+            // Photos uploaded before EXIF checks were introduced have none
+            photo: document.photo
+              ? {
+                  ...document.photo,
+                  issues: (document.photo.flags || []).map(
+                    (code) => PHOTO_FLAG_DESCRIPTIONS[code]
+                  ),
+                }
+              : null,
+          })),
+      }))
+      .filter((update) => update.photos.length > 0)
+      .sort((a, b) => new Date(a.updatedAt) - new Date(b.updatedAt));
+
+    const photos = timeline.flatMap((update) => update.photos);
+    const checked = photos.filter((entry) => entry.photo);
+    const [longitude, latitude] = project.geoLocation?.coordinates || [];
+
+    res.status(200).json({
+      success: true,
+      message: "Progress photos retrieved successfully",
+      data: {
+        projectId: project.projectId,
+        projectName: project.projectName,
+        site: latitude !== undefined ? { latitude, longitude } : null,
+        timeline,
+        summary: {
+          ...summarizePhotoFlags(checked.map((entry) => entry.photo)),
+          totalPhotos: photos.length,
+          notChecked: photos.length - checked.length,
+        },
+        limits: photoVerificationLimits,
+      },
+      filters: { flagged, flag, from, to },
+    });
+  } catch (error) {
+    console.error("Error retrieving progress photos:", error);
+    res.status(500).json({
+      success: false,
+      message:
+        "Internal server error occurred while retrieving progress photos",
+    });
+  }
+};
+
 // Helper function to determine progress status
 function getProgressStatus(progress) {
   if (!progress) return "Not Started";
@@ -799,4 +946,5 @@ export default {
   updateProjectProgress,
   getProgressHistory,
   getProgressStatistics,
+  getProgressPhotos,
 };
@@ -1,5 +1,8 @@
 import mongoose from "mongoose";
 import Project from "../../models/project.model.js";
+import WorkflowDefinition from "../../models/workflow-definition.model.js";
+import { userRoles } from "../../utils/constants.js";
+import { getAvailableWorkflowTransitions } from "../../utils/workflow-engine.js";
 
 // Update project status
 export const updateProjectStatus = async (req, res) => {
@@ -41,14 +44,6 @@ export const updateProjectStatus = async (req, res) => {
       });
     }
 
-    // Validate rejection reason for rejected statuses
-    if (newStatus.includes("Rejected") && !rejectionReason?.trim()) {
-      return res.status(400).json({
-        success: false,
-        message: "Rejection reason is required for rejected status",
-      });
-    }
-
     // Prepare user info for status change
     const userInfo = {
       userId: user.userId || user.id,
@@ -58,9 +53,8 @@ export const updateProjectStatus = async (req, res) => {
       userAgent: req.get("User-Agent"),
     };
 
-    // Validate user role
-    const allowedRoles = ["JE", "AEE", "CE", "MD"];
-    if (!allowedRoles.includes(userInfo.role)) {
+    // Validate user role (transitions per role come from the workflow)
+    if (!userRoles.includes(userInfo.role)) {
       return res.status(403).json({
         success: false,
         message: "Unauthorized role for status updates",
@@ -79,10 +73,38 @@ export const updateProjectStatus = async (req, res) => {
       // Get updated project with status info
       const updatedProject = await Project.findById(id)
         .select(
-          "_id projectId projectName status statusHistory statusWorkflow currentStatusInfo"
+          "_id projectId projectName status statusHistory statusWorkflow workflowState currentStatusInfo"
         )
         .lean();
 
+      // Intermediate approval in a multi-stage chain: status is unchanged
+      if (updatedProject.status !== newStatus) {
+        const pendingApproval = updatedProject.workflowState.pendingApproval;
+
+        return res.status(200).json({
+          success: true,
+          message: `Approval recorded. '${newStatus}' is pending further approvals`,
+          data: {
+            project: {
+              id: updatedProject._id,
+              projectId: updatedProject.projectId,
+              projectName: updatedProject.projectName,
+              currentStatus: updatedProject.status,
+              updatedAt: new Date().toISOString(),
+              updatedBy: {
+                name: userInfo.name,
+                role: userInfo.role,
+              },
+            },
+            pendingApproval: {
+              targetStatus: pendingApproval.targetStatus,
+              approvals: pendingApproval.approvals,
+              workflowCode: updatedProject.workflowState.code,
+            },
+          },
+        });
+      }
+
       // Log the status change
       console.log(
         `Project status updated: ${project.projectId} from '${
@@ -111,9 +133,12 @@ export const updateProjectStatus = async (req, res) => {
           },
           statusChange: {
             remarks: remarks?.trim(),
-            rejectionReason: newStatus.includes("Rejected")
-              ? rejectionReason?.trim()
-              : null,
+            rejectionReason:
+              updatedProject.workflowState.stateType === "rejected"
+                ? rejectionReason?.trim()
+                : null,
+            stateType: updatedProject.workflowState.stateType,
+            workflowCode: updatedProject.workflowState.code,
             timestamp: new Date().toISOString(),
           },
         },
@@ -215,16 +240,8 @@ export const getProjectsByStatus = async (req, res) => {
       sortOrder = "desc",
     } = req.query;
 
-    // Validate status
-    const validStatuses = [
-      "Submitted for Approval",
-      "Resubmitted for Approval",
-      "Rejected by AEE",
-      "Rejected by CE",
-      "Rejected by MD",
-      "Ongoing",
-      "Completed",
-    ];
+    // Validate status against every active workflow definition
+    const validStatuses = await WorkflowDefinition.getAllStatuses();
 
     if (status && !validStatuses.includes(status)) {
       return res.status(400).json({
@@ -253,7 +270,7 @@ export const getProjectsByStatus = async (req, res) => {
     // Get projects
     const projects = await Project.find(filter)
       .select(
-        "_id projectId projectName status district fund estimatedCost contractorName createdBy statusWorkflow updatedAt"
+        "_id projectId projectName status district fund estimatedCost contractorName createdBy statusWorkflow workflowState updatedAt"
       )
       .sort(sort)
       .skip(skip)
@@ -264,18 +281,29 @@ export const getProjectsByStatus = async (req, res) => {
     const totalProjects = await Project.countDocuments(filter);
 
     // Enrich projects with status info
-    const enrichedProjects = projects.map((project) => ({
-      ...project,
-      statusInfo: {
-        isRejected: project.status.includes("Rejected"),
-        isApproved: project.status === "Ongoing",
-        isCompleted: project.status === "Completed",
-        isPending: [
-          "Submitted for Approval",
-          "Resubmitted for Approval",
-        ].includes(project.status),
-      },
-    }));
+    const enrichedProjects = projects.map((project) => {
+      const stateType = project.workflowState?.stateType;
+
+      return {
+        ...project,
+        statusInfo: {
+          isRejected: stateType
+            ? stateType === "rejected"
+            : project.status.includes("Rejected"),
+          isApproved: stateType
+            ? stateType === "approved"
+            : project.status === "Ongoing",
+          isCompleted: stateType
+            ? stateType === "completed"
+            : project.status === "Completed",
+          isPending: stateType
+            ? stateType === "pending"
+            : ["Submitted for Approval", "Resubmitted for Approval"].includes(
+                project.status
+              ),
+        },
+      };
+    });
 
     res.status(200).json({
       success: true,
@@ -416,7 +444,7 @@ export const getAllowedStatusTransitions = async (req, res) => {
 
     // Find the project
     const project = await Project.findById(id).select(
-      "_id projectId projectName status"
+      "_id projectId projectName status fund subFund estimatedCost workflowState"
     );
     if (!project) {
       return res.status(404).json({
@@ -426,32 +454,17 @@ export const getAllowedStatusTransitions = async (req, res) => {
     }
 
     const userRole = user.designation || user.role;
-    const currentStatus = project.status;
-
-    // Define allowed transitions for each role
-    const allowedTransitions = {
-      JE: {
-        "Rejected by AEE": ["Resubmitted for Approval"],
-        "Rejected by CE": ["Resubmitted for Approval"],
-        "Rejected by MD": ["Resubmitted for Approval"],
-        Ongoing: ["Completed"],
-      },
-      AEE: {
-        "Submitted for Approval": ["Rejected by AEE", "Ongoing"],
-        "Resubmitted for Approval": ["Rejected by AEE", "Ongoing"],
-      },
-      CE: {
-        "Submitted for Approval": ["Rejected by CE", "Ongoing"],
-        "Resubmitted for Approval": ["Rejected by CE", "Ongoing"],
-      },
-      MD: {
-        "Submitted for Approval": ["Rejected by MD", "Ongoing"],
-        "Resubmitted for Approval": ["Rejected by MD", "Ongoing"],
-      },
-    };
 
-    const userAllowedTransitions =
-      allowedTransitions[userRole]?.[currentStatus] || [];
+    // Transitions come from the workflow definition governing the project
+    const workflow = await WorkflowDefinition.resolveForProject(project);
+    const transitions = getAvailableWorkflowTransitions(
+      workflow,
+      project,
+      userRole
+    );
+    const pendingApproval = project.workflowState?.pendingApproval?.targetStatus
+      ? project.workflowState.pendingApproval
+      : null;
 
     res.status(200).json({
       success: true,
@@ -463,13 +476,21 @@ export const getAllowedStatusTransitions = async (req, res) => {
           projectName: project.projectName,
           currentStatus: project.status,
         },
+        workflow: {
+          id: workflow._id || null,
+          code: workflow.code,
+          name: workflow.name,
+          version: workflow.version || null,
+        },
         user: {
           role: userRole,
-          canUpdateStatus: userAllowedTransitions.length > 0,
+          canUpdateStatus: transitions.length > 0,
         },
-        allowedTransitions: userAllowedTransitions,
-        requiresRejectionReason: userAllowedTransitions.some((status) =>
-          status.includes("Rejected")
+        allowedTransitions: transitions.map((transition) => transition.status),
+        transitionDetails: transitions,
+        pendingApproval,
+        requiresRejectionReason: transitions.some(
+          (transition) => transition.requiresRejectionReason
         ),
       },
     });
@@ -0,0 +1,68 @@
+import ScheduleOfRates from "../../models/schedule-of-rates.model.js";
+
+// Create a schedule of rates item (Admin only)
+const createScheduleOfRatesItem = async (req, res) => {
+  try {
+    const { itemCode, edition, description, category, unit, rate, isActive } =
+      req.body;
+
+    if (!itemCode?.trim() || !edition?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Item code and SOR edition are required",
+      });
+    }
+
+    if (rate === undefined || isNaN(Number(rate)) || Number(rate) < 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Rate must be a non-negative number",
+      });
+    }
+
+    const item = await ScheduleOfRates.create({
+      itemCode: itemCode.trim(),
+      edition: edition.trim(),
+      description: description?.trim(),
+      category: category?.trim(),
+      unit: unit?.trim(),
+      rate: Number(rate),
+      isActive: isActive !== undefined ? Boolean(isActive) : true,
+      createdBy: {
+        userId: req.user.userId,
+        name: req.user.fullName || req.user.username,
+        role: req.user.designation,
+      },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Schedule of rates item created successfully",
+      data: item,
+    });
+  } catch (error) {
+    console.error("Error creating schedule of rates item:", error);
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Schedule of rates item validation failed",
+        errors: Object.values(error.errors).map((err) => err.message),
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "Item code already exists in this SOR edition",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while creating schedule of rates item",
+    });
+  }
+};
+
+export default createScheduleOfRatesItem;
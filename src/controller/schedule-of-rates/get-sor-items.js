@@ -0,0 +1,61 @@
+import ScheduleOfRates from "../../models/schedule-of-rates.model.js";
+
+// List schedule of rates items
+// Query: edition, category, search, isActive, page, limit
+const getScheduleOfRatesItems = async (req, res) => {
+  try {
+    const {
+      edition,
+      category,
+      search,
+      isActive,
+      page = 1,
+      limit = 50,
+    } = req.query;
+
+    const filter = {};
+    if (edition) filter.edition = edition;
+    if (category) filter.category = category;
+    if (isActive !== undefined) filter.isActive = isActive === "true";
+    if (search) filter.$text = { $search: search };
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(200, Math.max(1, parseInt(limit) || 50));
+
+    const [items, totalCount, editions] = await Promise.all([
+      ScheduleOfRates.find(filter)
+        .sort({ edition: -1, itemCode: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      ScheduleOfRates.countDocuments(filter),
+      ScheduleOfRates.distinct("edition"),
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    res.status(200).json({
+      success: true,
+      message: `Retrieved ${items.length} schedule of rates item(s)`,
+      data: {
+        items,
+        editions: editions.sort().reverse(),
+      },
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalCount,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1,
+      },
+    });
+  } catch (error) {
+    console.error("Error retrieving schedule of rates items:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while retrieving schedule of rates",
+    });
+  }
+};
+
+export default getScheduleOfRatesItems;
@@ -0,0 +1,74 @@
+import mongoose from "mongoose";
+import ScheduleOfRates from "../../models/schedule-of-rates.model.js";
+
+// Update a schedule of rates item (Admin only)
+// Rates already applied to MB items are stored on the item and not affected
+const updateScheduleOfRatesItem = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid schedule of rates item ID format",
+      });
+    }
+
+    const item = await ScheduleOfRates.findById(id);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: "Schedule of rates item not found",
+      });
+    }
+
+    const updatableFields = [
+      "description",
+      "category",
+      "unit",
+      "rate",
+      "isActive",
+    ];
+
+    updatableFields.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        item[field] = req.body[field];
+      }
+    });
+
+    item.lastModifiedBy = {
+      userId: req.user.userId,
+      name: req.user.fullName || req.user.username,
+      role: req.user.designation,
+      modifiedAt: new Date(),
+    };
+
+    await item.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Schedule of rates item updated successfully",
+      data: item,
+    });
+  } catch (error) {
+    console.error("Error updating schedule of rates item:", error);
+
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: "Schedule of rates item validation failed",
+        errors: error.errors
+          ? Object.values(error.errors).map((err) => err.message)
+          : [error.message],
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while updating schedule of rates item",
+    });
+  }
+};
+
+export default updateScheduleOfRatesItem;
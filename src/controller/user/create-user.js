@@ -1,5 +1,6 @@
 import bcrypt from "bcryptjs";
 import User from "../../models/user.model.js";
+import { setAuditContext } from "../../utils/audit.js";
 import { sendMail } from "../../utils/mailSender.js";
 
 // This function generates a random password with at least one uppercase letter,
@@ -152,6 +153,18 @@ const createUser = async (req, res) => {
 
     const savedUser = await newUser.save();
 
+    setAuditContext(res, {
+      entityType: "user",
+      entityId: savedUser.userId,
+      description: `Created ${savedUser.designation} user ${savedUser.userId}`,
+      after: {
+        userId: savedUser.userId,
+        email: savedUser.email,
+        designation: savedUser.designation,
+        departmentName: savedUser.departmentName,
+      },
+    });
+
     try {
       await sendMail(
         savedUser.email,
@@ -319,4 +332,4 @@ const changePassword = async (req, res) => {
   }
 };
 
-export { changePassword, createUser as default };
+export { changePassword, createUser as default, generateSecurePassword };
@@ -42,6 +42,11 @@ const getAllUsers = async (req, res) => {
       filter.isFirstLogin = req.query.isFirstLogin === "true";
     }
 
+    // Filter by active status
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === "true" ? { $ne: false } : false;
+    }
+
     // Search functionality (searches across multiple fields)
     if (req.query.search) {
       const searchRegex = { $regex: req.query.search, $options: "i" };
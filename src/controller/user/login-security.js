@@ -0,0 +1,117 @@
+import LoginSecurity from "../../models/login-security.model.js";
+import User from "../../models/user.model.js";
+import { setAuditContext } from "../../utils/audit.js";
+
+// Summarize a login-security record for the admin view
+const formatRecord = (record) => {
+  const now = Date.now();
+  const isLocked = Boolean(
+    record.lockedUntil && new Date(record.lockedUntil).getTime() > now
+  );
+
+  return {
+    type: record.type,
+    isLocked,
+    lockedUntil: isLocked ? record.lockedUntil : null,
+    lockCount: record.lockCount || 0,
+    failedAttempts: (record.attempts || []).filter(
+      (attempt) => !attempt.success
+    ).length,
+    lastAttempt: record.lastAttempt || null,
+    recentAttempts: (record.attempts || []).slice(-10),
+  };
+};
+
+/**
+ * View login and OTP lockouts for a user (Admin only)
+ * GET /api/user/user/:userId/lockouts
+ */
+export const getUserLockouts = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await User.findOne({ userId }).select("userId email fullName");
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const records = (await LoginSecurity.findForUser(user)).map(formatRecord);
+
+    res.status(200).json({
+      success: true,
+      message: "User lockout status retrieved successfully",
+      data: {
+        userId: user.userId,
+        email: user.email,
+        name: user.fullName,
+        isLocked: records.some((record) => record.isLocked),
+        records,
+      },
+    });
+  } catch (error) {
+    console.error("Get user lockouts error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Clear login and OTP lockouts for a user (Admin only)
+ * DELETE /api/user/user/:userId/lockouts
+ */
+export const clearUserLockouts = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await User.findOne({ userId }).select("userId email");
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const before = (await LoginSecurity.findForUser(user)).map(formatRecord);
+    const result = await LoginSecurity.clearForUser(user);
+
+    setAuditContext(res, {
+      entityType: "user",
+      entityId: user.userId,
+      description: "Cleared login and OTP lockouts",
+      changes: before
+        .filter((record) => record.isLocked || record.failedAttempts > 0)
+        .map((record) => ({
+          field: `lockout.${record.type}`,
+          before: {
+            isLocked: record.isLocked,
+            failedAttempts: record.failedAttempts,
+          },
+          after: null,
+        })),
+    });
+
+    console.log(
+      `Lockouts cleared for ${user.userId} by ${req.user.userId} (${result.deletedCount} record(s))`
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "User lockouts cleared successfully",
+      data: {
+        userId: user.userId,
+        clearedRecords: result.deletedCount,
+      },
+    });
+  } catch (error) {
+    console.error("Clear user lockouts error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
@@ -0,0 +1,409 @@
+import bcrypt from "bcryptjs";
+import Session from "../../models/session.model.js";
+import User from "../../models/user.model.js";
+import { setAuditContext } from "../../utils/audit.js";
+import { userRoles } from "../../utils/constants.js";
+import { sendMail } from "../../utils/mailSender.js";
+import { generateSecurePassword } from "./create-user.js";
+
+// Profile fields an admin may edit. Designation and active state have
+// their own routes so they are recorded properly.
+const EDITABLE_FIELDS = [
+  "fullName",
+  "username",
+  "email",
+  "phoneNumber",
+  "departmentName",
+  "departmentId",
+  "officeLocation",
+  "roleId",
+];
+
+const adminInfo = (user) => ({
+  userId: user.userId,
+  name: user.fullName || user.username,
+  role: user.designation,
+});
+
+const findUser = (userId) => User.findOne({ userId }).select("-password");
+
+const validationErrorResponse = (res, error) =>
+  res.status(400).json({
+    success: false,
+    message: "Validation failed",
+    errors: Object.values(error.errors).map((err) => err.message),
+  });
+
+/**
+ * Edit a user's profile details (Admin only)
+ * PUT /api/user/user/:userId
+ */
+export const updateUser = async (req, res) => {
+  try {
+    const user = await findUser(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const before = user.toObject();
+
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        const value = req.body[field];
+        user[field] = typeof value === "string" ? value.trim() : value;
+      }
+    });
+
+    if (req.body.email !== undefined) {
+      user.email = String(req.body.email).toLowerCase().trim();
+    }
+
+    if (!user.isModified()) {
+      return res.status(400).json({
+        success: false,
+        message: "No changes to update",
+      });
+    }
+
+    await user.save();
+
+    setAuditContext(res, {
+      entityType: "user",
+      entityId: user.userId,
+      before,
+      after: user.toObject(),
+      fields: EDITABLE_FIELDS,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "User updated successfully",
+      data: user,
+    });
+  } catch (error) {
+    console.error("Update user error:", error);
+
+    if (error.name === "ValidationError") {
+      return validationErrorResponse(res, error);
+    }
+
+    if (error.code === 11000) {
+      const field = Object.keys(error.keyValue)[0];
+      return res.status(409).json({
+        success: false,
+        message: `${field} already exists`,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Deactivate a user and log them out everywhere (Admin only)
+ * PATCH /api/user/user/:userId/deactivate
+ * Body: { reason }
+ */
+export const deactivateUser = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const user = await findUser(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (user.userId === req.user.userId) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot deactivate your own account",
+      });
+    }
+
+    if (user.isActive === false) {
+      return res.status(400).json({
+        success: false,
+        message: "User is already deactivated",
+      });
+    }
+
+    user.isActive = false;
+    user.deactivatedAt = new Date();
+    user.deactivatedBy = adminInfo(req.user);
+    user.deactivationReason = reason?.trim() || undefined;
+    await user.save();
+
+    const revokedSessions = await Session.revoke(
+      { user: user._id },
+      "user_deactivated",
+      req.user
+    );
+
+    setAuditContext(res, {
+      entityType: "user",
+      entityId: user.userId,
+      description: `Deactivated user ${user.userId}`,
+      changes: [{ field: "isActive", before: true, after: false }],
+    });
+
+    console.log(
+      `User ${user.userId} deactivated by ${req.user.userId} (${revokedSessions} session(s) revoked)`
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "User deactivated successfully",
+      data: {
+        userId: user.userId,
+        isActive: user.isActive,
+        deactivatedAt: user.deactivatedAt,
+        deactivationReason: user.deactivationReason,
+        revokedSessions,
+      },
+    });
+  } catch (error) {
+    console.error("Deactivate user error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Reactivate a deactivated user (Admin only)
+ * PATCH /api/user/user/:userId/reactivate
+ */
+export const reactivateUser = async (req, res) => {
+  try {
+    const user = await findUser(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (user.isActive !== false) {
+      return res.status(400).json({
+        success: false,
+        message: "User is already active",
+      });
+    }
+
+    user.isActive = true;
+    user.deactivatedAt = undefined;
+    user.deactivatedBy = undefined;
+    user.deactivationReason = undefined;
+    await user.save();
+
+    setAuditContext(res, {
+      entityType: "user",
+      entityId: user.userId,
+      description: `Reactivated user ${user.userId}`,
+      changes: [{ field: "isActive", before: false, after: true }],
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "User reactivated successfully",
+      data: {
+        userId: user.userId,
+        isActive: user.isActive,
+      },
+    });
+  } catch (error) {
+    console.error("Reactivate user error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Change a user's designation, e.g. after promotion (Admin only).
+ * The user ID is kept so existing records stay linked.
+ * PATCH /api/user/user/:userId/role
+ * Body: { designation, remarks }
+ */
+export const changeUserRole = async (req, res) => {
+  try {
+    const { designation, remarks } = req.body;
+
+    if (!designation || !userRoles.includes(designation)) {
+      return res.status(400).json({
+        success: false,
+        message: `Designation must be one of: ${userRoles.join(", ")}`,
+      });
+    }
+
+    const user = await findUser(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (user.userId === req.user.userId) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot change your own designation",
+      });
+    }
+
+    if (user.designation === designation) {
+      return res.status(400).json({
+        success: false,
+        message: `User is already ${designation}`,
+      });
+    }
+
+    const previousDesignation = user.designation;
+    user.designation = designation;
+    user.roleHistory.push({
+      previousDesignation,
+      newDesignation: designation,
+      remarks: remarks?.trim() || undefined,
+      changedBy: adminInfo(req.user),
+      changedAt: new Date(),
+    });
+    await user.save();
+
+    setAuditContext(res, {
+      entityType: "user",
+      entityId: user.userId,
+      description: `Changed designation from ${previousDesignation} to ${designation}`,
+      changes: [
+        {
+          field: "designation",
+          before: previousDesignation,
+          after: designation,
+        },
+      ],
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "User designation changed successfully",
+      data: {
+        userId: user.userId,
+        previousDesignation,
+        designation: user.designation,
+        roleHistory: user.roleHistory,
+      },
+    });
+  } catch (error) {
+    console.error("Change user role error:", error);
+
+    if (error.name === "ValidationError") {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Force a password reset (Admin only).
+ * Sets a new temporary password, emails it to the user, marks the account
+ * as first login so the password must be changed, and logs the user out
+ * everywhere.
+ * POST /api/user/user/:userId/reset-password
+ */
+export const adminResetPassword = async (req, res) => {
+  try {
+    const user = await User.findOne({ userId: req.params.userId });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const plainPassword = generateSecurePassword();
+    user.password = await bcrypt.hash(plainPassword, 12);
+    user.isFirstLogin = true;
+    user.lastPasswordChange = new Date();
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save();
+
+    const revokedSessions = await Session.revoke(
+      { user: user._id },
+      "password_reset",
+      req.user
+    );
+
+    setAuditContext(res, {
+      entityType: "user",
+      entityId: user.userId,
+      description: `Forced password reset for ${user.userId}`,
+    });
+
+    let emailSent = true;
+    try {
+      await sendMail(
+        user.email,
+        "Your APTDCL Password Has Been Reset",
+        `
+    <!DOCTYPE html>
+    <html>
+      <body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f4f4f4;">
+        <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff; padding: 20px; border-radius: 8px;">
+          <h1 style="color: #279eab; text-align: center; font-size: 28px;">APTDCL</h1>
+          <p style="color: #333333; font-size: 16px;">Hello ${
+            user.fullName || ""
+          },</p>
+          <p style="color: #666666; font-size: 14px;">An administrator has reset the password for your account <strong>${
+            user.userId
+          }</strong>.</p>
+          <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; text-align: center;">
+            <p style="color: #666666; margin: 0 0 5px 0; font-size: 14px;">Temporary Password:</p>
+            <p style="color: #279eab; margin: 0; font-size: 18px; font-weight: bold; letter-spacing: 2px;">${plainPassword}</p>
+          </div>
+          <p style="color: #856404; font-size: 14px;"><strong>Important:</strong> You will be asked to change this password when you next log in.</p>
+        </div>
+      </body>
+    </html>
+  `
+      );
+    } catch (mailError) {
+      emailSent = false;
+      console.error("Failed to send password reset email:", mailError);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: emailSent
+        ? "Password reset successfully. The temporary password was emailed to the user."
+        : "Password reset successfully, but the email could not be sent.",
+      temporaryPassword: plainPassword, // Only shown once to admin
+      data: {
+        userId: user.userId,
+        isFirstLogin: user.isFirstLogin,
+        revokedSessions,
+        emailSent,
+      },
+    });
+  } catch (error) {
+    console.error("Admin reset password error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
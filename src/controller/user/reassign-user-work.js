@@ -0,0 +1,208 @@
+import mongoose from "mongoose";
+import ArchiveProject from "../../models/archive-project.model.js";
+import Project from "../../models/project.model.js";
+import User from "../../models/user.model.js";
+import { setAuditContext } from "../../utils/audit.js";
+import { getUserInfo } from "../../utils/bill-utils.js";
+
+// Queries still waiting on someone
+const OPEN_QUERY_STATUSES = ["Open", "In Progress"];
+
+// Names a user may appear under in free-text fields
+const namesOf = (user) =>
+  [user.fullName, user.username, user.userId].filter(Boolean);
+
+// Reassign open queries assigned to any of `names` within a collection
+const reassignOpenQueries = async (Model, names, successorName, session) => {
+  const arrayFilters = [
+    {
+      "query.assignedTo": { $in: names },
+      "query.status": { $in: OPEN_QUERY_STATUSES },
+      "query.isActive": true,
+    },
+  ];
+
+  const [{ count = 0 } = {}] = await Model.aggregate([
+    { $match: { "queries.assignedTo": { $in: names } } },
+    { $unwind: "$queries" },
+    {
+      $match: {
+        "queries.assignedTo": { $in: names },
+        "queries.status": { $in: OPEN_QUERY_STATUSES },
+        "queries.isActive": true,
+      },
+    },
+    { $count: "count" },
+  ]).session(session);
+
+  if (count > 0) {
+    await Model.updateMany(
+      { "queries.assignedTo": { $in: names } },
+      { $set: { "queries.$[query].assignedTo": successorName } },
+      { arrayFilters, session }
+    );
+  }
+
+  return count;
+};
+
+/**
+ * Hand a departing user's projects and open queries to a successor
+ * (Admin only). The successor must be active and hold the same designation.
+ * Projects keep their creator; the successor becomes the assigned JE and
+ * the handover is recorded in the project's reassignments.
+ * POST /api/user/user/:userId/reassign
+ * Body: { successorUserId, includeProjects = true, includeQueries = true }
+ */
+export const reassignUserWork = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { userId } = req.params;
+    const {
+      successorUserId,
+      includeProjects = true,
+      includeQueries = true,
+    } = req.body;
+
+    if (!successorUserId) {
+      return res.status(400).json({
+        success: false,
+        message: "Successor user ID is required",
+      });
+    }
+
+    if (successorUserId === userId) {
+      return res.status(400).json({
+        success: false,
+        message: "Successor must be a different user",
+      });
+    }
+
+    const [user, successor] = await Promise.all([
+      User.findOne({ userId }).select("-password"),
+      User.findOne({ userId: successorUserId }).select("-password"),
+    ]);
+
+    if (!user || !successor) {
+      return res.status(404).json({
+        success: false,
+        message: !user ? "User not found" : "Successor user not found",
+      });
+    }
+
+    if (successor.isActive === false) {
+      return res.status(400).json({
+        success: false,
+        message: "Successor account is deactivated",
+      });
+    }
+
+    if (successor.designation !== user.designation) {
+      return res.status(400).json({
+        success: false,
+        message: `Successor must also be ${user.designation} (is ${successor.designation})`,
+      });
+    }
+
+    const userNames = namesOf(user);
+    const successorName = successor.fullName || successor.username;
+    const result = {
+      projects: 0,
+      archiveProjects: 0,
+      projectQueries: 0,
+      archiveProjectQueries: 0,
+    };
+
+    // Recorded on every reassigned project; createdBy is left untouched
+    const reassignment = {
+      from: { userId: user.userId, name: user.fullName || user.username },
+      to: { userId: successor.userId, name: successorName },
+      reassignedAt: new Date(),
+      reassignedBy: getUserInfo(req.user),
+    };
+
+    await session.withTransaction(async () => {
+      if (includeProjects) {
+        const projects = await Project.updateMany(
+          Project.assignedToFilter(user.userId),
+          {
+            $set: {
+              assignedTo: {
+                userId: successor.userId,
+                name: successorName,
+                role: successor.designation,
+                assignedAt: reassignment.reassignedAt,
+              },
+            },
+            $push: { reassignments: reassignment },
+          },
+          { session }
+        );
+        result.projects = projects.modifiedCount;
+
+        const archiveProjects = await ArchiveProject.updateMany(
+          { concernedEngineer: { $in: userNames } },
+          {
+            $set: { concernedEngineer: successorName },
+            $push: { reassignments: reassignment },
+          },
+          { session }
+        );
+        result.archiveProjects = archiveProjects.modifiedCount;
+      }
+
+      if (includeQueries) {
+        result.projectQueries = await reassignOpenQueries(
+          Project,
+          userNames,
+          successorName,
+          session
+        );
+        result.archiveProjectQueries = await reassignOpenQueries(
+          ArchiveProject,
+          userNames,
+          successorName,
+          session
+        );
+      }
+    });
+
+    setAuditContext(res, {
+      entityType: "user",
+      entityId: user.userId,
+      description: `Reassigned work from ${user.userId} to ${successor.userId}`,
+      changes: Object.entries(result)
+        .filter(([, count]) => count > 0)
+        .map(([field, count]) => ({
+          field,
+          before: user.userId,
+          after: `${successor.userId} (${count})`,
+        })),
+    });
+
+    console.log(
+      `Work of ${user.userId} reassigned to ${successor.userId} by ${
+        req.user.userId
+      }: ${JSON.stringify(result)}`
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Work reassigned successfully",
+      data: {
+        from: { userId: user.userId, name: user.fullName || user.username },
+        to: { userId: successor.userId, name: successorName },
+        reassigned: result,
+      },
+    });
+  } catch (error) {
+    console.error("Reassign user work error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  } finally {
+    await session.endSession();
+  }
+};
@@ -0,0 +1,97 @@
+import Jurisdiction from "../../models/jurisdiction.model.js";
+import User from "../../models/user.model.js";
+import { setAuditContext } from "../../utils/audit.js";
+import { describeScope, getUserScope } from "../../utils/jurisdiction-scope.js";
+
+const toCodeList = (value) =>
+  (Array.isArray(value) ? value : value ? [value] : []).map((code) =>
+    String(code).trim().toUpperCase()
+  );
+
+/**
+ * Assign circles, divisions and districts to a user (Admin only)
+ * PUT /api/user/user/:userId/jurisdiction
+ * Body: { circles: [], divisions: [], districts: [] }
+ */
+export const updateUserJurisdiction = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await User.findOne({ userId }).select("-password");
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const circles = toCodeList(req.body.circles);
+    const divisions = toCodeList(req.body.divisions);
+    const districts = Array.isArray(req.body.districts)
+      ? req.body.districts
+      : req.body.districts
+      ? [req.body.districts]
+      : [];
+
+    const [unknownCircles, unknownDivisions] = await Promise.all([
+      Jurisdiction.findUnknownCodes("circle", circles),
+      Jurisdiction.findUnknownCodes("division", divisions),
+    ]);
+
+    if (unknownCircles.length > 0 || unknownDivisions.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Unknown or inactive jurisdiction codes",
+        errors: [
+          ...unknownCircles.map((code) => `Circle '${code}' not found`),
+          ...unknownDivisions.map((code) => `Division '${code}' not found`),
+        ],
+      });
+    }
+
+    const before = user.jurisdiction?.toObject?.() || {};
+    user.jurisdiction = { circles, divisions, districts };
+    await user.save();
+
+    setAuditContext(res, {
+      entityType: "user",
+      entityId: user.userId,
+      description: "Updated jurisdiction",
+      changes: [
+        {
+          field: "jurisdiction",
+          before,
+          after: { circles, divisions, districts },
+        },
+      ],
+    });
+
+    const scope = await getUserScope(user);
+
+    res.status(200).json({
+      success: true,
+      message: "User jurisdiction updated successfully",
+      data: {
+        userId: user.userId,
+        designation: user.designation,
+        jurisdiction: user.jurisdiction,
+        scope: describeScope(scope),
+      },
+    });
+  } catch (error) {
+    console.error("Update user jurisdiction error:", error);
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Jurisdiction validation failed",
+        errors: Object.values(error.errors).map((err) => err.message),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
@@ -0,0 +1,110 @@
+import mongoose from "mongoose";
+import Session from "../../models/session.model.js";
+import User from "../../models/user.model.js";
+import { formatSession } from "../../utils/auth-tokens.js";
+import { setAuditContext } from "../../utils/audit.js";
+
+/**
+ * List a user's active sessions (Admin only)
+ * GET /api/user/user/:userId/sessions
+ */
+export const getUserSessions = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await User.findOne({ userId }).select("userId fullName");
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const sessions = await Session.findActiveForUser(user._id);
+
+    res.status(200).json({
+      success: true,
+      message: `Retrieved ${sessions.length} active session(s)`,
+      data: {
+        userId: user.userId,
+        name: user.fullName,
+        sessions: sessions.map((session) =>
+          formatSession(session, req.authSession?._id)
+        ),
+      },
+    });
+  } catch (error) {
+    console.error("Get user sessions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Revoke one or all of a user's sessions (Admin only)
+ * DELETE /api/user/user/:userId/sessions
+ * DELETE /api/user/user/:userId/sessions/:sessionId
+ */
+export const revokeUserSessions = async (req, res) => {
+  try {
+    const { userId, sessionId } = req.params;
+
+    if (sessionId && !mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid session ID",
+      });
+    }
+
+    const user = await User.findOne({ userId }).select("userId");
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const filter = { user: user._id };
+    if (sessionId) filter._id = sessionId;
+
+    const revoked = await Session.revoke(filter, "admin_revoked", req.user);
+
+    if (sessionId && !revoked) {
+      return res.status(404).json({
+        success: false,
+        message: "Active session not found",
+      });
+    }
+
+    setAuditContext(res, {
+      entityType: "user",
+      entityId: user.userId,
+      description: sessionId
+        ? `Revoked session ${sessionId}`
+        : `Revoked all ${revoked} session(s)`,
+    });
+
+    console.log(
+      `${revoked} session(s) revoked for ${user.userId} by ${req.user.userId}`
+    );
+
+    res.status(200).json({
+      success: true,
+      message: sessionId
+        ? "Session revoked successfully"
+        : "All user sessions revoked successfully",
+      data: {
+        userId: user.userId,
+        revokedSessions: revoked,
+      },
+    });
+  } catch (error) {
+    console.error("Revoke user sessions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
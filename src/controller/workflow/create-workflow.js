@@ -0,0 +1,81 @@
+import WorkflowDefinition from "../../models/workflow-definition.model.js";
+
+// Create a new approval workflow definition (Admin only)
+const createWorkflow = async (req, res) => {
+  try {
+    const {
+      name,
+      code,
+      description,
+      priority,
+      conditions,
+      states,
+      transitions,
+      isActive,
+    } = req.body;
+
+    if (!name?.trim() || !code?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Workflow name and code are required",
+      });
+    }
+
+    if (!Array.isArray(states) || !Array.isArray(transitions)) {
+      return res.status(400).json({
+        success: false,
+        message: "States and transitions must be arrays",
+      });
+    }
+
+    const workflow = await WorkflowDefinition.create({
+      name: name.trim(),
+      code: code.trim(),
+      description: description?.trim(),
+      priority: Number(priority) || 0,
+      conditions: conditions || {},
+      states,
+      transitions,
+      isActive: isActive !== undefined ? Boolean(isActive) : true,
+      createdBy: {
+        userId: req.user.userId,
+        name: req.user.fullName || req.user.username,
+        role: req.user.designation,
+      },
+    });
+
+    console.log(
+      `Workflow created: ${workflow.code} (v${workflow.version}) by ${req.user.userId}`
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Workflow created successfully",
+      data: workflow,
+    });
+  } catch (error) {
+    console.error("Error creating workflow:", error);
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Workflow validation failed",
+        errors: Object.values(error.errors).map((err) => err.message),
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "Workflow code already exists",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while creating workflow",
+    });
+  }
+};
+
+export default createWorkflow;
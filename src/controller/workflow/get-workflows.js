@@ -0,0 +1,124 @@
+import mongoose from "mongoose";
+import Project from "../../models/project.model.js";
+import WorkflowDefinition from "../../models/workflow-definition.model.js";
+import { defaultProjectWorkflow } from "../../utils/constants.js";
+
+// Get all workflow definitions
+export const getAllWorkflows = async (req, res) => {
+  try {
+    const filter = {};
+
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === "true";
+    }
+
+    const workflows = await WorkflowDefinition.find(filter)
+      .sort({ priority: -1, createdAt: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        workflows,
+        defaultWorkflow: defaultProjectWorkflow,
+      },
+      count: workflows.length,
+    });
+  } catch (error) {
+    console.error("Error fetching workflows:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while fetching workflows",
+    });
+  }
+};
+
+// Get the built-in workflow used when no definition matches
+export const getDefaultWorkflow = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: defaultProjectWorkflow,
+  });
+};
+
+// Get a single workflow definition
+export const getWorkflowById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid workflow ID format",
+      });
+    }
+
+    const workflow = await WorkflowDefinition.findById(id).lean();
+
+    if (!workflow) {
+      return res.status(404).json({
+        success: false,
+        message: "Workflow not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: workflow,
+    });
+  } catch (error) {
+    console.error("Error fetching workflow:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while fetching workflow",
+    });
+  }
+};
+
+// Get the workflow that governs a specific project
+export const getProjectWorkflow = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(projectId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid project ID format",
+      });
+    }
+
+    const project = await Project.findById(projectId).select(
+      "_id projectId projectName status fund subFund estimatedCost workflowState"
+    );
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      });
+    }
+
+    const workflow = await WorkflowDefinition.resolveForProject(project);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        project: {
+          id: project._id,
+          projectId: project.projectId,
+          projectName: project.projectName,
+          currentStatus: project.status,
+          workflowState: project.workflowState,
+        },
+        workflow,
+        isDefault: workflow.code === defaultProjectWorkflow.code,
+      },
+    });
+  } catch (error) {
+    console.error("Error resolving project workflow:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while resolving project workflow",
+    });
+  }
+};
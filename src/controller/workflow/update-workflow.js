@@ -0,0 +1,137 @@
+import mongoose from "mongoose";
+import WorkflowDefinition from "../../models/workflow-definition.model.js";
+
+// Update a workflow definition (Admin only)
+// Changing states, transitions or conditions bumps the workflow version
+export const updateWorkflow = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid workflow ID format",
+      });
+    }
+
+    const workflow = await WorkflowDefinition.findById(id);
+
+    if (!workflow) {
+      return res.status(404).json({
+        success: false,
+        message: "Workflow not found",
+      });
+    }
+
+    const updatableFields = [
+      "name",
+      "description",
+      "priority",
+      "conditions",
+      "states",
+      "transitions",
+    ];
+
+    updatableFields.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        workflow[field] = req.body[field];
+      }
+    });
+
+    workflow.lastModifiedBy = {
+      userId: req.user.userId,
+      name: req.user.fullName || req.user.username,
+      role: req.user.designation,
+      modifiedAt: new Date(),
+    };
+
+    await workflow.save();
+
+    console.log(
+      `Workflow updated: ${workflow.code} (v${workflow.version}) by ${req.user.userId}`
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Workflow updated successfully",
+      data: workflow,
+    });
+  } catch (error) {
+    console.error("Error updating workflow:", error);
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Workflow validation failed",
+        errors: Object.values(error.errors).map((err) => err.message),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while updating workflow",
+    });
+  }
+};
+
+// Activate or deactivate a workflow definition (Admin only)
+// Projects on a deactivated workflow fall back to the next matching one
+export const updateWorkflowActiveStatus = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { isActive } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid workflow ID format",
+      });
+    }
+
+    if (typeof isActive !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        message: "isActive must be a boolean value",
+      });
+    }
+
+    const workflow = await WorkflowDefinition.findByIdAndUpdate(
+      id,
+      {
+        isActive,
+        lastModifiedBy: {
+          userId: req.user.userId,
+          name: req.user.fullName || req.user.username,
+          role: req.user.designation,
+          modifiedAt: new Date(),
+        },
+      },
+      { new: true }
+    );
+
+    if (!workflow) {
+      return res.status(404).json({
+        success: false,
+        message: "Workflow not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Workflow ${
+        isActive ? "activated" : "deactivated"
+      } successfully`,
+      data: {
+        id: workflow._id,
+        code: workflow.code,
+        isActive: workflow.isActive,
+      },
+    });
+  } catch (error) {
+    console.error("Error updating workflow status:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while updating workflow status",
+    });
+  }
+};
@@ -0,0 +1,93 @@
+import AuditLog from "../models/audit-log.model.js";
+import { diffSnapshots, redactRequestBody } from "../utils/audit.js";
+
+const AUDITED_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+
+// Derive the entity from the route when the controller did not set one,
+// e.g. /api/mb/MB_123/submit -> { entityType: "mb", entityId: "MB_123" }
+const inferEntity = (req) => {
+  const entityType = (req.baseUrl || req.originalUrl)
+    .replace(/^\/api\/?/, "")
+    .split(/[/?]/)[0];
+
+  const params = req.params || {};
+  const entityId =
+    params.id ||
+    params.projectId ||
+    params.mbId ||
+    params.userId ||
+    params.queryId ||
+    Object.values(params)[0];
+
+  return { entityType: entityType || undefined, entityId };
+};
+
+/**
+ * Write an AuditLog entry for every POST/PUT/PATCH/DELETE under /api.
+ * The entry is written after the response is sent so it captures the
+ * outcome; controllers can add entity details with setAuditContext().
+ * Failures to write the log are reported but never affect the response.
+ */
+export const auditLogger = (req, res, next) => {
+  if (!AUDITED_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  const startedAt = Date.now();
+
+  // Keep the error message of failed responses
+  const originalJson = res.json;
+  res.json = function (data) {
+    if (res.statusCode >= 400 && data && typeof data === "object") {
+      res.locals.auditErrorMessage = data.message;
+    }
+    return originalJson.call(this, data);
+  };
+
+  res.on("finish", () => {
+    const context = res.locals.audit || {};
+    const inferred = inferEntity(req);
+    const user = req.user;
+
+    const actor = user
+      ? {
+          userId: user.userId || user._id?.toString(),
+          name: user.fullName || user.username || user.name,
+          role: user.designation || user.role,
+          isAuthenticated: true,
+        }
+      : { isAuthenticated: false, ...(context.actor || {}) };
+
+    const routePath = req.route?.path;
+    const changes =
+      context.changes ||
+      (context.before || context.after
+        ? diffSnapshots(context.before, context.after, context.fields)
+        : []);
+
+    AuditLog.create({
+      actor,
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      action: routePath
+        ? `${req.method} ${req.baseUrl}${routePath === "/" ? "" : routePath}`
+        : undefined,
+      description: context.description,
+      entityType: context.entityType || inferred.entityType,
+      entityId: context.entityId?.toString() || inferred.entityId,
+      changes,
+      requestBody: redactRequestBody(req.body),
+      outcome: res.statusCode < 400 ? "success" : "failure",
+      statusCode: res.statusCode,
+      errorMessage:
+        res.statusCode >= 400 ? res.locals.auditErrorMessage : undefined,
+      durationMs: Date.now() - startedAt,
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    }).catch((error) => {
+      console.error("Error writing audit log:", error);
+    });
+  });
+
+  next();
+};
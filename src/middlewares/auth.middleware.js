@@ -1,3 +1,4 @@
+import Session from "../models/session.model.js";
 import User from "../models/user.model.js";
 import verifyJwt from "../utils/verifyJwt.js";
 
@@ -31,6 +32,18 @@ const requireAuth = (allowedRoles = []) => {
         });
       }
 
+      // Tokens must belong to a session that has not been revoked
+      const session = verifiedToken.sid
+        ? await Session.findActive(verifiedToken.sid)
+        : null;
+
+      if (!session || session.user.toString() !== verifiedToken.id) {
+        return res.status(401).json({
+          success: false,
+          message: "Access denied. Session expired or revoked",
+        });
+      }
+
       const user = await User.findById(verifiedToken.id);
 
       if (!user) {
@@ -40,6 +53,13 @@ const requireAuth = (allowedRoles = []) => {
         });
       }
 
+      if (user.isActive === false) {
+        return res.status(401).json({
+          success: false,
+          message: "Access denied. Account is deactivated",
+        });
+      }
+
       // Check role authorization if roles specified
       if (allowedRoles.length > 0 && !allowedRoles.includes(user.designation)) {
         return res.status(403).json({
@@ -49,6 +69,7 @@ const requireAuth = (allowedRoles = []) => {
       }
 
       req.user = user;
+      req.authSession = session;
       next();
     } catch (error) {
       console.error("Auth middleware error:", error);
@@ -64,11 +85,13 @@ const requireAuth = (allowedRoles = []) => {
 const requireLogin = () => requireAuth();
 const requireOperator = () => requireAuth(["OPERATOR"]);
 const requireJe = () => requireAuth(["JE"]);
+const requireAee = () => requireAuth(["AEE"]);
 const requireBothMdAndAdmin = () => requireAuth(["MD", "ADMIN", "SUPER_ADMIN"]);
 const requireAdmin = () => requireAuth(["ADMIN", "SUPER_ADMIN"]);
 
 export {
   requireAdmin,
+  requireAee,
   requireBothMdAndAdmin,
   requireJe,
   requireLogin,
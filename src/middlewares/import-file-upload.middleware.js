@@ -0,0 +1,94 @@
+import multer from "multer";
+
+const XLSX_MIME_TYPE =
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+// Imported files are parsed in memory and never stored
+const storage = multer.memoryStorage();
+
+/**
+ * Middleware accepting a single file in the "file" field, exposed as
+ * req.file, limited to the given extensions and MIME types
+ */
+const createSingleFileUpload = ({
+  extensions,
+  mimeTypes,
+  maxSizeMb,
+  description,
+}) => {
+  const upload = multer({
+    storage,
+    fileFilter: (req, file, cb) => {
+      const name = file.originalname.toLowerCase();
+      const isAllowed =
+        extensions.some((extension) => name.endsWith(extension)) &&
+        mimeTypes.includes(file.mimetype);
+
+      if (!isAllowed) {
+        const error = new Error(
+          `Only ${extensions.join(" or ")} files can be imported`
+        );
+        error.code = "INVALID_IMPORT_FILE";
+        return cb(error, false);
+      }
+
+      cb(null, true);
+    },
+    limits: {
+      fileSize: maxSizeMb * 1024 * 1024,
+      files: 1,
+    },
+  });
+
+  return (req, res, next) => {
+    upload.single("file")(req, res, (error) => {
+      if (!error) {
+        if (!req.file) {
+          return res.status(400).json({
+            success: false,
+            message: `${description} is required in the 'file' field`,
+          });
+        }
+        return next();
+      }
+
+      console.error("Import file upload error:", error);
+
+      if (error.code === "LIMIT_FILE_SIZE") {
+        return res.status(400).json({
+          success: false,
+          message: `File too large. Maximum size is ${maxSizeMb}MB`,
+        });
+      }
+
+      res.status(400).json({
+        success: false,
+        message: error.message || "File upload failed",
+      });
+    });
+  };
+};
+
+/**
+ * Accept a single XLSX file in the "file" field and expose it as req.file
+ */
+export const importFileUpload = createSingleFileUpload({
+  extensions: [".xlsx"],
+  mimeTypes: [XLSX_MIME_TYPE, "application/octet-stream"],
+  maxSizeMb: 5,
+  description: "An .xlsx file",
+});
+
+/**
+ * Accept a single GeoJSON file in the "file" field and expose it as req.file
+ */
+export const geoJsonFileUpload = createSingleFileUpload({
+  extensions: [".geojson", ".json"],
+  mimeTypes: [
+    "application/geo+json",
+    "application/json",
+    "application/octet-stream",
+  ],
+  maxSizeMb: 50,
+  description: "A .geojson file",
+});
@@ -238,6 +238,63 @@ export const mbBatchFileUpload = async (req, res, next) => {
   });
 };
 
+/**
+ * Middleware for uploading a single measurement item file to AWS S3
+ * Used when adding or replacing one item of an existing measurement book.
+ * The file is optional; when present it is exposed as req.mbItemFile.
+ *
+ * Files are uploaded to: measurement-books/{mbId}/{YYYY-MM-DD}/
+ */
+export const mbItemFileUpload = async (req, res, next) => {
+  const multerMiddleware = mbBatchUpload.single("mbFile");
+
+  multerMiddleware(req, res, async (multerError) => {
+    if (multerError) {
+      return handleMBUploadErrors(multerError, req, res, next);
+    }
+
+    if (!req.file) {
+      return next();
+    }
+
+    try {
+      const mbFolder = createMBFolder(
+        req.params.id?.toUpperCase() || "general"
+      );
+      const [uploadedFile] = processS3Files(
+        await uploadMultipleFilesToS3([req.file], mbFolder)
+      );
+
+      req.mbItemFile = {
+        fileName: uploadedFile.fileName,
+        originalName: uploadedFile.originalName,
+        downloadURL: uploadedFile.downloadURL,
+        filePath: uploadedFile.filePath,
+        fileSize: uploadedFile.size,
+        mimeType: uploadedFile.mimetype,
+        fileType: uploadedFile.mimetype.startsWith("image/")
+          ? "image"
+          : "document",
+      };
+      req.uploadedFilePaths = [uploadedFile.filePath];
+
+      console.log(`Uploaded MB item file to S3: ${uploadedFile.filePath}`);
+      next();
+    } catch (error) {
+      console.error("Error uploading MB item file to S3:", error);
+
+      return res.status(500).json({
+        success: false,
+        message: "Failed to upload measurement file to cloud storage",
+        details: {
+          error: error.message,
+          errorCode: "S3_UPLOAD_ERROR",
+        },
+      });
+    }
+  });
+};
+
 /**
  * Create folder path for MB files in S3
  *
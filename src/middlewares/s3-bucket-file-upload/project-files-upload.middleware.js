@@ -1,4 +1,5 @@
 import multer from "multer";
+import { readPhotoExif } from "../../utils/photo-exif.js";
 import {
   deleteMultipleFilesFromS3,
   processS3Files,
@@ -149,8 +150,15 @@ export const uploadFilesToFirebase = (
           contextFolder
         );
 
-        // Process and attach to request
-        req.firebaseFiles = processS3Files(uploadedFiles);
+        // Process and attach to request, with the EXIF location and
+        // capture time of photos (uploads keep the order of req.files)
+        req.firebaseFiles = processS3Files(uploadedFiles).map((file, index) => {
+          const photo = readPhotoExif(
+            req.files[index].buffer,
+            req.files[index].mimetype
+          );
+          return photo ? { ...file, photo } : file;
+        });
         req.uploadedFiles = req.firebaseFiles; // For backward compatibility
 
         console.log(
@@ -1,3 +1,8 @@
+import {
+  sanitizeMeasurementQuantities,
+  validateMeasurementQuantities,
+} from "../utils/mb-utils.js";
+
 /**
  * Middleware to validate measurement book data before processing
  * Works with both single and batch uploads after file upload middleware
@@ -196,6 +201,13 @@ export const validateMBData = (req, res, next) => {
             );
           }
 
+          errors.push(
+            ...validateMeasurementQuantities(
+              measurement,
+              `MB ${mbNumber}, Measurement ${measurementNumber}`
+            )
+          );
+
           // Validate uploaded file
           if (!measurement.uploadedFile) {
             errors.push(
@@ -294,8 +306,10 @@ export const sanitizeMBData = (req, res, next) => {
       tenderAgreement: mb.tenderAgreement?.trim() || undefined,
       aaOrFsNo: mb.aaOrFsNo?.trim() || undefined,
       slNoOfBill: mb.slNoOfBill?.trim() || undefined,
+      sorEdition: mb.sorEdition?.trim() || undefined,
       measurements: mb.measurements?.map((measurement) => ({
         ...measurement,
+        ...sanitizeMeasurementQuantities(measurement),
         description: measurement.description?.trim(),
         unit: measurement.unit?.trim(),
         uploadedFile: measurement.uploadedFile
@@ -398,6 +412,7 @@ export const validateMBUpdateData = (req, res, next) => {
       dateOfCompletion,
       dateOfMeasurement,
       aaOrFsDate,
+      remarks,
     } = req.body;
 
     const errors = [];
@@ -463,6 +478,10 @@ export const validateMBUpdateData = (req, res, next) => {
       errors.push("aaOrFsDate must be a valid date");
     }
 
+    if (remarks !== undefined && String(remarks).length > 1000) {
+      errors.push("remarks cannot exceed 1000 characters");
+    }
+
     if (errors.length > 0) {
       return res.status(400).json({
         success: false,
@@ -481,6 +500,15 @@ export const validateMBUpdateData = (req, res, next) => {
       sanitizedData.tenderAgreement = tenderAgreement.trim();
     if (aaOrFsNo !== undefined) sanitizedData.aaOrFsNo = aaOrFsNo.trim();
     if (slNoOfBill !== undefined) sanitizedData.slNoOfBill = slNoOfBill.trim();
+    if (dateOfCommencement !== undefined)
+      sanitizedData.dateOfCommencement = new Date(dateOfCommencement);
+    if (dateOfCompletion !== undefined)
+      sanitizedData.dateOfCompletion = new Date(dateOfCompletion);
+    if (dateOfMeasurement !== undefined)
+      sanitizedData.dateOfMeasurement = new Date(dateOfMeasurement);
+    if (aaOrFsDate !== undefined)
+      sanitizedData.aaOrFsDate = aaOrFsDate ? new Date(aaOrFsDate) : null;
+    if (typeof remarks === "string") sanitizedData.remarks = remarks.trim();
 
     req.body = sanitizedData;
     next();
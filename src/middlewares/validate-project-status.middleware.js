@@ -2,18 +2,10 @@
 
 import rateLimit from "express-rate-limit";
 import { body, query, validationResult } from "express-validator";
+import { projectStatus, userRoles } from "../utils/constants.js";
 
-// Valid project statuses
-const VALID_STATUSES = [
-  "Submitted for Approval",
-  "Resubmitted for Approval",
-  "Rejected by AEE",
-  "Rejected by CE",
-  "Rejected by MD",
-  "Ongoing",
-  "Completed",
-];
-
+// Status names are declared by workflow definitions, so only the shape is
+// checked here; the workflow engine validates the transition itself.
 // Rate limiting for status updates
 export const statusUpdateRateLimit = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -44,10 +36,10 @@ export const validateStatusUpdate = [
   body("newStatus")
     .notEmpty()
     .withMessage("New status is required")
-    .isIn(VALID_STATUSES)
-    .withMessage(
-      `Invalid status. Must be one of: ${VALID_STATUSES.join(", ")}`
-    ),
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Status cannot exceed 100 characters"),
 
   body("remarks")
     .optional()
@@ -143,10 +135,9 @@ export const validateStatusHistoryQuery = [
 export const validateStatusListQuery = [
   query("status")
     .optional()
-    .isIn(VALID_STATUSES)
-    .withMessage(
-      `Invalid status. Must be one of: ${VALID_STATUSES.join(", ")}`
-    ),
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Status must be between 1 and 100 characters"),
 
   query("page")
     .optional()
@@ -220,38 +211,24 @@ export const authorizeStatusUpdate = (req, res, next) => {
     }
 
     const userRole = user.designation || user.role;
-    const allowedRoles = ["JE", "AEE", "CE", "MD"];
 
-    if (!allowedRoles.includes(userRole)) {
+    if (!userRoles.includes(userRole)) {
       return res.status(403).json({
         success: false,
         message: "Unauthorized role for status updates",
         userRole,
-        allowedRoles,
+        allowedRoles: userRoles,
       });
     }
 
-    // Role-specific validations
-    if (userRole === "JE") {
-      const allowedJEStatuses = ["Resubmitted for Approval", "Completed"];
-      if (!allowedJEStatuses.includes(newStatus)) {
-        return res.status(403).json({
-          success: false,
-          message: `JE can only set status to: ${allowedJEStatuses.join(", ")}`,
-        });
-      }
-    } else if (["AEE", "CE", "MD"].includes(userRole)) {
-      const allowedApproverStatuses = ["Ongoing", `Rejected by ${userRole}`];
-      if (!allowedApproverStatuses.includes(newStatus)) {
-        return res.status(403).json({
-          success: false,
-          message: `${userRole} can only set status to: ${allowedApproverStatuses.join(
-            ", "
-          )}`,
-        });
-      }
+    if (!newStatus) {
+      return res.status(400).json({
+        success: false,
+        message: "New status is required",
+      });
     }
 
+    // Role-specific transitions are enforced by the project workflow
     next();
   } catch (error) {
     console.error("Error in status update authorization:", error);
@@ -277,10 +254,10 @@ export const validateBulkStatusUpdate = [
   body("updates.*.newStatus")
     .notEmpty()
     .withMessage("New status is required for each update")
-    .isIn(VALID_STATUSES)
-    .withMessage(
-      `Invalid status. Must be one of: ${VALID_STATUSES.join(", ")}`
-    ),
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Status cannot exceed 100 characters"),
 
   body("updates.*.remarks")
     .optional()
@@ -350,5 +327,7 @@ export const handleStatusValidationErrors = (req, res, next) => {
   next();
 };
 
-// Export valid statuses for use in other modules
+// Statuses of the built-in workflow, for use in other modules
+const VALID_STATUSES = projectStatus;
+
 export { VALID_STATUSES };
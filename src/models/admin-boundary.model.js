@@ -0,0 +1,157 @@
+import mongoose from "mongoose";
+import { boundaryLevels, districts } from "../utils/constants.js";
+
+// Names are matched without regard to case
+const NAME_COLLATION = { locale: "en", strength: 2 };
+
+// Administrative boundary master: districts, their blocks and the gram
+// panchayats (GPs) of each block. A boundary is identified by its level and
+// names along the hierarchy; its polygon, when imported, is used to check
+// that project locations fall inside the district and block chosen.
+const adminBoundarySchema = new mongoose.Schema(
+  {
+    level: {
+      type: String,
+      required: [true, "Boundary level is required"],
+      enum: {
+        values: boundaryLevels,
+        message: "Boundary level must be district, block or gramPanchayat",
+      },
+    },
+    name: {
+      type: String,
+      required: [true, "Boundary name is required"],
+      trim: true,
+      maxlength: [100, "Boundary name cannot exceed 100 characters"],
+    },
+    // Census / LGD code, where the source data has one
+    code: {
+      type: String,
+      trim: true,
+      maxlength: [30, "Boundary code cannot exceed 30 characters"],
+    },
+    // District the boundary lies in (its own name for districts)
+    district: {
+      type: String,
+      required: [true, "District is required"],
+      enum: {
+        values: districts,
+        message: "Invalid district: {VALUE}",
+      },
+    },
+    // Block the boundary lies in, for gram panchayats
+    block: {
+      type: String,
+      trim: true,
+      required: [
+        function () {
+          return this.level === "gramPanchayat";
+        },
+        "Gram panchayats must belong to a block",
+      ],
+      validate: {
+        validator: function (value) {
+          return this.level === "gramPanchayat" || !value;
+        },
+        message: "Only gram panchayats belong to a block",
+      },
+    },
+    // Boundary one level up
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AdminBoundary",
+      default: null,
+    },
+    geometry: {
+      type: {
+        type: String,
+        enum: ["Polygon", "MultiPolygon"],
+      },
+      coordinates: mongoose.Schema.Types.Mixed,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // File the boundary was last imported from
+    source: {
+      type: String,
+      trim: true,
+    },
+    createdBy: {
+      userId: String,
+      name: String,
+      role: String,
+    },
+    lastModifiedBy: {
+      userId: String,
+      name: String,
+      role: String,
+      modifiedAt: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+adminBoundarySchema.index(
+  { level: 1, district: 1, block: 1, name: 1 },
+  { unique: true, collation: NAME_COLLATION }
+);
+adminBoundarySchema.index({ parent: 1, isActive: 1 });
+adminBoundarySchema.index({ geometry: "2dsphere" });
+
+adminBoundarySchema.pre("validate", function (next) {
+  if (this.level === "district") {
+    this.district = this.name;
+  }
+  if (this.geometry && !this.geometry.type) {
+    this.geometry = undefined;
+  }
+  next();
+});
+
+adminBoundarySchema.virtual("hasGeometry").get(function () {
+  return Boolean(this.geometry?.type);
+});
+
+// Active boundary of a level by its names along the hierarchy
+adminBoundarySchema.statics.findByNames = function ({
+  level,
+  name,
+  district,
+  block,
+}) {
+  const filter = { level, name, isActive: true };
+  if (level !== "district") filter.district = district;
+  if (level === "gramPanchayat") filter.block = block;
+
+  return this.findOne(filter).collation(NAME_COLLATION);
+};
+
+// Active boundaries directly under a boundary
+adminBoundarySchema.statics.findChildren = function (parentId) {
+  return this.find({ parent: parentId, isActive: true })
+    .collation(NAME_COLLATION)
+    .sort({ name: 1 });
+};
+
+// Whether a [longitude, latitude] point lies inside the boundary's polygon.
+// Boundaries without a polygon cannot be checked and return null.
+adminBoundarySchema.methods.containsPoint = async function (coordinates) {
+  if (!this.geometry?.type) return null;
+
+  const match = await this.constructor.exists({
+    _id: this._id,
+    geometry: {
+      $geoIntersects: { $geometry: { type: "Point", coordinates } },
+    },
+  });
+
+  return Boolean(match);
+};
+
+const AdminBoundary = mongoose.model("AdminBoundary", adminBoundarySchema);
+
+export default AdminBoundary;
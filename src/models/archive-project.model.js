@@ -1,4 +1,7 @@
 import mongoose from "mongoose";
+import Contractor from "./contractor.model.js";
+import { deductionLineSchema } from "./deduction-rule.model.js";
+import { engineerReassignmentSchema } from "./project.model.js";
 
 // Schema for individual progress updates (physical/work progress)
 const progressUpdateSchema = new mongoose.Schema(
@@ -134,6 +137,11 @@ const financialProgressUpdateSchema = new mongoose.Schema(
         maxlength: [200, "Bill description cannot exceed 200 characters"],
         trim: true,
       },
+      // Amount billed in this update and the statutory deductions on it
+      grossAmount: Number,
+      deductions: [deductionLineSchema],
+      totalDeductions: Number,
+      netPayable: Number,
     },
     supportingDocuments: [
       {
@@ -418,6 +426,13 @@ const archiveProjectSchema = new mongoose.Schema(
       trim: true,
       index: true,
     },
+    // Contractor master record
+    contractorRef: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Contractor",
+      default: null,
+      index: true,
+    },
     workValue: {
       type: Number,
       required: [true, "Work value is required"],
@@ -472,6 +487,8 @@ const archiveProjectSchema = new mongoose.Schema(
       trim: true,
       index: true,
     },
+    // Earlier concerned engineers, when the work was reassigned
+    reassignments: [engineerReassignmentSchema],
     remarks: {
       type: String,
       maxlength: [500, "Remarks cannot exceed 500 characters"],
@@ -632,6 +649,17 @@ raisedQuerySchema.virtual("latestAttachment").get(function () {
   return this.attachments.sort((a, b) => b.uploadedAt - a.uploadedAt)[0];
 });
 
+// Link the contractor master record matching the contractor name, unless
+// one was chosen explicitly
+archiveProjectSchema.pre("validate", async function () {
+  if (
+    this.isModified("nameOfContractor") &&
+    !this.isModified("contractorRef")
+  ) {
+    this.contractorRef = await Contractor.idForName(this.nameOfContractor);
+  }
+});
+
 // Pre-save middleware
 archiveProjectSchema.pre("save", function (next) {
   if (
@@ -811,6 +839,45 @@ archiveProjectSchema.methods.addFinancialProgressUpdate = function (
   return this.save();
 };
 
+// Set the billed amount to the total of passed bills in the bill ledger.
+// Records a financial progress update for the bill; the caller saves.
+archiveProjectSchema.methods.applyBillLedgerTotal = function (
+  passedTotal,
+  bill,
+  userInfo
+) {
+  const previousFinancialProgress = this.financialProgress || 0;
+  const previousBillAmount = this.billSubmittedAmount || 0;
+  const newFinancialProgress =
+    this.workValue > 0 ? Math.round((passedTotal / this.workValue) * 100) : 0;
+
+  this.financialProgressUpdates.push({
+    previousFinancialProgress,
+    newFinancialProgress,
+    progressDifference: newFinancialProgress - previousFinancialProgress,
+    previousBillAmount,
+    newBillAmount: passedTotal,
+    amountDifference: passedTotal - previousBillAmount,
+    remarks: `${bill.billType} bill ${bill.billNumber} passed`,
+    billDetails: {
+      billNumber: bill.billNumber,
+      billDate: bill.billDate,
+      billDescription: bill.billId,
+    },
+    updatedBy: {
+      userId: userInfo.userId,
+      userName: userInfo.userName,
+      userDesignation: userInfo.userDesignation,
+    },
+  });
+  this.billSubmittedAmount = passedTotal;
+  this.financialProgress = newFinancialProgress;
+  this.billNumber = bill.billNumber;
+  this.lastFinancialProgressUpdate = new Date();
+
+  return this;
+};
+
 // Get progress update history
 archiveProjectSchema.methods.getProgressUpdateHistory = function (
   page = 1,
@@ -0,0 +1,140 @@
+import mongoose from "mongoose";
+
+// Central append-only log of every mutating API call.
+// Entries are written by the auditLogger middleware and never modified.
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      userId: {
+        type: String,
+        index: true,
+      },
+      name: String,
+      role: String,
+      // False for unauthenticated calls such as login or password reset
+      isAuthenticated: {
+        type: Boolean,
+        default: false,
+      },
+    },
+    method: {
+      type: String,
+      required: [true, "HTTP method is required"],
+      enum: ["POST", "PUT", "PATCH", "DELETE"],
+    },
+    path: {
+      type: String,
+      required: [true, "Request path is required"],
+    },
+    // Route pattern, e.g. "PATCH /api/mb/:id/check-measurement"
+    action: {
+      type: String,
+      index: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+    },
+    entityType: {
+      type: String,
+      index: true,
+    },
+    entityId: {
+      type: String,
+      index: true,
+    },
+    changes: [
+      {
+        field: {
+          type: String,
+          required: true,
+        },
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed,
+        _id: false,
+      },
+    ],
+    requestBody: mongoose.Schema.Types.Mixed,
+    outcome: {
+      type: String,
+      enum: ["success", "failure"],
+      required: true,
+      index: true,
+    },
+    statusCode: Number,
+    errorMessage: String,
+    durationMs: Number,
+    ipAddress: String,
+    userAgent: String,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ "actor.userId": 1, createdAt: -1 });
+
+// Audit log entries are immutable
+auditLogSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return next(new Error("Audit log entries are immutable"));
+  }
+  next();
+});
+
+const rejectMutation = function (next) {
+  next(new Error("Audit log entries are immutable"));
+};
+
+[
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+].forEach((operation) => auditLogSchema.pre(operation, rejectMutation));
+
+// Build a query filter from API query parameters
+auditLogSchema.statics.buildFilter = function ({
+  userId,
+  entityType,
+  entityId,
+  method,
+  outcome,
+  action,
+  startDate,
+  endDate,
+} = {}) {
+  const filter = {};
+
+  if (userId) filter["actor.userId"] = userId;
+  if (entityType) filter.entityType = entityType;
+  if (entityId) filter.entityId = entityId;
+  if (method) filter.method = method.toUpperCase();
+  if (outcome) filter.outcome = outcome;
+  if (action) {
+    const escaped = action.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    filter.action = { $regex: escaped, $options: "i" };
+  }
+
+  if (startDate || endDate) {
+    filter.createdAt = {};
+    if (startDate) filter.createdAt.$gte = new Date(startDate);
+    if (endDate) {
+      const end = new Date(endDate);
+      end.setHours(23, 59, 59, 999);
+      filter.createdAt.$lte = end;
+    }
+  }
+
+  return filter;
+};
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+export default AuditLog;
@@ -0,0 +1,449 @@
+import mongoose from "mongoose";
+import {
+  billPaymentStatus,
+  billStatus,
+  billTypes,
+  paymentModes,
+} from "../utils/constants.js";
+import { deductionLineSchema } from "./deduction-rule.model.js";
+
+// Bill statuses that still count against the project's contract value
+export const ACTIVE_BILL_STATUSES = billStatus.filter(
+  (status) => status !== "Rejected"
+);
+
+const billUserSchema = new mongoose.Schema(
+  {
+    userId: String,
+    name: String,
+    role: String,
+  },
+  { _id: false }
+);
+
+// One payment made by the treasury against a passed bill
+const paymentSchema = new mongoose.Schema(
+  {
+    mode: {
+      type: String,
+      enum: {
+        values: paymentModes,
+        message: "Invalid payment mode",
+      },
+      required: [true, "Payment mode is required"],
+    },
+    voucherNumber: {
+      type: String,
+      required: [true, "Voucher number is required"],
+      trim: true,
+      maxlength: [100, "Voucher number cannot exceed 100 characters"],
+    },
+    // Cheque number, or e-payment / UTR reference
+    referenceNumber: {
+      type: String,
+      required: [true, "Cheque or e-payment reference is required"],
+      trim: true,
+      maxlength: [100, "Reference number cannot exceed 100 characters"],
+    },
+    paymentDate: {
+      type: Date,
+      required: [true, "Payment date is required"],
+    },
+    amount: {
+      type: Number,
+      required: [true, "Payment amount is required"],
+      min: [0.01, "Payment amount must be greater than 0"],
+    },
+    remarks: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Remarks cannot exceed 500 characters"],
+    },
+    recordedBy: billUserSchema,
+    recordedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: true }
+);
+
+// Running-account (RA) and final bills of a project.
+// Each bill covers one or more approved measurement books; the project's
+// billSubmittedAmount and financialProgress are derived from the sum of
+// passed bills.
+const billSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, "Project reference is required"],
+      refPath: "projectType",
+    },
+    projectType: {
+      type: String,
+      required: [true, "Project type is required"],
+      enum: ["Project", "ArchiveProject"],
+    },
+    projectId: {
+      type: String,
+      required: [true, "Project ID is required"],
+      index: true,
+    },
+    // Contractor as named on the project when the bill was recorded
+    contractorName: {
+      type: String,
+      trim: true,
+      index: true,
+    },
+
+    // Unique bill identifier, e.g. BILL_482913
+    billId: {
+      type: String,
+      required: [true, "Bill ID is required"],
+      trim: true,
+      uppercase: true,
+    },
+    // Position in the project's bill series (1st RA, 2nd RA, ...)
+    sequenceNumber: {
+      type: Number,
+      required: [true, "Bill sequence number is required"],
+      min: [1, "Bill sequence number must be at least 1"],
+    },
+    billType: {
+      type: String,
+      enum: {
+        values: billTypes,
+        message: "Bill type must be Running or Final",
+      },
+      default: "Running",
+    },
+    // Bill number as written on the contractor's bill
+    billNumber: {
+      type: String,
+      required: [true, "Bill number is required"],
+      trim: true,
+      maxlength: [100, "Bill number cannot exceed 100 characters"],
+    },
+    billDate: {
+      type: Date,
+      required: [true, "Bill date is required"],
+    },
+    periodFrom: Date,
+    periodTo: Date,
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+    },
+
+    // Measurement books covered by this bill
+    measurementBooks: [
+      {
+        measurementBook: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "MeasurementBook",
+          required: true,
+        },
+        mbId: {
+          type: String,
+          required: true,
+        },
+        mbNo: String,
+        amount: {
+          type: Number,
+          required: true,
+        },
+        _id: false,
+      },
+    ],
+
+    // Gross value of work billed: sum of the covered MB amounts
+    grossAmount: {
+      type: Number,
+      required: [true, "Gross amount is required"],
+      min: [0, "Gross amount cannot be negative"],
+    },
+    // Statutory deductions computed from the rules in force on the bill date
+    deductions: [deductionLineSchema],
+    totalDeductions: {
+      type: Number,
+      min: [0, "Deductions cannot be negative"],
+      default: 0,
+    },
+    // Amount payable to the contractor: gross less deductions
+    netAmount: {
+      type: Number,
+      min: [0, "Net amount cannot be negative"],
+      default: 0,
+    },
+    // Gross value of all earlier passed bills when this one was passed
+    previousBilledAmount: {
+      type: Number,
+      default: 0,
+    },
+
+    status: {
+      type: String,
+      enum: {
+        values: billStatus,
+        message: "Invalid bill status",
+      },
+      default: "Submitted",
+      index: true,
+    },
+    paymentStatus: {
+      type: String,
+      enum: {
+        values: billPaymentStatus,
+        message: "Invalid payment status",
+      },
+      default: "Unpaid",
+      index: true,
+    },
+    payments: [paymentSchema],
+    // Sum of payments, kept in step with payments
+    paidAmount: {
+      type: Number,
+      default: 0,
+    },
+    // Date of the payment that settled the bill
+    paidAt: Date,
+
+    verification: {
+      verifiedAt: Date,
+      verifiedBy: billUserSchema,
+      remarks: {
+        type: String,
+        trim: true,
+        maxlength: [1000, "Remarks cannot exceed 1000 characters"],
+      },
+    },
+
+    approval: {
+      decidedAt: Date,
+      decidedBy: billUserSchema,
+      remarks: {
+        type: String,
+        trim: true,
+        maxlength: [1000, "Remarks cannot exceed 1000 characters"],
+      },
+      rejectionReason: {
+        type: String,
+        trim: true,
+        maxlength: [1000, "Rejection reason cannot exceed 1000 characters"],
+      },
+    },
+
+    supportingDocuments: [
+      {
+        fileName: String,
+        originalName: String,
+        downloadURL: String,
+        filePath: String,
+        fileSize: Number,
+        mimeType: String,
+        fileType: String,
+        uploadedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+
+    createdBy: {
+      userId: {
+        type: String,
+        required: [true, "Creator user ID is required"],
+      },
+      name: String,
+      role: String,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+billSchema.index({ billId: 1 }, { unique: true });
+billSchema.index({ project: 1, projectType: 1, sequenceNumber: 1 });
+billSchema.index({ "measurementBooks.measurementBook": 1, status: 1 });
+billSchema.index({ status: 1, paymentStatus: 1, "approval.decidedAt": 1 });
+
+billSchema.virtual("isPassed").get(function () {
+  return this.status === "Passed";
+});
+
+// Where the bill is in its lifecycle: Submitted, Verified, Passed, Paid
+// (or Rejected)
+billSchema.virtual("stage").get(function () {
+  if (this.status === "Passed" && this.paymentStatus === "Paid") return "Paid";
+  return this.status;
+});
+
+// Net amount still owed to the contractor on a passed bill
+billSchema.virtual("outstandingAmount").get(function () {
+  if (this.status !== "Passed") return 0;
+  return Math.round((this.netAmount - (this.paidAmount || 0)) * 100) / 100;
+});
+
+// Deduction total and net amount always follow gross and deductions
+billSchema.pre("validate", function (next) {
+  this.grossAmount = Math.round((this.grossAmount || 0) * 100) / 100;
+  this.totalDeductions =
+    Math.round(
+      (this.deductions || []).reduce((sum, line) => sum + line.amount, 0) * 100
+    ) / 100;
+  this.netAmount =
+    Math.round((this.grossAmount - (this.totalDeductions || 0)) * 100) / 100;
+
+  if (this.netAmount < 0) {
+    this.invalidate("deductions", "Deductions cannot exceed the gross amount");
+  }
+
+  this.paidAmount =
+    Math.round(
+      (this.payments || []).reduce((sum, payment) => sum + payment.amount, 0) *
+        100
+    ) / 100;
+  if (this.paidAmount > this.netAmount) {
+    this.invalidate("payments", "Payments cannot exceed the net amount");
+  }
+  if (this.paidAmount > 0 && this.status !== "Passed") {
+    this.invalidate("payments", "Only passed bills can be paid");
+  }
+
+  if (this.paidAmount === 0) {
+    this.paymentStatus = "Unpaid";
+    this.paidAt = undefined;
+  } else if (this.paidAmount < this.netAmount) {
+    this.paymentStatus = "Partially Paid";
+    this.paidAt = undefined;
+  } else {
+    this.paymentStatus = "Paid";
+    this.paidAt = this.payments.reduce(
+      (latest, payment) =>
+        payment.paymentDate > latest ? payment.paymentDate : latest,
+      this.payments[0].paymentDate
+    );
+  }
+
+  if (this.periodFrom && this.periodTo && this.periodTo < this.periodFrom) {
+    this.invalidate("periodTo", "Bill period end must be after its start");
+  }
+
+  next();
+});
+
+// Generate a unique bill ID
+billSchema.statics.generateBillId = async function () {
+  let billId;
+
+  do {
+    const randomNum = Math.floor(Math.random() * 899900) + 100;
+    billId = `BILL_${randomNum}`;
+  } while (await this.exists({ billId }));
+
+  return billId;
+};
+
+// Bills of a project in series order
+billSchema.statics.findByProject = function (projectObjectId, projectType) {
+  return this.find({ project: projectObjectId, projectType }).sort({
+    sequenceNumber: 1,
+  });
+};
+
+// Gross totals of a project's bills: { passed, pending, billed }
+billSchema.statics.totalsForProject = async function (
+  projectObjectId,
+  projectType,
+  session = null
+) {
+  const rows = await this.aggregate([
+    {
+      $match: {
+        project: new mongoose.Types.ObjectId(projectObjectId),
+        projectType,
+        status: { $in: ACTIVE_BILL_STATUSES },
+      },
+    },
+    { $group: { _id: "$status", total: { $sum: "$grossAmount" } } },
+  ]).session(session);
+
+  const totals = { passed: 0, pending: 0 };
+  rows.forEach((row) => {
+    if (row._id === "Passed") totals.passed += row.total;
+    else totals.pending += row.total;
+  });
+  totals.billed = totals.passed + totals.pending;
+
+  return totals;
+};
+
+// Amount paid per project from the payments recorded on bills, optionally
+// only payments whose date meets `paymentDate` (e.g. { $lt: date }):
+// Map of project _id -> amount.
+// Payments settle the net amount; each is grossed up by its bill's
+// gross-to-net ratio so the total also covers the statutory deductions
+// withheld from it, and part payments count in proportion.
+billSchema.statics.paidTotalsByProject = async function (
+  match = {},
+  paymentDate = null
+) {
+  const rows = await this.aggregate([
+    { $match: { ...match, "payments.0": { $exists: true } } },
+    { $unwind: "$payments" },
+    ...(paymentDate
+      ? [{ $match: { "payments.paymentDate": paymentDate } }]
+      : []),
+    {
+      $group: {
+        _id: "$project",
+        total: {
+          $sum: {
+            $cond: [
+              { $gt: ["$netAmount", 0] },
+              {
+                $multiply: [
+                  "$payments.amount",
+                  { $divide: ["$grossAmount", "$netAmount"] },
+                ],
+              },
+              "$payments.amount",
+            ],
+          },
+        },
+      },
+    },
+  ]);
+
+  return new Map(rows.map((row) => [row._id.toString(), row.total]));
+};
+
+// Measurement books already covered by a bill that has not been rejected
+billSchema.statics.findBilledMeasurementBooks = async function (
+  measurementBookIds,
+  session = null
+) {
+  const bills = await this.find({
+    "measurementBooks.measurementBook": { $in: measurementBookIds },
+    status: { $in: ACTIVE_BILL_STATUSES },
+  })
+    .select("billId measurementBooks")
+    .session(session);
+
+  const billed = new Map();
+  bills.forEach((bill) =>
+    bill.measurementBooks.forEach((entry) =>
+      billed.set(entry.measurementBook.toString(), bill.billId)
+    )
+  );
+
+  return billed;
+};
+
+const Bill = mongoose.model("Bill", billSchema);
+
+export default Bill;
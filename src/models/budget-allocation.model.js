@@ -0,0 +1,109 @@
+import mongoose from "mongoose";
+import { budgetOverrunActions, funds } from "../utils/constants.js";
+
+// Annual allocation of a budget head under a sub fund, e.g. head
+// "4406-01-101" of SOPD-ODS for 2025-2026. Projects are charged to an
+// allocation through their budgetHead and subFund.
+const budgetAllocationSchema = new mongoose.Schema(
+  {
+    budgetHead: {
+      type: String,
+      required: [true, "Budget head is required"],
+      trim: true,
+      maxlength: [100, "Budget head cannot exceed 100 characters"],
+    },
+    fund: {
+      type: String,
+      enum: {
+        values: funds.map((fund) => fund.name),
+        message: "Invalid fund type",
+      },
+      required: [true, "Fund is required"],
+    },
+    subFund: {
+      type: String,
+      required: [true, "Sub fund is required"],
+      validate: {
+        validator: function (subFundName) {
+          const mainFund = funds.find((fund) => fund.name === this.fund);
+          return Boolean(
+            mainFund?.subFunds.some((subFund) => subFund.name === subFundName)
+          );
+        },
+        message: "Sub fund must belong to the selected main fund",
+      },
+    },
+    // April to March, e.g. 2025-2026
+    financialYear: {
+      type: String,
+      required: [true, "Financial year is required"],
+      match: [/^\d{4}-\d{4}$/, "Financial year must be in YYYY-YYYY format"],
+      validate: {
+        validator: (value) =>
+          Number(value.slice(5)) === Number(value.slice(0, 4)) + 1,
+        message: "Financial year must span consecutive years",
+      },
+    },
+    allocatedAmount: {
+      type: Number,
+      required: [true, "Allocated amount is required"],
+      min: [0, "Allocated amount cannot be negative"],
+    },
+    overrunAction: {
+      type: String,
+      enum: {
+        values: budgetOverrunActions,
+        message: "Overrun action must be Warn or Block",
+      },
+      default: "Warn",
+    },
+    remarks: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Remarks cannot exceed 500 characters"],
+    },
+    createdBy: {
+      userId: {
+        type: String,
+        required: true,
+      },
+      name: String,
+      role: String,
+    },
+    lastModifiedBy: {
+      userId: String,
+      name: String,
+      role: String,
+      modifiedAt: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+budgetAllocationSchema.index(
+  { budgetHead: 1, subFund: 1, financialYear: 1 },
+  { unique: true, collation: { locale: "en", strength: 2 } }
+);
+budgetAllocationSchema.index({ financialYear: 1, fund: 1, subFund: 1 });
+
+// Allocation a project's head is charged to in a financial year
+budgetAllocationSchema.statics.findFor = function ({
+  budgetHead,
+  subFund,
+  financialYear,
+}) {
+  return this.findOne({
+    budgetHead: budgetHead.trim(),
+    subFund,
+    financialYear,
+  }).collation({ locale: "en", strength: 2 });
+};
+
+const BudgetAllocation = mongoose.model(
+  "BudgetAllocation",
+  budgetAllocationSchema
+);
+
+export default BudgetAllocation;
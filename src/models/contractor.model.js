@@ -0,0 +1,391 @@
+import mongoose from "mongoose";
+import {
+  contractorDebarmentTypes,
+  contractorRegistrationClasses,
+} from "../utils/constants.js";
+
+const PAN_PATTERN = /^[A-Z]{5}\d{4}[A-Z]$/;
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const PHONE_PATTERN = /^(\+91[\s-]?)?[6-9]\d{9}$/;
+
+// Words that do not tell one firm from another: honorifics and legal forms
+const NAME_NOISE_WORDS = new Set([
+  "m",
+  "s",
+  "ms",
+  "messrs",
+  "sri",
+  "shri",
+  "smti",
+  "pvt",
+  "private",
+  "ltd",
+  "limited",
+  "llp",
+  "co",
+  "company",
+  "and",
+]);
+
+/**
+ * Key under which spelling variants of a contractor name match, e.g.
+ * "M/s. Das & Co." and "DAS CO" both become "das"
+ */
+export const normalizeContractorName = (name) =>
+  String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .split(" ")
+    .filter((word) => word && !NAME_NOISE_WORDS.has(word))
+    .join(" ");
+
+const bankDetailsSchema = new mongoose.Schema(
+  {
+    accountHolderName: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Account holder name cannot exceed 100 characters"],
+    },
+    accountNumber: {
+      type: String,
+      trim: true,
+      match: [/^\d{9,18}$/, "Account number must be 9 to 18 digits"],
+    },
+    ifsc: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [IFSC_PATTERN, "Invalid IFSC code"],
+    },
+    bankName: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Bank name cannot exceed 100 characters"],
+    },
+    branch: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Branch cannot exceed 100 characters"],
+    },
+  },
+  { _id: false }
+);
+
+const contractorUserSchema = new mongoose.Schema(
+  {
+    userId: String,
+    name: String,
+    role: String,
+  },
+  { _id: false }
+);
+
+// Order debarring or blacklisting a contractor. Revoked orders are kept for
+// the contractor's history.
+const debarmentSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: {
+        values: contractorDebarmentTypes,
+        message: "Type must be Debarred or Blacklisted",
+      },
+      required: [true, "Debarment type is required"],
+    },
+    reason: {
+      type: String,
+      required: [true, "Reason is required"],
+      trim: true,
+      maxlength: [2000, "Reason cannot exceed 2000 characters"],
+    },
+    orderNumber: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Order number cannot exceed 100 characters"],
+    },
+    orderDate: Date,
+    effectiveFrom: {
+      type: Date,
+      required: [true, "Effective from date is required"],
+    },
+    // Open-ended when not set; debarments always end
+    effectiveTo: {
+      type: Date,
+      default: null,
+      required: [
+        function () {
+          return this.type === "Debarred";
+        },
+        "End date is required for a debarment",
+      ],
+    },
+    imposedBy: contractorUserSchema,
+    imposedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    revokedAt: Date,
+    revokedBy: contractorUserSchema,
+    revocationReason: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Revocation reason cannot exceed 1000 characters"],
+    },
+  },
+  { _id: true }
+);
+
+debarmentSchema.virtual("isRevoked").get(function () {
+  return Boolean(this.revokedAt);
+});
+
+// Whether the order bars the contractor on `date`
+debarmentSchema.methods.isInForce = function (date = new Date()) {
+  return (
+    !this.revokedAt &&
+    this.effectiveFrom <= date &&
+    (!this.effectiveTo || this.effectiveTo >= date)
+  );
+};
+
+// Contractor master. Projects, archive projects and measurement books keep
+// the contractor name they were recorded with and reference the master
+// record through contractorRef. Spelling variants found in those records
+// are kept as aliases so they resolve to the same contractor.
+const contractorSchema = new mongoose.Schema(
+  {
+    // Unique contractor identifier, e.g. CON_482913
+    contractorId: {
+      type: String,
+      required: [true, "Contractor ID is required"],
+      unique: true,
+      trim: true,
+      uppercase: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Contractor name is required"],
+      trim: true,
+      minlength: [2, "Contractor name must be at least 2 characters"],
+      maxlength: [100, "Contractor name cannot exceed 100 characters"],
+    },
+    aliases: [
+      {
+        type: String,
+        trim: true,
+        maxlength: [100, "Alias cannot exceed 100 characters"],
+      },
+    ],
+    // Normalised name and aliases, for lookups by name
+    nameKeys: {
+      type: [String],
+      index: true,
+    },
+    registrationClass: {
+      type: String,
+      enum: {
+        values: contractorRegistrationClasses,
+        message: "Invalid registration class",
+      },
+    },
+    registrationNumber: {
+      type: String,
+      trim: true,
+      maxlength: [50, "Registration number cannot exceed 50 characters"],
+    },
+    // Validity of enlistment with the department
+    enlistment: {
+      validFrom: Date,
+      validTo: Date,
+    },
+    pan: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [PAN_PATTERN, "Invalid PAN"],
+    },
+    gstin: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [GSTIN_PATTERN, "Invalid GSTIN"],
+    },
+    address: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Address cannot exceed 500 characters"],
+    },
+    phoneNumber: {
+      type: String,
+      trim: true,
+      validate: {
+        validator: (value) =>
+          !value || PHONE_PATTERN.test(value.replace(/[\s-]/g, "")),
+        message:
+          "Please enter a valid Indian phone number (10 digits starting with 6-9)",
+      },
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [/^\S+@\S+\.\S+$/, "Invalid email address"],
+    },
+    bankDetails: bankDetailsSchema,
+    remarks: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Remarks cannot exceed 1000 characters"],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+    debarments: [debarmentSchema],
+    // Record this one was merged into; merged records are kept for history
+    mergedInto: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Contractor",
+      default: null,
+    },
+    mergedAt: Date,
+    createdBy: {
+      userId: String,
+      name: String,
+      role: String,
+    },
+    lastModifiedBy: {
+      userId: String,
+      name: String,
+      role: String,
+      modifiedAt: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+contractorSchema.index({ pan: 1 }, { unique: true, sparse: true });
+contractorSchema.index({ gstin: 1 }, { unique: true, sparse: true });
+contractorSchema.index({ name: "text", aliases: "text" });
+contractorSchema.index({
+  "debarments.effectiveFrom": 1,
+  "debarments.effectiveTo": 1,
+});
+
+contractorSchema.virtual("isEnlistmentValid").get(function () {
+  const { validFrom, validTo } = this.enlistment || {};
+  const now = new Date();
+  if (validFrom && validFrom > now) return false;
+  if (validTo && validTo < now) return false;
+  return Boolean(validFrom || validTo);
+});
+
+// Debarment or blacklisting in force now, if any
+contractorSchema.virtual("activeDebarment").get(function () {
+  return this.debarmentOn(new Date());
+});
+
+contractorSchema.pre("validate", function (next) {
+  // Aliases never repeat the name or each other
+  const nameKey = normalizeContractorName(this.name);
+  const seen = new Set([nameKey]);
+  this.aliases = (this.aliases || []).filter((alias) => {
+    const key = normalizeContractorName(alias);
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  this.nameKeys = this.mergedInto ? [] : [...seen].filter(Boolean);
+
+  // The PAN is embedded in the GSTIN
+  if (this.pan && this.gstin && this.gstin.slice(2, 12) !== this.pan) {
+    this.invalidate("gstin", "GSTIN does not match the PAN");
+  }
+
+  const { validFrom, validTo } = this.enlistment || {};
+  if (validFrom && validTo && validTo < validFrom) {
+    this.invalidate(
+      "enlistment.validTo",
+      "Enlistment validity must end after it starts"
+    );
+  }
+
+  (this.debarments || []).forEach((debarment, index) => {
+    if (
+      debarment.effectiveTo &&
+      debarment.effectiveFrom &&
+      debarment.effectiveTo < debarment.effectiveFrom
+    ) {
+      this.invalidate(
+        `debarments.${index}.effectiveTo`,
+        "Debarment must end after it starts"
+      );
+    }
+  });
+
+  next();
+});
+
+// Debarment or blacklisting in force on `date`, blacklisting first
+contractorSchema.methods.debarmentOn = function (date) {
+  const inForce = (this.debarments || []).filter((debarment) =>
+    debarment.isInForce(date)
+  );
+
+  return (
+    inForce.find((debarment) => debarment.type === "Blacklisted") ||
+    inForce[0] ||
+    null
+  );
+};
+
+// Generate a unique contractor ID
+contractorSchema.statics.generateContractorId = async function () {
+  let contractorId;
+
+  do {
+    const randomNum = Math.floor(Math.random() * 899900) + 100;
+    contractorId = `CON_${randomNum}`;
+  } while (await this.exists({ contractorId }));
+
+  return contractorId;
+};
+
+// Find a contractor by contractor ID (e.g. CON_123) or MongoDB _id
+contractorSchema.statics.findByIdentifier = async function (id) {
+  const value = String(id || "").trim();
+  if (!value) return null;
+
+  let contractor = await this.findOne({ contractorId: value.toUpperCase() });
+  if (!contractor && mongoose.Types.ObjectId.isValid(value)) {
+    contractor = await this.findById(value);
+  }
+
+  return contractor;
+};
+
+// Current record of a contractor whose name or alias matches `name`.
+// Resolves to null for names that normalise to nothing.
+contractorSchema.statics.findByName = function (name) {
+  const key = normalizeContractorName(name);
+
+  return this.findOne(
+    key ? { nameKeys: key, mergedInto: null } : { _id: null }
+  );
+};
+
+// _id of the contractor record matching a free-text contractor name
+contractorSchema.statics.idForName = async function (name) {
+  const contractor = await this.findByName(name).select("_id").lean();
+  return contractor?._id || null;
+};
+
+const Contractor = mongoose.model("Contractor", contractorSchema);
+
+export default Contractor;
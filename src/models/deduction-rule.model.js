@@ -0,0 +1,197 @@
+import mongoose from "mongoose";
+import { deductionTypes } from "../utils/constants.js";
+
+const roundTo2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// One deduction applied to a bill. Rule fields are copied so the bill keeps
+// the rate that applied on its date even if the rule changes later.
+export const deductionLineSchema = new mongoose.Schema(
+  {
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DeductionRule",
+    },
+    code: {
+      type: String,
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: deductionTypes,
+      required: true,
+    },
+    rate: Number,
+    baseAmount: Number,
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, "Deduction amount cannot be negative"],
+    },
+  },
+  { _id: false }
+);
+
+// Statutory deduction rule (GST TDS, income-tax TDS, labour cess, security
+// deposit, royalty, ...). A rule is a percentage of the bill's gross amount,
+// applied when the bill or contract value exceeds the threshold, for bills
+// dated within the effective period.
+const deductionRuleSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, "Deduction code is required"],
+      trim: true,
+      uppercase: true,
+      maxlength: [30, "Deduction code cannot exceed 30 characters"],
+    },
+    name: {
+      type: String,
+      required: [true, "Deduction name is required"],
+      trim: true,
+      maxlength: [100, "Deduction name cannot exceed 100 characters"],
+    },
+    type: {
+      type: String,
+      required: [true, "Deduction type is required"],
+      enum: {
+        values: deductionTypes,
+        message: "Invalid deduction type",
+      },
+    },
+    // Percentage of the bill's gross amount
+    rate: {
+      type: Number,
+      required: [true, "Rate is required"],
+      min: [0, "Rate cannot be negative"],
+      max: [100, "Rate cannot exceed 100%"],
+    },
+    // Applies only when the basis amount is above this value
+    threshold: {
+      type: Number,
+      min: [0, "Threshold cannot be negative"],
+      default: 0,
+    },
+    thresholdBasis: {
+      type: String,
+      enum: {
+        values: ["bill", "contract"],
+        message: "Threshold basis must be 'bill' or 'contract'",
+      },
+      default: "bill",
+    },
+    effectiveFrom: {
+      type: Date,
+      required: [true, "Effective from date is required"],
+    },
+    effectiveTo: {
+      type: Date,
+      default: null,
+    },
+    applicableTo: {
+      type: [String],
+      enum: ["Project", "ArchiveProject"],
+      default: ["Project", "ArchiveProject"],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+    remarks: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Remarks cannot exceed 500 characters"],
+    },
+    createdBy: {
+      userId: {
+        type: String,
+        required: true,
+      },
+      name: String,
+      role: String,
+    },
+    lastModifiedBy: {
+      userId: String,
+      name: String,
+      role: String,
+      modifiedAt: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+deductionRuleSchema.index({ code: 1, effectiveFrom: 1 }, { unique: true });
+deductionRuleSchema.index({ isActive: 1, effectiveFrom: 1, effectiveTo: 1 });
+
+deductionRuleSchema.pre("validate", function (next) {
+  if (
+    this.effectiveTo &&
+    this.effectiveFrom &&
+    this.effectiveTo < this.effectiveFrom
+  ) {
+    this.invalidate(
+      "effectiveTo",
+      "Effective to date must be after effective from date"
+    );
+  }
+  next();
+});
+
+// Active rules in force on a date for a project type
+deductionRuleSchema.statics.findApplicable = function (date, projectType) {
+  return this.find({
+    isActive: true,
+    applicableTo: projectType,
+    effectiveFrom: { $lte: date },
+    $or: [{ effectiveTo: null }, { effectiveTo: { $gte: date } }],
+  }).sort({ code: 1 });
+};
+
+// Deduction lines for a bill dated `billDate`.
+// Returns { grossAmount, deductions, totalDeductions, netAmount }.
+deductionRuleSchema.statics.computeForBill = async function ({
+  grossAmount,
+  contractValue,
+  billDate,
+  projectType,
+}) {
+  const rules = await this.findApplicable(billDate, projectType);
+
+  const deductions = rules
+    .filter((rule) => {
+      const basis =
+        rule.thresholdBasis === "contract" ? contractValue : grossAmount;
+      return basis > (rule.threshold || 0);
+    })
+    .map((rule) => ({
+      rule: rule._id,
+      code: rule.code,
+      name: rule.name,
+      type: rule.type,
+      rate: rule.rate,
+      baseAmount: roundTo2(grossAmount),
+      amount: roundTo2((grossAmount * rule.rate) / 100),
+    }))
+    .filter((line) => line.amount > 0);
+
+  const totalDeductions = roundTo2(
+    deductions.reduce((sum, line) => sum + line.amount, 0)
+  );
+
+  return {
+    grossAmount: roundTo2(grossAmount),
+    deductions,
+    totalDeductions,
+    netAmount: roundTo2(grossAmount - totalDeductions),
+  };
+};
+
+const DeductionRule = mongoose.model("DeductionRule", deductionRuleSchema);
+
+export default DeductionRule;
@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+// Close of a financial year: when it was closed, by whom, and the totals
+// of the project snapshots taken at the close
+const financialYearCloseSchema = new mongoose.Schema(
+  {
+    financialYear: {
+      type: String,
+      required: [true, "Financial year is required"],
+      match: [/^\d{4}-\d{4}$/, "Financial year must be in YYYY-YYYY format"],
+    },
+    totals: {
+      projects: { type: Number, default: 0 },
+      completed: { type: Number, default: 0 },
+      carriedForward: { type: Number, default: 0 },
+      estimatedCost: { type: Number, default: 0 },
+      expenditureInYear: { type: Number, default: 0 },
+      cumulativeExpenditure: { type: Number, default: 0 },
+      balanceCarriedForward: { type: Number, default: 0 },
+    },
+    remarks: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Remarks cannot exceed 1000 characters"],
+    },
+    closedBy: {
+      userId: {
+        type: String,
+        required: [true, "Closing user ID is required"],
+      },
+      name: String,
+      role: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+financialYearCloseSchema.index({ financialYear: 1 }, { unique: true });
+
+const FinancialYearClose = mongoose.model(
+  "FinancialYearClose",
+  financialYearCloseSchema
+);
+
+export default FinancialYearClose;
@@ -0,0 +1,244 @@
+import mongoose from "mongoose";
+import { funds, sanctionAndDepartment } from "../utils/constants.js";
+
+const roundTo2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const fundUserSchema = new mongoose.Schema(
+  {
+    userId: String,
+    name: String,
+    role: String,
+  },
+  { _id: false }
+);
+
+// One installment released against a sanction order
+const releaseSchema = new mongoose.Schema(
+  {
+    installmentNumber: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    releaseOrderNumber: {
+      type: String,
+      required: [true, "Release order number is required"],
+      trim: true,
+      maxlength: [100, "Release order number cannot exceed 100 characters"],
+    },
+    releaseDate: {
+      type: Date,
+      required: [true, "Release date is required"],
+    },
+    amount: {
+      type: Number,
+      required: [true, "Release amount is required"],
+      min: [0.01, "Release amount must be greater than 0"],
+    },
+    remarks: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Remarks cannot exceed 500 characters"],
+    },
+    documents: [
+      {
+        fileName: String,
+        originalName: String,
+        downloadURL: String,
+        filePath: String,
+        fileSize: Number,
+        mimeType: String,
+        fileType: String,
+        uploadedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    recordedBy: fundUserSchema,
+    recordedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: true }
+);
+
+// Sanction order issued by the sanctioning department and the installments
+// released against it. A "Project" sanction funds a single project; a
+// "Pooled" sanction is released to a sub-fund and shared by its projects.
+const fundSanctionSchema = new mongoose.Schema(
+  {
+    sanctionId: {
+      type: String,
+      required: [true, "Sanction ID is required"],
+      trim: true,
+      uppercase: true,
+    },
+    scope: {
+      type: String,
+      enum: {
+        values: ["Project", "Pooled"],
+        message: "Scope must be either 'Project' or 'Pooled'",
+      },
+      required: [true, "Sanction scope is required"],
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: [
+        function () {
+          return this.scope === "Project";
+        },
+        "Project is required for a project sanction",
+      ],
+    },
+    projectId: {
+      type: String,
+      index: true,
+    },
+
+    fund: {
+      type: String,
+      enum: {
+        values: funds.map((fund) => fund.name),
+        message: "Invalid fund type",
+      },
+      required: [true, "Fund is required"],
+    },
+    subFund: {
+      type: String,
+      required: [true, "Sub fund is required"],
+      validate: {
+        validator: function (subFundName) {
+          const mainFund = funds.find((fund) => fund.name === this.fund);
+          return Boolean(
+            mainFund?.subFunds.some((subFund) => subFund.name === subFundName)
+          );
+        },
+        message: "Sub fund must belong to the selected main fund",
+      },
+    },
+    sanctioningDepartment: {
+      type: String,
+      enum: {
+        values: sanctionAndDepartment,
+        message: "Invalid sanction & department",
+      },
+      required: [true, "Sanctioning department is required"],
+    },
+
+    sanctionOrderNumber: {
+      type: String,
+      required: [true, "Sanction order number is required"],
+      trim: true,
+      maxlength: [100, "Sanction order number cannot exceed 100 characters"],
+    },
+    sanctionDate: {
+      type: Date,
+      required: [true, "Sanction date is required"],
+    },
+    sanctionedAmount: {
+      type: Number,
+      required: [true, "Sanctioned amount is required"],
+      min: [0.01, "Sanctioned amount must be greater than 0"],
+    },
+    remarks: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Remarks cannot exceed 1000 characters"],
+    },
+
+    releases: [releaseSchema],
+    // Sum of release amounts, kept in step with releases
+    totalReleased: {
+      type: Number,
+      default: 0,
+    },
+
+    createdBy: {
+      userId: {
+        type: String,
+        required: [true, "Creator user ID is required"],
+      },
+      name: String,
+      role: String,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+fundSanctionSchema.index({ sanctionId: 1 }, { unique: true });
+fundSanctionSchema.index({ fund: 1, subFund: 1, scope: 1 });
+fundSanctionSchema.index({ sanctionOrderNumber: 1, sanctioningDepartment: 1 });
+
+fundSanctionSchema.virtual("pendingRelease").get(function () {
+  return roundTo2(this.sanctionedAmount - (this.totalReleased || 0));
+});
+
+fundSanctionSchema.pre("validate", function (next) {
+  if (this.scope === "Pooled") {
+    this.project = undefined;
+    this.projectId = undefined;
+  }
+
+  this.totalReleased = roundTo2(
+    (this.releases || []).reduce((sum, release) => sum + release.amount, 0)
+  );
+
+  if (this.totalReleased > this.sanctionedAmount) {
+    this.invalidate(
+      "releases",
+      "Total released cannot exceed the sanctioned amount"
+    );
+  }
+
+  next();
+});
+
+// Generate a unique sanction ID
+fundSanctionSchema.statics.generateSanctionId = async function () {
+  let sanctionId;
+
+  do {
+    const randomNum = Math.floor(Math.random() * 899900) + 100;
+    sanctionId = `FS_${randomNum}`;
+  } while (await this.exists({ sanctionId }));
+
+  return sanctionId;
+};
+
+// Sanctioned and released totals grouped by fund and sub fund.
+// Returns [{ fund, subFund, scope, sanctioned, released, sanctions }]
+fundSanctionSchema.statics.totalsBySubFund = function (match = {}) {
+  return this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { fund: "$fund", subFund: "$subFund", scope: "$scope" },
+        sanctioned: { $sum: "$sanctionedAmount" },
+        released: { $sum: "$totalReleased" },
+        sanctions: { $sum: 1 },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        fund: "$_id.fund",
+        subFund: "$_id.subFund",
+        scope: "$_id.scope",
+        sanctioned: 1,
+        released: 1,
+        sanctions: 1,
+      },
+    },
+  ]);
+};
+
+const FundSanction = mongoose.model("FundSanction", fundSanctionSchema);
+
+export default FundSanction;
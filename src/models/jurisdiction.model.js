@@ -0,0 +1,122 @@
+import mongoose from "mongoose";
+import { districts } from "../utils/constants.js";
+
+// Office jurisdictions used to scope what users can see.
+// A circle (CE) is made up of divisions (AEE); each division covers one or
+// more districts. A circle may also list districts directly.
+const jurisdictionSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, "Jurisdiction code is required"],
+      unique: true,
+      trim: true,
+      uppercase: true,
+      maxlength: [30, "Jurisdiction code cannot exceed 30 characters"],
+    },
+    name: {
+      type: String,
+      required: [true, "Jurisdiction name is required"],
+      trim: true,
+      maxlength: [100, "Jurisdiction name cannot exceed 100 characters"],
+    },
+    type: {
+      type: String,
+      required: [true, "Jurisdiction type is required"],
+      enum: {
+        values: ["circle", "division"],
+        message: "Jurisdiction type must be circle or division",
+      },
+      index: true,
+    },
+    // Parent circle code, for divisions
+    circle: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      index: true,
+      validate: {
+        validator: function (value) {
+          return this.type === "division" ? Boolean(value) : !value;
+        },
+        message: "Divisions must belong to a circle; circles have no parent",
+      },
+    },
+    districts: [
+      {
+        type: String,
+        enum: {
+          values: districts,
+          message: "Invalid district: {VALUE}",
+        },
+      },
+    ],
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+    createdBy: {
+      userId: String,
+      name: String,
+      role: String,
+    },
+    lastModifiedBy: {
+      userId: String,
+      name: String,
+      role: String,
+      modifiedAt: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Districts covered by the given circle, division and district assignments.
+// Inactive jurisdictions no longer grant access.
+jurisdictionSchema.statics.resolveDistricts = async function ({
+  circles = [],
+  divisions = [],
+  districts: directDistricts = [],
+} = {}) {
+  const resolved = new Set(directDistricts);
+
+  if (circles.length === 0 && divisions.length === 0) {
+    return [...resolved];
+  }
+
+  const jurisdictions = await this.find({
+    isActive: true,
+    $or: [
+      { type: "circle", code: { $in: circles } },
+      { type: "division", circle: { $in: circles } },
+      { type: "division", code: { $in: divisions } },
+    ],
+  })
+    .select("districts")
+    .lean();
+
+  jurisdictions.forEach((jurisdiction) =>
+    jurisdiction.districts.forEach((district) => resolved.add(district))
+  );
+
+  return [...resolved];
+};
+
+// Returns the codes that do not exist as active jurisdictions of a type
+jurisdictionSchema.statics.findUnknownCodes = async function (type, codes) {
+  if (!codes?.length) return [];
+
+  const found = await this.find({
+    type,
+    code: { $in: codes },
+    isActive: true,
+  }).distinct("code");
+
+  return codes.filter((code) => !found.includes(code));
+};
+
+const Jurisdiction = mongoose.model("Jurisdiction", jurisdictionSchema);
+
+export default Jurisdiction;
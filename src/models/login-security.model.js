@@ -0,0 +1,269 @@
+import mongoose from "mongoose";
+
+// Attempt limits per security check.
+// cooldown: minimum time between attempts
+// maxAttempts / window: attempts allowed within the rolling window
+// lockout: how long the key is locked once maxAttempts is reached
+//          (0 = no lockout, the caller just waits for the window to roll)
+// countAll: count every attempt (resends) instead of only failures
+export const loginSecurityPolicies = {
+  login: {
+    cooldown: 0,
+    maxAttempts: 5,
+    window: 15 * 60 * 1000,
+    lockout: 30 * 60 * 1000,
+    countAll: false,
+  },
+  otp_verify: {
+    cooldown: 30 * 1000,
+    maxAttempts: 5,
+    window: 15 * 60 * 1000,
+    lockout: 15 * 60 * 1000,
+    countAll: false,
+  },
+  otp_resend: {
+    cooldown: 60 * 1000,
+    maxAttempts: 5,
+    window: 60 * 60 * 1000,
+    lockout: 0,
+    countAll: true,
+  },
+};
+
+// Records are removed this long after the last attempt or lockout
+const RECORD_TTL = 2 * 60 * 60 * 1000;
+const MAX_STORED_ATTEMPTS = 20;
+
+// Persistent login/OTP attempt tracking shared by all server instances.
+// One document per (type, key); key is the user ID for login and the
+// email address for OTP checks.
+const loginSecuritySchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+      enum: Object.keys(loginSecurityPolicies),
+    },
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    attempts: [
+      {
+        timestamp: {
+          type: Date,
+          default: Date.now,
+        },
+        ip: String,
+        success: {
+          type: Boolean,
+          default: false,
+        },
+        _id: false,
+      },
+    ],
+    lastAttempt: Date,
+    lockedUntil: Date,
+    lockCount: {
+      type: Number,
+      default: 0,
+    },
+    // TTL: the record disappears once it is no longer relevant
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+loginSecuritySchema.index({ type: 1, key: 1 }, { unique: true });
+loginSecuritySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+loginSecuritySchema.index({ lockedUntil: 1 });
+
+const normalizeKey = (key) => (key || "").toString().trim().toLowerCase();
+
+const countedAttempts = (record, policy, now) =>
+  (record?.attempts || []).filter(
+    (attempt) =>
+      now - new Date(attempt.timestamp).getTime() < policy.window &&
+      (policy.countAll || !attempt.success)
+  );
+
+// Check whether another attempt is allowed.
+// Returns { allowed, attemptsRemaining } or
+// { allowed: false, error, remainingTime, type } where type is one of
+// "lockout", "cooldown", "max_attempts" or "limit".
+loginSecuritySchema.statics.checkLimit = async function (type, key) {
+  const policy = loginSecurityPolicies[type];
+  const now = Date.now();
+  const record = await this.findOne({ type, key: normalizeKey(key) }).lean();
+
+  if (record?.lockedUntil && record.lockedUntil.getTime() > now) {
+    const remainingLockout = Math.ceil(
+      (record.lockedUntil.getTime() - now) / 60000
+    );
+    return {
+      allowed: false,
+      error: `Account temporarily locked due to too many failed attempts. Try again in ${remainingLockout} minutes.`,
+      remainingTime: remainingLockout,
+      type: "lockout",
+    };
+  }
+
+  if (
+    policy.cooldown > 0 &&
+    record?.lastAttempt &&
+    now - record.lastAttempt.getTime() < policy.cooldown
+  ) {
+    const remainingTime = Math.ceil(
+      (policy.cooldown - (now - record.lastAttempt.getTime())) / 1000
+    );
+    return {
+      allowed: false,
+      error: `Too many rapid attempts. Please wait ${remainingTime} seconds before trying again.`,
+      remainingTime,
+      type: "cooldown",
+    };
+  }
+
+  const attempts = countedAttempts(record, policy, now);
+
+  if (attempts.length >= policy.maxAttempts) {
+    if (policy.lockout > 0) {
+      await this.lock(type, key, policy.lockout);
+      const minutes = Math.ceil(policy.lockout / 60000);
+      return {
+        allowed: false,
+        error: `Too many failed attempts. Account locked for ${minutes} minutes.`,
+        remainingTime: minutes,
+        type: "max_attempts",
+      };
+    }
+
+    const oldestAttempt = Math.min(
+      ...attempts.map((attempt) => new Date(attempt.timestamp).getTime())
+    );
+    const resetTime = Math.ceil(
+      (policy.window - (now - oldestAttempt)) / 60000
+    );
+    return {
+      allowed: false,
+      error: `Maximum attempts reached. Try again in ${resetTime} minutes.`,
+      remainingTime: resetTime,
+      type: "limit",
+    };
+  }
+
+  return {
+    allowed: true,
+    attemptsRemaining: policy.maxAttempts - attempts.length,
+  };
+};
+
+// Record an attempt atomically. Failed attempts that reach the limit
+// lock the key straight away.
+loginSecuritySchema.statics.recordAttempt = async function (
+  type,
+  key,
+  { ip = null, success = false } = {}
+) {
+  const policy = loginSecurityPolicies[type];
+  const now = new Date();
+
+  const record = await this.findOneAndUpdate(
+    { type, key: normalizeKey(key) },
+    {
+      $push: {
+        attempts: {
+          $each: [{ timestamp: now, ip, success }],
+          $slice: -MAX_STORED_ATTEMPTS,
+        },
+      },
+      $set: {
+        lastAttempt: now,
+        expiresAt: new Date(now.getTime() + RECORD_TTL),
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+
+  if (
+    !success &&
+    policy.lockout > 0 &&
+    countedAttempts(record, policy, now.getTime()).length >= policy.maxAttempts
+  ) {
+    await this.lock(type, key, policy.lockout);
+  }
+
+  return record;
+};
+
+loginSecuritySchema.statics.recordFailure = function (type, key, ip = null) {
+  return this.recordAttempt(type, key, { ip, success: false });
+};
+
+// Successful verification clears failures and any lockout
+loginSecuritySchema.statics.recordSuccess = function (type, key) {
+  return this.updateOne(
+    { type, key: normalizeKey(key) },
+    {
+      $set: { attempts: [], lockedUntil: null },
+      $unset: { lastAttempt: 1 },
+    }
+  );
+};
+
+loginSecuritySchema.statics.lock = function (type, key, duration) {
+  const lockedUntil = new Date(Date.now() + duration);
+
+  return this.updateOne(
+    {
+      type,
+      key: normalizeKey(key),
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: new Date() } }],
+    },
+    {
+      // Attempts are reset so the count starts fresh once the lock expires
+      $set: {
+        lockedUntil,
+        attempts: [],
+        expiresAt: new Date(lockedUntil.getTime() + RECORD_TTL),
+      },
+      $inc: { lockCount: 1 },
+    }
+  );
+};
+
+// Records for a user across all checks (login by userId, OTP by email)
+loginSecuritySchema.statics.findForUser = function (user) {
+  return this.find({
+    $or: [
+      { type: "login", key: normalizeKey(user.userId) },
+      {
+        type: { $in: ["otp_verify", "otp_resend"] },
+        key: normalizeKey(user.email),
+      },
+    ],
+  }).lean();
+};
+
+loginSecuritySchema.statics.clearForUser = function (user) {
+  return this.deleteMany({
+    $or: [
+      { type: "login", key: normalizeKey(user.userId) },
+      {
+        type: { $in: ["otp_verify", "otp_resend"] },
+        key: normalizeKey(user.email),
+      },
+    ],
+  });
+};
+
+const LoginSecurity = mongoose.model("LoginSecurity", loginSecuritySchema);
+
+export default LoginSecurity;
@@ -0,0 +1,141 @@
+import mongoose from "mongoose";
+import { diffSnapshots } from "../utils/audit.js";
+
+// Append-only revision log for measurement books.
+// Every edit, submission and check-measurement decision is stored here and
+// never modified afterwards.
+const mbRevisionSchema = new mongoose.Schema(
+  {
+    measurementBook: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MeasurementBook",
+      required: [true, "Measurement book reference is required"],
+      index: true,
+    },
+    mbId: {
+      type: String,
+      required: [true, "MB ID is required"],
+      index: true,
+    },
+    revisionNumber: {
+      type: Number,
+      required: [true, "Revision number is required"],
+      min: [1, "Revision number must be at least 1"],
+    },
+    action: {
+      type: String,
+      required: [true, "Revision action is required"],
+      enum: {
+        values: [
+          "update_header",
+          "add_measurement",
+          "replace_measurement",
+          "remove_measurement",
+          "submit_for_check",
+          "approve",
+          "reject",
+        ],
+        message: "Invalid revision action",
+      },
+    },
+    measurementId: {
+      type: String,
+    },
+    // Field-level diff: [{ field, before, after }]
+    changes: [
+      {
+        field: {
+          type: String,
+          required: true,
+        },
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed,
+        _id: false,
+      },
+    ],
+    remarks: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Remarks cannot exceed 1000 characters"],
+    },
+    editedBy: {
+      userId: {
+        type: String,
+        required: true,
+      },
+      name: String,
+      role: String,
+    },
+    ipAddress: String,
+    userAgent: String,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+mbRevisionSchema.index(
+  { measurementBook: 1, revisionNumber: 1 },
+  { unique: true }
+);
+mbRevisionSchema.index({ "editedBy.userId": 1, createdAt: -1 });
+
+// Revisions are immutable
+mbRevisionSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return next(new Error("MB revisions are immutable and cannot be modified"));
+  }
+  next();
+});
+
+const rejectMutation = function (next) {
+  next(new Error("MB revisions are immutable and cannot be modified"));
+};
+
+[
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+].forEach((operation) => mbRevisionSchema.pre(operation, rejectMutation));
+
+// Build a field-level diff between two plain snapshots
+mbRevisionSchema.statics.diff = function (before = {}, after = {}, fields) {
+  return diffSnapshots(before, after, fields);
+};
+
+// Record a revision for a measurement book.
+// The caller must increment measurementBook.currentRevision and save it.
+mbRevisionSchema.statics.record = function (
+  measurementBook,
+  { action, measurementId, changes = [], remarks, user, req },
+  session = null
+) {
+  const revision = {
+    measurementBook: measurementBook._id,
+    mbId: measurementBook.mbId,
+    revisionNumber: measurementBook.currentRevision,
+    action,
+    measurementId,
+    changes,
+    remarks,
+    editedBy: {
+      userId: user.userId || user._id?.toString(),
+      name: user.fullName || user.username || user.name,
+      role: user.designation || user.role,
+    },
+    ipAddress: req?.ip,
+    userAgent: req?.get("User-Agent"),
+  };
+
+  return this.create([revision], session ? { session } : {}).then(
+    (docs) => docs[0]
+  );
+};
+
+const MBRevision = mongoose.model("MBRevision", mbRevisionSchema);
+
+export default MBRevision;
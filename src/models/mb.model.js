@@ -1,4 +1,7 @@
 import mongoose from "mongoose";
+import { mbApprovalStatus } from "../utils/constants.js";
+import { roundTo } from "../utils/mb-utils.js";
+import Contractor from "./contractor.model.js";
 
 const measurementBookSchema = new mongoose.Schema(
   {
@@ -53,6 +56,13 @@ const measurementBookSchema = new mongoose.Schema(
       trim: true,
       maxlength: [200, "Contractor name cannot exceed 200 characters"],
     },
+    // Contractor master record
+    contractorRef: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Contractor",
+      default: null,
+      index: true,
+    },
 
     tenderAgreement: {
       type: String,
@@ -91,6 +101,13 @@ const measurementBookSchema = new mongoose.Schema(
       required: [true, "Date of Measurement is required"],
     },
 
+    // Schedule of rates edition used to price the items (e.g. "SOR 2024-25")
+    sorEdition: {
+      type: String,
+      trim: true,
+      maxlength: [50, "SOR edition cannot exceed 50 characters"],
+    },
+
     // Measurements array - each measurement item with its own file
     measurements: [
       {
@@ -111,6 +128,82 @@ const measurementBookSchema = new mongoose.Schema(
           trim: true,
           maxlength: [50, "Unit cannot exceed 50 characters"],
         },
+
+        // Schedule of rates item this measurement is billed against
+        itemCode: {
+          type: String,
+          trim: true,
+          uppercase: true,
+          maxlength: [50, "Item code cannot exceed 50 characters"],
+        },
+        scheduleItem: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "ScheduleOfRates",
+        },
+
+        // Dimension entries (Nos x L x B x D); deductions are subtracted
+        dimensions: [
+          {
+            description: {
+              type: String,
+              trim: true,
+              maxlength: [
+                300,
+                "Dimension description cannot exceed 300 characters",
+              ],
+            },
+            nos: {
+              type: Number,
+              min: [0, "Number of units cannot be negative"],
+              default: 1,
+            },
+            length: {
+              type: Number,
+              min: [0, "Length cannot be negative"],
+            },
+            breadth: {
+              type: Number,
+              min: [0, "Breadth cannot be negative"],
+            },
+            depth: {
+              type: Number,
+              min: [0, "Depth cannot be negative"],
+            },
+            isDeduction: {
+              type: Boolean,
+              default: false,
+            },
+            // Computed from nos and dimensions
+            quantity: {
+              type: Number,
+              default: 0,
+            },
+            _id: false,
+          },
+        ],
+
+        // Computed from dimensions when present, otherwise entered directly
+        quantity: {
+          type: Number,
+          min: [0, "Quantity cannot be negative"],
+          default: 0,
+        },
+        rate: {
+          type: Number,
+          min: [0, "Rate cannot be negative"],
+          default: 0,
+        },
+        rateSource: {
+          type: String,
+          enum: ["schedule", "manual"],
+          default: "manual",
+        },
+        // Computed: quantity x rate
+        amount: {
+          type: Number,
+          default: 0,
+        },
+
         uploadedFile: {
           fileName: {
             type: String,
@@ -177,6 +270,57 @@ const measurementBookSchema = new mongoose.Schema(
         default: Date.now,
       },
     },
+
+    // Check-measurement / approval state
+    // Only "Approved" MBs are final for billing; "Draft" and "Rejected"
+    // MBs can still be edited.
+    approvalStatus: {
+      type: String,
+      enum: {
+        values: mbApprovalStatus,
+        message: "Invalid MB approval status",
+      },
+      default: "Draft",
+      index: true,
+    },
+    submittedForCheck: {
+      submittedAt: Date,
+      submittedBy: {
+        userId: String,
+        name: String,
+        role: String,
+      },
+    },
+    checkMeasurement: {
+      checkedAt: Date,
+      checkedBy: {
+        userId: String,
+        name: String,
+        role: String,
+      },
+      remarks: {
+        type: String,
+        trim: true,
+        maxlength: [1000, "Remarks cannot exceed 1000 characters"],
+      },
+      rejectionReason: {
+        type: String,
+        trim: true,
+        maxlength: [1000, "Rejection reason cannot exceed 1000 characters"],
+      },
+    },
+
+    // Computed: sum of all measurement item amounts
+    totalAmount: {
+      type: Number,
+      default: 0,
+    },
+
+    // Number of the latest entry in the MBRevision log
+    currentRevision: {
+      type: Number,
+      default: 0,
+    },
   },
   {
     timestamps: true,
@@ -192,6 +336,7 @@ measurementBookSchema.index({ projectType: 1, createdAt: -1 });
 measurementBookSchema.index({ "createdBy.userId": 1, projectType: 1 });
 measurementBookSchema.index({ mbId: 1 }, { unique: true });
 measurementBookSchema.index({ mbNo: 1 });
+measurementBookSchema.index({ project: 1, approvalStatus: 1 });
 
 // Text index for search functionality
 measurementBookSchema.index({
@@ -201,6 +346,11 @@ measurementBookSchema.index({
   "measurements.description": "text",
 });
 
+// Virtual for billing finality
+measurementBookSchema.virtual("isFinalForBilling").get(function () {
+  return this.approvalStatus === "Approved";
+});
+
 // Virtual for total measurements count
 measurementBookSchema.virtual("totalMeasurements").get(function () {
   return this.measurements ? this.measurements.length : 0;
@@ -225,6 +375,62 @@ measurementBookSchema.virtual("humanReadableTotalFileSize").get(function () {
   return Math.round((bytes / Math.pow(1024, i)) * 100) / 100 + " " + sizes[i];
 });
 
+// Quantity of one dimension entry: nos x length x breadth x depth,
+// ignoring dimensions that were not recorded (e.g. area items have no depth)
+const computeDimensionQuantity = (dimension) => {
+  const factors = [dimension.length, dimension.breadth, dimension.depth].filter(
+    (value) => value !== undefined && value !== null
+  );
+
+  if (factors.length === 0) return 0;
+
+  const nos =
+    dimension.nos === undefined || dimension.nos === null ? 1 : dimension.nos;
+  const quantity = factors.reduce((product, value) => product * value, nos);
+
+  return roundTo(dimension.isDeduction ? -quantity : quantity, 3);
+};
+
+// Recompute dimension quantities, item quantities, amounts and MB total
+measurementBookSchema.methods.computeAmounts = function () {
+  let totalAmount = 0;
+
+  (this.measurements || []).forEach((measurement) => {
+    if (measurement.dimensions && measurement.dimensions.length > 0) {
+      let quantity = 0;
+      measurement.dimensions.forEach((dimension) => {
+        dimension.quantity = computeDimensionQuantity(dimension);
+        quantity += dimension.quantity;
+      });
+      measurement.quantity = Math.max(0, roundTo(quantity, 3));
+    }
+
+    measurement.amount = roundTo(
+      (measurement.quantity || 0) * (measurement.rate || 0),
+      2
+    );
+    totalAmount += measurement.amount;
+  });
+
+  this.totalAmount = roundTo(totalAmount, 2);
+  return this;
+};
+
+// Quantities and amounts are always derived, never trusted from input.
+// Runs on validate so insertMany (batch create) is covered too.
+measurementBookSchema.pre("validate", function (next) {
+  this.computeAmounts();
+  next();
+});
+
+// Link the contractor master record matching the contractor name, unless
+// one was chosen explicitly
+measurementBookSchema.pre("validate", async function () {
+  if (this.isModified("contractor") && !this.isModified("contractorRef")) {
+    this.contractorRef = await Contractor.idForName(this.contractor);
+  }
+});
+
 // Pre-save middleware
 measurementBookSchema.pre("save", function (next) {
   if (this.isModified() && !this.isNew) {
@@ -293,6 +499,16 @@ measurementBookSchema.statics.createMultiple = async function (
   return await this.insertMany(mbDataArray, options);
 };
 
+// Instance method to check whether the MB can still be edited
+measurementBookSchema.methods.isEditable = function () {
+  return ["Draft", "Rejected"].includes(this.approvalStatus || "Draft");
+};
+
+// Instance method to find a measurement item by its id
+measurementBookSchema.methods.findMeasurement = function (measurementId) {
+  return this.measurements.find((m) => m.id === measurementId) || null;
+};
+
 // Instance method to add measurement
 measurementBookSchema.methods.addMeasurement = function (measurementData) {
   this.measurements.push(measurementData);
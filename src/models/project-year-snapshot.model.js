@@ -0,0 +1,90 @@
+import mongoose from "mongoose";
+
+// Cumulative position of a project at the close of a financial year.
+// Written once by the year-close operation and not changed afterwards.
+const projectYearSnapshotSchema = new mongoose.Schema(
+  {
+    financialYear: {
+      type: String,
+      required: [true, "Financial year is required"],
+      match: [/^\d{4}-\d{4}$/, "Financial year must be in YYYY-YYYY format"],
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    projectId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    projectName: String,
+    fund: String,
+    subFund: String,
+    budgetHead: String,
+    district: String,
+    block: String,
+    gramPanchayat: String,
+    contractorName: String,
+    status: String,
+
+    estimatedCost: {
+      type: Number,
+      default: 0,
+    },
+    physicalProgress: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0,
+    },
+    financialProgress: {
+      type: Number,
+      default: 0,
+    },
+    // Billed before the year, during it, and in total by its end
+    openingExpenditure: {
+      type: Number,
+      default: 0,
+    },
+    expenditureInYear: {
+      type: Number,
+      default: 0,
+    },
+    cumulativeExpenditure: {
+      type: Number,
+      default: 0,
+    },
+    // Cost still to be spent, carried into the next year
+    balanceCost: {
+      type: Number,
+      default: 0,
+    },
+    isCompleted: {
+      type: Boolean,
+      default: false,
+    },
+    isCarriedForward: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+projectYearSnapshotSchema.index(
+  { financialYear: 1, project: 1 },
+  { unique: true }
+);
+projectYearSnapshotSchema.index({ financialYear: 1, district: 1 });
+projectYearSnapshotSchema.index({ financialYear: 1, fund: 1, subFund: 1 });
+
+const ProjectYearSnapshot = mongoose.model(
+  "ProjectYearSnapshot",
+  projectYearSnapshotSchema
+);
+
+export default ProjectYearSnapshot;
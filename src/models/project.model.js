@@ -1,11 +1,27 @@
 import mongoose from "mongoose";
 import {
+  costRevisionStatus,
+  defaultLdClause,
+  defaultProjectWorkflow,
   districts,
+  eotReasons,
+  eotStatus,
   funds,
-  projectStatus,
+  ldWaiverStatus,
+  photoFlags,
   sanctionAndDepartment,
   typeOfWork,
+  userRoles,
+  workflowStateTypes,
 } from "../utils/constants.js";
+import {
+  evaluateWorkflowTransition,
+  getInitialWorkflowState,
+  getWorkflowStateType,
+} from "../utils/workflow-engine.js";
+import Contractor from "./contractor.model.js";
+import { deductionLineSchema } from "./deduction-rule.model.js";
+import WorkflowDefinition from "./workflow-definition.model.js";
 
 // Helper function to get all sub funds
 const getAllSubFunds = () => {
@@ -22,34 +38,48 @@ const validateSubFundForMainFund = function (subFundName) {
   return mainFund.subFunds.some((subFund) => subFund.name === subFundName);
 };
 
+// Work handed from one engineer to another when a user leaves or moves.
+// Shared with archive projects.
+export const engineerReassignmentSchema = new mongoose.Schema(
+  {
+    from: {
+      userId: String,
+      name: String,
+    },
+    to: {
+      userId: String,
+      name: String,
+    },
+    reassignedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    reassignedBy: {
+      userId: String,
+      name: String,
+      role: String,
+    },
+  },
+  { _id: false }
+);
+
 // Schema for tracking status changes
 const statusHistorySchema = new mongoose.Schema(
   {
+    // Status names are declared by the workflow definition
     previousStatus: {
       type: String,
-      enum: [
-        "Submitted for Approval",
-        "Resubmitted for Approval",
-        "Rejected by AEE",
-        "Rejected by CE",
-        "Rejected by MD",
-        "Ongoing",
-        "Completed",
-      ],
       required: true,
+      trim: true,
     },
     newStatus: {
       type: String,
-      enum: [
-        "Submitted for Approval",
-        "Resubmitted for Approval",
-        "Rejected by AEE",
-        "Rejected by CE",
-        "Rejected by MD",
-        "Ongoing",
-        "Completed",
-      ],
       required: true,
+      trim: true,
+    },
+    stateType: {
+      type: String,
+      enum: workflowStateTypes,
     },
     changedBy: {
       userId: {
@@ -63,7 +93,7 @@ const statusHistorySchema = new mongoose.Schema(
       role: {
         type: String,
         required: true,
-        enum: ["JE", "AEE", "CE", "MD"],
+        enum: userRoles,
       },
     },
     remarks: {
@@ -77,9 +107,22 @@ const statusHistorySchema = new mongoose.Schema(
       maxlength: [1000, "Rejection reason cannot exceed 1000 characters"],
       // Only required for rejection statuses
       required: function () {
-        return this.newStatus.includes("Rejected");
+        return this.stateType
+          ? this.stateType === "rejected"
+          : this.newStatus.includes("Rejected");
       },
     },
+    // Approvals collected for a multi-stage approval chain
+    approvals: [
+      {
+        role: String,
+        userId: String,
+        name: String,
+        remarks: String,
+        approvedAt: Date,
+      },
+    ],
+    workflowCode: String,
     ipAddress: String,
     userAgent: String,
   },
@@ -257,6 +300,38 @@ const raisedQuerySchema = new mongoose.Schema(
   }
 );
 
+// Where and when a site photograph was taken, read from its EXIF block, and
+// how that compares with the project location and the update date
+const sitePhotoSchema = new mongoose.Schema(
+  {
+    hasExif: {
+      type: Boolean,
+      default: false,
+    },
+    latitude: Number,
+    longitude: Number,
+    altitude: Number,
+    capturedAt: Date,
+    cameraMake: String,
+    cameraModel: String,
+    distanceFromSiteKm: Number,
+    // Days between capture and the update; negative if captured after it
+    daysBeforeUpdate: Number,
+    flags: [
+      {
+        type: String,
+        enum: photoFlags,
+      },
+    ],
+    isVerified: {
+      type: Boolean,
+      default: false,
+    },
+    verifiedAt: Date,
+  },
+  { _id: false }
+);
+
 // Schema for individual progress updates (physical/work progress)
 const progressUpdateSchema = new mongoose.Schema(
   {
@@ -312,6 +387,8 @@ const progressUpdateSchema = new mongoose.Schema(
           enum: ["document", "image"],
           required: true,
         },
+        // EXIF location and capture time, for images
+        photo: sitePhotoSchema,
         uploadedAt: {
           type: Date,
           default: Date.now,
@@ -391,6 +468,11 @@ const financialProgressUpdateSchema = new mongoose.Schema(
         maxlength: [200, "Bill description cannot exceed 200 characters"],
         trim: true,
       },
+      // Amount billed in this update and the statutory deductions on it
+      grossAmount: Number,
+      deductions: [deductionLineSchema],
+      totalDeductions: Number,
+      netPayable: Number,
     },
     supportingDocuments: [
       {
@@ -451,6 +533,239 @@ const financialProgressUpdateSchema = new mongoose.Schema(
   }
 );
 
+// Schema for revised estimates. estimatedCost always holds the currently
+// approved estimate; every approved revision keeps the cost it replaced.
+const costRevisionSchema = new mongoose.Schema(
+  {
+    revisionNumber: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    previousCost: {
+      type: Number,
+      required: true,
+    },
+    revisedCost: {
+      type: Number,
+      required: [true, "Revised cost is required"],
+      min: [0, "Revised cost cannot be negative"],
+    },
+    justification: {
+      type: String,
+      required: [true, "Justification is required"],
+      trim: true,
+      maxlength: [2000, "Justification cannot exceed 2000 characters"],
+    },
+    supportingDocuments: [
+      {
+        fileName: String,
+        originalName: String,
+        downloadURL: String,
+        filePath: String,
+        fileSize: Number,
+        mimeType: String,
+        fileType: String,
+        uploadedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    status: {
+      type: String,
+      enum: {
+        values: costRevisionStatus,
+        message: "Invalid cost revision status",
+      },
+      default: "Pending",
+    },
+    requestedBy: {
+      userId: {
+        type: String,
+        required: true,
+      },
+      name: String,
+      role: String,
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    decidedBy: {
+      userId: String,
+      name: String,
+      role: String,
+    },
+    decidedAt: Date,
+    remarks: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Remarks cannot exceed 1000 characters"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Schema for extension of time (EOT) requests. extensionPeriodForCompletion
+// always holds the completion date of the latest approved extension.
+const extensionRequestSchema = new mongoose.Schema(
+  {
+    extensionNumber: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    reasonCategory: {
+      type: String,
+      enum: {
+        values: eotReasons,
+        message: "Invalid extension reason",
+      },
+      required: [true, "Extension reason is required"],
+    },
+    reason: {
+      type: String,
+      required: [true, "Reason details are required"],
+      trim: true,
+      maxlength: [2000, "Reason cannot exceed 2000 characters"],
+    },
+    // Completion date in force when the request was filed
+    previousCompletionDate: {
+      type: Date,
+      required: true,
+    },
+    requestedCompletionDate: {
+      type: Date,
+      required: [true, "Requested completion date is required"],
+    },
+    // Approvers may grant a shorter extension than requested
+    approvedCompletionDate: Date,
+    supportingDocuments: [
+      {
+        fileName: String,
+        originalName: String,
+        downloadURL: String,
+        filePath: String,
+        fileSize: Number,
+        mimeType: String,
+        fileType: String,
+        uploadedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    status: {
+      type: String,
+      enum: {
+        values: eotStatus,
+        message: "Invalid extension status",
+      },
+      default: "Pending",
+    },
+    requestedBy: {
+      userId: {
+        type: String,
+        required: true,
+      },
+      name: String,
+      role: String,
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    decidedBy: {
+      userId: String,
+      name: String,
+      role: String,
+    },
+    decidedAt: Date,
+    remarks: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Remarks cannot exceed 1000 characters"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Schema for liquidated damages waivers
+const ldWaiverSchema = new mongoose.Schema(
+  {
+    waiverNumber: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    amount: {
+      type: Number,
+      required: [true, "Waiver amount is required"],
+      min: [0.01, "Waiver amount must be greater than 0"],
+    },
+    reason: {
+      type: String,
+      required: [true, "Waiver reason is required"],
+      trim: true,
+      maxlength: [2000, "Reason cannot exceed 2000 characters"],
+    },
+    supportingDocuments: [
+      {
+        fileName: String,
+        originalName: String,
+        downloadURL: String,
+        filePath: String,
+        fileSize: Number,
+        mimeType: String,
+        fileType: String,
+        uploadedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    status: {
+      type: String,
+      enum: {
+        values: ldWaiverStatus,
+        message: "Invalid waiver status",
+      },
+      default: "Pending",
+    },
+    requestedBy: {
+      userId: {
+        type: String,
+        required: true,
+      },
+      name: String,
+      role: String,
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    decidedBy: {
+      userId: String,
+      name: String,
+      role: String,
+    },
+    decidedAt: Date,
+    remarks: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Remarks cannot exceed 1000 characters"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
 const subProjectSchema = new mongoose.Schema(
   {
     projectName: {
@@ -659,13 +974,27 @@ const projectSchema = new mongoose.Schema(
       },
       index: true,
     },
+    // Contractor master record
+    contractorRef: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Contractor",
+      default: null,
+      index: true,
+    },
 
+    // Currently approved estimate
     estimatedCost: {
       type: Number,
       required: [true, "Estimated cost is required"],
       min: [0, "Estimated cost cannot be negative"],
       index: true,
     },
+    // Estimate at sanction, before any revision
+    originalEstimatedCost: {
+      type: Number,
+      min: [0, "Estimated cost cannot be negative"],
+    },
+    costRevisions: [costRevisionSchema],
     typeOfWork: {
       type: String,
       enum: {
@@ -699,6 +1028,29 @@ const projectSchema = new mongoose.Schema(
         message: "Extension period must be after project end date",
       },
     },
+    extensionRequests: [extensionRequestSchema],
+
+    // Liquidated damages clause of the contract; the default clause applies
+    // when not set
+    ldClause: {
+      ratePerWeek: {
+        type: Number,
+        min: [0, "LD rate cannot be negative"],
+        max: [100, "LD rate cannot exceed 100%"],
+      },
+      capPercent: {
+        type: Number,
+        min: [0, "LD cap cannot be negative"],
+        max: [100, "LD cap cannot exceed 100%"],
+      },
+      setBy: {
+        userId: String,
+        name: String,
+        role: String,
+      },
+      setAt: Date,
+    },
+    ldWaivers: [ldWaiverSchema],
     district: {
       type: String,
       enum: {
@@ -818,17 +1170,61 @@ const projectSchema = new mongoose.Schema(
         trim: true,
       },
     },
+    // JE responsible for the project: the creator until the work is
+    // reassigned. Ownership checks and JE scoping key on this; createdBy
+    // always keeps who created the project.
+    assignedTo: {
+      userId: {
+        type: String,
+        index: true,
+      },
+      name: String,
+      role: String,
+      assignedAt: Date,
+    },
+    reassignments: [engineerReassignmentSchema],
 
-    // Project status
+    // Project status (a state of the governing workflow definition)
     status: {
       type: String,
-      enum: {
-        values: projectStatus,
-        message: "Invalid project status",
-      },
+      trim: true,
+      maxlength: [100, "Project status cannot exceed 100 characters"],
       default: "Submitted for Approval",
       index: true,
     },
+    // Workflow governing the project and approvals collected so far
+    workflowState: {
+      definitionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "WorkflowDefinition",
+      },
+      code: {
+        type: String,
+        default: "DEFAULT",
+      },
+      version: Number,
+      // Unset on legacy projects; derived from the status name then
+      stateType: {
+        type: String,
+        enum: workflowStateTypes,
+      },
+      pendingApproval: {
+        fromStatus: String,
+        targetStatus: String,
+        approvals: [
+          {
+            role: String,
+            userId: String,
+            name: String,
+            remarks: String,
+            approvedAt: {
+              type: Date,
+              default: Date.now,
+            },
+          },
+        ],
+      },
+    },
     statusHistory: {
       type: [statusHistorySchema],
       default: [],
@@ -989,6 +1385,36 @@ projectSchema.virtual("remainingBudget").get(function () {
   return this.estimatedCost;
 });
 
+projectSchema.virtual("pendingCostRevision").get(function () {
+  return (
+    this.costRevisions?.find((revision) => revision.status === "Pending") ||
+    null
+  );
+});
+
+projectSchema.virtual("costRevisionCount").get(function () {
+  return (
+    this.costRevisions?.filter((revision) => revision.status === "Approved")
+      .length || 0
+  );
+});
+
+projectSchema.virtual("pendingExtensionRequest").get(function () {
+  return (
+    this.extensionRequests?.find((request) => request.status === "Pending") ||
+    null
+  );
+});
+
+// Completion date in force: latest approved extension or the original end
+projectSchema.virtual("effectiveCompletionDate").get(function () {
+  return this.extensionPeriodForCompletion || this.projectEndDate;
+});
+
+projectSchema.virtual("pendingLdWaiver").get(function () {
+  return this.ldWaivers?.find((waiver) => waiver.status === "Pending") || null;
+});
+
 projectSchema.virtual("progressStatus").get(function () {
   if (!this.progressPercentage) return "Not Started";
   if (this.progressPercentage < 25) return "Just Started";
@@ -1167,6 +1593,11 @@ raisedQuerySchema.virtual("latestAttachment").get(function () {
   return this.attachments.sort((a, b) => b.uploadedAt - a.uploadedAt)[0];
 });
 
+// Whether a user is the JE responsible for the project
+projectSchema.methods.isAssignedTo = function (userId) {
+  return (this.assignedTo?.userId || this.createdBy?.userId) === userId;
+};
+
 // Instance method to add a query
 projectSchema.methods.addQuery = function (queryData, userInfo) {
   // Generate unique queryId
@@ -1221,12 +1652,41 @@ raisedQuerySchema.pre("save", function (next) {
   next();
 });
 
+// The creator is responsible for a project until it is reassigned
+projectSchema.pre("validate", function (next) {
+  if (!this.assignedTo?.userId && this.createdBy?.userId) {
+    this.assignedTo = {
+      userId: this.createdBy.userId,
+      name: this.createdBy.name,
+      role: this.createdBy.role,
+      assignedAt: this.createdAt || new Date(),
+    };
+  }
+  next();
+});
+
+// Link the contractor master record matching the contractor name, unless
+// one was chosen explicitly
+projectSchema.pre("validate", async function () {
+  if (this.isModified("contractorName") && !this.isModified("contractorRef")) {
+    this.contractorRef = await Contractor.idForName(this.contractorName);
+  }
+});
+
 // Pre-save middleware
 projectSchema.pre("save", function (next) {
   if (this.isModified() && !this.isNew) {
     this.lastModifiedBy.modifiedAt = new Date();
   }
 
+  // Until an estimate is revised, the original follows the estimated cost
+  if (
+    this.originalEstimatedCost === undefined ||
+    (this.isModified("estimatedCost") && this.costRevisionCount === 0)
+  ) {
+    this.originalEstimatedCost = this.estimatedCost;
+  }
+
   // Validate bill amount doesn't exceed estimated cost
   if (
     this.billSubmittedAmount &&
@@ -1251,6 +1711,17 @@ projectSchema.statics.findByStatus = function (status) {
   return this.find({ status });
 };
 
+// Projects a JE is responsible for. Projects saved before assignedTo was
+// recorded fall back to their creator.
+projectSchema.statics.assignedToFilter = function (userId) {
+  return {
+    $or: [
+      { "assignedTo.userId": userId },
+      { "assignedTo.userId": null, "createdBy.userId": userId },
+    ],
+  };
+};
+
 projectSchema.statics.findByCreator = function (userId, page = 1, limit = 10) {
   const skip = (page - 1) * limit;
   return this.find({ "createdBy.userId": userId })
@@ -1374,21 +1845,22 @@ projectSchema.methods.changeEditableStatus = function (
 projectSchema.methods.autoUpdateEditableStatus = function (
   newProjectStatus,
   userInfo,
-  reason = ""
+  reason = "",
+  stateType = getWorkflowStateType(defaultProjectWorkflow, newProjectStatus)
 ) {
   const previousEditableStatus = this.isProjectEditable;
   let newEditableStatus = previousEditableStatus;
 
-  // Determine new editable status based on project status
-  if (newProjectStatus.includes("Rejected")) {
+  // Determine new editable status based on the workflow state type
+  if (stateType === "rejected") {
     // Allow editing when rejected so JE can make corrections
     newEditableStatus = true;
     reason =
       reason || `Automatic: Project rejected, enabling edits for corrections`;
   } else if (
-    newProjectStatus === "Resubmitted for Approval" ||
-    newProjectStatus === "Ongoing" ||
-    newProjectStatus === "Completed"
+    stateType === "pending" ||
+    stateType === "approved" ||
+    stateType === "completed"
   ) {
     // Lock project when resubmitted, approved, or completed
     newEditableStatus = false;
@@ -1416,37 +1888,106 @@ projectSchema.methods.autoUpdateEditableStatus = function (
   }
 };
 
+// Record which workflow definition governs the project
+projectSchema.methods.assignWorkflow = function (workflow) {
+  this.workflowState.definitionId = workflow._id;
+  this.workflowState.code = workflow.code;
+  this.workflowState.version = workflow.version;
+};
+
+// Put a new project in the initial state of its workflow
+projectSchema.methods.applyInitialWorkflowState = function (workflow) {
+  const initialState = getInitialWorkflowState(workflow);
+
+  this.assignWorkflow(workflow);
+  if (initialState) {
+    this.status = initialState.name;
+    this.workflowState.stateType = initialState.type;
+  }
+};
+
 // Method to change project status
-projectSchema.methods.changeStatus = function (
+// The transition is validated against the workflow definition governing the
+// project. For approval chains every approval but the last one is recorded
+// in workflowState.pendingApproval and the status stays unchanged.
+projectSchema.methods.changeStatus = async function (
   newStatus,
   userInfo,
   remarks = "",
   rejectionReason = ""
 ) {
   const previousStatus = this.status;
+  const workflow = await WorkflowDefinition.resolveForProject(this);
 
   // Validate status transition based on user role
-  const allowedTransitions = this.validateStatusTransition(
+  const transitionCheck = this.validateStatusTransition(
     newStatus,
-    userInfo.role
+    userInfo.role,
+    workflow
   );
-  if (!allowedTransitions.isValid) {
-    throw new Error(allowedTransitions.message);
+  if (!transitionCheck.isValid) {
+    throw new Error(transitionCheck.message);
+  }
+
+  const { transition, stateType, isFinalApproval, approvalStep } =
+    transitionCheck;
+  const isRejection =
+    stateType === "rejected" || Boolean(transition.requiresRejectionReason);
+
+  if (isRejection && !rejectionReason.trim()) {
+    throw new Error("Rejection reason is required for rejected status");
+  }
+
+  this.assignWorkflow(workflow);
+
+  const approval = approvalStep
+    ? {
+        role: userInfo.role,
+        userId: userInfo.userId,
+        name: userInfo.name,
+        remarks,
+        approvedAt: new Date(),
+      }
+    : null;
+
+  if (approval && approvalStep.current === 1) {
+    this.workflowState.pendingApproval = {
+      fromStatus: previousStatus,
+      targetStatus: newStatus,
+      approvals: [],
+    };
   }
 
+  // Intermediate approval: wait for the next role in the chain
+  if (!isFinalApproval) {
+    this.workflowState.pendingApproval.approvals.push(approval);
+    this.lastModifiedBy = {
+      userId: userInfo.userId,
+      name: userInfo.name,
+      role: userInfo.role,
+      modifiedAt: new Date(),
+    };
+    return this.save();
+  }
+
+  const approvals = approval
+    ? [...this.workflowState.pendingApproval.approvals, approval]
+    : [];
+
   // Create status history entry
   const statusHistoryEntry = {
     previousStatus,
     newStatus,
+    stateType,
     changedBy: {
       userId: userInfo.userId,
       name: userInfo.name,
       role: userInfo.role,
     },
     remarks,
-    rejectionReason: newStatus.includes("Rejected")
-      ? rejectionReason
-      : undefined,
+    rejectionReason: isRejection ? rejectionReason : undefined,
+    approvals,
+    workflowCode: workflow.code,
     ipAddress: userInfo.ipAddress,
     userAgent: userInfo.userAgent,
   };
@@ -1454,85 +1995,53 @@ projectSchema.methods.changeStatus = function (
   // Update status and history
   this.status = newStatus;
   this.statusHistory.push(statusHistoryEntry);
+  this.workflowState.stateType = stateType;
+  this.workflowState.pendingApproval = undefined;
 
   // Update workflow timestamps
-  this.updateStatusWorkflow(newStatus, userInfo);
+  this.updateStatusWorkflow(newStatus, userInfo, stateType);
 
   // AUTOMATIC: Update editable status based on project status
   // - Rejected → Editable (JE can make corrections)
-  // - Resubmitted/Ongoing/Completed → Not editable (locked)
+  // - Resubmitted/Approved/Completed → Not editable (locked)
   this.autoUpdateEditableStatus(
     newStatus,
     userInfo,
-    newStatus.includes("Rejected")
+    stateType === "rejected"
       ? `Project rejected: ${
           rejectionReason || remarks || "Requires corrections"
         }`
-      : `Project status changed to: ${newStatus}`
+      : `Project status changed to: ${newStatus}`,
+    stateType
   );
 
   return this.save();
 };
 
 // Method to validate status transitions based on user role
+// Delegates to the workflow engine using the given workflow definition
 projectSchema.methods.validateStatusTransition = function (
   newStatus,
-  userRole
+  userRole,
+  workflow = defaultProjectWorkflow
 ) {
-  const currentStatus = this.status;
-
-  // Define allowed transitions for each role
-  const allowedTransitions = {
-    JE: {
-      "Rejected by AEE": ["Resubmitted for Approval"],
-      "Rejected by CE": ["Resubmitted for Approval"],
-      "Rejected by MD": ["Resubmitted for Approval"],
-      Ongoing: ["Completed"],
-    },
-    AEE: {
-      "Submitted for Approval": ["Rejected by AEE", "Ongoing"],
-      "Resubmitted for Approval": ["Rejected by AEE", "Ongoing"],
-    },
-    CE: {
-      "Submitted for Approval": ["Rejected by CE", "Ongoing"],
-      "Resubmitted for Approval": ["Rejected by CE", "Ongoing"],
-    },
-    MD: {
-      "Submitted for Approval": ["Rejected by MD", "Ongoing"],
-      "Resubmitted for Approval": ["Rejected by MD", "Ongoing"],
-    },
-  };
-
-  const userAllowedTransitions = allowedTransitions[userRole];
-
-  if (!userAllowedTransitions || !userAllowedTransitions[currentStatus]) {
-    return {
-      isValid: false,
-      message: `${userRole} is not authorized to change status from '${currentStatus}'`,
-    };
-  }
-
-  if (!userAllowedTransitions[currentStatus].includes(newStatus)) {
-    return {
-      isValid: false,
-      message: `Invalid status transition from '${currentStatus}' to '${newStatus}' for ${userRole}`,
-    };
-  }
-
-  return { isValid: true };
+  return evaluateWorkflowTransition(workflow, this, newStatus, userRole);
 };
 
 // Method to update workflow timestamps
-projectSchema.methods.updateStatusWorkflow = function (newStatus, userInfo) {
+projectSchema.methods.updateStatusWorkflow = function (
+  newStatus,
+  userInfo,
+  stateType = getWorkflowStateType(defaultProjectWorkflow, newStatus)
+) {
   const now = new Date();
 
-  switch (newStatus) {
-    case "Submitted for Approval":
-    case "Resubmitted for Approval":
+  switch (stateType) {
+    case "pending":
       this.statusWorkflow.submittedAt = now;
       break;
 
-    case "Ongoing":
+    case "approved":
       this.statusWorkflow.approvedAt = now;
       this.statusWorkflow.approvedBy = {
         userId: userInfo.userId,
@@ -1541,9 +2050,7 @@ projectSchema.methods.updateStatusWorkflow = function (newStatus, userInfo) {
       };
       break;
 
-    case "Rejected by AEE":
-    case "Rejected by CE":
-    case "Rejected by MD":
+    case "rejected":
       this.statusWorkflow.rejectedAt = now;
       this.statusWorkflow.rejectedBy = {
         userId: userInfo.userId,
@@ -1552,7 +2059,7 @@ projectSchema.methods.updateStatusWorkflow = function (newStatus, userInfo) {
       };
       break;
 
-    case "Completed":
+    case "completed":
       this.statusWorkflow.completedAt = now;
       break;
   }
@@ -1592,17 +2099,23 @@ projectSchema.virtual("currentStatusInfo").get(function () {
       ? this.statusHistory[this.statusHistory.length - 1]
       : null;
 
+  const stateType =
+    this.workflowState?.stateType ||
+    getWorkflowStateType(defaultProjectWorkflow, this.status);
+
   return {
     status: this.status,
+    stateType,
     lastChangedAt: latestHistory ? latestHistory.createdAt : this.createdAt,
     lastChangedBy: latestHistory ? latestHistory.changedBy : this.createdBy,
     remarks: latestHistory ? latestHistory.remarks : null,
-    isRejected: this.status.includes("Rejected"),
-    isApproved: this.status === "Ongoing",
-    isCompleted: this.status === "Completed",
-    isPending: ["Submitted for Approval", "Resubmitted for Approval"].includes(
-      this.status
-    ),
+    isRejected: stateType === "rejected",
+    isApproved: stateType === "approved",
+    isCompleted: stateType === "completed",
+    isPending: stateType === "pending",
+    pendingApproval: this.workflowState?.pendingApproval?.targetStatus
+      ? this.workflowState.pendingApproval
+      : null,
   };
 });
 
@@ -1684,6 +2197,173 @@ projectSchema.methods.addFinancialProgressUpdate = function (
   return this.save();
 };
 
+// Record a revised estimate request; the caller saves
+projectSchema.methods.requestCostRevision = function (data, userInfo) {
+  this.costRevisions.push({
+    revisionNumber: this.costRevisions.length + 1,
+    previousCost: this.estimatedCost,
+    revisedCost: data.revisedCost,
+    justification: data.justification,
+    supportingDocuments: data.supportingDocuments || [],
+    requestedBy: userInfo,
+  });
+
+  return this.costRevisions[this.costRevisions.length - 1];
+};
+
+// Approve or reject the pending revised estimate. Approval makes the
+// revised cost the project's estimated cost. The caller saves.
+projectSchema.methods.decideCostRevision = function (
+  decision,
+  userInfo,
+  remarks
+) {
+  const revision = this.pendingCostRevision;
+
+  revision.status = decision;
+  revision.decidedBy = userInfo;
+  revision.decidedAt = new Date();
+  revision.remarks = remarks;
+
+  if (decision === "Approved") {
+    if (this.originalEstimatedCost === undefined) {
+      this.originalEstimatedCost = this.estimatedCost;
+    }
+    revision.previousCost = this.estimatedCost;
+    this.estimatedCost = revision.revisedCost;
+  }
+
+  return revision;
+};
+
+// Record an extension of time request; the caller saves
+projectSchema.methods.requestExtension = function (data, userInfo) {
+  this.extensionRequests.push({
+    extensionNumber: this.extensionRequests.length + 1,
+    reasonCategory: data.reasonCategory,
+    reason: data.reason,
+    previousCompletionDate: this.effectiveCompletionDate,
+    requestedCompletionDate: data.requestedCompletionDate,
+    supportingDocuments: data.supportingDocuments || [],
+    requestedBy: userInfo,
+  });
+
+  return this.extensionRequests[this.extensionRequests.length - 1];
+};
+
+// Approve or reject the pending extension request. Approval moves
+// extensionPeriodForCompletion to the approved date. The caller saves.
+projectSchema.methods.decideExtension = function (
+  decision,
+  userInfo,
+  { approvedCompletionDate, remarks } = {}
+) {
+  const request = this.pendingExtensionRequest;
+
+  request.status = decision;
+  request.decidedBy = userInfo;
+  request.decidedAt = new Date();
+  request.remarks = remarks;
+
+  if (decision === "Approved") {
+    request.approvedCompletionDate =
+      approvedCompletionDate || request.requestedCompletionDate;
+    this.extensionPeriodForCompletion = request.approvedCompletionDate;
+  }
+
+  return request;
+};
+
+// Liquidated damages accrued for delay beyond the completion date in force,
+// as of a date (or the completion date for completed projects)
+projectSchema.methods.computeLiquidatedDamages = function (asOf = new Date()) {
+  const hasOwnClause = this.ldClause?.ratePerWeek !== undefined;
+  const ratePerWeek = hasOwnClause
+    ? this.ldClause.ratePerWeek
+    : defaultLdClause.ratePerWeek;
+  const capPercent =
+    this.ldClause?.capPercent !== undefined
+      ? this.ldClause.capPercent
+      : defaultLdClause.capPercent;
+
+  const contractValue = this.estimatedCost || 0;
+  const completionDate =
+    this.extensionPeriodForCompletion || this.projectEndDate;
+  const delayedUntil =
+    this.status === "Completed" && this.statusWorkflow?.completedAt
+      ? this.statusWorkflow.completedAt
+      : asOf;
+
+  const delayDays = completionDate
+    ? Math.max(
+        0,
+        Math.floor((delayedUntil - completionDate) / (1000 * 60 * 60 * 24))
+      )
+    : 0;
+  const delayWeeks = Math.ceil(delayDays / 7);
+
+  const capAmount = Math.round(contractValue * capPercent) / 100;
+  const uncapped = Math.round(contractValue * ratePerWeek * delayWeeks) / 100;
+  const waived = (this.ldWaivers || [])
+    .filter((waiver) => waiver.status === "Approved")
+    .reduce((sum, waiver) => sum + waiver.amount, 0);
+
+  return {
+    clauseSource: hasOwnClause ? "project" : "default",
+    ratePerWeek,
+    capPercent,
+    contractValue,
+    completionDate,
+    delayedUntil,
+    delayDays,
+    delayWeeks,
+    capAmount,
+    accrued: Math.min(uncapped, capAmount),
+    isCapped: uncapped > capAmount,
+    waived: Math.round(waived * 100) / 100,
+  };
+};
+
+// Set the billed amount to the total of passed bills in the bill ledger.
+// Records a financial progress update for the bill; the caller saves.
+projectSchema.methods.applyBillLedgerTotal = function (
+  passedTotal,
+  bill,
+  userInfo
+) {
+  const previousFinancialProgress = this.financialProgress || 0;
+  const previousBillAmount = this.billSubmittedAmount || 0;
+  const newFinancialProgress =
+    this.estimatedCost > 0
+      ? Math.round((passedTotal / this.estimatedCost) * 100)
+      : 0;
+
+  this.financialProgressUpdates.push({
+    previousFinancialProgress,
+    newFinancialProgress,
+    progressDifference: newFinancialProgress - previousFinancialProgress,
+    previousBillAmount,
+    newBillAmount: passedTotal,
+    amountDifference: passedTotal - previousBillAmount,
+    remarks: `${bill.billType} bill ${bill.billNumber} passed`,
+    billDetails: {
+      billNumber: bill.billNumber,
+      billDate: bill.billDate,
+      billDescription: bill.billId,
+    },
+    updatedBy: {
+      userId: userInfo.userId,
+      userName: userInfo.userName,
+      userDesignation: userInfo.userDesignation,
+    },
+  });
+  this.billSubmittedAmount = passedTotal;
+  this.financialProgress = newFinancialProgress;
+  this.lastFinancialProgressUpdate = new Date();
+
+  return this;
+};
+
 // Get progress update history
 projectSchema.methods.getProgressUpdateHistory = function (
   page = 1,
@@ -0,0 +1,143 @@
+import mongoose from "mongoose";
+
+// Item of a Schedule of Rates (SOR). MB measurement items reference these
+// by item code so that the rate applied comes from the approved schedule.
+const scheduleOfRatesSchema = new mongoose.Schema(
+  {
+    itemCode: {
+      type: String,
+      required: [true, "Item code is required"],
+      trim: true,
+      uppercase: true,
+      maxlength: [50, "Item code cannot exceed 50 characters"],
+    },
+    // Edition of the schedule, e.g. "SOR 2024-25"
+    edition: {
+      type: String,
+      required: [true, "SOR edition is required"],
+      trim: true,
+      maxlength: [50, "SOR edition cannot exceed 50 characters"],
+    },
+    description: {
+      type: String,
+      required: [true, "Item description is required"],
+      trim: true,
+      minlength: [5, "Item description must be at least 5 characters"],
+      maxlength: [1000, "Item description cannot exceed 1000 characters"],
+    },
+    category: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Category cannot exceed 100 characters"],
+    },
+    unit: {
+      type: String,
+      required: [true, "Unit is required"],
+      trim: true,
+      maxlength: [50, "Unit cannot exceed 50 characters"],
+    },
+    rate: {
+      type: Number,
+      required: [true, "Rate is required"],
+      min: [0, "Rate cannot be negative"],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+    createdBy: {
+      userId: {
+        type: String,
+        required: true,
+      },
+      name: String,
+      role: String,
+    },
+    lastModifiedBy: {
+      userId: String,
+      name: String,
+      role: String,
+      modifiedAt: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+scheduleOfRatesSchema.index({ itemCode: 1, edition: 1 }, { unique: true });
+scheduleOfRatesSchema.index({ edition: 1, category: 1 });
+scheduleOfRatesSchema.index({ description: "text", itemCode: "text" });
+
+// Find the active SOR items for a list of item codes.
+// When no edition is given the most recently created active item wins.
+scheduleOfRatesSchema.statics.findActiveByCodes = async function (
+  itemCodes,
+  edition
+) {
+  const codes = [
+    ...new Set(itemCodes.filter(Boolean).map((code) => code.toUpperCase())),
+  ];
+  if (codes.length === 0) return new Map();
+
+  const query = { itemCode: { $in: codes }, isActive: true };
+  if (edition) query.edition = edition;
+
+  const items = await this.find(query).sort({ createdAt: -1 }).lean();
+
+  const byCode = new Map();
+  items.forEach((item) => {
+    if (!byCode.has(item.itemCode)) byCode.set(item.itemCode, item);
+  });
+
+  return byCode;
+};
+
+// Apply schedule rates to measurement items that carry an item code.
+// Returns an array of error messages for codes that could not be resolved.
+scheduleOfRatesSchema.statics.applyRates = async function (
+  measurements,
+  edition
+) {
+  const byCode = await this.findActiveByCodes(
+    measurements.map((measurement) => measurement.itemCode),
+    edition
+  );
+  const errors = [];
+
+  measurements.forEach((measurement, index) => {
+    if (!measurement.itemCode) {
+      measurement.rateSource = "manual";
+      measurement.scheduleItem = undefined;
+      return;
+    }
+
+    const item = byCode.get(measurement.itemCode.toUpperCase());
+    if (!item) {
+      errors.push(
+        `Measurement ${index + 1}: item code '${
+          measurement.itemCode
+        }' not found in the schedule of rates`
+      );
+      return;
+    }
+
+    measurement.itemCode = item.itemCode;
+    measurement.scheduleItem = item._id;
+    measurement.rate = item.rate;
+    measurement.rateSource = "schedule";
+    // The rate is per SOR unit, so the unit always follows the schedule
+    measurement.unit = item.unit;
+    if (!measurement.description) measurement.description = item.description;
+  });
+
+  return errors;
+};
+
+const ScheduleOfRates = mongoose.model(
+  "ScheduleOfRates",
+  scheduleOfRatesSchema
+);
+
+export default ScheduleOfRates;
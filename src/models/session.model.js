@@ -0,0 +1,242 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+
+// Refresh token lifetime in ms (REFRESH_TOKEN_TTL_DAYS, default 7 days)
+export const refreshTokenTtl = () =>
+  (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7) * 24 * 60 * 60 * 1000;
+
+// Only update lastSeenAt once per minute to limit writes
+const LAST_SEEN_THROTTLE = 60 * 1000;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Rough device label from the user agent for the session list
+const describeDevice = (userAgent = "") => {
+  const browser =
+    (/Edg\//.test(userAgent) && "Edge") ||
+    (/OPR\//.test(userAgent) && "Opera") ||
+    (/Chrome\//.test(userAgent) && "Chrome") ||
+    (/Firefox\//.test(userAgent) && "Firefox") ||
+    (/Safari\//.test(userAgent) && "Safari") ||
+    (/PostmanRuntime/.test(userAgent) && "Postman") ||
+    "Unknown browser";
+  const os =
+    (/Windows/.test(userAgent) && "Windows") ||
+    (/Android/.test(userAgent) && "Android") ||
+    (/iPhone|iPad|iOS/.test(userAgent) && "iOS") ||
+    (/Mac OS X|Macintosh/.test(userAgent) && "macOS") ||
+    (/Linux/.test(userAgent) && "Linux") ||
+    "Unknown OS";
+
+  return `${browser} on ${os}`;
+};
+
+// Server-side login session. Access tokens carry the session id (sid) and
+// are rejected once the session is revoked; refresh tokens rotate on every
+// use and only their hash is stored.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    userId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // Hash of the refresh token that was rotated out. Presenting it again
+    // means the token was stolen, so the session is revoked.
+    previousTokenHash: {
+      type: String,
+      index: true,
+    },
+    device: String,
+    userAgent: String,
+    ipAddress: String,
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastRefreshedAt: Date,
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: Date,
+    revokedBy: {
+      userId: String,
+      name: String,
+      role: String,
+    },
+    revokeReason: {
+      type: String,
+      enum: [
+        "logout",
+        "user_revoked",
+        "admin_revoked",
+        "token_reuse",
+        "password_reset",
+        "user_deactivated",
+      ],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ userId: 1, revokedAt: 1, expiresAt: 1 });
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Create a session for a user and return it with its refresh token.
+// The refresh token is "<sessionId>.<secret>"; only the hash is stored.
+sessionSchema.statics.start = async function (user, req) {
+  const session = new this({
+    user: user._id,
+    userId: user.userId,
+    userAgent: req.get("User-Agent"),
+    device: describeDevice(req.get("User-Agent")),
+    ipAddress: req.ip,
+    expiresAt: new Date(Date.now() + refreshTokenTtl()),
+  });
+
+  const refreshToken = `${session._id}.${crypto
+    .randomBytes(48)
+    .toString("hex")}`;
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return { session, refreshToken };
+};
+
+// Exchange a refresh token for a new one.
+// Returns { session, refreshToken } or { error } when the token is invalid.
+sessionSchema.statics.rotate = async function (refreshToken, req) {
+  const [sessionId] = (refreshToken || "").split(".");
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    return { error: "Invalid refresh token" };
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const session = await this.findById(sessionId);
+
+  if (!session || !session.isActive()) {
+    return { error: "Session expired or revoked. Please log in again" };
+  }
+
+  if (session.previousTokenHash === tokenHash) {
+    session.revokedAt = new Date();
+    session.revokeReason = "token_reuse";
+    await session.save();
+    return { error: "Refresh token reuse detected. Session revoked" };
+  }
+
+  if (session.refreshTokenHash !== tokenHash) {
+    return { error: "Invalid refresh token" };
+  }
+
+  const newRefreshToken = `${session._id}.${crypto
+    .randomBytes(48)
+    .toString("hex")}`;
+
+  // Only rotate if nobody else rotated this token in the meantime
+  const rotated = await this.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: tokenHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(newRefreshToken),
+        previousTokenHash: tokenHash,
+        lastRefreshedAt: new Date(),
+        lastSeenAt: new Date(),
+        ipAddress: req.ip,
+        userAgent: req.get("User-Agent"),
+        device: describeDevice(req.get("User-Agent")),
+      },
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    return { error: "Invalid refresh token" };
+  }
+
+  return { session: rotated, refreshToken: newRefreshToken };
+};
+
+// Find the active session for an access token's sid and note activity
+sessionSchema.statics.findActive = async function (sessionId) {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return null;
+
+  const session = await this.findOne({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+
+  if (
+    session &&
+    Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_THROTTLE
+  ) {
+    await this.updateOne(
+      { _id: session._id },
+      { $set: { lastSeenAt: new Date() } }
+    );
+  }
+
+  return session;
+};
+
+sessionSchema.statics.findActiveForUser = function (userObjectId) {
+  return this.find({
+    user: userObjectId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select("-refreshTokenHash -previousTokenHash")
+    .sort({ lastSeenAt: -1 })
+    .lean();
+};
+
+// Revoke sessions matching a filter; returns the number revoked
+sessionSchema.statics.revoke = async function (filter, reason, revokedBy) {
+  const result = await this.updateMany(
+    { ...filter, revokedAt: null },
+    {
+      $set: {
+        revokedAt: new Date(),
+        revokeReason: reason,
+        revokedBy: revokedBy
+          ? {
+              userId: revokedBy.userId,
+              name: revokedBy.fullName || revokedBy.username,
+              role: revokedBy.designation,
+            }
+          : undefined,
+      },
+    }
+  );
+
+  return result.modifiedCount;
+};
+
+sessionSchema.statics.revokeByRefreshToken = function (refreshToken, reason) {
+  return this.revoke({ refreshTokenHash: hashToken(refreshToken) }, reason);
+};
+
+const Session = mongoose.model("Session", sessionSchema);
+
+export default Session;
@@ -1,6 +1,6 @@
 import bcrypt from "bcryptjs";
 import mongoose from "mongoose";
-import { userRoles } from "../utils/constants.js";
+import { districts, userRoles } from "../utils/constants.js";
 
 const userSchema = new mongoose.Schema(
   {
@@ -38,6 +38,18 @@ const userSchema = new mongoose.Schema(
       trim: true,
       maxlength: [100, "Office location cannot exceed 100 characters"],
     },
+    // Circles, divisions and districts the user is posted to.
+    // Drives the data scoping in utils/jurisdiction-scope.js.
+    jurisdiction: {
+      circles: [{ type: String, trim: true, uppercase: true }],
+      divisions: [{ type: String, trim: true, uppercase: true }],
+      districts: [
+        {
+          type: String,
+          enum: { values: districts, message: "Invalid district: {VALUE}" },
+        },
+      ],
+    },
     password: {
       type: String,
       required: [true, "Password is required"],
@@ -55,6 +67,31 @@ const userSchema = new mongoose.Schema(
     isFirstLogin: { type: Boolean, default: true },
     lastPasswordChange: { type: Date, default: Date.now },
 
+    // Deactivated users cannot log in; their sessions are revoked
+    isActive: { type: Boolean, default: true, index: true },
+    deactivatedAt: { type: Date },
+    deactivatedBy: {
+      userId: String,
+      name: String,
+      role: String,
+    },
+    deactivationReason: { type: String, trim: true, maxlength: 500 },
+
+    // Designation changes (promotions, transfers)
+    roleHistory: [
+      {
+        previousDesignation: String,
+        newDesignation: String,
+        remarks: { type: String, trim: true, maxlength: 500 },
+        changedBy: {
+          userId: String,
+          name: String,
+          role: String,
+        },
+        changedAt: { type: Date, default: Date.now },
+      },
+    ],
+
     // Reset password support
     resetPasswordToken: { type: String },
     resetPasswordExpire: { type: Date },
@@ -0,0 +1,187 @@
+import mongoose from "mongoose";
+import { funds, grantTypes, ucStatus } from "../utils/constants.js";
+
+const ucUserSchema = new mongoose.Schema(
+  {
+    userId: String,
+    name: String,
+    role: String,
+  },
+  { _id: false }
+);
+
+// Utilization certificate in the GFR 12-A layout for a sub fund and period.
+// Figures are computed from fund releases and paid bills when the UC is
+// generated and frozen once it is submitted.
+const utilizationCertificateSchema = new mongoose.Schema(
+  {
+    ucId: {
+      type: String,
+      required: [true, "UC ID is required"],
+      trim: true,
+      uppercase: true,
+    },
+    fund: {
+      type: String,
+      enum: {
+        values: funds.map((fund) => fund.name),
+        message: "Invalid fund type",
+      },
+      required: [true, "Fund is required"],
+    },
+    subFund: {
+      type: String,
+      required: [true, "Sub fund is required"],
+    },
+    grantType: {
+      type: String,
+      enum: {
+        values: grantTypes,
+        message: "Grant type must be Recurring or Non-Recurring",
+      },
+      default: "Non-Recurring",
+    },
+    periodFrom: {
+      type: Date,
+      required: [true, "Period start is required"],
+    },
+    periodTo: {
+      type: Date,
+      required: [true, "Period end is required"],
+    },
+
+    // Unspent balance of releases before the period
+    openingBalance: {
+      type: Number,
+      default: 0,
+    },
+    // Installments received during the period
+    releases: [
+      {
+        sanctionId: String,
+        sanctionOrderNumber: String,
+        sanctionDate: Date,
+        releaseOrderNumber: String,
+        releaseDate: Date,
+        amount: Number,
+        projectId: String,
+        _id: false,
+      },
+    ],
+    releasedDuringPeriod: {
+      type: Number,
+      default: 0,
+    },
+    totalAvailable: {
+      type: Number,
+      default: 0,
+    },
+    // Gross of bills paid during the period
+    expenditure: {
+      type: Number,
+      default: 0,
+    },
+    closingBalance: {
+      type: Number,
+      default: 0,
+    },
+    // Component-wise utilization
+    projects: [
+      {
+        project: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Project",
+        },
+        projectId: String,
+        projectName: String,
+        released: Number,
+        expenditure: Number,
+        _id: false,
+      },
+    ],
+
+    status: {
+      type: String,
+      enum: {
+        values: ucStatus,
+        message: "Invalid UC status",
+      },
+      default: "Draft",
+      index: true,
+    },
+    submission: {
+      letterNumber: {
+        type: String,
+        trim: true,
+        maxlength: [100, "Letter number cannot exceed 100 characters"],
+      },
+      submittedAt: Date,
+      submittedBy: ucUserSchema,
+    },
+    acceptance: {
+      acceptedAt: Date,
+      recordedBy: ucUserSchema,
+      remarks: {
+        type: String,
+        trim: true,
+        maxlength: [1000, "Remarks cannot exceed 1000 characters"],
+      },
+    },
+
+    createdBy: {
+      userId: {
+        type: String,
+        required: [true, "Creator user ID is required"],
+      },
+      name: String,
+      role: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+utilizationCertificateSchema.index({ ucId: 1 }, { unique: true });
+utilizationCertificateSchema.index(
+  { fund: 1, subFund: 1, periodFrom: 1, periodTo: 1 },
+  { unique: true }
+);
+
+utilizationCertificateSchema.pre("validate", function (next) {
+  if (this.periodFrom && this.periodTo && this.periodTo < this.periodFrom) {
+    this.invalidate("periodTo", "Period end must be after its start");
+  }
+  next();
+});
+
+// Generate a unique UC ID
+utilizationCertificateSchema.statics.generateUcId = async function () {
+  let ucId;
+
+  do {
+    const randomNum = Math.floor(Math.random() * 899900) + 100;
+    ucId = `UC_${randomNum}`;
+  } while (await this.exists({ ucId }));
+
+  return ucId;
+};
+
+// Latest submitted or accepted UC of a sub fund
+utilizationCertificateSchema.statics.findLatestSubmitted = function (
+  fund,
+  subFund
+) {
+  return this.findOne({
+    fund,
+    subFund,
+    status: { $in: ["Submitted", "Accepted"] },
+  }).sort({ periodTo: -1 });
+};
+
+const UtilizationCertificate = mongoose.model(
+  "UtilizationCertificate",
+  utilizationCertificateSchema
+);
+
+export default UtilizationCertificate;
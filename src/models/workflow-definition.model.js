@@ -0,0 +1,245 @@
+import mongoose from "mongoose";
+import {
+  defaultProjectWorkflow,
+  funds,
+  userRoles,
+  workflowStateTypes,
+} from "../utils/constants.js";
+import {
+  matchesWorkflowConditions,
+  validateWorkflowDefinition,
+} from "../utils/workflow-engine.js";
+
+// Conditions deciding whether a workflow (or a single transition) applies
+const workflowConditionsSchema = new mongoose.Schema(
+  {
+    funds: {
+      type: [String],
+      enum: {
+        values: funds.map((fund) => fund.name),
+        message: "Invalid fund: {VALUE}",
+      },
+      default: [],
+    },
+    subFunds: {
+      type: [String],
+      default: [],
+    },
+    minEstimatedCost: {
+      type: Number,
+      min: [0, "Minimum estimated cost cannot be negative"],
+    },
+    maxEstimatedCost: {
+      type: Number,
+      min: [0, "Maximum estimated cost cannot be negative"],
+    },
+  },
+  { _id: false }
+);
+
+const workflowStateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "State name is required"],
+      trim: true,
+      maxlength: [100, "State name cannot exceed 100 characters"],
+    },
+    type: {
+      type: String,
+      enum: {
+        values: workflowStateTypes,
+        message: "Invalid state type: {VALUE}",
+      },
+      required: [true, "State type is required"],
+    },
+    isInitial: {
+      type: Boolean,
+      default: false,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "State description cannot exceed 500 characters"],
+    },
+  },
+  { _id: false }
+);
+
+const workflowTransitionSchema = new mongoose.Schema(
+  {
+    from: {
+      type: [String],
+      required: [true, "Source states are required"],
+    },
+    to: {
+      type: String,
+      required: [true, "Target state is required"],
+      trim: true,
+    },
+    // Roles that can perform the transition in a single step
+    allowedRoles: {
+      type: [String],
+      default: [],
+    },
+    // Roles that must approve, in order, before the transition takes effect.
+    // When set, it replaces allowedRoles.
+    approvalChain: {
+      type: [String],
+      default: [],
+    },
+    requiresRejectionReason: {
+      type: Boolean,
+      default: false,
+    },
+    conditions: {
+      type: workflowConditionsSchema,
+      default: undefined,
+    },
+  },
+  { _id: false }
+);
+
+const workflowDefinitionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Workflow name is required"],
+      trim: true,
+      maxlength: [100, "Workflow name cannot exceed 100 characters"],
+    },
+    code: {
+      type: String,
+      required: [true, "Workflow code is required"],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [
+        /^[A-Z0-9_-]{2,30}$/,
+        "Workflow code must be 2-30 characters (letters, digits, _ or -)",
+      ],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Description cannot exceed 1000 characters"],
+    },
+    // Higher priority wins when several workflows match a project
+    priority: {
+      type: Number,
+      default: 0,
+    },
+    conditions: {
+      type: workflowConditionsSchema,
+      default: () => ({}),
+    },
+    states: {
+      type: [workflowStateSchema],
+      default: [],
+    },
+    transitions: {
+      type: [workflowTransitionSchema],
+      default: [],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+    version: {
+      type: Number,
+      default: 1,
+    },
+    createdBy: {
+      userId: String,
+      name: String,
+      role: String,
+    },
+    lastModifiedBy: {
+      userId: String,
+      name: String,
+      role: String,
+      modifiedAt: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+workflowDefinitionSchema.index({ isActive: 1, priority: -1 });
+
+// Validate the structure of the state machine before saving
+workflowDefinitionSchema.pre("validate", function (next) {
+  if (this.code === defaultProjectWorkflow.code) {
+    this.invalidate(
+      "code",
+      `Workflow code '${defaultProjectWorkflow.code}' is reserved for the built-in workflow`
+    );
+  }
+
+  const errors = validateWorkflowDefinition(this, userRoles);
+  if (errors.length > 0) {
+    this.invalidate("transitions", errors.join("; "));
+  }
+
+  next();
+});
+
+// Bump the version whenever states or transitions change
+workflowDefinitionSchema.pre("save", function (next) {
+  if (
+    !this.isNew &&
+    (this.isModified("states") ||
+      this.isModified("transitions") ||
+      this.isModified("conditions"))
+  ) {
+    this.version += 1;
+  }
+  next();
+});
+
+// Resolve the workflow that governs a project.
+// A project keeps the workflow it was started with while that workflow is
+// active; otherwise the highest-priority active workflow whose conditions
+// match is used, falling back to the built-in default.
+workflowDefinitionSchema.statics.resolveForProject = async function (project) {
+  const assignedId = project.workflowState?.definitionId;
+
+  if (assignedId) {
+    const assigned = await this.findOne({ _id: assignedId, isActive: true });
+    if (assigned) return assigned;
+  }
+
+  const candidates = await this.find({ isActive: true }).sort({
+    priority: -1,
+    createdAt: 1,
+  });
+
+  const match = candidates.find((definition) =>
+    matchesWorkflowConditions(definition.conditions, project)
+  );
+
+  return match || defaultProjectWorkflow;
+};
+
+// All status names known to any active workflow (plus the default ones)
+workflowDefinitionSchema.statics.getAllStatuses = async function () {
+  const definitions = await this.find({ isActive: true }).select("states");
+
+  const statuses = new Set(
+    defaultProjectWorkflow.states.map((state) => state.name)
+  );
+  definitions.forEach((definition) =>
+    definition.states.forEach((state) => statuses.add(state.name))
+  );
+
+  return [...statuses];
+};
+
+const WorkflowDefinition = mongoose.model(
+  "WorkflowDefinition",
+  workflowDefinitionSchema
+);
+
+export default WorkflowDefinition;
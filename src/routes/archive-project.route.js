@@ -3,6 +3,10 @@ import mongoose from "mongoose";
 import createArchiveProject from "../controller/archive-project.js/create-archive-project.js";
 import getAllArchiveProjects from "../controller/archive-project.js/get-all-archive-projects.js";
 import getFilterOptions from "../controller/archive-project.js/get-filter-options.js";
+import {
+  downloadArchiveProjectImportTemplate,
+  importArchiveProjects,
+} from "../controller/archive-project.js/import-archive-projects.js";
 import {
   getArchiveProjectByProjectId,
   getArchiveProjectTimeline,
@@ -39,6 +43,7 @@ import {
   requireLogin,
   requireOperator,
 } from "../middlewares/auth.middleware.js";
+import { importFileUpload } from "../middlewares/import-file-upload.middleware.js";
 import { createFileUploadMiddleware } from "../middlewares/s3-bucket-file-upload/project-files-upload.middleware.js";
 
 // Validation middleware
@@ -83,6 +88,22 @@ router.get("/", requireLogin(), getAllArchiveProjects);
 // Create new archive project (OPERATOR only)
 router.post("/", requireOperator(), createArchiveProject);
 
+// Download the bulk import template (OPERATOR only)
+router.get(
+  "/import/template",
+  requireOperator(),
+  downloadArchiveProjectImportTemplate
+);
+
+// Bulk import archive projects from XLSX, ?dryRun=true to validate only
+// (OPERATOR only)
+router.post(
+  "/import",
+  requireOperator(),
+  importFileUpload,
+  importArchiveProjects
+);
+
 // Get filter options for frontend dropdowns
 router.get("/filter-options", requireLogin(), getFilterOptions);
 
@@ -0,0 +1,20 @@
+import express from "express";
+import exportAuditLogs from "../controller/audit-log/export-audit-logs.js";
+import {
+  getAuditLogById,
+  getAuditLogs,
+} from "../controller/audit-log/get-audit-logs.js";
+import { requireAdmin } from "../middlewares/auth.middleware.js";
+
+const router = express.Router();
+
+// List audit log entries with filters (Admin only)
+router.get("/", requireAdmin(), getAuditLogs);
+
+// Export audit log entries as CSV or XLSX (Admin only)
+router.get("/export", requireAdmin(), exportAuditLogs);
+
+// Get a single audit log entry (Admin only)
+router.get("/:id", requireAdmin(), getAuditLogById);
+
+export default router;
@@ -2,9 +2,16 @@ import express from "express";
 import forgotPassword from "../controller/auth/forgot-password.js";
 import login from "../controller/auth/login.js";
 import logout from "../controller/auth/logout.js";
+import refreshToken from "../controller/auth/refresh-token.js";
 import resendOTP from "../controller/auth/resend-otp.js";
 import resetPassword from "../controller/auth/reset-password.js";
+import {
+  getMySessions,
+  revokeAllMySessions,
+  revokeMySession,
+} from "../controller/auth/sessions.js";
 import verifyOTP from "../controller/auth/verifyotp.js";
+import { requireLogin } from "../middlewares/auth.middleware.js";
 
 const router = express.Router();
 
@@ -14,5 +21,11 @@ router.post("/verify-otp", verifyOTP);
 router.post("/resend-otp", resendOTP);
 router.post("/forgot-password", forgotPassword);
 router.post("/reset-password/:token", resetPassword);
+router.post("/refresh", refreshToken);
+
+// Current user's active sessions
+router.get("/sessions", requireLogin(), getMySessions);
+router.delete("/sessions", requireLogin(), revokeAllMySessions);
+router.delete("/sessions/:sessionId", requireLogin(), revokeMySession);
 
 export default router;
@@ -0,0 +1,58 @@
+import express from "express";
+import { decideBill, verifyBill } from "../controller/bill/bill-approval.js";
+import {
+  getPaymentRegister,
+  getPendingPayments,
+  recordPayment,
+} from "../controller/bill/bill-payment.js";
+import createBill from "../controller/bill/create-bill.js";
+import { getDeductionRegister } from "../controller/bill/deduction-register.js";
+import { getBillById, getProjectBills } from "../controller/bill/get-bills.js";
+import {
+  requireAee,
+  requireBothMdAndAdmin,
+  requireJe,
+  requireLogin,
+} from "../middlewares/auth.middleware.js";
+import { createFileUploadMiddleware } from "../middlewares/s3-bucket-file-upload/project-files-upload.middleware.js";
+
+const router = express.Router();
+
+// Bill ledger of a project with running totals
+router.get("/project/:projectId", requireLogin(), getProjectBills);
+
+// Record a running or final bill against approved MBs (JE only)
+router.post(
+  "/project/:projectId",
+  requireJe(),
+  ...createFileUploadMiddleware({
+    fieldName: "billFiles",
+    maxCount: 10,
+    folder: "bills",
+    requireFiles: false,
+  }),
+  createBill
+);
+
+// Contractor-wise statutory deduction register (JSON or XLSX)
+router.get("/deduction-register", requireLogin(), getDeductionRegister);
+
+// Passed bills awaiting payment, with ageing, by contractor and district
+router.get("/pending-payments", requireLogin(), getPendingPayments);
+
+// Payments made to contractors
+router.get("/payment-register", requireLogin(), getPaymentRegister);
+
+// Get a single bill
+router.get("/:billId", requireLogin(), getBillById);
+
+// Verify or reject a submitted bill (AEE only)
+router.patch("/:billId/verify", requireAee(), verifyBill);
+
+// Pass or reject a verified bill (CE/MD)
+router.patch("/:billId/decision", requireLogin(), decideBill);
+
+// Record a treasury payment against a passed bill (MD/Admin)
+router.post("/:billId/payments", requireBothMdAndAdmin(), recordPayment);
+
+export default router;
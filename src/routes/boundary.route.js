@@ -0,0 +1,33 @@
+import express from "express";
+import {
+  getBoundaryBlocks,
+  getBoundaryById,
+  getBoundaryDistricts,
+  getBoundaryFeatures,
+  getBoundaryGramPanchayats,
+  locateBoundaries,
+} from "../controller/boundary/get-boundaries.js";
+import { importBoundaries } from "../controller/boundary/import-boundaries.js";
+import { requireAdmin, requireLogin } from "../middlewares/auth.middleware.js";
+import { geoJsonFileUpload } from "../middlewares/import-file-upload.middleware.js";
+
+const router = express.Router();
+
+// Import districts, blocks or gram panchayats from GeoJSON (Admin only)
+router.post("/import", requireAdmin(), geoJsonFileUpload, importBoundaries);
+
+// Dropdowns: district -> block -> gram panchayat
+router.get("/districts", requireLogin(), getBoundaryDistricts);
+router.get("/blocks", requireLogin(), getBoundaryBlocks);
+router.get("/gram-panchayats", requireLogin(), getBoundaryGramPanchayats);
+
+// Boundaries containing a point
+router.get("/locate", requireLogin(), locateBoundaries);
+
+// Boundary polygons as GeoJSON for map overlays
+router.get("/features", requireLogin(), getBoundaryFeatures);
+
+// Single boundary with its polygon and children
+router.get("/:id", requireLogin(), getBoundaryById);
+
+export default router;
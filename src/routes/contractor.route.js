@@ -0,0 +1,73 @@
+import express from "express";
+import {
+  debarContractor,
+  revokeDebarment,
+} from "../controller/contractor/contractor-debarment.js";
+import {
+  applyContractorClusters,
+  getContractorClusters,
+  mergeContractors,
+} from "../controller/contractor/contractor-migration.js";
+import {
+  getContractorScorecard,
+  getContractorScorecardList,
+} from "../controller/contractor/contractor-scorecard.js";
+import {
+  createContractor,
+  deleteContractor,
+  getContractorById,
+  getContractors,
+  updateContractor,
+} from "../controller/contractor/contractor.js";
+import {
+  requireBothMdAndAdmin,
+  requireLogin,
+} from "../middlewares/auth.middleware.js";
+
+const router = express.Router();
+
+// Migration of free-text contractor names (MD/Admin)
+router.get(
+  "/migration/clusters",
+  requireBothMdAndAdmin(),
+  getContractorClusters
+);
+router.post(
+  "/migration/apply",
+  requireBothMdAndAdmin(),
+  applyContractorClusters
+);
+
+// Performance scorecards of all contractors
+router.get("/scorecards", requireLogin(), getContractorScorecardList);
+
+// List contractors
+router.get("/", requireLogin(), getContractors);
+
+// Enlist a contractor (MD/Admin)
+router.post("/", requireBothMdAndAdmin(), createContractor);
+
+// Single contractor with its usage
+router.get("/:id", requireLogin(), getContractorById);
+
+// Update or deactivate a contractor (MD/Admin)
+router.patch("/:id", requireBothMdAndAdmin(), updateContractor);
+
+// Delete an unreferenced contractor (MD/Admin)
+router.delete("/:id", requireBothMdAndAdmin(), deleteContractor);
+
+// Performance scorecard of a contractor
+router.get("/:id/scorecard", requireLogin(), getContractorScorecard);
+
+// Debar or blacklist a contractor, or revoke the order (MD/Admin)
+router.post("/:id/debarments", requireBothMdAndAdmin(), debarContractor);
+router.post(
+  "/:id/debarments/:debarmentId/revoke",
+  requireBothMdAndAdmin(),
+  revokeDebarment
+);
+
+// Merge duplicate contractor records into this one (MD/Admin)
+router.post("/:id/merge", requireBothMdAndAdmin(), mergeContractors);
+
+export default router;
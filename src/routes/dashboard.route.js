@@ -15,6 +15,7 @@ import {
 import {
   getArchiveComparison,
   getArchiveKPIs,
+  getYearWiseComparison,
 } from "../controller/dashboard/archive-project-kpi.js";
 
 import {
@@ -23,6 +24,10 @@ import {
   getSystemAlerts,
 } from "../controller/dashboard/performance-monitoring-kpi.js";
 
+import { getFundBalances } from "../controller/dashboard/fund-balance-kpi.js";
+
+import { getBudgetVsActual } from "../controller/dashboard/budget-kpi.js";
+
 import {
   exportDashboardCSV,
   exportDashboardExcel,
@@ -53,6 +58,7 @@ import {
   validateQueryTrendsQuery,
   validateWorkloadQuery,
 } from "../middlewares/validate-dashboard.middleware.js";
+import { getProjectScopeFilter } from "../utils/jurisdiction-scope.js";
 
 const router = express.Router();
 
@@ -129,6 +135,34 @@ router.get("/archive-kpis", getArchiveKPIs);
  */
 router.get("/archive-comparison", getArchiveComparison);
 
+/**
+ * @route   GET /api/dashboard/year-wise-comparison
+ * @desc    Compare active and archive projects financial year by financial year
+ * @access  All authenticated users (filtered by jurisdiction)
+ * @returns {Object} Per-year project counts, expenditure by bill date and progress
+ */
+router.get("/year-wise-comparison", getYearWiseComparison);
+
+// ==========================================
+// FUND RELEASES
+// ==========================================
+
+/**
+ * @route   GET /api/dashboard/fund-balances
+ * @desc    Released, paid and unspent amounts per fund and sub fund
+ * @access  All authenticated users (filtered by jurisdiction)
+ * @returns {Object} Fund-wise and sub-fund-wise balances with totals
+ */
+router.get("/fund-balances", getFundBalances);
+
+/**
+ * @route   GET /api/dashboard/budget-vs-actual
+ * @desc    Allocation, commitments and expenditure per budget head for a financial year
+ * @access  All authenticated users (project breakdown only for unrestricted scope)
+ * @returns {Object} Head-wise and fund-wise budget vs actual with unallocated heads
+ */
+router.get("/budget-vs-actual", getBudgetVsActual);
+
 // ==========================================
 // PERFORMANCE MONITORING & ALERTS
 // ==========================================
@@ -214,17 +248,12 @@ router.get(
   validateFinancialHealthQuery,
   async (req, res, next) => {
     try {
-      const { userRole, userId } = req.user;
-
-      const userFilter = {};
-      if (userRole === "JE") {
-        userFilter["createdBy.userId"] = userId;
-      }
+      const Project = (await import("../models/project.model.js")).default;
 
-      const Project = (await import("../../models/project.model.js")).default;
+      const scopeFilter = await getProjectScopeFilter(req);
 
       const financialHealth = await Project.aggregate([
-        { $match: userFilter },
+        { $match: scopeFilter },
         {
           $group: {
             _id: null,
@@ -299,19 +328,15 @@ router.get(
   validatePerformanceQuery,
   async (req, res, next) => {
     try {
-      const { userRole, userId } = req.user;
       const now = new Date();
 
-      const userFilter = {};
-      if (userRole === "JE") {
-        userFilter["createdBy.userId"] = userId;
-      }
+      const Project = (await import("../models/project.model.js")).default;
 
-      const Project = (await import("../../models/project.model.js")).default;
+      const scopeFilter = await getProjectScopeFilter(req);
 
       const [performanceMetrics, timelineMetrics] = await Promise.all([
         Project.aggregate([
-          { $match: userFilter },
+          { $match: scopeFilter },
           {
             $group: {
               _id: null,
@@ -372,7 +397,7 @@ router.get(
           },
         ]),
         Project.aggregate([
-          { $match: userFilter },
+          { $match: scopeFilter },
           {
             $group: {
               _id: null,
@@ -481,16 +506,12 @@ router.get(
   validateWorkloadQuery,
   async (req, res, next) => {
     try {
-      const { userRole, userId } = req.user;
       const { groupBy = "user", limit = 10 } = req.query;
 
-      const userFilter = {};
-      if (userRole === "JE") {
-        userFilter["createdBy.userId"] = userId;
-      }
-
       const Project = (await import("../models/project.model.js")).default;
 
+      const scopeFilter = await getProjectScopeFilter(req);
+
       let groupField, labelField;
       switch (groupBy) {
         case "district":
@@ -509,17 +530,17 @@ router.get(
           groupField = "$contractorName";
           labelField = "contractor";
           break;
-        default: // user
+        default: // user: the JE responsible for the project
           groupField = {
-            userId: "$createdBy.userId",
-            userName: "$createdBy.name",
-            userRole: "$createdBy.role",
+            userId: { $ifNull: ["$assignedTo.userId", "$createdBy.userId"] },
+            userName: { $ifNull: ["$assignedTo.name", "$createdBy.name"] },
+            userRole: { $ifNull: ["$assignedTo.role", "$createdBy.role"] },
           };
           labelField = "user";
       }
 
       const distribution = await Project.aggregate([
-        { $match: userFilter },
+        { $match: scopeFilter },
         {
           $group: {
             _id: groupField,
@@ -0,0 +1,24 @@
+import express from "express";
+import createDeductionRule from "../controller/deduction-rule/create-deduction-rule.js";
+import {
+  getDeductionRules,
+  previewDeductions,
+} from "../controller/deduction-rule/get-deduction-rules.js";
+import updateDeductionRule from "../controller/deduction-rule/update-deduction-rule.js";
+import { requireAdmin, requireLogin } from "../middlewares/auth.middleware.js";
+
+const router = express.Router();
+
+// List deduction rules
+router.get("/", requireLogin(), getDeductionRules);
+
+// Preview gross, deductions and net payable for an amount
+router.get("/preview", requireLogin(), previewDeductions);
+
+// Create a deduction rule (Admin only)
+router.post("/", requireAdmin(), createDeductionRule);
+
+// Update a deduction rule (Admin only)
+router.put("/:id", requireAdmin(), updateDeductionRule);
+
+export default router;
@@ -0,0 +1,90 @@
+import express from "express";
+import {
+  createBudgetAllocation,
+  getBudgetAllocationById,
+  getBudgetAllocations,
+  updateBudgetAllocation,
+} from "../controller/fund/budget-allocation.js";
+import createSanction from "../controller/fund/create-sanction.js";
+import {
+  getProjectFundBalance,
+  getSanctionById,
+  getSanctions,
+} from "../controller/fund/get-sanctions.js";
+import { recordRelease } from "../controller/fund/record-release.js";
+import {
+  generateUtilizationCertificate,
+  getUtilizationCertificateById,
+  getUtilizationCertificates,
+  updateUtilizationCertificateStatus,
+} from "../controller/fund/utilization-certificate.js";
+import {
+  requireBothMdAndAdmin,
+  requireLogin,
+} from "../middlewares/auth.middleware.js";
+import { createFileUploadMiddleware } from "../middlewares/s3-bucket-file-upload/project-files-upload.middleware.js";
+
+const router = express.Router();
+
+// List sanction orders
+router.get("/sanctions", requireLogin(), getSanctions);
+
+// Record a project or pooled sanction order (MD/Admin)
+router.post("/sanctions", requireBothMdAndAdmin(), createSanction);
+
+// Get a sanction with its installment releases
+router.get("/sanctions/:sanctionId", requireLogin(), getSanctionById);
+
+// Record an installment release against a sanction (MD/Admin)
+router.post(
+  "/sanctions/:sanctionId/releases",
+  requireBothMdAndAdmin(),
+  ...createFileUploadMiddleware({
+    fieldName: "releaseFiles",
+    maxCount: 5,
+    folder: "fund-releases",
+    requireFiles: false,
+  }),
+  recordRelease
+);
+
+// Released funds and available balance of a project
+router.get(
+  "/project/:projectId/balance",
+  requireLogin(),
+  getProjectFundBalance
+);
+
+// Utilization certificates (GFR 12-A)
+router.get("/uc", requireLogin(), getUtilizationCertificates);
+router.post("/uc", requireBothMdAndAdmin(), generateUtilizationCertificate);
+
+// Get a UC as JSON, PDF or XLSX
+router.get("/uc/:ucId", requireLogin(), getUtilizationCertificateById);
+
+// Mark a UC submitted or accepted (MD/Admin)
+router.patch(
+  "/uc/:ucId/status",
+  requireBothMdAndAdmin(),
+  updateUtilizationCertificateStatus
+);
+
+// Annual budget head allocations
+router.get("/budget-allocations", requireLogin(), getBudgetAllocations);
+router.post(
+  "/budget-allocations",
+  requireBothMdAndAdmin(),
+  createBudgetAllocation
+);
+
+// Get an allocation with its commitments and expenditure
+router.get("/budget-allocations/:id", requireLogin(), getBudgetAllocationById);
+
+// Revise an allocation (MD/Admin)
+router.patch(
+  "/budget-allocations/:id",
+  requireBothMdAndAdmin(),
+  updateBudgetAllocation
+);
+
+export default router;
@@ -0,0 +1,18 @@
+import express from "express";
+import createJurisdiction from "../controller/jurisdiction/create-jurisdiction.js";
+import getJurisdictions from "../controller/jurisdiction/get-jurisdictions.js";
+import updateJurisdiction from "../controller/jurisdiction/update-jurisdiction.js";
+import { requireAdmin, requireLogin } from "../middlewares/auth.middleware.js";
+
+const router = express.Router();
+
+// List circles and divisions
+router.get("/", requireLogin(), getJurisdictions);
+
+// Create a circle or division (Admin only)
+router.post("/", requireAdmin(), createJurisdiction);
+
+// Update a circle or division (Admin only)
+router.put("/:code", requireAdmin(), updateJurisdiction);
+
+export default router;
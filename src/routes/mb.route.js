@@ -4,13 +4,36 @@ import deleteMeasurementBook from "../controller/mb/delete-mb.js";
 import { exportMBData } from "../controller/mb/export-mb.js";
 import getAllMeasurementBooks from "../controller/mb/get-all-mbs.js";
 import getMeasurementBookById from "../controller/mb/get-single-mb.js";
+import {
+  getMeasurementBookAbstract,
+  getProjectAbstractOfCost,
+} from "../controller/mb/get-mb-abstract.js";
+import getMeasurementBookRevisions from "../controller/mb/get-mb-revisions.js";
 import getMeasurementBooksByProject from "../controller/mb/get-single-project-mbs.js";
-import { requireLogin } from "../middlewares/auth.middleware.js";
+import {
+  checkMeasurementBook,
+  submitMeasurementBookForCheck,
+} from "../controller/mb/mb-approval.js";
+import {
+  addMeasurementItem,
+  removeMeasurementItem,
+  replaceMeasurementItem,
+} from "../controller/mb/update-mb-measurements.js";
+import updateMeasurementBook from "../controller/mb/update-mb.js";
+import {
+  requireAee,
+  requireJe,
+  requireLogin,
+} from "../middlewares/auth.middleware.js";
 import {
   cleanupMBBatchFiles,
   mbBatchFileUpload,
+  mbItemFileUpload,
 } from "../middlewares/s3-bucket-file-upload/mb-file-upload.middleware.js";
-import { completeMBValidation } from "../middlewares/validate-mb-data.js";
+import {
+  completeMBValidation,
+  validateMBUpdateData,
+} from "../middlewares/validate-mb-data.js";
 
 const router = express.Router();
 
@@ -30,13 +53,61 @@ router.post(
 // Get all measurement books for a specific project
 router.get("/project/:projectId", requireLogin(), getMeasurementBooksByProject);
 
-// Export MB data as CSV for a specific project
+// Export MB data (CSV, XLSX or PDF) for a specific project
 router.get("/project/:projectId/export", requireLogin(), exportMBData);
 
+// Abstract of cost for a project, rolled up per bill
+router.get(
+  "/project/:projectId/abstract",
+  requireLogin(),
+  getProjectAbstractOfCost
+);
+
 // Get a single measurement book by ID
-router.get("/:mbId", requireLogin(), getMeasurementBookById);
+router.get("/:id", requireLogin(), getMeasurementBookById);
+
+// Update measurement book header fields (Draft/Rejected MBs only, JE)
+router.put("/:id", requireJe(), validateMBUpdateData, updateMeasurementBook);
+router.patch("/:id", requireJe(), validateMBUpdateData, updateMeasurementBook);
+
+// Add a measurement item with its file (JE)
+router.post(
+  "/:id/measurements",
+  requireJe(),
+  mbItemFileUpload,
+  cleanupMBBatchFiles,
+  addMeasurementItem
+);
+
+// Replace a measurement item (description, unit and/or file) (JE)
+router.put(
+  "/:id/measurements/:measurementId",
+  requireJe(),
+  mbItemFileUpload,
+  cleanupMBBatchFiles,
+  replaceMeasurementItem
+);
+
+// Remove a measurement item (JE)
+router.delete(
+  "/:id/measurements/:measurementId",
+  requireJe(),
+  removeMeasurementItem
+);
+
+// Abstract of cost for a single measurement book
+router.get("/:id/abstract", requireLogin(), getMeasurementBookAbstract);
+
+// Get revision history of a measurement book
+router.get("/:id/revisions", requireLogin(), getMeasurementBookRevisions);
+
+// Submit a measurement book for check measurement (JE)
+router.post("/:id/submit", requireJe(), submitMeasurementBookForCheck);
+
+// Approve or reject a submitted measurement book (AEE only)
+router.patch("/:id/check-measurement", requireAee(), checkMeasurementBook);
 
 // Delete a measurement book
-router.delete("/:mbId", requireLogin(), deleteMeasurementBook);
+router.delete("/:id", requireLogin(), deleteMeasurementBook);
 
 export default router;
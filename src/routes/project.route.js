@@ -2,6 +2,11 @@ import express from "express";
 import mongoose from "mongoose";
 
 // Controllers
+import {
+  decideCostRevision,
+  getCostRevisions,
+  requestCostRevision,
+} from "../controller/project/cost-revision.js";
 import createProject from "../controller/project/create-project.js";
 import editProject from "../controller/project/edit-project.js";
 import {
@@ -9,9 +14,36 @@ import {
   generateProjectSummaryPDFController,
   getPDFGenerationOptions,
 } from "../controller/project/generate-pdf.js";
+import {
+  decideExtension,
+  getExtensionHistory,
+  requestExtension,
+} from "../controller/project/extension-of-time.js";
+import {
+  closeFinancialYear,
+  getFinancialYearCloses,
+  getFinancialYearSnapshots,
+  getProjectFinancialYears,
+} from "../controller/project/financial-year.js";
+import {
+  getProjectsGeoJson,
+  getProjectsNearby,
+  getProjectsWithin,
+} from "../controller/project/geo-search.js";
 import getAllProjects from "../controller/project/get-all-projects.js";
 import { getProjectDocuments } from "../controller/project/get-documents.js";
 import getProjectDropdownOptions from "../controller/project/get-dropdown-options.js";
+import {
+  downloadProjectImportTemplate,
+  importProjects,
+} from "../controller/project/import-projects.js";
+import {
+  decideLdWaiver,
+  getAccruedLiquidatedDamages,
+  getLiquidatedDamages,
+  requestLdWaiver,
+  setLdClause,
+} from "../controller/project/liquidated-damages.js";
 import {
   getProjectById,
   getProjectTimeline,
@@ -38,6 +70,7 @@ import {
 } from "../controller/project/update-financial-progress.js";
 import {
   getProgressHistory,
+  getProgressPhotos,
   getProgressStatistics,
   updateProjectProgress,
 } from "../controller/project/update-physical-progress.js";
@@ -62,6 +95,7 @@ import {
 } from "../middlewares/auth.middleware.js";
 
 // File upload middleware
+import { importFileUpload } from "../middlewares/import-file-upload.middleware.js";
 import { createFileUploadMiddleware } from "../middlewares/s3-bucket-file-upload/project-files-upload.middleware.js";
 
 // Status validation middleware
@@ -134,6 +168,40 @@ router.put(
 // Get dropdown options for project creation
 router.get("/dropdown-options", getProjectDropdownOptions);
 
+// Download the bulk import template (JE only)
+router.get("/import/template", requireJe(), downloadProjectImportTemplate);
+
+// Bulk import projects from XLSX, ?dryRun=true to validate only (JE only)
+router.post("/import", requireJe(), importFileUpload, importProjects);
+
+// Map search: projects near a point or inside a polygon / district
+router.get("/geo/nearby", requireLogin(), getProjectsNearby);
+router.get("/geo/within", requireLogin(), getProjectsWithin);
+router.post("/geo/within", requireLogin(), getProjectsWithin);
+
+// GeoJSON feed of projects for the map view
+router.get("/geo/features", requireLogin(), getProjectsGeoJson);
+router.post("/geo/features", requireLogin(), getProjectsGeoJson);
+
+// Financial year close: snapshot project positions and carry forward
+// ongoing projects (MD/Admin)
+router.get("/year-close", requireLogin(), getFinancialYearCloses);
+router.post("/year-close", requireBothMdAndAdmin(), closeFinancialYear);
+
+// Project snapshots taken at a year close
+router.get(
+  "/year-close/:financialYear",
+  requireLogin(),
+  getFinancialYearSnapshots
+);
+
+// Delayed projects with accrued liquidated damages
+router.get(
+  "/liquidated-damages/accrued",
+  requireLogin(),
+  getAccruedLiquidatedDamages
+);
+
 // Get single project by ID with enhanced details
 router.get("/:projectId", requireLogin(), getProjectById);
 
@@ -243,6 +311,9 @@ router.get(
   getProgressHistory
 );
 
+// Site photo gallery of progress updates with EXIF verification flags
+router.get("/:id/progress/photos", requireLogin(), getProgressPhotos);
+
 // ==========================================
 // FINANCIAL PROGRESS ROUTES
 // ==========================================
@@ -280,6 +351,89 @@ router.get(
   getFinancialProgressHistory
 );
 
+// ==========================================
+// REVISED ESTIMATE ROUTES
+// ==========================================
+
+// Original estimate, revisions and current approved estimate
+router.get("/:id/cost-revisions", requireLogin(), getCostRevisions);
+
+// Request a revised estimate (JE only)
+router.post(
+  "/:id/cost-revisions",
+  requireJe(),
+  ...createFileUploadMiddleware({
+    fieldName: "revisionFiles",
+    maxCount: 10,
+    folder: "cost-revisions",
+    requireFiles: false,
+  }),
+  requestCostRevision
+);
+
+// Approve or reject the pending revised estimate (CE/MD)
+router.patch(
+  "/:id/cost-revisions/decision",
+  requireLogin(),
+  decideCostRevision
+);
+
+// ==========================================
+// EXTENSION OF TIME ROUTES
+// ==========================================
+
+// Extension of time history
+router.get("/:id/extensions", requireLogin(), getExtensionHistory);
+
+// File an extension of time request (JE only)
+router.post(
+  "/:id/extensions",
+  requireJe(),
+  ...createFileUploadMiddleware({
+    fieldName: "extensionFiles",
+    maxCount: 10,
+    folder: "extensions",
+    requireFiles: false,
+  }),
+  requestExtension
+);
+
+// Approve or reject the pending extension request (AEE/CE)
+router.patch("/:id/extensions/decision", requireLogin(), decideExtension);
+
+// Expenditure of a project by financial year
+router.get("/:id/financial-years", requireLogin(), getProjectFinancialYears);
+
+// ==========================================
+// LIQUIDATED DAMAGES ROUTES
+// ==========================================
+
+// LD position and waiver history of a project
+router.get("/:id/liquidated-damages", requireLogin(), getLiquidatedDamages);
+
+// Set the contract's LD clause (AEE/CE/MD)
+router.put("/:id/liquidated-damages/clause", requireLogin(), setLdClause);
+
+// Request a waiver of unrecovered LD (project JE or AEE)
+router.post(
+  "/:id/liquidated-damages/waivers",
+  requireLogin(),
+  ...createFileUploadMiddleware({
+    fieldName: "waiverFiles",
+    maxCount: 10,
+    folder: "ld-waivers",
+    requireFiles: false,
+  }),
+  requestLdWaiver
+);
+
+// Approve or reject the pending LD waiver (CE/MD)
+router.patch(
+  "/:id/liquidated-damages/waivers/decision",
+  requireLogin(),
+  decideLdWaiver
+);
+
 // ==========================================
 // COMBINED PROGRESS ROUTES
 // ==========================================
@@ -629,58 +783,62 @@ router.get("/deadlines/upcoming", requireLogin(), async (req, res) => {
     const futureDate = new Date();
     futureDate.setDate(currentDate.getDate() + daysAhead);
 
-    // Build deadline filter
-    const deadlineFilter =
-      includeExtensions === "true"
-        ? {
-            $or: [
-              {
-                projectEndDate: { $gte: currentDate, $lte: futureDate },
-                extensionPeriodForCompletion: { $exists: false },
-              },
-              {
-                extensionPeriodForCompletion: {
-                  $gte: currentDate,
-                  $lte: futureDate,
-                },
-              },
-            ],
-          }
-        : {
-            projectEndDate: { $gte: currentDate, $lte: futureDate },
-          };
-
-    const upcomingDeadlines = await Project.find({
-      ...deadlineFilter,
-      progressPercentage: { $lt: 100 }, // Only incomplete projects
-      status: { $in: ["Approved", "Ongoing"] }, // Only active projects
-    })
-      .select(
-        "_id projectName progressPercentage financialProgress projectEndDate extensionPeriodForCompletion status district createdBy estimatedCost"
-      )
-      .sort({
-        $expr: {
-          $cond: {
-            if: { $and: [{ $ne: ["$extensionPeriodForCompletion", null] }] },
-            then: "$extensionPeriodForCompletion",
-            else: "$projectEndDate",
-          },
+    // Deadline in force: latest approved extension, else the original end
+    const withExtensions = includeExtensions !== "false";
+    const deadlineField = withExtensions
+      ? { $ifNull: ["$extensionPeriodForCompletion", "$projectEndDate"] }
+      : "$projectEndDate";
+
+    // Nearest deadlines first, so the limit keeps the most urgent projects
+    const upcomingDeadlines = await Project.aggregate([
+      {
+        $match: {
+          progressPercentage: { $lt: 100 }, // Only incomplete projects
+          status: { $in: ["Approved", "Ongoing"] }, // Only active projects
         },
-      })
-      .limit(50);
+      },
+      { $addFields: { effectiveDeadline: deadlineField } },
+      {
+        $match: {
+          effectiveDeadline: { $gte: currentDate, $lte: futureDate },
+        },
+      },
+      { $sort: { effectiveDeadline: 1 } },
+      { $limit: 50 },
+      {
+        $project: {
+          projectName: 1,
+          progressPercentage: 1,
+          financialProgress: 1,
+          projectEndDate: 1,
+          extensionPeriodForCompletion: 1,
+          extensionRequests: 1,
+          status: 1,
+          district: 1,
+          createdBy: 1,
+          estimatedCost: 1,
+          effectiveDeadline: 1,
+        },
+      },
+    ]);
 
     const enrichedDeadlines = upcomingDeadlines.map((project) => {
-      const effectiveDeadline =
-        project.extensionPeriodForCompletion || project.projectEndDate;
       const daysRemaining = Math.ceil(
-        (effectiveDeadline - currentDate) / (1000 * 60 * 60 * 24)
+        (project.effectiveDeadline - currentDate) / (1000 * 60 * 60 * 24)
       );
 
+      const { extensionRequests = [], ...projectData } = project;
+
       return {
-        ...project.toObject(),
-        effectiveDeadline,
+        ...projectData,
         daysRemaining,
         hasExtension: !!project.extensionPeriodForCompletion,
+        extensionCount: extensionRequests.filter(
+          (request) => request.status === "Approved"
+        ).length,
+        hasPendingExtension: extensionRequests.some(
+          (request) => request.status === "Pending"
+        ),
         urgencyLevel:
           daysRemaining <= 7
             ? "critical"
@@ -719,7 +877,7 @@ router.get("/deadlines/upcoming", requireLogin(), async (req, res) => {
         summary,
         filters: {
           daysAhead,
-          includeExtensions: includeExtensions === "true",
+          includeExtensions: withExtensions,
         },
       },
     });
@@ -0,0 +1,18 @@
+import express from "express";
+import createScheduleOfRatesItem from "../controller/schedule-of-rates/create-sor-item.js";
+import getScheduleOfRatesItems from "../controller/schedule-of-rates/get-sor-items.js";
+import updateScheduleOfRatesItem from "../controller/schedule-of-rates/update-sor-item.js";
+import { requireAdmin, requireLogin } from "../middlewares/auth.middleware.js";
+
+const router = express.Router();
+
+// List schedule of rates items
+router.get("/", requireLogin(), getScheduleOfRatesItems);
+
+// Create a schedule of rates item (Admin only)
+router.post("/", requireAdmin(), createScheduleOfRatesItem);
+
+// Update a schedule of rates item (Admin only)
+router.put("/:id", requireAdmin(), updateScheduleOfRatesItem);
+
+export default router;
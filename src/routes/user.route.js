@@ -1,11 +1,28 @@
 import express from "express";
 import createUser from "../controller/user/create-user.js";
 import getAllUsers from "../controller/user/get-all-users.js";
+import {
+  clearUserLockouts,
+  getUserLockouts,
+} from "../controller/user/login-security.js";
+import {
+  adminResetPassword,
+  changeUserRole,
+  deactivateUser,
+  reactivateUser,
+  updateUser,
+} from "../controller/user/manage-user.js";
+import { reassignUserWork } from "../controller/user/reassign-user-work.js";
 import {
   getUserByUserId,
   getUserProfile,
   updateUserProfile,
 } from "../controller/user/update-user.js";
+import { updateUserJurisdiction } from "../controller/user/user-jurisdiction.js";
+import {
+  getUserSessions,
+  revokeUserSessions,
+} from "../controller/user/user-sessions.js";
 import { requireAdmin, requireLogin } from "../middlewares/auth.middleware.js";
 import {
   cleanupAvatarFile,
@@ -32,4 +49,34 @@ router.put(
 // Get user by custom userId (for admin or specific use cases)
 router.get("/user/:userId", requireAdmin(), getUserByUserId);
 
+// User administration (Admin only)
+router.put("/user/:userId", requireAdmin(), updateUser);
+router.patch("/user/:userId/deactivate", requireAdmin(), deactivateUser);
+router.patch("/user/:userId/reactivate", requireAdmin(), reactivateUser);
+router.patch("/user/:userId/role", requireAdmin(), changeUserRole);
+router.post("/user/:userId/reset-password", requireAdmin(), adminResetPassword);
+
+// Hand a departing user's projects and open queries to a successor (Admin only)
+router.post("/user/:userId/reassign", requireAdmin(), reassignUserWork);
+
+// View and clear login/OTP lockouts for a user (Admin only)
+router.get("/user/:userId/lockouts", requireAdmin(), getUserLockouts);
+router.delete("/user/:userId/lockouts", requireAdmin(), clearUserLockouts);
+
+// Assign circles, divisions and districts to a user (Admin only)
+router.put(
+  "/user/:userId/jurisdiction",
+  requireAdmin(),
+  updateUserJurisdiction
+);
+
+// View and revoke a user's login sessions (Admin only)
+router.get("/user/:userId/sessions", requireAdmin(), getUserSessions);
+router.delete("/user/:userId/sessions", requireAdmin(), revokeUserSessions);
+router.delete(
+  "/user/:userId/sessions/:sessionId",
+  requireAdmin(),
+  revokeUserSessions
+);
+
 export default router;
@@ -0,0 +1,38 @@
+import express from "express";
+import createWorkflow from "../controller/workflow/create-workflow.js";
+import {
+  getAllWorkflows,
+  getDefaultWorkflow,
+  getProjectWorkflow,
+  getWorkflowById,
+} from "../controller/workflow/get-workflows.js";
+import {
+  updateWorkflow,
+  updateWorkflowActiveStatus,
+} from "../controller/workflow/update-workflow.js";
+import { requireAdmin, requireLogin } from "../middlewares/auth.middleware.js";
+
+const router = express.Router();
+
+// List all workflow definitions (Admin only)
+router.get("/", requireAdmin(), getAllWorkflows);
+
+// Create a workflow definition (Admin only)
+router.post("/", requireAdmin(), createWorkflow);
+
+// Get the built-in default workflow
+router.get("/default", requireLogin(), getDefaultWorkflow);
+
+// Get the workflow governing a project
+router.get("/project/:projectId", requireLogin(), getProjectWorkflow);
+
+// Get a single workflow definition (Admin only)
+router.get("/:id", requireAdmin(), getWorkflowById);
+
+// Update a workflow definition (Admin only)
+router.put("/:id", requireAdmin(), updateWorkflow);
+
+// Activate/deactivate a workflow definition (Admin only)
+router.patch("/:id/status", requireAdmin(), updateWorkflowActiveStatus);
+
+export default router;
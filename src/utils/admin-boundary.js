@@ -0,0 +1,124 @@
+// Checks of a project's district, block, gram panchayat and location against
+// the administrative boundary master. Levels with nothing imported yet are
+// not checked, so projects can still be recorded before the master is loaded.
+import AdminBoundary from "../models/admin-boundary.model.js";
+import { districts } from "./constants.js";
+
+// District as spelled in the constants list, matched without regard to case
+export const canonicalDistrict = (name) =>
+  typeof name === "string"
+    ? districts.find(
+        (district) => district.toLowerCase() === name.trim().toLowerCase()
+      )
+    : undefined;
+
+/**
+ * Check that the chosen block is in the district and the gram panchayat in
+ * the block, and that the [longitude, latitude] point lies inside the
+ * district and block polygons.
+ * Returns { errors, block, gramPanchayat } with the names as spelled in the
+ * master.
+ */
+export const checkProjectLocation = async ({
+  district,
+  block,
+  gramPanchayat,
+  coordinates,
+}) => {
+  block = typeof block === "string" ? block.trim() : block;
+  gramPanchayat =
+    typeof gramPanchayat === "string" ? gramPanchayat.trim() : gramPanchayat;
+  const result = { errors: [], block, gramPanchayat };
+
+  const districtBoundary = district
+    ? await AdminBoundary.findByNames({ level: "district", name: district })
+    : null;
+  if (!districtBoundary) return result;
+
+  if (
+    coordinates &&
+    (await districtBoundary.containsPoint(coordinates)) === false
+  ) {
+    result.errors.push(
+      `Location (${coordinates[1]}, ${coordinates[0]}) is outside ${districtBoundary.name} district`
+    );
+  }
+
+  if (!block) return result;
+
+  const hasBlocks = await AdminBoundary.exists({
+    level: "block",
+    parent: districtBoundary._id,
+    isActive: true,
+  });
+  if (!hasBlocks) return result;
+
+  const blockBoundary = await AdminBoundary.findByNames({
+    level: "block",
+    name: block,
+    district: districtBoundary.district,
+  });
+  if (!blockBoundary) {
+    result.errors.push(
+      `Block '${block}' is not in ${districtBoundary.name} district`
+    );
+    return result;
+  }
+  result.block = blockBoundary.name;
+
+  if (
+    coordinates &&
+    (await blockBoundary.containsPoint(coordinates)) === false
+  ) {
+    result.errors.push(
+      `Location (${coordinates[1]}, ${coordinates[0]}) is outside ${blockBoundary.name} block`
+    );
+  }
+
+  if (!gramPanchayat) return result;
+
+  const hasGramPanchayats = await AdminBoundary.exists({
+    level: "gramPanchayat",
+    parent: blockBoundary._id,
+    isActive: true,
+  });
+  if (!hasGramPanchayats) return result;
+
+  const gpBoundary = await AdminBoundary.findByNames({
+    level: "gramPanchayat",
+    name: gramPanchayat,
+    district: blockBoundary.district,
+    block: blockBoundary.name,
+  });
+  if (!gpBoundary) {
+    result.errors.push(
+      `Gram panchayat '${gramPanchayat}' is not in ${blockBoundary.name} block`
+    );
+  } else {
+    result.gramPanchayat = gpBoundary.name;
+  }
+
+  return result;
+};
+
+/**
+ * Boundary of the block (when given) or else the district, if its polygon
+ * has been imported; null when there is nothing to search within
+ */
+export const findAreaBoundary = async ({ district, block }) => {
+  const districtName = canonicalDistrict(district);
+  if (!districtName) return null;
+
+  const boundary = block
+    ? await AdminBoundary.findByNames({
+        level: "block",
+        name: String(block).trim(),
+        district: districtName,
+      })
+    : await AdminBoundary.findByNames({
+        level: "district",
+        name: districtName,
+      });
+
+  return boundary?.hasGeometry ? boundary : null;
+};
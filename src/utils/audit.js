@@ -0,0 +1,81 @@
+// Shared helpers for audit trails (AuditLog and MB revisions)
+
+// Request body keys that must never be written to the audit log
+const REDACTED_KEYS = [
+  "password",
+  "newPassword",
+  "currentPassword",
+  "confirmPassword",
+  "otp",
+  "token",
+  "refreshToken",
+];
+
+const MAX_BODY_LENGTH = 10000;
+
+// Normalize values so dates, ObjectIds and subdocuments compare reliably
+const normalizeValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value && typeof value.toObject === "function") {
+    return JSON.parse(JSON.stringify(value.toObject()));
+  }
+  if (typeof value === "object") return JSON.parse(JSON.stringify(value));
+  return value;
+};
+
+// Build a field-level diff between two plain snapshots.
+// Returns [{ field, before, after }] for the fields that changed.
+export const diffSnapshots = (before = {}, after = {}, fields) => {
+  const keys = fields || [
+    ...new Set([...Object.keys(before || {}), ...Object.keys(after || {})]),
+  ];
+
+  return keys
+    .map((field) => ({
+      field,
+      before: normalizeValue(before?.[field]),
+      after: normalizeValue(after?.[field]),
+    }))
+    .filter(
+      (change) => JSON.stringify(change.before) !== JSON.stringify(change.after)
+    );
+};
+
+// Copy a request body with secrets masked and large payloads truncated
+export const redactRequestBody = (body) => {
+  if (!body || typeof body !== "object" || Object.keys(body).length === 0) {
+    return undefined;
+  }
+
+  const redact = (value) => {
+    if (Array.isArray(value)) return value.map(redact);
+    if (!value || typeof value !== "object") return value;
+
+    return Object.fromEntries(
+      Object.entries(value).map(([key, nested]) => [
+        key,
+        REDACTED_KEYS.includes(key) ? "[REDACTED]" : redact(nested),
+      ])
+    );
+  };
+
+  const redacted = redact(body);
+  const serialized = JSON.stringify(redacted);
+
+  if (serialized.length > MAX_BODY_LENGTH) {
+    return {
+      truncated: true,
+      preview: serialized.slice(0, MAX_BODY_LENGTH),
+    };
+  }
+
+  return redacted;
+};
+
+// Let a controller describe the entity it changed for the audit log.
+// Accepts { entityType, entityId, before, after, fields, actor, description }
+// and merges with anything set earlier in the request.
+export const setAuditContext = (res, context) => {
+  res.locals.audit = { ...(res.locals.audit || {}), ...context };
+};
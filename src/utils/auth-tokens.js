@@ -0,0 +1,93 @@
+import jwt from "jsonwebtoken";
+import { refreshTokenTtl } from "../models/session.model.js";
+
+const ACCESS_COOKIE_MAX_AGE = 24 * 60 * 60 * 1000;
+const REFRESH_COOKIE_PATH = "/api/auth";
+
+const baseCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  path: "/",
+});
+
+// Short-lived access token tied to a server-side session (sid)
+export const issueAccessToken = (user, session) => {
+  const payload = {
+    id: user._id,
+    sid: session._id.toString(),
+    userId: user.userId,
+    role: user.designation,
+    email: user.email,
+    name: user.fullName || "Incomplete User",
+    departmentName: user.departmentName || "Unknown Department",
+    avatar: user.avatar || null,
+  };
+
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || "15m",
+  });
+};
+
+// Set the access token cookies (same three variants as before) and the
+// refresh token cookie, which is only sent to the auth routes
+export const setAuthCookies = (res, accessToken, refreshToken) => {
+  res.cookie("token", accessToken, {
+    ...baseCookieOptions(),
+    sameSite: "lax",
+    maxAge: ACCESS_COOKIE_MAX_AGE,
+  });
+
+  res.cookie("backup-token", accessToken, {
+    ...baseCookieOptions(),
+    sameSite: "strict",
+    maxAge: ACCESS_COOKIE_MAX_AGE,
+  });
+
+  res.cookie("encoded-token", Buffer.from(accessToken).toString("base64"), {
+    ...baseCookieOptions(),
+    sameSite: "lax",
+    maxAge: ACCESS_COOKIE_MAX_AGE,
+  });
+
+  if (refreshToken) {
+    res.cookie("refreshToken", refreshToken, {
+      ...baseCookieOptions(),
+      sameSite: "strict",
+      path: REFRESH_COOKIE_PATH,
+      maxAge: refreshTokenTtl(),
+    });
+  }
+};
+
+export const clearAuthCookies = (res) => {
+  res.clearCookie("token", { ...baseCookieOptions(), sameSite: "lax" });
+  res.clearCookie("backup-token", {
+    ...baseCookieOptions(),
+    sameSite: "strict",
+  });
+  res.clearCookie("encoded-token", { ...baseCookieOptions(), sameSite: "lax" });
+  res.clearCookie("refreshToken", {
+    ...baseCookieOptions(),
+    sameSite: "strict",
+    path: REFRESH_COOKIE_PATH,
+  });
+
+  // Additional fallback cookies (if using approach with multiple names)
+  res.clearCookie("auth-token");
+  res.clearCookie("auth-fallback");
+};
+
+// Public shape of a session for the session listings
+export const formatSession = (session, currentSessionId) => ({
+  sessionId: session._id,
+  device: session.device,
+  userAgent: session.userAgent,
+  ipAddress: session.ipAddress,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  lastRefreshedAt: session.lastRefreshedAt || null,
+  expiresAt: session.expiresAt,
+  isCurrent: Boolean(
+    currentSessionId && session._id.toString() === currentSessionId.toString()
+  ),
+});
@@ -0,0 +1,152 @@
+// Helpers shared by the running-account bill controllers
+import mongoose from "mongoose";
+import ArchiveProject from "../models/archive-project.model.js";
+import Bill from "../models/bill.model.js";
+import DeductionRule from "../models/deduction-rule.model.js";
+import Project from "../models/project.model.js";
+import { withScope } from "./jurisdiction-scope.js";
+import { ldRecoveryLine } from "./liquidated-damages.js";
+
+// Find a bill by bill ID (e.g. BILL_123) or MongoDB _id, optionally
+// restricted to a jurisdiction scope filter
+export const findBill = async (id, scopeFilter = {}, session = null) => {
+  let bill = await Bill.findOne(
+    withScope({ billId: id.toUpperCase() }, scopeFilter)
+  ).session(session);
+
+  if (!bill && mongoose.Types.ObjectId.isValid(id)) {
+    bill = await Bill.findOne(withScope({ _id: id }, scopeFilter)).session(
+      session
+    );
+  }
+
+  return bill;
+};
+
+// Model backing a bill's project
+export const projectModelFor = (projectType) =>
+  projectType === "ArchiveProject" ? ArchiveProject : Project;
+
+// Value that bills of a project may not exceed in total
+export const contractValueOf = (project, projectType) =>
+  projectType === "ArchiveProject"
+    ? project.workValue || 0
+    : project.estimatedCost || 0;
+
+export const contractorNameOf = (project, projectType) =>
+  projectType === "ArchiveProject"
+    ? project.nameOfContractor
+    : project.contractorName;
+
+export const getUserInfo = (user) => ({
+  userId: user.userId,
+  name: user.fullName || user.username,
+  role: user.designation,
+});
+
+// Shape of updatedBy on financial progress updates
+export const getProgressUserInfo = (user) => ({
+  userId: user.userId,
+  userName: user.fullName || user.username,
+  userDesignation: user.designation,
+});
+
+// Normalise uploaded files from the S3 upload middleware
+export const toSupportingDocuments = (files = []) =>
+  files.map((file) => ({
+    fileName: file.fileName,
+    originalName: file.originalName,
+    downloadURL: file.downloadURL,
+    filePath: file.filePath,
+    fileSize: file.fileSize ?? file.size,
+    mimeType: file.mimeType ?? file.mimetype,
+    fileType: (file.mimeType ?? file.mimetype)?.startsWith("image/")
+      ? "image"
+      : "document",
+    uploadedAt: new Date(),
+  }));
+
+// Ledger summary of a project's bills
+export const summarizeBills = (bills, contractValue) => {
+  const sum = (list, field) =>
+    Math.round(
+      list.reduce((total, bill) => total + (bill[field] || 0), 0) * 100
+    ) / 100;
+
+  const passed = bills.filter((bill) => bill.status === "Passed");
+  const pending = bills.filter((bill) =>
+    ["Submitted", "Verified"].includes(bill.status)
+  );
+
+  const passedGross = sum(passed, "grossAmount");
+
+  return {
+    totalBills: bills.length,
+    passedBills: passed.length,
+    pendingBills: pending.length,
+    verifiedBills: bills.filter((bill) => bill.status === "Verified").length,
+    paidBills: passed.filter((bill) => bill.paymentStatus === "Paid").length,
+    rejectedBills: bills.filter((bill) => bill.status === "Rejected").length,
+    passedGrossAmount: passedGross,
+    passedDeductions: sum(passed, "totalDeductions"),
+    passedNetAmount: sum(passed, "netAmount"),
+    pendingGrossAmount: sum(pending, "grossAmount"),
+    paidAmount: sum(passed, "paidAmount"),
+    unpaidNetAmount:
+      Math.round((sum(passed, "netAmount") - sum(passed, "paidAmount")) * 100) /
+      100,
+    contractValue,
+    remainingContractValue: contractValue - passedGross,
+    financialProgress:
+      contractValue > 0 ? Math.round((passedGross / contractValue) * 100) : 0,
+    hasFinalBill: bills.some(
+      (bill) => bill.billType === "Final" && bill.status !== "Rejected"
+    ),
+  };
+};
+
+// Bill details of a financial progress update, with the statutory
+// deductions on the amount newly billed in that update and, when a project
+// is given, recovery of its outstanding liquidated damages
+// (FormData may send billDetails as a JSON string)
+export const withStatutoryDeductions = async (
+  billDetails,
+  { amount, contractValue, projectType, project = null, session = null }
+) => {
+  let details = billDetails || {};
+  if (typeof details === "string") {
+    try {
+      details = JSON.parse(details);
+    } catch (parseError) {
+      details = {};
+    }
+  }
+
+  const billDate = new Date(details.billDate || Date.now());
+  const grossAmount = Math.max(0, amount || 0);
+
+  const { deductions, totalDeductions, netAmount } =
+    await DeductionRule.computeForBill({
+      grossAmount,
+      contractValue,
+      billDate: isNaN(billDate.getTime()) ? new Date() : billDate,
+      projectType,
+    });
+
+  const ldLine = project
+    ? await ldRecoveryLine(project, {
+        grossAmount,
+        availableAmount: netAmount,
+        session,
+      })
+    : null;
+  const ldAmount = ldLine ? ldLine.amount : 0;
+
+  return {
+    ...details,
+    grossAmount,
+    deductions: ldLine ? [...deductions, ldLine] : deductions,
+    totalDeductions: Math.round((totalDeductions + ldAmount) * 100) / 100,
+    netPayable: Math.round((netAmount - ldAmount) * 100) / 100,
+  };
+};
@@ -0,0 +1,157 @@
+// Budget head allocations: commitments and expenditure against a head
+import BudgetAllocation from "../models/budget-allocation.model.js";
+import Project from "../models/project.model.js";
+import {
+  chargedOn,
+  financialYearOf,
+  financialYearRange,
+} from "./financial-year.js";
+
+const roundTo2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Commitments and expenditure against an allocation.
+ * A project on the head whose work order was issued by the year's end
+ * commits its cost not yet spent when the year began (a completed project
+ * only what it spent in the year). Approved projects are committed;
+ * projects still under approval are proposed. Expenditure is the amount
+ * billed in the year through financial progress updates and passed bills.
+ */
+export const getBudgetPosition = async (
+  allocation,
+  { session = null } = {}
+) => {
+  const { start, end } = financialYearRange(allocation.financialYear);
+
+  const projects = await Project.find({
+    budgetHead: new RegExp(`^${escapeRegex(allocation.budgetHead)}$`, "i"),
+    subFund: allocation.subFund,
+    dateOfIssueOfWorkOrder: { $lte: end },
+    status: { $not: /^Rejected/ },
+  })
+    .select(
+      "projectId projectName status estimatedCost statusWorkflow financialProgressUpdates.amountDifference financialProgressUpdates.billDetails.billDate financialProgressUpdates.createdAt"
+    )
+    .session(session)
+    .lean();
+
+  const rows = projects
+    .map((project) => {
+      let spentBefore = 0;
+      let expenditure = 0;
+      (project.financialProgressUpdates || []).forEach((update) => {
+        const date = chargedOn(update);
+        if (date < start) spentBefore += update.amountDifference || 0;
+        else if (date <= end) expenditure += update.amountDifference || 0;
+      });
+
+      const completedAt = project.statusWorkflow?.completedAt;
+      const isCompleted = project.status === "Completed";
+      if (isCompleted && completedAt < start && expenditure === 0) {
+        return null;
+      }
+
+      return {
+        projectId: project.projectId,
+        projectName: project.projectName,
+        status: project.status,
+        estimatedCost: project.estimatedCost,
+        isApproved: Boolean(project.statusWorkflow?.approvedAt),
+        commitment: roundTo2(
+          isCompleted
+            ? expenditure
+            : Math.max(expenditure, project.estimatedCost - spentBefore)
+        ),
+        expenditure: roundTo2(expenditure),
+      };
+    })
+    .filter(Boolean);
+
+  const sumOf = (list, field) =>
+    roundTo2(list.reduce((sum, row) => sum + row[field], 0));
+
+  const committed = sumOf(
+    rows.filter((row) => row.isApproved),
+    "commitment"
+  );
+  const proposed = sumOf(
+    rows.filter((row) => !row.isApproved),
+    "commitment"
+  );
+  const expenditure = sumOf(rows, "expenditure");
+  const allocated = allocation.allocatedAmount;
+
+  return {
+    budgetHead: allocation.budgetHead,
+    fund: allocation.fund,
+    subFund: allocation.subFund,
+    financialYear: allocation.financialYear,
+    overrunAction: allocation.overrunAction,
+    allocated,
+    committed,
+    proposed,
+    expenditure,
+    uncommitted: roundTo2(allocated - committed - proposed),
+    unspent: roundTo2(allocated - expenditure),
+    commitmentRate:
+      allocated > 0
+        ? Math.round(((committed + proposed) / allocated) * 100)
+        : 0,
+    utilizationRate:
+      allocated > 0 ? Math.round((expenditure / allocated) * 100) : 0,
+    isOverCommitted: committed + proposed > allocated,
+    projects: rows,
+  };
+};
+
+/**
+ * Check charging `amount` to a budget head: "commitment" for a new
+ * project's cost, "expenditure" for an amount being billed. Returns null
+ * when the head has no allocation for the financial year of `date`;
+ * otherwise the head's position with `exceeds`, `isBlocked` and a message.
+ */
+export const checkBudgetHead = async ({
+  budgetHead,
+  subFund,
+  date,
+  amount,
+  kind,
+  session = null,
+}) => {
+  if (!budgetHead?.trim() || !(amount > 0)) return null;
+
+  const allocation = await BudgetAllocation.findFor({
+    budgetHead,
+    subFund,
+    financialYear: financialYearOf(date),
+  }).session(session);
+  if (!allocation) return null;
+
+  const { projects, ...position } = await getBudgetPosition(allocation, {
+    session,
+  });
+  const used =
+    kind === "commitment"
+      ? position.committed + position.proposed
+      : position.expenditure;
+  const available = roundTo2(position.allocated - used);
+  const exceeds = amount > available;
+
+  return {
+    ...position,
+    kind,
+    amount: roundTo2(amount),
+    available,
+    exceeds,
+    isBlocked: exceeds && allocation.overrunAction === "Block",
+    message: exceeds
+      ? `${roundTo2(amount)} exceeds the ${available} ${
+          kind === "commitment" ? "uncommitted" : "unspent"
+        } on budget head ${position.budgetHead} (${position.subFund}) for ${
+          position.financialYear
+        }`
+      : null,
+  };
+};
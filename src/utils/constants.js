@@ -9,17 +9,216 @@ export const userRoles = [
   "OPERATOR",
 ];
 
+// Workflow constants
+// Every workflow state belongs to one of these categories. The category drives
+// the workflow timestamps (submittedAt/approvedAt/...) and the editable lock.
+export const workflowStateTypes = [
+  "pending",
+  "approved",
+  "rejected",
+  "completed",
+];
+
+// Built-in approval workflow, used when no active workflow definition in the
+// database matches a project. Mirrors the original JE -> AEE/CE/MD flow.
+export const defaultProjectWorkflow = {
+  name: "Default Approval Workflow",
+  code: "DEFAULT",
+  description:
+    "Single-step approval by AEE, CE or MD. Rejected projects are resubmitted by the JE.",
+  states: [
+    { name: "Submitted for Approval", type: "pending", isInitial: true },
+    { name: "Resubmitted for Approval", type: "pending" },
+    { name: "Rejected by AEE", type: "rejected" },
+    { name: "Rejected by CE", type: "rejected" },
+    { name: "Rejected by MD", type: "rejected" },
+    { name: "Ongoing", type: "approved" },
+    { name: "Completed", type: "completed" },
+  ],
+  transitions: [
+    {
+      from: ["Rejected by AEE", "Rejected by CE", "Rejected by MD"],
+      to: "Resubmitted for Approval",
+      allowedRoles: ["JE"],
+    },
+    { from: ["Ongoing"], to: "Completed", allowedRoles: ["JE"] },
+    {
+      from: ["Submitted for Approval", "Resubmitted for Approval"],
+      to: "Ongoing",
+      allowedRoles: ["AEE", "CE", "MD"],
+    },
+    {
+      from: ["Submitted for Approval", "Resubmitted for Approval"],
+      to: "Rejected by AEE",
+      allowedRoles: ["AEE"],
+      requiresRejectionReason: true,
+    },
+    {
+      from: ["Submitted for Approval", "Resubmitted for Approval"],
+      to: "Rejected by CE",
+      allowedRoles: ["CE"],
+      requiresRejectionReason: true,
+    },
+    {
+      from: ["Submitted for Approval", "Resubmitted for Approval"],
+      to: "Rejected by MD",
+      allowedRoles: ["MD"],
+      requiresRejectionReason: true,
+    },
+  ],
+};
+
 // Project constants
-export const projectStatus = [
-  "Submitted for Approval",
-  "Resubmitted for Approval",
-  "Rejected by AEE",
-  "Rejected by CE",
-  "Rejected by MD",
-  "Ongoing",
-  "Completed",
+export const projectStatus = defaultProjectWorkflow.states.map(
+  (state) => state.name
+);
+
+// Measurement Book constants
+export const mbApprovalStatus = [
+  "Draft",
+  "Submitted for Check",
+  "Approved",
+  "Rejected",
+];
+
+// Running-account bill constants
+export const billTypes = ["Running", "Final"];
+
+// Submitted by JE -> Verified by AEE -> Passed by CE/MD; payment is
+// tracked separately in billPaymentStatus
+export const billStatus = ["Submitted", "Verified", "Passed", "Rejected"];
+
+export const billPassers = ["CE", "MD"];
+
+export const billPaymentStatus = ["Unpaid", "Partially Paid", "Paid"];
+
+export const paymentModes = ["Cheque", "E-Payment", "Demand Draft"];
+
+// Age buckets (days since a bill was passed) for unpaid bills
+export const paymentAgeingBuckets = [
+  { label: "0-30 days", maxDays: 30 },
+  { label: "31-60 days", maxDays: 60 },
+  { label: "61-90 days", maxDays: 90 },
+  { label: "Over 90 days", maxDays: Infinity },
+];
+
+// Statutory and contractual deductions recovered from bills
+export const deductionTypes = [
+  "GST TDS",
+  "Income Tax TDS",
+  "Labour Cess",
+  "Security Deposit",
+  "Royalty",
+  "Liquidated Damages",
+  "Other",
+];
+
+// Utilization certificate (GFR 12-A) constants
+export const ucStatus = ["Draft", "Submitted", "Accepted"];
+
+export const grantTypes = ["Recurring", "Non-Recurring"];
+
+// Revised estimate constants
+export const costRevisionStatus = ["Pending", "Approved", "Rejected"];
+
+export const costRevisionApprovers = ["CE", "MD"];
+
+// Extension of time (EOT) constants
+export const eotReasons = [
+  "Rain / Weather",
+  "Land Issues",
+  "Contractor Delay",
+  "Design Change",
+  "Delay in Funds",
+  "Other",
 ];
 
+export const eotStatus = ["Pending", "Approved", "Rejected"];
+
+export const eotApprovers = ["AEE", "CE"];
+
+// Liquidated damages (LD) constants
+// Clause applied to projects without their own: % of contract value per
+// week of delay, capped at a % of contract value
+export const defaultLdClause = { ratePerWeek: 0.5, capPercent: 10 };
+
+export const ldWaiverStatus = ["Pending", "Approved", "Rejected"];
+
+export const ldWaiverApprovers = ["CE", "MD"];
+
+// Budget head allocation constants
+// What happens when a project or bill would take a head past its allocation
+export const budgetOverrunActions = ["Warn", "Block"];
+
+// Contractor master constants
+// Enlistment classes of contractors, highest first
+export const contractorRegistrationClasses = [
+  "Class-IA",
+  "Class-IB",
+  "Class-IC",
+  "Class-II",
+  "Class-III",
+  "Class-IV",
+  "Class-V",
+];
+
+// Debarment bars a contractor from new works for a period; blacklisting
+// may be indefinite
+export const contractorDebarmentTypes = ["Debarred", "Blacklisted"];
+
+// Contractor scorecard: the score starts at 100 and each factor deducts up
+// to its weight, in proportion to how far it is towards its limit
+export const contractorScorecardWeights = {
+  delay: 30,
+  slippage: 25,
+  openQueries: 15,
+  qualityQueries: 15,
+  liquidatedDamages: 15,
+};
+
+export const contractorScorecardLimits = {
+  // Average days past projectEndDate per project
+  delayDays: 180,
+  // Average percentage points of physical progress behind schedule
+  slippagePercent: 50,
+  // Open plus escalated queries per project
+  openQueriesPerProject: 3,
+  // Material and safety queries per project
+  qualityQueriesPerProject: 2,
+  // Net LD as a percentage of contract value
+  ldPercent: 10,
+};
+
+export const contractorQualityQueryCategories = ["Material", "Safety"];
+
+// Minimum score for each grade, best first
+export const contractorScorecardGrades = [
+  { grade: "A", minScore: 85 },
+  { grade: "B", minScore: 70 },
+  { grade: "C", minScore: 50 },
+  { grade: "D", minScore: 0 },
+];
+
+// Site photograph verification constants
+// Photos are flagged when shot further than maxDistanceKm from the project
+// location or more than maxAgeDays before the progress update
+export const photoVerificationLimits = { maxDistanceKm: 1, maxAgeDays: 15 };
+
+// Offset assumed for EXIF capture times recorded without one
+export const photoTimeZoneOffset = "+05:30";
+
+export const photoFlags = [
+  "NO_EXIF",
+  "NO_GPS",
+  "NO_CAPTURE_TIME",
+  "FAR_FROM_SITE",
+  "TAKEN_LONG_BEFORE_UPDATE",
+  "TAKEN_AFTER_UPDATE",
+];
+
+// Administrative boundary levels, from the top of the hierarchy down
+export const boundaryLevels = ["district", "block", "gramPanchayat"];
+
 export const funds = [
   {
     id: 0,
@@ -0,0 +1,377 @@
+// Migration of free-text contractor names on projects, archive projects and
+// measurement books to contractor master records: names are clustered by
+// normalised spelling and similarity for review, and reviewed clusters are
+// turned into (or attached to) contractor records.
+import mongoose from "mongoose";
+import ArchiveProject from "../models/archive-project.model.js";
+import Contractor, {
+  normalizeContractorName,
+} from "../models/contractor.model.js";
+import MeasurementBook from "../models/mb.model.js";
+import Project from "../models/project.model.js";
+
+// Minimum similarity (0-1) of two normalised names to cluster them
+export const DEFAULT_SIMILARITY = 0.85;
+
+// Free-text contractor field of each model
+const SOURCES = [
+  { model: Project, field: "contractorName", key: "projects" },
+  { model: ArchiveProject, field: "nameOfContractor", key: "archiveProjects" },
+  { model: MeasurementBook, field: "contractor", key: "measurementBooks" },
+];
+
+const emptyUsage = () => ({
+  projects: 0,
+  archiveProjects: 0,
+  measurementBooks: 0,
+});
+
+// Levenshtein similarity of two strings: 1 for equal, 0 for nothing shared
+export const nameSimilarity = (a, b) => {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+};
+
+/**
+ * Distinct contractor names not yet linked to the master, with how often
+ * each is used and, from projects, the phone numbers recorded with it
+ */
+export const collectUnlinkedNames = async () => {
+  const names = new Map();
+
+  for (const { model, field, key } of SOURCES) {
+    const rows = await model.aggregate([
+      {
+        $match: {
+          contractorRef: null,
+          [field]: { $type: "string", $ne: "" },
+        },
+      },
+      {
+        $group: {
+          _id: `$${field}`,
+          count: { $sum: 1 },
+          ...(model === Project && {
+            phones: { $addToSet: "$contractorPhoneNumber" },
+            addresses: { $addToSet: "$contractorAddress" },
+          }),
+        },
+      },
+    ]);
+
+    rows.forEach((row) => {
+      if (!names.has(row._id)) {
+        names.set(row._id, {
+          name: row._id,
+          usage: emptyUsage(),
+          phones: [],
+          addresses: [],
+        });
+      }
+      const entry = names.get(row._id);
+      entry.usage[key] += row.count;
+      entry.phones.push(...(row.phones || []));
+      entry.addresses.push(...(row.addresses || []));
+    });
+  }
+
+  return [...names.values()];
+};
+
+const totalUsage = (usage) =>
+  usage.projects + usage.archiveProjects + usage.measurementBooks;
+
+const phoneKey = (phone) =>
+  String(phone || "")
+    .replace(/\D/g, "")
+    .slice(-10);
+
+/**
+ * Group spelling variants of the same contractor. Names cluster when they
+ * normalise to the same key, when their keys are at least `similarity`
+ * alike, or when projects record the same phone number for them.
+ * Each cluster suggests the most used spelling as the contractor name and
+ * shows the master record its names already match, if any.
+ */
+export const clusterContractorNames = async ({
+  similarity = DEFAULT_SIMILARITY,
+} = {}) => {
+  const entries = await collectUnlinkedNames();
+
+  // Union-find over normalised keys
+  const parent = new Map();
+  const find = (key) => {
+    while (parent.get(key) !== key) {
+      parent.set(key, parent.get(parent.get(key)));
+      key = parent.get(key);
+    }
+    return key;
+  };
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parent.set(rootB, rootA);
+  };
+
+  const entriesByKey = new Map();
+  entries.forEach((entry) => {
+    entry.key = normalizeContractorName(entry.name);
+    if (!entry.key) return;
+    if (!entriesByKey.has(entry.key)) {
+      entriesByKey.set(entry.key, []);
+      parent.set(entry.key, entry.key);
+    }
+    entriesByKey.get(entry.key).push(entry);
+  });
+
+  // Similar keys: compared only within the same leading letters, which
+  // keeps the comparison count manageable for large registers
+  const blocks = new Map();
+  [...entriesByKey.keys()].forEach((key) => {
+    const block = key.replace(/\s/g, "").slice(0, 2);
+    if (!blocks.has(block)) blocks.set(block, []);
+    blocks.get(block).push(key);
+  });
+  blocks.forEach((keys) => {
+    for (let i = 0; i < keys.length; i++) {
+      for (let j = i + 1; j < keys.length; j++) {
+        if (nameSimilarity(keys[i], keys[j]) >= similarity) {
+          union(keys[i], keys[j]);
+        }
+      }
+    }
+  });
+
+  // Same phone number on projects
+  const keyByPhone = new Map();
+  entriesByKey.forEach((keyEntries, key) =>
+    keyEntries.forEach((entry) =>
+      entry.phones.map(phoneKey).forEach((phone) => {
+        if (phone.length !== 10) return;
+        if (keyByPhone.has(phone)) union(keyByPhone.get(phone), key);
+        else keyByPhone.set(phone, key);
+      })
+    )
+  );
+
+  const clusters = new Map();
+  entriesByKey.forEach((keyEntries, key) => {
+    const root = find(key);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(...keyEntries);
+  });
+
+  const allKeys = [...entriesByKey.keys()];
+  const matches = await Contractor.find({
+    nameKeys: { $in: allKeys },
+    mergedInto: null,
+  })
+    .select("contractorId name nameKeys isActive")
+    .lean();
+
+  return [...clusters.values()]
+    .map((variants) => {
+      const sorted = [...variants].sort(
+        (a, b) => totalUsage(b.usage) - totalUsage(a.usage)
+      );
+      const keys = new Set(sorted.map((variant) => variant.key));
+      const usage = emptyUsage();
+      sorted.forEach((variant) =>
+        Object.keys(usage).forEach((source) => {
+          usage[source] += variant.usage[source];
+        })
+      );
+
+      return {
+        clusterKey: [...keys].sort()[0],
+        suggestedName: sorted[0].name,
+        variants: sorted.map(({ name, usage: variantUsage }) => ({
+          name,
+          usage: variantUsage,
+        })),
+        usage,
+        phones: [...new Set(sorted.flatMap((variant) => variant.phones))],
+        addresses: [...new Set(sorted.flatMap((variant) => variant.addresses))],
+        matchedContractors: matches
+          .filter((contractor) =>
+            contractor.nameKeys.some((key) => keys.has(key))
+          )
+          .map(({ _id, contractorId, name, isActive }) => ({
+            _id,
+            contractorId,
+            name,
+            isActive,
+          })),
+      };
+    })
+    .sort((a, b) => totalUsage(b.usage) - totalUsage(a.usage));
+};
+
+// Point the free-text names of a cluster at a contractor record
+const linkVariants = async (contractorId, variants, session) => {
+  const linked = emptyUsage();
+
+  for (const { model, field, key } of SOURCES) {
+    const result = await model.updateMany(
+      { [field]: { $in: variants }, contractorRef: null },
+      { $set: { contractorRef: contractorId } },
+      { session }
+    );
+    linked[key] = result.modifiedCount;
+  }
+
+  return linked;
+};
+
+/**
+ * Create or extend a contractor record for a reviewed cluster and link every
+ * record using one of its names.
+ * cluster: { name, variants: [names], contractorId (existing record to
+ * attach to), details (other contractor fields for a new record) }
+ * Returns { contractor, created, linked }; throws an Error with `status`
+ * for clusters that cannot be applied.
+ */
+export const applyContractorCluster = async (cluster, user, { dryRun }) => {
+  const name = cluster.name?.trim();
+  const variants = [
+    ...new Set(
+      [name, ...(cluster.variants || [])]
+        .filter((variant) => typeof variant === "string" && variant.trim())
+        .map((variant) => variant.trim())
+    ),
+  ];
+  if (!name) {
+    throw Object.assign(new Error("Cluster name is required"), {
+      status: 400,
+    });
+  }
+
+  let contractor = cluster.contractorId
+    ? await Contractor.findByIdentifier(cluster.contractorId)
+    : await Contractor.findByName(name);
+  if (cluster.contractorId && (!contractor || contractor.mergedInto)) {
+    throw Object.assign(
+      new Error(`Contractor '${cluster.contractorId}' not found`),
+      { status: 404 }
+    );
+  }
+
+  // A name already belonging to another record must be merged instead
+  const keys = variants.map(normalizeContractorName).filter(Boolean);
+  const owner = await Contractor.findOne({
+    nameKeys: { $in: keys },
+    mergedInto: null,
+    ...(contractor && { _id: { $ne: contractor._id } }),
+  })
+    .select("contractorId name")
+    .lean();
+  if (owner) {
+    throw Object.assign(
+      new Error(
+        `Some names already belong to '${owner.name}' (${owner.contractorId}); merge the records instead`
+      ),
+      { status: 409 }
+    );
+  }
+
+  const created = !contractor;
+  if (created) {
+    contractor = new Contractor({
+      ...(cluster.details || {}),
+      contractorId: await Contractor.generateContractorId(),
+      name,
+      createdBy: user,
+    });
+  } else {
+    contractor.lastModifiedBy = { ...user, modifiedAt: new Date() };
+  }
+  contractor.aliases = [...(contractor.aliases || []), ...variants];
+  await contractor.validate();
+
+  if (dryRun) {
+    return { contractor, created, linked: null };
+  }
+
+  const session = await mongoose.startSession();
+  let linked;
+  try {
+    await session.withTransaction(async () => {
+      await contractor.save({ session });
+      linked = await linkVariants(contractor._id, variants, session);
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return { contractor, created, linked };
+};
+
+/**
+ * Merge contractor records into `target`: their names become aliases of
+ * the target, every reference moves to it, debarments not yet revoked or
+ * ended carry over to it, and the merged records are kept inactive with
+ * mergedInto set.
+ */
+export const mergeContractorRecords = async (target, sources, user) => {
+  const moved = emptyUsage();
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      for (const source of sources) {
+        for (const { model, key } of SOURCES) {
+          const result = await model.updateMany(
+            { contractorRef: source._id },
+            { $set: { contractorRef: target._id } },
+            { session }
+          );
+          moved[key] += result.modifiedCount;
+        }
+
+        const now = new Date();
+        (source.debarments || [])
+          .filter(
+            (debarment) =>
+              !debarment.revokedAt &&
+              (!debarment.effectiveTo || debarment.effectiveTo >= now)
+          )
+          .forEach((debarment) => target.debarments.push(debarment.toObject()));
+
+        target.aliases = [
+          ...(target.aliases || []),
+          source.name,
+          ...(source.aliases || []),
+        ];
+        source.set({
+          mergedInto: target._id,
+          mergedAt: new Date(),
+          isActive: false,
+          lastModifiedBy: { ...user, modifiedAt: new Date() },
+        });
+        await source.save({ session });
+      }
+
+      target.lastModifiedBy = { ...user, modifiedAt: new Date() };
+      await target.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return moved;
+};
@@ -0,0 +1,209 @@
+// Contractor performance scorecard, computed from the approved projects
+// that reference the contractor master record
+import Project from "../models/project.model.js";
+import {
+  contractorQualityQueryCategories,
+  contractorScorecardGrades,
+  contractorScorecardLimits,
+  contractorScorecardWeights,
+} from "./constants.js";
+import { withScope } from "./jurisdiction-scope.js";
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const OPEN_QUERY_STATUSES = ["Open", "In Progress"];
+
+// Fields of a project the scorecard reads
+const SCORECARD_PROJECT_FIELDS = [
+  "projectId",
+  "projectName",
+  "contractorRef",
+  "status",
+  "estimatedCost",
+  "projectStartDate",
+  "projectEndDate",
+  "extensionPeriodForCompletion",
+  "progressPercentage",
+  "statusWorkflow",
+  "ldClause",
+  "ldWaivers",
+  "queries.status",
+  "queries.isActive",
+  "queries.escalationLevel",
+  "queries.queryCategory",
+].join(" ");
+
+const roundTo2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Delay, progress slippage, queries and LD of one project on `asOf`.
+ * Delay is counted from the original projectEndDate, to completion or to
+ * `asOf` for works still running; slippage is how far physical progress
+ * trails the share of the scheduled period already elapsed.
+ */
+export const projectPerformance = (project, asOf = new Date()) => {
+  const ld = project.computeLiquidatedDamages(asOf);
+  const isCompleted = project.status === "Completed";
+
+  const delayDays = project.projectEndDate
+    ? Math.max(
+        0,
+        Math.floor((ld.delayedUntil - project.projectEndDate) / DAY_MS)
+      )
+    : 0;
+
+  let expectedProgress = null;
+  let slippage = 0;
+  const { projectStartDate: start, projectEndDate: end } = project;
+  if (!isCompleted && start && end && end > start) {
+    expectedProgress = Math.round(
+      Math.min(100, Math.max(0, ((asOf - start) / (end - start)) * 100))
+    );
+    slippage = Math.max(
+      0,
+      expectedProgress - (project.progressPercentage || 0)
+    );
+  }
+
+  const queries = (project.queries || []).filter(
+    (query) => query.isActive !== false
+  );
+  const openQueries = queries.filter((query) =>
+    OPEN_QUERY_STATUSES.includes(query.status)
+  );
+
+  return {
+    projectId: project.projectId,
+    projectName: project.projectName,
+    status: project.status,
+    projectEndDate: project.projectEndDate,
+    completionDate: ld.completionDate,
+    isCompleted,
+    delayDays,
+    progressPercentage: project.progressPercentage || 0,
+    expectedProgress,
+    slippage,
+    openQueries: openQueries.length,
+    escalatedQueries: openQueries.filter((query) => query.escalationLevel > 0)
+      .length,
+    qualityQueries: queries.filter((query) =>
+      contractorQualityQueryCategories.includes(query.queryCategory)
+    ).length,
+    contractValue: ld.contractValue,
+    ldAccrued: ld.accrued,
+    ldWaived: ld.waived,
+  };
+};
+
+const gradeFor = (score) =>
+  contractorScorecardGrades.find((entry) => score >= entry.minScore).grade;
+
+/**
+ * Score (0-100) and grade from the performance of a contractor's projects.
+ * Contractors without approved projects are not rated.
+ */
+export const buildScorecard = (performances) => {
+  const count = performances.length;
+  const sum = (list, field) =>
+    list.reduce((total, entry) => total + (entry[field] || 0), 0);
+
+  const running = performances.filter((entry) => !entry.isCompleted);
+  const contractValue = sum(performances, "contractValue");
+  const netLd = Math.max(
+    0,
+    sum(performances, "ldAccrued") - sum(performances, "ldWaived")
+  );
+
+  const totals = {
+    projects: count,
+    completedProjects: count - running.length,
+    runningProjects: running.length,
+    delayedProjects: performances.filter((entry) => entry.delayDays > 0).length,
+    openQueries: sum(performances, "openQueries"),
+    escalatedQueries: sum(performances, "escalatedQueries"),
+    qualityQueries: sum(performances, "qualityQueries"),
+    projectsWithLd: performances.filter((entry) => entry.ldAccrued > 0).length,
+    contractValue: roundTo2(contractValue),
+    ldAccrued: roundTo2(sum(performances, "ldAccrued")),
+    ldWaived: roundTo2(sum(performances, "ldWaived")),
+  };
+
+  if (count === 0) {
+    return { score: null, grade: "Not Rated", factors: null, totals };
+  }
+
+  const values = {
+    delay: sum(performances, "delayDays") / count,
+    slippage:
+      running.length > 0 ? sum(running, "slippage") / running.length : 0,
+    openQueries: (totals.openQueries + totals.escalatedQueries) / count,
+    qualityQueries: totals.qualityQueries / count,
+    liquidatedDamages: contractValue > 0 ? (netLd / contractValue) * 100 : 0,
+  };
+  const limits = {
+    delay: contractorScorecardLimits.delayDays,
+    slippage: contractorScorecardLimits.slippagePercent,
+    openQueries: contractorScorecardLimits.openQueriesPerProject,
+    qualityQueries: contractorScorecardLimits.qualityQueriesPerProject,
+    liquidatedDamages: contractorScorecardLimits.ldPercent,
+  };
+
+  const factors = Object.fromEntries(
+    Object.entries(contractorScorecardWeights).map(([factor, weight]) => [
+      factor,
+      {
+        value: roundTo2(values[factor]),
+        limit: limits[factor],
+        weight,
+        deduction: roundTo2(
+          weight * Math.min(1, values[factor] / limits[factor])
+        ),
+      },
+    ])
+  );
+
+  const score = Math.round(
+    100 -
+      Object.values(factors).reduce(
+        (total, factor) => total + factor.deduction,
+        0
+      )
+  );
+
+  return { score, grade: gradeFor(score), factors, totals };
+};
+
+/**
+ * Scorecards of contractors from their approved projects within the
+ * request's jurisdiction scope.
+ * Returns a Map of contractor _id -> { ...scorecard, projects }.
+ */
+export const getContractorScorecards = async (
+  contractorIds,
+  scopeFilter,
+  asOf = new Date()
+) => {
+  const projects = await Project.find(
+    withScope(
+      {
+        contractorRef: { $in: contractorIds },
+        "statusWorkflow.approvedAt": { $ne: null },
+      },
+      scopeFilter
+    )
+  ).select(SCORECARD_PROJECT_FIELDS);
+
+  const byContractor = new Map(contractorIds.map((id) => [id.toString(), []]));
+  projects.forEach((project) =>
+    byContractor
+      .get(project.contractorRef.toString())
+      ?.push(projectPerformance(project, asOf))
+  );
+
+  return new Map(
+    [...byContractor].map(([id, performances]) => [
+      id,
+      { ...buildScorecard(performances), projects: performances },
+    ])
+  );
+};
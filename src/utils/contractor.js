@@ -0,0 +1,78 @@
+// Helpers for choosing a contractor from the contractor master
+import Contractor from "../models/contractor.model.js";
+
+/**
+ * Contractor chosen on a project by contractor ID or _id.
+ * Returns { contractor } or { error } for unknown, merged, inactive or
+ * debarred records.
+ */
+export const findSelectableContractor = async (id) => {
+  const contractor = await Contractor.findByIdentifier(id);
+
+  if (!contractor) {
+    return { error: `Contractor '${id}' not found in the contractor master` };
+  }
+  if (contractor.mergedInto) {
+    const current = await Contractor.findById(contractor.mergedInto)
+      .select("contractorId name")
+      .lean();
+    return {
+      error: `Contractor '${contractor.name}' was merged into ${
+        current
+          ? `'${current.name}' (${current.contractorId})`
+          : "another record"
+      }`,
+    };
+  }
+  if (!contractor.isActive) {
+    return { error: `Contractor '${contractor.name}' is inactive` };
+  }
+
+  const debarred = debarmentError(contractor);
+  if (debarred)
+    return { error: debarred, debarment: contractor.activeDebarment };
+
+  return { contractor };
+};
+
+/**
+ * Reason a contractor may not be given new works because a debarment or
+ * blacklisting is in force, or null
+ */
+export const debarmentError = (contractor, date = new Date()) => {
+  const debarment = contractor.debarmentOn(date);
+  if (!debarment) return null;
+
+  const until = debarment.effectiveTo
+    ? ` until ${debarment.effectiveTo.toISOString().split("T")[0]}`
+    : "";
+  const order = debarment.orderNumber
+    ? ` by order ${debarment.orderNumber}`
+    : "";
+
+  return `Contractor '${contractor.name}' (${
+    contractor.contractorId
+  }) is ${debarment.type.toLowerCase()}${until}${order}: ${debarment.reason}`;
+};
+
+/**
+ * Debarment in force for the contractor master record a free-text
+ * contractor name resolves to. Returns { error, debarment } or null.
+ */
+export const findDebarmentByName = async (name) => {
+  const contractor = await Contractor.findByName(name);
+  if (!contractor) return null;
+
+  const error = debarmentError(contractor);
+  return error ? { error, debarment: contractor.activeDebarment } : null;
+};
+
+// Project contractor fields filled from a master record, keeping any
+// address or phone number given for this work
+export const projectContractorFields = (contractor, given = {}) => ({
+  contractorRef: contractor._id,
+  contractorName: contractor.name,
+  contractorAddress: given.contractorAddress?.trim() || contractor.address,
+  contractorPhoneNumber:
+    given.contractorPhoneNumber?.trim() || contractor.phoneNumber,
+});
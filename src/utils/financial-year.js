@@ -0,0 +1,107 @@
+// Financial years (April to March) and attribution of project expenditure
+// to them by bill date
+
+const roundTo2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Financial year of a date, e.g. 2025-2026
+export const financialYearOf = (date = new Date()) => {
+  const day = new Date(date);
+  const startYear =
+    day.getMonth() >= 3 ? day.getFullYear() : day.getFullYear() - 1;
+  return `${startYear}-${startYear + 1}`;
+};
+
+// First and last instant of a financial year, or null if malformed
+export const financialYearRange = (financialYear) => {
+  const match = /^(\d{4})-(\d{4})$/.exec(financialYear || "");
+  if (!match || Number(match[2]) !== Number(match[1]) + 1) return null;
+
+  return {
+    start: new Date(Number(match[1]), 3, 1),
+    end: new Date(Number(match[2]), 2, 31, 23, 59, 59, 999),
+  };
+};
+
+// Date the amount billed in a financial progress update is charged on
+export const chargedOn = (update) =>
+  new Date(update.billDetails?.billDate || update.createdAt);
+
+// Amount billed per financial year, oldest year first
+export const expenditureByFinancialYear = (financialProgressUpdates = []) => {
+  const byYear = new Map();
+  financialProgressUpdates.forEach((update) => {
+    const financialYear = financialYearOf(chargedOn(update));
+    byYear.set(
+      financialYear,
+      (byYear.get(financialYear) || 0) + (update.amountDifference || 0)
+    );
+  });
+
+  return [...byYear.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([financialYear, amount]) => ({
+      financialYear,
+      expenditure: roundTo2(amount),
+    }));
+};
+
+/**
+ * Approved estimate of a project in force on `date`: the revised cost of the
+ * last cost revision approved by then, else the cost before the first
+ * revision approved after it, else the current estimate
+ */
+export const approvedEstimateAt = (project, date) => {
+  const approved = (project.costRevisions || [])
+    .filter((revision) => revision.status === "Approved" && revision.decidedAt)
+    .sort((a, b) => new Date(a.decidedAt) - new Date(b.decidedAt));
+
+  const inForce = approved
+    .filter((revision) => new Date(revision.decidedAt) <= date)
+    .pop();
+  if (inForce) return inForce.revisedCost || 0;
+
+  const next = approved.find((revision) => new Date(revision.decidedAt) > date);
+  return (next ? next.previousCost : project.estimatedCost) || 0;
+};
+
+/**
+ * Cumulative physical and financial position of a project at the end of a
+ * financial year. Physical progress is the last progress update made by
+ * the year's end, the estimate is the one approved by then and expenditure
+ * is attributed by bill date.
+ */
+export const projectPositionAt = (project, financialYear) => {
+  const { start, end } = financialYearRange(financialYear);
+
+  let openingExpenditure = 0;
+  let expenditureInYear = 0;
+  (project.financialProgressUpdates || []).forEach((update) => {
+    const date = chargedOn(update);
+    if (date < start) openingExpenditure += update.amountDifference || 0;
+    else if (date <= end) expenditureInYear += update.amountDifference || 0;
+  });
+
+  const lastProgressUpdate = (project.progressUpdates || [])
+    .filter((update) => new Date(update.createdAt) <= end)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
+
+  const estimatedCost = approvedEstimateAt(project, end);
+  const cumulativeExpenditure = openingExpenditure + expenditureInYear;
+  const completedAt = project.statusWorkflow?.completedAt;
+  const isCompleted = completedAt && new Date(completedAt) <= end;
+
+  return {
+    estimatedCost,
+    physicalProgress: lastProgressUpdate?.newProgress || 0,
+    financialProgress:
+      estimatedCost > 0
+        ? Math.round((cumulativeExpenditure / estimatedCost) * 100)
+        : 0,
+    openingExpenditure: roundTo2(openingExpenditure),
+    expenditureInYear: roundTo2(expenditureInYear),
+    cumulativeExpenditure: roundTo2(cumulativeExpenditure),
+    balanceCost: roundTo2(Math.max(0, estimatedCost - cumulativeExpenditure)),
+    isCompleted: Boolean(isCompleted),
+    isCarriedForward: !isCompleted,
+  };
+};
@@ -0,0 +1,161 @@
+// Parsing of geospatial query parameters and GeoJSON output for projects.
+// Project points are stored as [longitude, latitude] in
+// geoLocation.coordinates, which carries the 2dsphere index.
+
+export const GEO_FIELD = "geoLocation.coordinates";
+
+const EARTH_RADIUS_KM = 6378.1;
+
+export const MAX_RADIUS_KM = 200;
+
+// Error for malformed geospatial input, reported to the client as a 400
+export class GeoInputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "GeoInputError";
+  }
+}
+
+const isPosition = (position) =>
+  Array.isArray(position) &&
+  position.length >= 2 &&
+  Number.isFinite(Number(position[0])) &&
+  Number.isFinite(Number(position[1])) &&
+  Math.abs(position[0]) <= 180 &&
+  Math.abs(position[1]) <= 90;
+
+// Validate a linear ring and close it if the last point is not the first
+const toRing = (ring) => {
+  if (!Array.isArray(ring) || !ring.every(isPosition)) {
+    throw new GeoInputError(
+      "Polygon points must be [longitude, latitude] pairs"
+    );
+  }
+
+  const points = ring.map(([lng, lat]) => [Number(lng), Number(lat)]);
+  const [first] = points;
+  const last = points[points.length - 1];
+  if (first && (first[0] !== last[0] || first[1] !== last[1])) {
+    points.push([...first]);
+  }
+
+  if (points.length < 4) {
+    throw new GeoInputError("A polygon needs at least three distinct points");
+  }
+  return points;
+};
+
+/**
+ * Polygon from a GeoJSON Polygon / MultiPolygon geometry (or a Feature
+ * wrapping one), or from a bare ring of [longitude, latitude] points.
+ * Accepts a JSON string, as sent in query strings.
+ */
+export const parsePolygon = (input) => {
+  let value = input;
+  if (typeof value === "string") {
+    try {
+      value = JSON.parse(value);
+    } catch (parseError) {
+      throw new GeoInputError("polygon must be valid JSON");
+    }
+  }
+
+  if (value?.type === "Feature") value = value.geometry;
+
+  if (value?.type === "Polygon" && Array.isArray(value.coordinates)) {
+    return { type: "Polygon", coordinates: value.coordinates.map(toRing) };
+  }
+  if (value?.type === "MultiPolygon" && Array.isArray(value.coordinates)) {
+    return {
+      type: "MultiPolygon",
+      coordinates: value.coordinates.map((polygon) =>
+        Array.isArray(polygon) ? polygon.map(toRing) : toRing(polygon)
+      ),
+    };
+  }
+  if (Array.isArray(value)) {
+    return { type: "Polygon", coordinates: [toRing(value)] };
+  }
+
+  throw new GeoInputError(
+    "polygon must be a GeoJSON Polygon or MultiPolygon, or a list of [longitude, latitude] points"
+  );
+};
+
+// Centre point and radius (km) of a radius search
+export const parseCircle = ({ lat, lng, radiusKm = 5 }) => {
+  const latitude = Number(lat);
+  const longitude = Number(lng);
+  const radius = Number(radiusKm);
+
+  if (
+    lat === undefined ||
+    lng === undefined ||
+    !isPosition([longitude, latitude])
+  ) {
+    throw new GeoInputError("Valid lat and lng are required");
+  }
+  if (!(radius > 0) || radius > MAX_RADIUS_KM) {
+    throw new GeoInputError(
+      `radiusKm must be greater than 0 and at most ${MAX_RADIUS_KM}`
+    );
+  }
+
+  return { point: [longitude, latitude], radiusKm: radius };
+};
+
+// $geoWithin conditions for a polygon or a circle
+export const withinPolygon = (geometry) => ({
+  [GEO_FIELD]: { $geoWithin: { $geometry: geometry } },
+});
+
+export const withinCircle = ({ point, radiusKm }) => ({
+  [GEO_FIELD]: {
+    $geoWithin: { $centerSphere: [point, radiusKm / EARTH_RADIUS_KM] },
+  },
+});
+
+// Great-circle distance in km between two [longitude, latitude] points
+export const distanceKm = ([lng1, lat1], [lng2, lat2]) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) *
+      Math.cos(toRadians(lat2)) *
+      Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+// GeoJSON Feature for a project with the properties the map view shows
+export const toProjectFeature = (project) => ({
+  type: "Feature",
+  id: project.projectId,
+  geometry: {
+    type: "Point",
+    coordinates: project.geoLocation.coordinates,
+  },
+  properties: {
+    projectId: project.projectId,
+    projectName: project.projectName,
+    status: project.status,
+    typeOfWork: project.typeOfWork,
+    district: project.district,
+    block: project.block,
+    gramPanchayat: project.gramPanchayat,
+    fund: project.fund,
+    subFund: project.subFund,
+    contractorName: project.contractorName,
+    estimatedCost: project.estimatedCost,
+    billSubmittedAmount: project.billSubmittedAmount || 0,
+    progressPercentage: project.progressPercentage || 0,
+    financialProgress: project.financialProgress || 0,
+    projectEndDate:
+      project.extensionPeriodForCompletion || project.projectEndDate,
+    ...(project.distanceKm !== undefined && {
+      distanceKm: Math.round(project.distanceKm * 100) / 100,
+    }),
+  },
+});
@@ -0,0 +1,179 @@
+import ArchiveProject from "../models/archive-project.model.js";
+import Jurisdiction from "../models/jurisdiction.model.js";
+import Project from "../models/project.model.js";
+import { districts as allDistricts } from "./constants.js";
+
+// Roles that see data across the whole state
+const STATEWIDE_ROLES = ["MD", "ADMIN"];
+
+// Project statuses visible to VIEWER users
+const VIEWER_STATUSES = ["Ongoing", "Completed"];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Whole-word match for a district name in free text that does not match
+// longer district names containing it ("Kamrup" vs "Kamrup Metropolitan",
+// "Karbi Anglong" vs "West Karbi Anglong")
+const districtRegex = (district) => {
+  let lookbehind = "(?<!\\w)";
+  let lookahead = "(?!\\w)";
+
+  allDistricts
+    .filter((other) => other !== district && other.includes(district))
+    .forEach((other) => {
+      const index = other.indexOf(district);
+      const before = other.slice(0, index);
+      const after = other.slice(index + district.length);
+      if (before) lookbehind += `(?<!${escapeRegex(before)})`;
+      if (after) lookahead += `(?!${escapeRegex(after)})`;
+    });
+
+  return new RegExp(`${lookbehind}${escapeRegex(district)}${lookahead}`, "i");
+};
+
+/**
+ * Work out what a user is allowed to see.
+ * - MD/ADMIN: everything
+ * - OPERATOR: all archive projects (which they enter), no live projects
+ * - JE: only projects assigned to them (archive projects where they are the
+ *   concerned engineer)
+ * - AEE/CE/VIEWER: projects in the districts of their assigned divisions,
+ *   circles and districts. Users with no assignment see nothing until they
+ *   are posted.
+ * - VIEWER: additionally only Ongoing and Completed projects
+ */
+export const getUserScope = async (user) => {
+  const role = user.designation;
+
+  if (STATEWIDE_ROLES.includes(role)) {
+    return { role, unrestricted: true };
+  }
+
+  if (role === "OPERATOR") {
+    return { role, unrestricted: false, archiveOnly: true };
+  }
+
+  if (role === "JE") {
+    return {
+      role,
+      unrestricted: false,
+      userId: user.userId,
+      engineerNames: [user.fullName, user.username].filter(Boolean),
+    };
+  }
+
+  const {
+    circles = [],
+    divisions = [],
+    districts = [],
+  } = user.jurisdiction || {};
+  const isAssigned =
+    circles.length > 0 || divisions.length > 0 || districts.length > 0;
+
+  return {
+    role,
+    unrestricted: false,
+    districts: isAssigned
+      ? await Jurisdiction.resolveDistricts({ circles, divisions, districts })
+      : [],
+    statuses: role === "VIEWER" ? VIEWER_STATUSES : null,
+  };
+};
+
+// Scope for the current request, resolved once per request
+export const getRequestScope = async (req) => {
+  if (!req.jurisdictionScope) {
+    req.jurisdictionScope = await getUserScope(req.user);
+  }
+  return req.jurisdictionScope;
+};
+
+// Filter restricting Project queries to the user's scope
+export const buildProjectScopeFilter = (scope) => {
+  if (scope.unrestricted) return {};
+  if (scope.archiveOnly) return { _id: { $in: [] } };
+
+  const filter = {};
+  if (scope.userId)
+    Object.assign(filter, Project.assignedToFilter(scope.userId));
+  if (scope.districts) filter.district = { $in: scope.districts };
+  if (scope.statuses) filter.status = { $in: scope.statuses };
+
+  return filter;
+};
+
+// Filter restricting ArchiveProject queries to the user's scope.
+// Archive projects only have a free-text location, so districts are
+// matched as whole words within it.
+export const buildArchiveProjectScopeFilter = (scope) => {
+  if (scope.unrestricted || scope.archiveOnly) return {};
+
+  const filter = {};
+  if (scope.engineerNames) {
+    filter.concernedEngineer = { $in: scope.engineerNames };
+  }
+  if (scope.districts) {
+    filter.location = {
+      $in: scope.districts.map(districtRegex),
+    };
+  }
+
+  return filter;
+};
+
+export const getProjectScopeFilter = async (req) =>
+  buildProjectScopeFilter(await getRequestScope(req));
+
+export const getArchiveProjectScopeFilter = async (req) =>
+  buildArchiveProjectScopeFilter(await getRequestScope(req));
+
+// Filter restricting MeasurementBook queries to MBs of projects in scope
+export const getMeasurementBookScopeFilter = async (req) => {
+  const scope = await getRequestScope(req);
+  if (scope.unrestricted) return {};
+
+  const [projectIds, archiveProjectIds] = await Promise.all([
+    Project.distinct("_id", buildProjectScopeFilter(scope)),
+    ArchiveProject.distinct("_id", buildArchiveProjectScopeFilter(scope)),
+  ]);
+
+  return {
+    $or: [
+      { projectType: "Project", project: { $in: projectIds } },
+      { projectType: "ArchiveProject", project: { $in: archiveProjectIds } },
+    ],
+  };
+};
+
+// Bills reference their project the same way MBs do
+export const getBillScopeFilter = getMeasurementBookScopeFilter;
+
+// Combine a query filter with a scope filter without either overriding
+// the other's conditions on the same field
+export const withScope = (filter, scopeFilter) =>
+  Object.keys(scopeFilter).length > 0
+    ? { $and: [filter, scopeFilter] }
+    : filter;
+
+// Whether a project found in either collection is within the request's
+// scope
+export const isProjectInScope = async (req, project, projectType) => {
+  const [model, scopeFilter] =
+    projectType === "ArchiveProject"
+      ? [ArchiveProject, await getArchiveProjectScopeFilter(req)]
+      : [Project, await getProjectScopeFilter(req)];
+  if (Object.keys(scopeFilter).length === 0) return true;
+
+  return Boolean(
+    await model.exists(withScope({ _id: project._id }, scopeFilter))
+  );
+};
+
+// Summary of the scope for API responses
+export const describeScope = (scope) => ({
+  role: scope.role,
+  unrestricted: scope.unrestricted,
+  districts: scope.districts || null,
+  archiveOnly: Boolean(scope.archiveOnly),
+  ownProjectsOnly: Boolean(scope.userId),
+});
@@ -0,0 +1,71 @@
+// Liquidated damages position of a project and its recovery through bills
+import Bill, { ACTIVE_BILL_STATUSES } from "../models/bill.model.js";
+
+export const LD_DEDUCTION = {
+  code: "LD",
+  name: "Liquidated Damages",
+  type: "Liquidated Damages",
+};
+
+const roundTo2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Accrued, waived, recovered and still recoverable LD of a project.
+ * Recovered LD is the LD deducted on financial progress updates and on
+ * bills in the bill ledger that have not been rejected.
+ */
+export const getLdPosition = async (
+  project,
+  { asOf = new Date(), session = null } = {}
+) => {
+  const ld = project.computeLiquidatedDamages(asOf);
+
+  const fromUpdates = (project.financialProgressUpdates || []).reduce(
+    (sum, update) =>
+      sum +
+      (update.billDetails?.deductions || [])
+        .filter((line) => line.type === LD_DEDUCTION.type)
+        .reduce((lineSum, line) => lineSum + line.amount, 0),
+    0
+  );
+
+  const [fromBills] = await Bill.aggregate([
+    {
+      $match: {
+        project: project._id,
+        projectType: "Project",
+        status: { $in: ACTIVE_BILL_STATUSES },
+      },
+    },
+    { $unwind: "$deductions" },
+    { $match: { "deductions.type": LD_DEDUCTION.type } },
+    { $group: { _id: null, total: { $sum: "$deductions.amount" } } },
+  ]).session(session);
+
+  const recovered = roundTo2(fromUpdates + (fromBills?.total || 0));
+
+  return {
+    ...ld,
+    recovered,
+    recoverable: roundTo2(Math.max(0, ld.accrued - ld.waived - recovered)),
+  };
+};
+
+// LD deduction line recovering outstanding LD from a bill, limited to the
+// amount left after other deductions. Returns null when nothing is due.
+export const ldRecoveryLine = async (
+  project,
+  { grossAmount, availableAmount, session = null }
+) => {
+  const { recoverable } = await getLdPosition(project, { session });
+  const amount = roundTo2(Math.min(recoverable, Math.max(0, availableAmount)));
+
+  if (amount <= 0) return null;
+
+  return {
+    ...LD_DEDUCTION,
+    rate: null,
+    baseAmount: roundTo2(grossAmount),
+    amount,
+  };
+};
@@ -0,0 +1,219 @@
+// Helpers for MB lookups, measurement quantities and the abstract of cost
+import mongoose from "mongoose";
+import MeasurementBook from "../models/mb.model.js";
+import { withScope } from "./jurisdiction-scope.js";
+
+const DIMENSION_FIELDS = ["nos", "length", "breadth", "depth"];
+
+const isNumeric = (value) =>
+  value !== "" && value !== null && !isNaN(Number(value));
+
+// Round to a fixed number of decimal places
+export const roundTo = (value, places) => {
+  const factor = Math.pow(10, places);
+  return Math.round((Number(value) || 0) * factor) / factor;
+};
+
+// Find a measurement book by MB ID (e.g. MB_123) or MongoDB _id, limited
+// to MBs within `scopeFilter` (see getMeasurementBookScopeFilter)
+export const findMeasurementBook = async (id, scopeFilter = {}) => {
+  let measurementBook = await MeasurementBook.findOne(
+    withScope({ mbId: id.toUpperCase() }, scopeFilter)
+  );
+
+  if (!measurementBook && mongoose.Types.ObjectId.isValid(id)) {
+    measurementBook = await MeasurementBook.findOne(
+      withScope({ _id: id }, scopeFilter)
+    );
+  }
+
+  return measurementBook;
+};
+
+// Validate the quantity-related fields of a measurement item.
+// Returns an array of error messages prefixed with the given label.
+export const validateMeasurementQuantities = (measurement, label = "") => {
+  const errors = [];
+  const prefix = label ? `${label}: ` : "";
+  const { dimensions, quantity, rate, itemCode } = measurement;
+
+  if (itemCode !== undefined && itemCode !== null) {
+    if (typeof itemCode !== "string" || itemCode.trim().length === 0) {
+      errors.push(`${prefix}itemCode must be a non-empty string`);
+    } else if (itemCode.trim().length > 50) {
+      errors.push(`${prefix}itemCode cannot exceed 50 characters`);
+    }
+  }
+
+  if (dimensions !== undefined) {
+    if (!Array.isArray(dimensions)) {
+      errors.push(`${prefix}dimensions must be an array`);
+    } else if (dimensions.length > 200) {
+      errors.push(`${prefix}cannot have more than 200 dimension entries`);
+    } else {
+      dimensions.forEach((dimension, index) => {
+        const entry = `${prefix}dimension ${index + 1}`;
+
+        if (!dimension || typeof dimension !== "object") {
+          errors.push(`${entry} must be an object`);
+          return;
+        }
+
+        DIMENSION_FIELDS.forEach((field) => {
+          const value = dimension[field];
+          if (value === undefined || value === null) return;
+          if (!isNumeric(value) || Number(value) < 0) {
+            errors.push(`${entry}: ${field} must be a non-negative number`);
+          }
+        });
+
+        if (
+          ["length", "breadth", "depth"].every(
+            (field) =>
+              dimension[field] === undefined || dimension[field] === null
+          )
+        ) {
+          errors.push(
+            `${entry}: at least one of length, breadth or depth is required`
+          );
+        }
+      });
+    }
+  }
+
+  if (quantity !== undefined && quantity !== null) {
+    if (!isNumeric(quantity) || Number(quantity) < 0) {
+      errors.push(`${prefix}quantity must be a non-negative number`);
+    }
+  }
+
+  if (rate !== undefined && rate !== null) {
+    if (!isNumeric(rate) || Number(rate) < 0) {
+      errors.push(`${prefix}rate must be a non-negative number`);
+    }
+  }
+
+  return errors;
+};
+
+// Pick and coerce the quantity-related fields of a measurement item.
+// Only fields present in the input are returned so partial updates work.
+export const sanitizeMeasurementQuantities = (measurement) => {
+  const sanitized = {};
+
+  if (measurement.itemCode !== undefined) {
+    sanitized.itemCode = measurement.itemCode
+      ? measurement.itemCode.trim().toUpperCase()
+      : undefined;
+  }
+
+  if (Array.isArray(measurement.dimensions)) {
+    sanitized.dimensions = measurement.dimensions.map((dimension) => {
+      const entry = {
+        description: dimension.description?.toString().trim() || undefined,
+        isDeduction: Boolean(dimension.isDeduction),
+      };
+      DIMENSION_FIELDS.forEach((field) => {
+        if (dimension[field] !== undefined && dimension[field] !== null) {
+          entry[field] = Number(dimension[field]);
+        }
+      });
+      return entry;
+    });
+  }
+
+  if (measurement.quantity !== undefined && measurement.quantity !== null) {
+    sanitized.quantity = Number(measurement.quantity);
+  }
+
+  if (measurement.rate !== undefined && measurement.rate !== null) {
+    sanitized.rate = Number(measurement.rate);
+  }
+
+  return sanitized;
+};
+
+// Roll measurement items of several MBs up into an abstract of cost:
+// one line per SOR item (or description when no item code) and rate.
+export const buildAbstractOfCost = (measurementBooks) => {
+  const lines = new Map();
+  let totalAmount = 0;
+
+  measurementBooks.forEach((mb) => {
+    (mb.measurements || []).forEach((measurement) => {
+      const itemKey =
+        measurement.itemCode ||
+        measurement.description?.trim().toLowerCase() ||
+        "";
+      const key = `${itemKey}|${measurement.unit}|${measurement.rate || 0}`;
+
+      if (!lines.has(key)) {
+        lines.set(key, {
+          itemCode: measurement.itemCode || null,
+          description: measurement.description,
+          unit: measurement.unit,
+          rate: measurement.rate || 0,
+          rateSource: measurement.rateSource || "manual",
+          quantity: 0,
+          amount: 0,
+          mbIds: [],
+        });
+      }
+
+      const line = lines.get(key);
+      line.quantity = roundTo(line.quantity + (measurement.quantity || 0), 3);
+      line.amount = roundTo(line.amount + (measurement.amount || 0), 2);
+      if (!line.mbIds.includes(mb.mbId)) line.mbIds.push(mb.mbId);
+
+      totalAmount += measurement.amount || 0;
+    });
+  });
+
+  const items = [...lines.values()].sort((a, b) =>
+    (a.itemCode || a.description || "").localeCompare(
+      b.itemCode || b.description || ""
+    )
+  );
+
+  return {
+    items: items.map((item, index) => ({ slNo: index + 1, ...item })),
+    totalItems: items.length,
+    totalAmount: roundTo(totalAmount, 2),
+  };
+};
+
+// Group MBs by the bill they are claimed on (slNoOfBill)
+export const groupMeasurementBooksByBill = (measurementBooks) => {
+  const bills = new Map();
+
+  measurementBooks.forEach((mb) => {
+    const billKey = mb.slNoOfBill || "Unassigned";
+
+    if (!bills.has(billKey)) {
+      bills.set(billKey, {
+        slNoOfBill: billKey,
+        measurementBooks: [],
+        totalAmount: 0,
+        approvedAmount: 0,
+      });
+    }
+
+    const bill = bills.get(billKey);
+    bill.measurementBooks.push({
+      mbId: mb.mbId,
+      mbNo: mb.mbNo,
+      dateOfMeasurement: mb.dateOfMeasurement,
+      approvalStatus: mb.approvalStatus || "Draft",
+      totalAmount: mb.totalAmount || 0,
+    });
+    bill.totalAmount = roundTo(bill.totalAmount + (mb.totalAmount || 0), 2);
+    if (mb.approvalStatus === "Approved") {
+      bill.approvedAmount = roundTo(
+        bill.approvedAmount + (mb.totalAmount || 0),
+        2
+      );
+    }
+  });
+
+  return [...bills.values()];
+};
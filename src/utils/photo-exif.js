@@ -0,0 +1,204 @@
+// EXIF location and capture time of site photographs, and checks of where
+// and when a photo was taken against the project site and update date
+import exif from "jpeg-exif";
+import { photoTimeZoneOffset, photoVerificationLimits } from "./constants.js";
+import { distanceKm } from "./geo-utils.js";
+
+const EXIF_MIME_TYPES = ["image/jpeg", "image/jpg", "image/tiff"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const PHOTO_FLAG_DESCRIPTIONS = {
+  NO_EXIF: "Photo has no EXIF metadata",
+  NO_GPS: "Photo has no GPS location",
+  NO_CAPTURE_TIME: "Photo has no capture time",
+  FAR_FROM_SITE: "Photo was taken away from the project site",
+  TAKEN_LONG_BEFORE_UPDATE: "Photo was taken long before the progress update",
+  TAKEN_AFTER_UPDATE: "Photo capture time is after the progress update",
+};
+
+// [degrees, minutes, seconds] and N/S/E/W reference to decimal degrees
+const toDecimalDegrees = (dms, ref) => {
+  if (!Array.isArray(dms) || dms.length === 0) return null;
+
+  const [degrees = 0, minutes = 0, seconds = 0] = dms.map(Number);
+  const value = degrees + minutes / 60 + seconds / 3600;
+  if (!Number.isFinite(value)) return null;
+
+  return ["S", "W"].includes(ref) ? -value : value;
+};
+
+// "YYYY:MM:DD HH:MM:SS" with an optional "+HH:MM" offset
+const parseExifDate = (value, offset = photoTimeZoneOffset) => {
+  const match =
+    typeof value === "string" &&
+    value.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, seconds] = match;
+  const date = new Date(
+    `${year}-${month}-${day}T${hours}:${minutes}:${seconds}${offset}`
+  );
+  return isNaN(date) ? null : date;
+};
+
+// GPS date and UTC time stamp, e.g. "2025:10:07" and [10, 30, 12.5]
+const parseGpsDate = (dateStamp, timeStamp) => {
+  const match =
+    typeof dateStamp === "string" &&
+    dateStamp.match(/^(\d{4}):(\d{2}):(\d{2})$/);
+  if (!match || !Array.isArray(timeStamp)) return null;
+
+  const [hours = 0, minutes = 0, seconds = 0] = timeStamp.map(Number);
+  const date = new Date(
+    Date.UTC(
+      Number(match[1]),
+      Number(match[2]) - 1,
+      Number(match[3]),
+      hours,
+      minutes,
+      Math.floor(seconds),
+      Math.round((seconds % 1) * 1000)
+    )
+  );
+  return isNaN(date) ? null : date;
+};
+
+/**
+ * Location, capture time and camera from the EXIF block of a JPEG or TIFF
+ * image. Returns null for files that cannot carry EXIF, and
+ * { hasExif: false } when the image has none.
+ */
+export const readPhotoExif = (buffer, mimeType) => {
+  if (!buffer || !EXIF_MIME_TYPES.includes(mimeType)) return null;
+
+  let data;
+  try {
+    data = exif.fromBuffer(buffer);
+  } catch (parseError) {
+    data = null;
+  }
+  if (!data || Object.keys(data).length === 0) return { hasExif: false };
+
+  const gps = data.GPSInfo || {};
+  const latitude = toDecimalDegrees(gps.GPSLatitude, gps.GPSLatitudeRef);
+  const longitude = toDecimalDegrees(gps.GPSLongitude, gps.GPSLongitudeRef);
+  // 0,0 is what some cameras write when they have no fix
+  const hasLocation =
+    latitude !== null &&
+    longitude !== null &&
+    Math.abs(latitude) <= 90 &&
+    Math.abs(longitude) <= 180 &&
+    (latitude !== 0 || longitude !== 0);
+
+  const subExif = data.SubExif || {};
+  const capturedAt =
+    parseExifDate(
+      subExif.DateTimeOriginal,
+      subExif.OffsetTimeOriginal || undefined
+    ) ||
+    parseGpsDate(gps.GPSDateStamp, gps.GPSTimeStamp) ||
+    parseExifDate(data.DateTime);
+
+  const altitude = Array.isArray(gps.GPSAltitude)
+    ? Number(gps.GPSAltitude[0])
+    : undefined;
+
+  return {
+    hasExif: true,
+    latitude: hasLocation ? latitude : undefined,
+    longitude: hasLocation ? longitude : undefined,
+    altitude:
+      hasLocation && Number.isFinite(altitude)
+        ? gps.GPSAltitudeRef === 1
+          ? -altitude
+          : altitude
+        : undefined,
+    capturedAt: capturedAt || undefined,
+    cameraMake: data.Make?.trim() || undefined,
+    cameraModel: data.Model?.trim() || undefined,
+  };
+};
+
+/**
+ * Check where and when a photo was taken against the project site
+ * ([longitude, latitude]) and the date of the update it is attached to.
+ * Returns the photo metadata with distanceFromSiteKm, daysBeforeUpdate and
+ * flags; a photo with no flags is verified.
+ */
+export const verifySitePhoto = (
+  photo,
+  { site, updateDate = new Date(), limits = photoVerificationLimits } = {}
+) => {
+  const flags = [];
+  const result = { ...photo };
+
+  if (!photo?.hasExif) {
+    flags.push("NO_EXIF");
+  } else {
+    if (photo.latitude === undefined || photo.longitude === undefined) {
+      flags.push("NO_GPS");
+    } else if (Array.isArray(site) && site.length === 2) {
+      result.distanceFromSiteKm =
+        Math.round(
+          distanceKm([photo.longitude, photo.latitude], [...site]) * 1000
+        ) / 1000;
+      if (result.distanceFromSiteKm > limits.maxDistanceKm) {
+        flags.push("FAR_FROM_SITE");
+      }
+    }
+
+    if (!photo.capturedAt) {
+      flags.push("NO_CAPTURE_TIME");
+    } else {
+      const daysBefore =
+        (new Date(updateDate) - new Date(photo.capturedAt)) / DAY_MS;
+      result.daysBeforeUpdate = Math.round(daysBefore * 10) / 10;
+      if (daysBefore > limits.maxAgeDays) {
+        flags.push("TAKEN_LONG_BEFORE_UPDATE");
+      } else if (daysBefore < -1) {
+        // Allow a day for camera clocks set to another time zone
+        flags.push("TAKEN_AFTER_UPDATE");
+      }
+    }
+  }
+
+  return {
+    ...result,
+    flags,
+    isVerified: flags.length === 0,
+    verifiedAt: new Date(),
+  };
+};
+
+/**
+ * Verify the photos among the supporting documents of a progress update.
+ * Documents other than images are returned unchanged.
+ */
+export const withVerifiedPhotos = (documents, options) =>
+  documents.map((document) =>
+    document.fileType === "image"
+      ? {
+          ...document,
+          photo: verifySitePhoto(document.photo || { hasExif: false }, options),
+        }
+      : document
+  );
+
+// Counts of verified and flagged photos, per flag
+export const summarizePhotoFlags = (photos) => {
+  const byFlag = {};
+  photos.forEach((photo) =>
+    (photo.flags || []).forEach((flag) => {
+      byFlag[flag] = (byFlag[flag] || 0) + 1;
+    })
+  );
+
+  const verified = photos.filter((photo) => photo.isVerified).length;
+  return {
+    totalPhotos: photos.length,
+    verified,
+    flagged: photos.length - verified,
+    byFlag,
+  };
+};
@@ -0,0 +1,479 @@
+import ExcelJS from "exceljs";
+import mongoose from "mongoose";
+import {
+  districts,
+  funds,
+  sanctionAndDepartment,
+  typeOfWork,
+} from "./constants.js";
+
+// Largest spreadsheet accepted in one import
+export const MAX_IMPORT_ROWS = 1000;
+
+const DATA_SHEET = "Projects";
+const LISTS_SHEET = "Lists";
+
+// Columns of the project import template.
+// type: string | number | date; options: allowed values (dropdown)
+export const projectImportColumns = [
+  { key: "projectName", header: "Project Name", required: true },
+  { key: "description", header: "Description" },
+  {
+    key: "dateOfIssueOfWorkOrder",
+    header: "Date of Issue of Work Order",
+    type: "date",
+    required: true,
+  },
+  { key: "workOrderNumber", header: "Work Order Number", required: true },
+  {
+    key: "fund",
+    header: "Fund",
+    required: true,
+    options: funds.map((fund) => fund.name),
+  },
+  {
+    key: "subFund",
+    header: "Sub Fund",
+    required: true,
+    options: [
+      ...new Set(
+        funds.flatMap((fund) => fund.subFunds.map((subFund) => subFund.name))
+      ),
+    ],
+  },
+  {
+    key: "sanctioningDepartment",
+    header: "Sanctioning Department",
+    required: true,
+    options: sanctionAndDepartment,
+  },
+  { key: "budgetHead", header: "Budget Head" },
+  { key: "beneficiary", header: "Beneficiary" },
+  { key: "contractorName", header: "Contractor Name", required: true },
+  { key: "contractorAddress", header: "Contractor Address", required: true },
+  {
+    key: "contractorPhoneNumber",
+    header: "Contractor Phone Number",
+    required: true,
+  },
+  {
+    key: "estimatedCost",
+    header: "Estimated Cost",
+    type: "number",
+    required: true,
+  },
+  {
+    key: "typeOfWork",
+    header: "Type of Work",
+    required: true,
+    options: typeOfWork,
+  },
+  {
+    key: "projectStartDate",
+    header: "Project Start Date",
+    type: "date",
+    required: true,
+  },
+  {
+    key: "projectEndDate",
+    header: "Project End Date",
+    type: "date",
+    required: true,
+  },
+  {
+    key: "extensionPeriodForCompletion",
+    header: "Extension Period for Completion",
+    type: "date",
+  },
+  {
+    key: "district",
+    header: "District",
+    required: true,
+    options: districts,
+  },
+  { key: "block", header: "Block" },
+  { key: "gramPanchayat", header: "Gram Panchayat" },
+  { key: "latitude", header: "Latitude", type: "number", required: true },
+  { key: "longitude", header: "Longitude", type: "number", required: true },
+];
+
+// Columns of the archive project import template
+export const archiveProjectImportColumns = [
+  {
+    key: "financialYear",
+    header: "Financial Year (YYYY-YYYY)",
+    required: true,
+  },
+  { key: "AANumber", header: "A.A No.", required: true },
+  { key: "AAAmount", header: "A.A Amount", type: "number", required: true },
+  { key: "AADated", header: "A.A Dated", type: "date", required: true },
+  { key: "nameOfWork", header: "Name of Work", required: true },
+  { key: "nameOfContractor", header: "Name of Contractor", required: true },
+  { key: "workValue", header: "Work Value", type: "number", required: true },
+  { key: "FWONumberAndDate", header: "FWO No. & Date" },
+  { key: "FWODate", header: "FWO Date", type: "date" },
+  { key: "progress", header: "Physical Progress (%)", type: "number" },
+  {
+    key: "billSubmittedAmount",
+    header: "Bill Submitted Amount",
+    type: "number",
+  },
+  { key: "location", header: "Location", required: true },
+  { key: "billNumber", header: "Bill Number", required: true },
+  { key: "concernedEngineer", header: "Concerned Engineer", required: true },
+  { key: "remarks", header: "Remarks" },
+];
+
+/**
+ * Build the downloadable import template: a data sheet with the headers
+ * and dropdowns, a hidden sheet with the allowed values and an
+ * instructions sheet.
+ */
+export const buildImportTemplate = (columns, title) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = "iPMS";
+  workbook.created = new Date();
+
+  const sheet = workbook.addWorksheet(DATA_SHEET);
+  const lists = workbook.addWorksheet(LISTS_SHEET, { state: "hidden" });
+
+  sheet.columns = columns.map((column) => ({
+    header: column.required ? `${column.header} *` : column.header,
+    key: column.key,
+    width: Math.max(16, column.header.length + 4),
+    style:
+      column.type === "date"
+        ? { numFmt: "dd-mm-yyyy" }
+        : column.type === "number"
+        ? { numFmt: "0.00" }
+        : {},
+  }));
+
+  const header = sheet.getRow(1);
+  header.font = { bold: true, color: { argb: "FFFFFFFF" } };
+  header.fill = {
+    type: "pattern",
+    pattern: "solid",
+    fgColor: { argb: "FF279EAB" },
+  };
+  sheet.views = [{ state: "frozen", ySplit: 1 }];
+
+  // Dropdowns reference the hidden lists sheet so long lists work
+  let listColumn = 0;
+  columns.forEach((column, index) => {
+    if (!column.options) return;
+
+    listColumn += 1;
+    const letter = lists.getColumn(listColumn).letter;
+    lists.getCell(`${letter}1`).value = column.header;
+    column.options.forEach((option, optionIndex) => {
+      lists.getCell(`${letter}${optionIndex + 2}`).value = option;
+    });
+
+    const range = `${LISTS_SHEET}!$${letter}$2:$${letter}$${
+      column.options.length + 1
+    }`;
+    const letterInSheet = sheet.getColumn(index + 1).letter;
+    sheet.dataValidations.add(
+      `${letterInSheet}2:${letterInSheet}${MAX_IMPORT_ROWS + 1}`,
+      {
+        type: "list",
+        allowBlank: !column.required,
+        formulae: [range],
+        showErrorMessage: true,
+        errorTitle: "Invalid value",
+        error: `Choose a ${column.header} from the list`,
+      }
+    );
+  });
+
+  const instructions = workbook.addWorksheet("Instructions");
+  instructions.columns = [
+    { header: "Column", key: "column", width: 36 },
+    { header: "Required", key: "required", width: 10 },
+    { header: "Format", key: "format", width: 60 },
+  ];
+  instructions.getRow(1).font = { bold: true };
+  columns.forEach((column) =>
+    instructions.addRow({
+      column: column.header,
+      required: column.required ? "Yes" : "No",
+      format:
+        column.type === "date"
+          ? "Date (DD-MM-YYYY)"
+          : column.type === "number"
+          ? "Number"
+          : column.options
+          ? "Choose from the dropdown"
+          : "Text",
+    })
+  );
+  instructions.addRow({});
+  instructions.addRow({
+    column: `${title}: fill one row per work on the '${DATA_SHEET}' sheet, up to ${MAX_IMPORT_ROWS} rows.`,
+  });
+
+  return workbook;
+};
+
+// Plain value of an ExcelJS cell (rich text, formulas, hyperlinks)
+const cellValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value;
+  if (typeof value === "object") {
+    if (value.richText) return value.richText.map((part) => part.text).join("");
+    if (value.result !== undefined) return cellValue(value.result);
+    if (value.text !== undefined) return value.text;
+    return null;
+  }
+  return value;
+};
+
+// Dates may be real Excel dates or text as DD-MM-YYYY, DD/MM/YYYY or
+// YYYY-MM-DD
+const parseDate = (value) => {
+  if (value instanceof Date) return value;
+
+  const text = String(value).trim();
+  let match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/);
+  if (match) {
+    const [, day, month, year] = match.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCDate() === day ? date : null;
+  }
+
+  match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (match) {
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCDate() === day ? date : null;
+  }
+
+  return null;
+};
+
+const parseNumber = (value) => {
+  if (typeof value === "number") return value;
+  const number = Number(String(value).replace(/[,\s₹]/g, ""));
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Read the data sheet of an uploaded workbook.
+ * Columns are matched by header text, so they may be reordered.
+ * Returns { rows: [{ rowNumber, values, errors }], error }.
+ */
+export const parseImportWorkbook = async (buffer, columns) => {
+  const workbook = new ExcelJS.Workbook();
+
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    return { rows: [], error: "The file is not a valid XLSX workbook" };
+  }
+
+  const sheet = workbook.getWorksheet(DATA_SHEET) || workbook.worksheets[0];
+  if (!sheet) {
+    return { rows: [], error: "The workbook has no worksheets" };
+  }
+
+  const normalize = (text) =>
+    String(text || "")
+      .replace(/\*/g, "")
+      .trim()
+      .toLowerCase();
+
+  // Map header text to column positions
+  const positions = {};
+  sheet.getRow(1).eachCell((cell, columnNumber) => {
+    const header = normalize(cellValue(cell.value));
+    const column = columns.find(
+      (col) => normalize(col.header) === header || normalize(col.key) === header
+    );
+    if (column) positions[column.key] = columnNumber;
+  });
+
+  const missing = columns
+    .filter((column) => column.required && !positions[column.key])
+    .map((column) => column.header);
+  if (missing.length > 0) {
+    return {
+      rows: [],
+      error: `Missing required column(s): ${missing.join(", ")}`,
+    };
+  }
+
+  const rows = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const values = {};
+    const errors = [];
+
+    columns.forEach((column) => {
+      const position = positions[column.key];
+      let value = position ? cellValue(row.getCell(position).value) : null;
+      if (typeof value === "string") value = value.trim();
+      if (value === "" || value === null) {
+        if (column.required) {
+          errors.push({
+            field: column.key,
+            message: `${column.header} is required`,
+          });
+        }
+        return;
+      }
+
+      if (column.type === "date") {
+        const date = parseDate(value);
+        if (!date) {
+          errors.push({
+            field: column.key,
+            message: `${column.header} must be a date (DD-MM-YYYY)`,
+            value,
+          });
+          return;
+        }
+        value = date;
+      } else if (column.type === "number") {
+        const number = parseNumber(value);
+        if (number === null) {
+          errors.push({
+            field: column.key,
+            message: `${column.header} must be a number`,
+            value,
+          });
+          return;
+        }
+        value = number;
+      } else {
+        value = String(value);
+      }
+
+      if (column.options && !column.options.includes(value)) {
+        errors.push({
+          field: column.key,
+          message: `Invalid ${column.header}: ${value}`,
+          value,
+        });
+        return;
+      }
+
+      values[column.key] = value;
+    });
+
+    // Skip rows that are entirely blank
+    if (Object.keys(values).length === 0) return;
+
+    rows.push({ rowNumber, values, errors });
+  });
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return {
+      rows: [],
+      error: `Too many rows (${rows.length}). Import at most ${MAX_IMPORT_ROWS} rows at a time`,
+    };
+  }
+
+  return { rows };
+};
+
+/**
+ * Validate parsed rows and, unless dryRun, save the valid ones in a single
+ * transaction.
+ * buildDocument(row, index) returns an unsaved Mongoose document and may
+ * throw { field, message } for business-rule failures.
+ * findDuplicates(docs) returns [{ doc, field, message }] for rows that
+ * clash with existing records or with each other.
+ */
+export const runImport = async ({
+  rows,
+  buildDocument,
+  findDuplicates,
+  dryRun,
+}) => {
+  const results = [];
+  const candidates = [];
+
+  for (const [index, row] of rows.entries()) {
+    const result = {
+      row: row.rowNumber,
+      status: "invalid",
+      errors: [...row.errors],
+    };
+    results.push(result);
+
+    if (row.errors.length > 0) continue;
+
+    try {
+      const doc = await buildDocument(row.values, index);
+      await doc.validate();
+      candidates.push({ doc, result });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        Object.values(error.errors).forEach((err) =>
+          result.errors.push({
+            field: err.path,
+            message: err.message,
+            value: err.value,
+          })
+        );
+      } else if (error.field) {
+        result.errors.push({ field: error.field, message: error.message });
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  const duplicates =
+    candidates.length > 0
+      ? await findDuplicates(candidates.map(({ doc }) => doc))
+      : [];
+  duplicates.forEach(({ doc, field, message }) => {
+    const candidate = candidates.find((c) => c.doc === doc);
+    if (candidate) candidate.result.errors.push({ field, message });
+  });
+
+  const valid = candidates.filter(({ result }) => result.errors.length === 0);
+  valid.forEach(({ doc, result }) => {
+    result.status = "valid";
+    result.projectId = doc.projectId;
+  });
+
+  if (!dryRun && valid.length > 0) {
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        for (const { doc } of valid) {
+          await doc.save({ session });
+        }
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    valid.forEach(({ doc, result }) => {
+      result.status = "created";
+      result.id = doc._id;
+    });
+  }
+
+  return {
+    summary: {
+      totalRows: results.length,
+      validRows: valid.length,
+      invalidRows: results.length - valid.length,
+      created: dryRun ? 0 : valid.length,
+      dryRun,
+    },
+    rows: results,
+  };
+};
+
+// Business-rule failure for a single import row
+export const rowError = (field, message) => {
+  const error = new Error(message);
+  error.field = field;
+  return error;
+};
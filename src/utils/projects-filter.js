@@ -1,3 +1,4 @@
+import mongoose from "mongoose";
 import ArchiveProject from "../models/archive-project.model.js";
 import Project from "../models/project.model.js";
 
@@ -40,6 +41,64 @@ export const findProjectByProjectId = async (projectId, session = null) => {
   }
 };
 
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Filter for listing active projects from query parameters, shared by the
+ * project list and the map endpoints
+ * @param {object} query - status, district, block, gramPanchayat, fund,
+ *   subFund, typeOfWork, contractor, contractorRef (contractor master _id),
+ *   search, minCost, maxCost
+ * @returns {object} MongoDB filter on Project
+ */
+export const buildProjectListFilter = (query = {}) => {
+  const filter = {};
+
+  [
+    "status",
+    "district",
+    "block",
+    "gramPanchayat",
+    "fund",
+    "subFund",
+    "typeOfWork",
+  ].forEach((field) => {
+    if (query[field]) filter[field] = query[field];
+  });
+
+  if (query.contractor) {
+    filter.contractorName = {
+      $regex: escapeRegex(query.contractor.trim()),
+      $options: "i",
+    };
+  }
+
+  if (
+    query.contractorRef &&
+    mongoose.Types.ObjectId.isValid(query.contractorRef)
+  ) {
+    filter.contractorRef = new mongoose.Types.ObjectId(query.contractorRef);
+  }
+
+  if (query.search) {
+    const pattern = { $regex: escapeRegex(query.search.trim()), $options: "i" };
+    filter.$or = [
+      { projectId: pattern },
+      { projectName: pattern },
+      { contractorName: pattern },
+      { workOrderNumber: pattern },
+    ];
+  }
+
+  if (query.minCost || query.maxCost) {
+    filter.estimatedCost = {};
+    if (query.minCost) filter.estimatedCost.$gte = Number(query.minCost);
+    if (query.maxCost) filter.estimatedCost.$lte = Number(query.maxCost);
+  }
+
+  return filter;
+};
+
 /**
  * Get unified project fields regardless of project type
  * Normalizes field names between Project and ArchiveProject
@@ -494,6 +553,7 @@ export const autocompleteSearch = async (
 
 export default {
   findProjectByProjectId,
+  buildProjectListFilter,
   getUnifiedProjectFields,
   filterProjects,
   getProjectsStatistics,
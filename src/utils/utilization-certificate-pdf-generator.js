@@ -0,0 +1,212 @@
+import PDFDocument from "pdfkit";
+import { formatPDFDate } from "./pdf-helpers.js";
+import { UC_CERTIFICATION_TEXT } from "./utilization-certificate.js";
+
+const PDF_MARGIN = 40;
+
+const formatAmount = (value) =>
+  new Intl.NumberFormat("en-IN", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  }).format(value || 0);
+
+const drawRow = (doc, columns, cells, y, { bold = false } = {}) => {
+  let x = PDF_MARGIN;
+  const heights = cells.map((cell, index) =>
+    doc.heightOfString(String(cell ?? ""), {
+      width: columns[index].width - 6,
+    })
+  );
+  const rowHeight = Math.max(...heights, 10) + 6;
+
+  if (y + rowHeight > doc.page.height - PDF_MARGIN) {
+    doc.addPage();
+    y = PDF_MARGIN;
+  }
+
+  doc.font(bold ? "Helvetica-Bold" : "Helvetica");
+  cells.forEach((cell, index) => {
+    const column = columns[index];
+    doc.rect(x, y, column.width, rowHeight).stroke();
+    doc.text(String(cell ?? ""), x + 3, y + 3, {
+      width: column.width - 6,
+      align: column.align || "left",
+    });
+    x += column.width;
+  });
+
+  return y + rowHeight;
+};
+
+const GRANT_COLUMNS = [
+  { width: 85, align: "right" },
+  { width: 110 },
+  { width: 60 },
+  { width: 85, align: "right" },
+  { width: 85, align: "right" },
+  { width: 90, align: "right" },
+];
+
+const COMPONENT_COLUMNS = [
+  { width: 30, align: "center" },
+  { width: 215 },
+  { width: 90 },
+  { width: 90, align: "right" },
+  { width: 90, align: "right" },
+];
+
+/**
+ * Generate a utilization certificate PDF in the GFR 12-A layout
+ * @param {Object} uc - Stored utilization certificate
+ * @returns {Promise<Buffer>} - PDF buffer for server-side response
+ */
+export const generateUtilizationCertificatePDF = (uc) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: PDF_MARGIN, size: "A4" });
+    const chunks = [];
+
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    doc.fontSize(12).font("Helvetica-Bold").text("GFR 12-A", {
+      align: "center",
+    });
+    doc.fontSize(9).font("Helvetica").text("[See Rule 238(1)]", {
+      align: "center",
+    });
+    doc
+      .fontSize(11)
+      .font("Helvetica-Bold")
+      .text("FORM OF UTILIZATION CERTIFICATE", { align: "center" });
+    doc
+      .fontSize(9)
+      .text(
+        `UTILIZATION CERTIFICATE FOR THE PERIOD ${formatPDFDate(
+          uc.periodFrom
+        )} TO ${formatPDFDate(
+          uc.periodTo
+        )} IN RESPECT OF ${uc.grantType.toUpperCase()} GRANTS-IN-AID`,
+        { align: "center" }
+      );
+    doc.moveDown(0.3);
+    doc.font("Helvetica").text(`UC No: ${uc.ucId}`, { align: "right" });
+    doc.moveDown(0.5);
+
+    [
+      ["1. Name of the Scheme", `${uc.subFund} (${uc.fund})`],
+      ["2. Whether recurring or non-recurring grants", uc.grantType],
+      [
+        "3. Grants position at the beginning of the period (unspent balance)",
+        `Rs. ${formatAmount(uc.openingBalance)}`,
+      ],
+    ].forEach(([label, value]) => {
+      doc.font("Helvetica-Bold").text(`${label}: `, { continued: true });
+      doc.font("Helvetica").text(String(value));
+    });
+
+    doc.moveDown(0.5);
+    doc
+      .font("Helvetica-Bold")
+      .text(
+        "4. Details of grants received, expenditure incurred and closing balance (Rs.)"
+      );
+    doc.moveDown(0.3);
+    doc.fontSize(8);
+
+    let y = drawRow(
+      doc,
+      GRANT_COLUMNS,
+      [
+        "Unspent balance of previous periods",
+        "Sanction / Release No.",
+        "Date",
+        "Total available funds",
+        "Expenditure incurred",
+        "Closing balance",
+      ],
+      doc.y,
+      { bold: true }
+    );
+
+    const releases = uc.releases.length > 0 ? uc.releases : [null];
+    releases.forEach((release, index) => {
+      y = drawRow(
+        doc,
+        GRANT_COLUMNS,
+        [
+          index === 0 ? formatAmount(uc.openingBalance) : "",
+          release
+            ? `${release.sanctionOrderNumber} / ${
+                release.releaseOrderNumber
+              }\nRs. ${formatAmount(release.amount)}`
+            : "Nil",
+          release ? formatPDFDate(release.releaseDate) : "",
+          index === 0 ? formatAmount(uc.totalAvailable) : "",
+          index === 0 ? formatAmount(uc.expenditure) : "",
+          index === 0 ? formatAmount(uc.closingBalance) : "",
+        ],
+        y
+      );
+    });
+
+    doc.fontSize(9).font("Helvetica");
+    doc.text(
+      `Grant received during the period: Rs. ${formatAmount(
+        uc.releasedDuringPeriod
+      )}`,
+      PDF_MARGIN,
+      y + 6
+    );
+
+    doc.moveDown(0.8);
+    doc
+      .font("Helvetica-Bold")
+      .text("5. Component-wise utilization of grants (Rs.)", PDF_MARGIN);
+    doc.moveDown(0.3);
+    doc.fontSize(8);
+
+    y = drawRow(
+      doc,
+      COMPONENT_COLUMNS,
+      ["Sl", "Name of Work", "Project ID", "Released", "Expenditure"],
+      doc.y,
+      { bold: true }
+    );
+    uc.projects.forEach((project, index) => {
+      y = drawRow(
+        doc,
+        COMPONENT_COLUMNS,
+        [
+          index + 1,
+          project.projectName,
+          project.projectId,
+          formatAmount(project.released),
+          formatAmount(project.expenditure),
+        ],
+        y
+      );
+    });
+
+    doc.fontSize(8).font("Helvetica");
+    doc.y = y + 12;
+    UC_CERTIFICATION_TEXT.forEach((paragraph) => {
+      doc.text(paragraph, PDF_MARGIN, doc.y, {
+        width: doc.page.width - PDF_MARGIN * 2,
+        align: "justify",
+      });
+      doc.moveDown(0.4);
+    });
+
+    if (doc.y + 60 > doc.page.height - PDF_MARGIN) doc.addPage();
+    const signatureY = doc.y + 40;
+    doc.fontSize(9);
+    doc.text("Signature / Name / Designation", PDF_MARGIN, signatureY);
+    doc.text("Chief Finance Officer", PDF_MARGIN, signatureY + 12);
+    doc.text("Signature / Name / Designation", PDF_MARGIN + 300, signatureY);
+    doc.text("Head of the Organisation", PDF_MARGIN + 300, signatureY + 12);
+
+    doc.end();
+  });
+
+export default generateUtilizationCertificatePDF;
@@ -0,0 +1,246 @@
+// Figures and XLSX layout of utilization certificates (GFR 12-A)
+import ExcelJS from "exceljs";
+import Bill from "../models/bill.model.js";
+import FundSanction from "../models/fund-sanction.model.js";
+import Project from "../models/project.model.js";
+
+const roundTo2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+export const UC_CERTIFICATION_TEXT = [
+  "Certified that I have satisfied myself that the conditions on which the grants were sanctioned have been duly fulfilled / are being fulfilled and that I have exercised the following checks to see that the money has been actually utilized for the purpose for which it was sanctioned:",
+  "(i) The main accounts and other subsidiary accounts and registers (including assets registers) are maintained as prescribed in the relevant Act/Rules/Standing instructions and have been duly audited by designated auditors.",
+  "(ii) There exist internal controls for safeguarding public funds/assets, watching outcomes and achievements of physical targets against the financial inputs, ensuring quality in asset creation etc. and the periodic evaluation of internal controls is exercised to ensure their effectiveness.",
+  "(iii) To the best of our knowledge and belief, no transactions have been entered that are in violation of relevant Act/Rules/standing instructions and scheme guidelines.",
+  "(iv) The benefits were extended to the intended beneficiaries and only such areas/districts were covered where the scheme was intended to operate.",
+];
+
+/**
+ * Releases and expenditure of a sub fund for a period.
+ * Expenditure is what the treasury paid within the period on bills of the
+ * sub fund's projects, gross of statutory deductions (see
+ * Bill.paidTotalsByProject); pooled releases count towards the totals but
+ * not towards any single project.
+ */
+export const computeUtilization = async ({
+  fund,
+  subFund,
+  periodFrom,
+  periodTo,
+}) => {
+  const [sanctions, projects] = await Promise.all([
+    FundSanction.find({ fund, subFund }).lean(),
+    Project.find({ fund, subFund }).select("_id projectId projectName").lean(),
+  ]);
+
+  const projectIds = projects.map((project) => project._id);
+  const billMatch = { projectType: "Project", project: { $in: projectIds } };
+
+  const [paidBefore, paidDuring] = await Promise.all([
+    Bill.paidTotalsByProject(billMatch, { $lt: periodFrom }),
+    Bill.paidTotalsByProject(billMatch, { $gte: periodFrom, $lte: periodTo }),
+  ]);
+
+  let releasedBefore = 0;
+  const releases = [];
+
+  sanctions.forEach((sanction) => {
+    sanction.releases.forEach((release) => {
+      if (release.releaseDate < periodFrom) {
+        releasedBefore += release.amount;
+      } else if (release.releaseDate <= periodTo) {
+        releases.push({
+          sanctionId: sanction.sanctionId,
+          sanctionOrderNumber: sanction.sanctionOrderNumber,
+          sanctionDate: sanction.sanctionDate,
+          releaseOrderNumber: release.releaseOrderNumber,
+          releaseDate: release.releaseDate,
+          amount: release.amount,
+          projectId: sanction.projectId,
+        });
+      }
+    });
+  });
+  releases.sort((a, b) => a.releaseDate - b.releaseDate);
+
+  const sumValues = (map) => [...map.values()].reduce((a, b) => a + b, 0);
+
+  const openingBalance = roundTo2(releasedBefore - sumValues(paidBefore));
+  const releasedDuringPeriod = roundTo2(
+    releases.reduce((sum, release) => sum + release.amount, 0)
+  );
+  const totalAvailable = roundTo2(openingBalance + releasedDuringPeriod);
+  const expenditure = roundTo2(sumValues(paidDuring));
+
+  const projectRows = projects
+    .map((project) => ({
+      project: project._id,
+      projectId: project.projectId,
+      projectName: project.projectName,
+      released: roundTo2(
+        releases
+          .filter((release) => release.projectId === project.projectId)
+          .reduce((sum, release) => sum + release.amount, 0)
+      ),
+      expenditure: roundTo2(paidDuring.get(project._id.toString()) || 0),
+    }))
+    .filter((row) => row.released > 0 || row.expenditure > 0);
+
+  return {
+    openingBalance,
+    releases,
+    releasedDuringPeriod,
+    totalAvailable,
+    expenditure,
+    closingBalance: roundTo2(totalAvailable - expenditure),
+    projects: projectRows,
+  };
+};
+
+const formatDate = (date) =>
+  date ? new Date(date).toLocaleDateString("en-GB").replace(/\//g, "-") : "";
+
+// GFR 12-A workbook of a stored UC
+export const buildUtilizationCertificateWorkbook = (uc) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = "iPMS";
+  workbook.created = new Date();
+
+  const sheet = workbook.addWorksheet("GFR 12-A");
+  sheet.columns = [
+    { key: "a", width: 8 },
+    { key: "b", width: 40 },
+    { key: "c", width: 22 },
+    { key: "d", width: 18 },
+    { key: "e", width: 18 },
+    { key: "f", width: 18 },
+    { key: "g", width: 18 },
+  ];
+
+  const title = (text) => {
+    const row = sheet.addRow([text]);
+    sheet.mergeCells(row.number, 1, row.number, 7);
+    row.font = { bold: true };
+    row.alignment = { horizontal: "center", wrapText: true };
+  };
+  const bold = (row) => {
+    row.font = { bold: true };
+    return row;
+  };
+
+  title("GFR 12-A");
+  title("[See Rule 238(1)]");
+  title("FORM OF UTILIZATION CERTIFICATE");
+  title(
+    `UTILIZATION CERTIFICATE FOR THE PERIOD ${formatDate(
+      uc.periodFrom
+    )} TO ${formatDate(
+      uc.periodTo
+    )} IN RESPECT OF ${uc.grantType.toUpperCase()} GRANTS-IN-AID`
+  );
+  sheet.addRow([]);
+
+  sheet.addRow(["1", "Name of the Scheme", `${uc.subFund} (${uc.fund})`]);
+  sheet.addRow([
+    "2",
+    "Whether recurring or non-recurring grants",
+    uc.grantType,
+  ]);
+  sheet.addRow([
+    "3",
+    "Grants position at the beginning of the period (unspent balance)",
+    uc.openingBalance,
+  ]);
+  sheet.addRow([]);
+
+  bold(
+    sheet.addRow([
+      "4",
+      "Details of grants received, expenditure incurred and closing balance",
+    ])
+  );
+  bold(
+    sheet.addRow([
+      "",
+      "Unspent balance of grants received in previous periods",
+      "Grant received during the period",
+      "",
+      "Total available funds",
+      "Expenditure incurred",
+      "Closing balance",
+    ])
+  );
+  bold(sheet.addRow(["", "", "Sanction / Release No.", "Date", "", "", ""]));
+
+  const releases = uc.releases.length > 0 ? uc.releases : [null];
+  releases.forEach((release, index) => {
+    sheet.addRow([
+      "",
+      index === 0 ? uc.openingBalance : "",
+      release
+        ? `${release.sanctionOrderNumber} / ${release.releaseOrderNumber}`
+        : "Nil",
+      release ? formatDate(release.releaseDate) : "",
+      index === 0 ? uc.totalAvailable : "",
+      index === 0 ? uc.expenditure : "",
+      index === 0 ? uc.closingBalance : "",
+    ]);
+  });
+  bold(
+    sheet.addRow([
+      "",
+      "Grant received during the period",
+      uc.releasedDuringPeriod,
+    ])
+  );
+  sheet.addRow([]);
+
+  bold(sheet.addRow(["5", "Component-wise utilization of grants"]));
+  bold(
+    sheet.addRow([
+      "Sl",
+      "Name of Work",
+      "Project ID",
+      "Released",
+      "Expenditure",
+    ])
+  );
+  uc.projects.forEach((project, index) => {
+    sheet.addRow([
+      index + 1,
+      project.projectName,
+      project.projectId,
+      project.released,
+      project.expenditure,
+    ]);
+  });
+  sheet.addRow([]);
+
+  UC_CERTIFICATION_TEXT.forEach((paragraph) => {
+    const row = sheet.addRow(["", paragraph]);
+    sheet.mergeCells(row.number, 2, row.number, 7);
+    row.alignment = { wrapText: true, vertical: "top" };
+    row.height = 45;
+  });
+  sheet.addRow([]);
+  sheet.addRow([]);
+  sheet.addRow([
+    "",
+    "Signature / Name / Designation",
+    "",
+    "",
+    "Signature / Name / Designation",
+  ]);
+  sheet.addRow([
+    "",
+    "Chief Finance Officer",
+    "",
+    "",
+    "Head of the Organisation",
+  ]);
+
+  ["c", "d", "e", "f", "g"].forEach((key) => {
+    sheet.getColumn(key).numFmt = "#,##0.00";
+  });
+
+  return workbook;
+};
@@ -1,10 +1,11 @@
 import jwt from "jsonwebtoken";
 
+// Returns the decoded payload, or null for invalid or expired tokens
 const verifyJwt = (token) => {
   try {
     return jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
-    throw new Error("An error occured while veryfying jwt token");
+    return null;
   }
 };
 
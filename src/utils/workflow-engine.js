@@ -0,0 +1,287 @@
+import { defaultProjectWorkflow } from "./constants.js";
+
+// Check whether a project satisfies a set of workflow conditions
+// (fund, sub fund and estimated cost band). Empty conditions always match.
+export const matchesWorkflowConditions = (conditions, project) => {
+  if (!conditions) return true;
+
+  const {
+    funds = [],
+    subFunds = [],
+    minEstimatedCost,
+    maxEstimatedCost,
+  } = conditions;
+  const estimatedCost = Number(project.estimatedCost) || 0;
+
+  if (funds.length > 0 && !funds.includes(project.fund)) return false;
+  if (subFunds.length > 0 && !subFunds.includes(project.subFund)) return false;
+
+  if (
+    minEstimatedCost !== undefined &&
+    minEstimatedCost !== null &&
+    estimatedCost < minEstimatedCost
+  ) {
+    return false;
+  }
+
+  if (
+    maxEstimatedCost !== undefined &&
+    maxEstimatedCost !== null &&
+    estimatedCost > maxEstimatedCost
+  ) {
+    return false;
+  }
+
+  return true;
+};
+
+// Find a state definition by name
+export const findWorkflowState = (definition, stateName) => {
+  return definition.states.find((state) => state.name === stateName) || null;
+};
+
+// Get the initial state of a workflow
+export const getInitialWorkflowState = (definition) => {
+  return (
+    definition.states.find((state) => state.isInitial) ||
+    definition.states[0] ||
+    null
+  );
+};
+
+// Get the state type (pending/approved/rejected/completed) for a status name
+export const getWorkflowStateType = (definition, stateName) => {
+  const state = findWorkflowState(definition, stateName);
+  if (state) return state.type;
+
+  // Fallback for statuses outside the definition (legacy data)
+  const defaultState = findWorkflowState(defaultProjectWorkflow, stateName);
+  return defaultState ? defaultState.type : null;
+};
+
+// Find the transition that applies for a project moving to newStatus.
+// The first transition (in declaration order) whose source state and
+// conditions match wins, so more specific transitions should come first.
+export const findWorkflowTransition = (definition, project, newStatus) => {
+  return (
+    definition.transitions.find(
+      (transition) =>
+        transition.to === newStatus &&
+        transition.from.includes(project.status) &&
+        matchesWorkflowConditions(transition.conditions, project)
+    ) || null
+  );
+};
+
+// Get the approvals already collected for a transition on this project
+const getCollectedApprovals = (project, transition) => {
+  const pending = project.workflowState?.pendingApproval;
+
+  if (
+    !pending ||
+    pending.targetStatus !== transition.to ||
+    pending.fromStatus !== project.status
+  ) {
+    return [];
+  }
+
+  return pending.approvals || [];
+};
+
+// Evaluate whether a role may move a project to newStatus.
+// Returns { isValid, message } on failure and
+// { isValid, transition, stateType, isFinalApproval, approvalStep } on success.
+export const evaluateWorkflowTransition = (
+  definition,
+  project,
+  newStatus,
+  userRole
+) => {
+  const currentStatus = project.status;
+
+  if (!findWorkflowState(definition, newStatus)) {
+    return {
+      isValid: false,
+      message: `'${newStatus}' is not a valid status in workflow '${definition.name}'`,
+    };
+  }
+
+  const transition = findWorkflowTransition(definition, project, newStatus);
+
+  if (!transition) {
+    return {
+      isValid: false,
+      message: `Invalid status transition from '${currentStatus}' to '${newStatus}' for ${userRole}`,
+    };
+  }
+
+  const approvalChain = transition.approvalChain || [];
+
+  if (approvalChain.length === 0) {
+    if (!transition.allowedRoles.includes(userRole)) {
+      return {
+        isValid: false,
+        message: `${userRole} is not authorized to change status from '${currentStatus}' to '${newStatus}'`,
+      };
+    }
+
+    return {
+      isValid: true,
+      transition,
+      stateType: getWorkflowStateType(definition, newStatus),
+      isFinalApproval: true,
+      approvalStep: null,
+    };
+  }
+
+  const approvals = getCollectedApprovals(project, transition);
+  const nextRole = approvalChain[approvals.length];
+
+  if (nextRole !== userRole) {
+    return {
+      isValid: false,
+      message: approvalChain.includes(userRole)
+        ? `Approval by ${nextRole} is required before ${userRole} can act on this project`
+        : `${userRole} is not part of the approval chain for '${newStatus}'`,
+    };
+  }
+
+  return {
+    isValid: true,
+    transition,
+    stateType: getWorkflowStateType(definition, newStatus),
+    isFinalApproval: approvals.length + 1 === approvalChain.length,
+    approvalStep: {
+      current: approvals.length + 1,
+      total: approvalChain.length,
+      role: userRole,
+      nextRole: approvalChain[approvals.length + 1] || null,
+    },
+  };
+};
+
+// List the transitions a role can perform on a project right now
+export const getAvailableWorkflowTransitions = (
+  definition,
+  project,
+  userRole
+) => {
+  const targets = [
+    ...new Set(
+      definition.transitions
+        .filter((transition) => transition.from.includes(project.status))
+        .map((transition) => transition.to)
+    ),
+  ];
+
+  return targets
+    .map((newStatus) => {
+      const result = evaluateWorkflowTransition(
+        definition,
+        project,
+        newStatus,
+        userRole
+      );
+      if (!result.isValid) return null;
+
+      return {
+        status: newStatus,
+        stateType: result.stateType,
+        requiresRejectionReason:
+          Boolean(result.transition.requiresRejectionReason) ||
+          result.stateType === "rejected",
+        approvalStep: result.approvalStep,
+      };
+    })
+    .filter(Boolean);
+};
+
+// Collect structural problems in a workflow definition.
+// Returns an array of error messages (empty when the definition is valid).
+export const validateWorkflowDefinition = (definition, roles = []) => {
+  const errors = [];
+  const states = definition.states || [];
+  const transitions = definition.transitions || [];
+  const stateNames = states.map((state) => state.name);
+
+  if (states.length === 0) {
+    errors.push("Workflow must declare at least one state");
+  }
+
+  const duplicateStates = stateNames.filter(
+    (name, index) => stateNames.indexOf(name) !== index
+  );
+  if (duplicateStates.length > 0) {
+    errors.push(
+      `Duplicate states: ${[...new Set(duplicateStates)].join(", ")}`
+    );
+  }
+
+  const initialStates = states.filter((state) => state.isInitial);
+  if (initialStates.length !== 1) {
+    errors.push("Workflow must declare exactly one initial state");
+  } else if (initialStates[0].type !== "pending") {
+    errors.push("Initial state must be of type 'pending'");
+  }
+
+  transitions.forEach((transition, index) => {
+    const label = `Transition ${index + 1}`;
+    const from = transition.from || [];
+    const approvalChain = transition.approvalChain || [];
+
+    if (from.length === 0) {
+      errors.push(`${label}: at least one source state is required`);
+    }
+
+    from
+      .filter((name) => !stateNames.includes(name))
+      .forEach((name) =>
+        errors.push(`${label}: unknown source state '${name}'`)
+      );
+
+    if (!stateNames.includes(transition.to)) {
+      errors.push(`${label}: unknown target state '${transition.to}'`);
+    }
+
+    if (from.includes(transition.to)) {
+      errors.push(`${label}: source and target state cannot be the same`);
+    }
+
+    if (
+      approvalChain.length === 0 &&
+      (transition.allowedRoles || []).length === 0
+    ) {
+      errors.push(`${label}: allowed roles or an approval chain is required`);
+    }
+
+    if (new Set(approvalChain).size !== approvalChain.length) {
+      errors.push(`${label}: a role can appear only once in an approval chain`);
+    }
+
+    if (roles.length > 0) {
+      [...(transition.allowedRoles || []), ...approvalChain]
+        .filter((role) => !roles.includes(role))
+        .forEach((role) => errors.push(`${label}: unknown role '${role}'`));
+    }
+
+    const conditions = transition.conditions || {};
+    if (
+      conditions.minEstimatedCost != null &&
+      conditions.maxEstimatedCost != null &&
+      conditions.minEstimatedCost > conditions.maxEstimatedCost
+    ) {
+      errors.push(`${label}: minimum cost cannot exceed maximum cost`);
+    }
+  });
+
+  const conditions = definition.conditions || {};
+  if (
+    conditions.minEstimatedCost != null &&
+    conditions.maxEstimatedCost != null &&
+    conditions.minEstimatedCost > conditions.maxEstimatedCost
+  ) {
+    errors.push("Minimum cost cannot exceed maximum cost");
+  }
+
+  return errors;
+};